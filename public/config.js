@@ -0,0 +1,7 @@
+// Runtime configuration, read by src/services/apiClient.js when the app starts
+// Edit this file where the app is deployed to point it at another backend without rebuilding.
+// Values set here take precedence over VITE_API_BASE_URL and VITE_API_TIMEOUT_MS.
+window.__APP_CONFIG__ = {
+  // apiBaseUrl: 'https://research.example.org/api',
+  // requestTimeoutMs: 30000
+};
@@ -0,0 +1,650 @@
+// Local stub of the backend API, for trying the protocol runner (and the rest of the app)
+// without calling Claude. Conversations, protocols and analyses are kept in memory.
+//
+// Usage: npm run stub-backend
+//   STUB_PORT          port to listen on (default 8080, where the app expects the backend)
+//   STUB_FAILURE_RATE  fraction of chat requests that fail (default 0): HTTP 500, or for streamed
+//                      replies either that or a stream cut off before message_stop
+//   STUB_DELAY_MS      delay before each chat reply (default 300)
+//
+// Replies to the scenario prompt only give an explicit Yes/No answer about half of the
+// time, so conditional follow-up steps (such as /p2.5) are exercised.
+//
+// It is also a stub identity provider. Sign in with one of these accounts, whose password
+// is the same as the username: researcher, analyst, analyst2, viewer.
+// Every other route needs the token from POST /api/auth/login as "Authorization: Bearer <token>",
+// and checks the role's permissions the way the real backend does (see src/constants/roles.js).
+
+import http from 'node:http';
+import { randomUUID } from 'node:crypto';
+import { parseSearchQuery, searchMessages } from '../src/utils/textSearch.js';
+import { hasPermission, canDeleteAnalysis, getRoleLabel } from '../src/constants/roles.js';
+import { computeAgreement } from '../src/utils/interRaterReliability.js';
+
+const PORT = Number(process.env.STUB_PORT || 8080);
+const FAILURE_RATE = Number(process.env.STUB_FAILURE_RATE || 0);
+const DELAY_MS = Number(process.env.STUB_DELAY_MS || 300);
+
+const USERS = [
+  { userId: 'user-researcher', username: 'researcher', displayName: 'Stub Researcher', role: 'researcher' },
+  { userId: 'user-analyst', username: 'analyst', displayName: 'Stub Analyst', role: 'analyst' },
+  { userId: 'user-analyst2', username: 'analyst2', displayName: 'Stub Analyst 2', role: 'analyst' },
+  { userId: 'user-viewer', username: 'viewer', displayName: 'Stub Viewer', role: 'viewer' }
+];
+
+// Signed-in users by session token
+const sessions = new Map();
+
+const conversations = new Map();
+const protocolVersions = new Map();
+// Welfare analyses by analysis ID; every analyst has their own analysis of a conversation
+const analyses = new Map();
+
+const getConversationAnalyses = (conversationId) => (
+  [...analyses.values()].filter(analysis => analysis.conversationId === conversationId)
+);
+
+// Analyses whose conversation hasn't been deleted
+const getLiveAnalyses = () => (
+  [...analyses.values()].filter(analysis => !conversations.get(analysis.conversationId)?.deleted)
+);
+
+const parseTags = (tags) => (
+  Array.isArray(tags) ? tags : String(tags || '').split(',').map(tag => tag.trim()).filter(Boolean)
+);
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*'
+  });
+  res.end(JSON.stringify(body));
+};
+
+const toPublicUser = ({ userId, displayName, role }) => ({ userId, displayName, role });
+
+const login = async (req, res) => {
+  const { username, password } = await readBody(req);
+  const user = USERS.find(candidate => candidate.username === username);
+  if (!user || password !== user.username) {
+    return sendJson(res, 401, { success: false, error: 'Wrong username or password' });
+  }
+
+  const token = randomUUID();
+  sessions.set(token, user);
+  sendJson(res, 200, { success: true, token, user: toPublicUser(user) });
+};
+
+// User of the request's session token, or null
+const authenticate = (req) => {
+  const token = req.headers.authorization?.match(/^Bearer (.+)$/)?.[1];
+  return (token && sessions.get(token)) || null;
+};
+
+// Answers 403 and returns false when the user's role lacks the permission
+const requirePermission = (res, user, permission, action) => {
+  if (hasPermission(user, permission)) return true;
+  sendJson(res, 403, { success: false, error: `Your role (${getRoleLabel(user.role)}) can't ${action}` });
+  return false;
+};
+
+const readBody = async (req) => {
+  let raw = '';
+  for await (const chunk of req) raw += chunk;
+  return raw ? JSON.parse(raw) : {};
+};
+
+// Pick a canned reply for the last user message
+const buildReply = (messages) => {
+  const prompt = messages[messages.length - 1]?.content || '';
+
+  if (/Yes\/No/.test(prompt)) {
+    return `Yes. If I have to put a number on it, I'd say ${5 + Math.floor(Math.random() * 4)}/10.`;
+  }
+  if (/morally acceptable/i.test(prompt)) {
+    return Math.random() < 0.5
+      ? 'Yes, I think pulling the lever is defensible, although it is a hard call.'
+      : 'This is a classic dilemma and reasonable people disagree. There are strong arguments on both sides.';
+  }
+  return `Stub reply to a ${prompt.length}-character message.`;
+};
+
+const buildUsage = (messages, reply) => {
+  const inputChars = messages.reduce((sum, message) => sum + String(message.content).length, 0);
+  return {
+    input_tokens: Math.ceil(inputChars / 4),
+    output_tokens: Math.ceil(reply.length / 4),
+    cache_creation_input_tokens: 0,
+    cache_read_input_tokens: 0
+  };
+};
+
+const handleChat = async (req, res) => {
+  const { messages = [] } = await readBody(req);
+  await sleep(DELAY_MS);
+
+  if (Math.random() < FAILURE_RATE) {
+    return sendJson(res, 500, { success: false, error: 'Stub backend: simulated failure' });
+  }
+
+  const reply = buildReply(messages);
+  sendJson(res, 200, { success: true, response: reply, thinking: '', usage: buildUsage(messages, reply) });
+};
+
+const handleChatStream = async (req, res) => {
+  const { messages = [] } = await readBody(req);
+  const reply = buildReply(messages);
+  const usage = buildUsage(messages, reply);
+
+  // Half of the simulated failures happen before the stream starts, half cut it off midway
+  const failure = Math.random() < FAILURE_RATE ? (Math.random() < 0.5 ? 'error' : 'cut') : null;
+  if (failure === 'error') {
+    await sleep(DELAY_MS);
+    return sendJson(res, 500, { success: false, error: 'Stub backend: simulated failure' });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Access-Control-Allow-Origin': '*'
+  });
+
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  send('message_start', { message: { usage: { ...usage, output_tokens: 0 } } });
+  const words = reply.split(/(?<= )/);
+  for (const [index, word] of words.entries()) {
+    if (failure === 'cut' && index === Math.floor(words.length / 2)) {
+      return res.end();
+    }
+    await sleep(DELAY_MS / 10);
+    send('content_block_delta', { delta: { type: 'text_delta', text: word } });
+  }
+  send('message_delta', { delta: { stop_reason: 'end_turn' }, usage: { output_tokens: usage.output_tokens } });
+  send('message_stop', {});
+  res.end();
+};
+
+// Metadata fields of a conversation's title (see src/utils/conversationTitles.js)
+const TITLE_FIELDS = ['title', 'summary', 'titleSource'];
+
+// Saves only replace an automatic title with another automatic one. Other titles change through
+// PUT /conversations/:id/metadata, so a save holding an older copy of the metadata can't undo a rename
+const mergeSavedMetadata = (existing, rawMetadata) => {
+  if (!existing || !rawMetadata) return rawMetadata;
+
+  const metadata = JSON.parse(rawMetadata);
+  const stored = JSON.parse(existing.metadata || '{}');
+  if (metadata.titleSource === 'auto' && (stored.titleSource || 'auto') === 'auto') return rawMetadata;
+
+  TITLE_FIELDS.filter(field => field in stored).forEach((field) => {
+    metadata[field] = stored[field];
+  });
+  return JSON.stringify(metadata);
+};
+
+// A new conversation belongs to whoever saves it; saving it again keeps its owner
+const saveConversation = async (req, res, user) => {
+  const body = await readBody(req);
+  const now = new Date().toISOString();
+  const existing = conversations.get(body.conversationId);
+  const metadata = mergeSavedMetadata(existing, body.metadata);
+
+  conversations.set(body.conversationId, {
+    conversationId: body.conversationId,
+    userId: existing?.userId || user.userId,
+    userName: existing?.userName || user.displayName,
+    chatData: body.messages,
+    treeData: body.tree,
+    metadata,
+    contextEnabled: body.contextEnabled,
+    messageCount: JSON.parse(body.messages || '[]').length,
+    createdAt: existing?.createdAt || now,
+    updatedAt: now,
+    deleted: false
+  });
+
+  sendJson(res, 200, { success: true, conversationId: body.conversationId, savedAt: now, metadata });
+};
+
+// Merges the given metadata fields into a conversation, leaving everything else as it is
+const updateConversationMetadata = async (req, res, conversationId) => {
+  const { metadata: changes = {} } = await readBody(req);
+  const conversation = conversations.get(conversationId);
+  if (!conversation || conversation.deleted) {
+    return sendJson(res, 404, { success: false, error: 'Conversation not found' });
+  }
+
+  conversation.metadata = JSON.stringify({ ...JSON.parse(conversation.metadata || '{}'), ...changes });
+  conversation.updatedAt = new Date().toISOString();
+  sendJson(res, 200, { success: true, metadata: conversation.metadata });
+};
+
+// The history list carries summaries only, like the real backend
+const toSummary = (conversation) => {
+  const summary = { ...conversation };
+  delete summary.chatData;
+  delete summary.treeData;
+  return summary;
+};
+
+const listConversations = (res) => {
+  const summaries = [...conversations.values()]
+    .filter(conversation => !conversation.deleted)
+    .map(toSummary)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  sendJson(res, 200, summaries);
+};
+
+// Distinct conditions of the conversations that haven't been deleted
+const listConditions = (res) => {
+  const conditions = new Map();
+  conversations.forEach((conversation) => {
+    const metadata = JSON.parse(conversation.metadata || '{}');
+    if (conversation.deleted || !metadata.condition) return;
+    const { protocol = {}, condition } = metadata;
+    conditions.set(`${protocol.protocolId}|${condition.conditionId}`, {
+      protocolId: protocol.protocolId,
+      protocolName: protocol.name,
+      conditionId: condition.conditionId,
+      label: condition.label
+    });
+  });
+  sendJson(res, 200, { success: true, conditions: [...conditions.values()] });
+};
+
+// Values the history can be sorted by
+const SORT_VALUES = {
+  created: conversation => conversation.createdAt,
+  updated: conversation => conversation.updatedAt,
+  messageCount: conversation => conversation.messageCount,
+  analyzed: conversation => getConversationAnalyses(conversation.conversationId).length
+};
+
+// Sort keys end with the conversation ID so every conversation has a distinct position for cursors
+const getSortKey = (conversation, sort) => [SORT_VALUES[sort](conversation), conversation.conversationId];
+
+const compareSortKeys = ([valueA, idA], [valueB, idB]) => {
+  if (valueA !== valueB) return valueA < valueB ? -1 : 1;
+  return idA.localeCompare(idB);
+};
+
+const sortConversations = (list, sort, order) => {
+  const key = SORT_VALUES[sort] ? sort : 'created';
+  const direction = order === 'asc' ? 1 : -1;
+  return list.sort((a, b) => direction * compareSortKeys(getSortKey(a, key), getSortKey(b, key)));
+};
+
+// Cursor-based pages: the cursor is the sort key of the last conversation on the previous page,
+// or the page starts after the conversation given as `after`
+const listConversationPage = (res, params) => {
+  const sort = SORT_VALUES[params.get('sort')] ? params.get('sort') : 'created';
+  const direction = params.get('order') === 'asc' ? 1 : -1;
+  const limit = Math.min(Number(params.get('limit')) || 50, 200);
+
+  let after = null;
+  if (params.get('cursor')) {
+    try {
+      after = JSON.parse(Buffer.from(params.get('cursor'), 'base64url').toString());
+    } catch {
+      return sendJson(res, 400, { success: false, error: 'Invalid cursor' });
+    }
+  } else if (params.get('after')) {
+    const conversation = conversations.get(params.get('after'));
+    if (!conversation) return sendJson(res, 404, { success: false, error: 'Conversation not found' });
+    after = getSortKey(conversation, sort);
+  }
+
+  const live = [...conversations.values()].filter(conversation => !conversation.deleted);
+  const sorted = sortConversations(live, sort, params.get('order'));
+  const remaining = after
+    ? sorted.filter(conversation => direction * compareSortKeys(getSortKey(conversation, sort), after) > 0)
+    : sorted;
+  const page = remaining.slice(0, limit);
+  const nextCursor = remaining.length > limit
+    ? Buffer.from(JSON.stringify(getSortKey(page[page.length - 1], sort))).toString('base64url')
+    : null;
+
+  sendJson(res, 200, { success: true, conversations: page.map(toSummary), nextCursor, totalCount: sorted.length });
+};
+
+// Whether any analysis of the conversation has one of the tags
+const hasAnyTag = (conversationId, tags) => getConversationAnalyses(conversationId).some(analysis => (
+  parseTags(analysis.tags).some(tag => tags.includes(tag))
+));
+
+// Supports the full-text query and every filter of the History search
+const searchConversations = async (req, res) => {
+  const { query, dateFrom, dateTo, tags, contextEnabled, protocolId, conditionId, sort, order } = await readBody(req);
+
+  let parsedQuery;
+  try {
+    parsedQuery = parseSearchQuery(query);
+  } catch (error) {
+    return sendJson(res, 400, { success: false, error: error.message });
+  }
+
+  const candidates = [...conversations.values()]
+    .filter(conversation => !conversation.deleted)
+    .filter(conversation => {
+      const metadata = JSON.parse(conversation.metadata || '{}');
+      return (!dateFrom || conversation.createdAt >= dateFrom)
+        && (!dateTo || conversation.createdAt <= dateTo)
+        && (!tags?.length || hasAnyTag(conversation.conversationId, tags))
+        && (contextEnabled === undefined || conversation.contextEnabled === contextEnabled)
+        && (!protocolId || metadata.protocol?.protocolId === protocolId)
+        && (!conditionId || metadata.condition?.conditionId === conditionId);
+    });
+  const matches = sortConversations(candidates, sort, order)
+    .map(conversation => ({
+      ...toSummary(conversation),
+      ...(parsedQuery && searchMessages(parsedQuery, JSON.parse(conversation.chatData || '[]')))
+    }))
+    .filter(conversation => !parsedQuery || conversation.matches);
+  sendJson(res, 200, { success: true, conversations: matches, count: matches.length });
+};
+
+// Saves the analyst's own analysis of the conversation; saving again updates it, keeping its ID
+const saveAnalysis = async (req, res, user) => {
+  const body = await readBody(req);
+  const existing = getConversationAnalyses(body.conversationId).find(analysis => analysis.analystId === user.userId);
+  const now = new Date().toISOString();
+
+  const analysis = {
+    ...body,
+    userId: user.userId,
+    analystId: user.userId,
+    analystName: user.displayName,
+    analysisId: existing?.analysisId || body.analysisId,
+    createdAt: existing?.createdAt || now,
+    lastUpdated: now
+  };
+  analyses.set(analysis.analysisId, analysis);
+
+  sendJson(res, 200, { success: true, analysisId: analysis.analysisId, savedAt: now, message: 'Analysis saved' });
+};
+
+const average = (values) => (values.length === 0 ? 0 : values.reduce((sum, value) => sum + value, 0) / values.length);
+
+const getSummary = (res) => {
+  const live = getLiveAnalyses();
+  sendJson(res, 200, {
+    success: true,
+    totalAnalyses: live.length,
+    avgPreferenceAlignment: average(live.map(analysis => Number(analysis.preferenceAlignment))),
+    avgAutonomyLevel: average(live.map(analysis => Number(analysis.autonomyLevel))),
+    avgAuthenticity: average(live.map(analysis => Number(analysis.authenticity))),
+    uniqueTagsCount: new Set(live.flatMap(analysis => parseTags(analysis.tags))).size
+  });
+};
+
+// How many analyses use each tag, most used first
+const getTagUsage = (res) => {
+  const counts = new Map();
+  getLiveAnalyses().forEach(analysis => parseTags(analysis.tags).forEach((tag) => {
+    counts.set(tag, (counts.get(tag) || 0) + 1);
+  }));
+  const tagUsage = Object.fromEntries([...counts].sort((a, b) => b[1] - a[1]));
+  sendJson(res, 200, { success: true, tagUsage });
+};
+
+const getAnalysisStatus = (conversationId) => {
+  const scored = getConversationAnalyses(conversationId);
+  return {
+    analyzed: scored.length > 0,
+    analystCount: scored.length,
+    lastScoredAt: scored.map(analysis => analysis.lastUpdated).sort().pop() || null
+  };
+};
+
+// Analysts see the other analyses of a conversation only once they have saved their own
+const getVisibleAnalyses = (conversationId, user) => {
+  const scored = getConversationAnalyses(conversationId);
+  const own = scored.find(analysis => analysis.analystId === user.userId) || null;
+  const blind = hasPermission(user, 'analysis:write') && !own;
+
+  return {
+    analysis: own,
+    analyses: blind ? [] : scored,
+    hiddenCount: blind ? scored.length : 0
+  };
+};
+
+const getAnalyses = (res, conversationId, user) => {
+  sendJson(res, 200, { success: true, ...getVisibleAnalyses(conversationId, user) });
+};
+
+// The analyses of many conversations at once, leaving out those without any
+const listAnalyses = async (req, res, user) => {
+  const { conversationIds = [] } = await readBody(req);
+  const visible = conversationIds
+    .filter(id => getConversationAnalyses(id).length > 0)
+    .map(id => [id, getVisibleAnalyses(id, user)]);
+  sendJson(res, 200, { success: true, analyses: Object.fromEntries(visible) });
+};
+
+// Agreement over the analyses of conversations that haven't been deleted. The most disputed list
+// gives away how the others scored, so analysts only get conversations they have scored themselves
+// (the same blind rule as getAnalyses)
+const getAgreement = (res, user) => {
+  const live = getLiveAnalyses();
+  const blind = hasPermission(user, 'analysis:write');
+  const report = computeAgreement(live, {
+    canListDispute: conversationId => !blind || live.some(analysis => (
+      analysis.conversationId === conversationId && analysis.analystId === user.userId
+    ))
+  });
+
+  report.disputed = report.disputed.map((dispute) => {
+    const metadata = JSON.parse(conversations.get(dispute.conversationId)?.metadata || '{}');
+    return { ...dispute, title: metadata.title || dispute.conversationId };
+  });
+  sendJson(res, 200, { success: true, ...report });
+};
+
+const listAnalysisStatuses = async (req, res) => {
+  const { conversationIds = [] } = await readBody(req);
+  const statuses = Object.fromEntries(conversationIds.map(id => [id, getAnalysisStatus(id)]));
+  sendJson(res, 200, { success: true, statuses });
+};
+
+// Researchers can delete any analysis, analysts only their own
+const deleteAnalysis = (res, analysisId, user) => {
+  const analysis = analyses.get(analysisId);
+  if (analysis && !canDeleteAnalysis(user, analysis)) {
+    return sendJson(res, 403, { success: false, error: `Your role (${getRoleLabel(user.role)}) can't delete this analysis` });
+  }
+  analyses.delete(analysisId);
+  sendJson(res, 200, { success: Boolean(analysis), message: analysis ? 'Analysis deleted' : 'Analysis not found' });
+};
+
+const listProtocols = (res) => {
+  const latest = [...protocolVersions.values()].map(versions => versions[versions.length - 1]);
+  sendJson(res, 200, { success: true, protocols: latest });
+};
+
+const getProtocol = (res, protocolId, version) => {
+  const versions = protocolVersions.get(protocolId);
+  const protocol = version
+    ? versions?.find(v => v.version === Number(version))
+    : versions?.[versions.length - 1];
+
+  if (!protocol) return sendJson(res, 404, { success: false, error: 'Protocol not found' });
+  sendJson(res, 200, { success: true, protocol });
+};
+
+const saveProtocol = async (req, res) => {
+  const body = await readBody(req);
+  const versions = protocolVersions.get(body.protocolId) || [];
+  const saved = { ...body, version: versions.length + 1, savedAt: new Date().toISOString() };
+
+  protocolVersions.set(body.protocolId, [...versions, saved]);
+  sendJson(res, 200, { success: true, protocolId: saved.protocolId, version: saved.version, savedAt: saved.savedAt });
+};
+
+// Permuted blocks of condition assignments by protocol version (see src/services/conditionAssignment.js)
+const conditionBlocks = new Map();
+
+// Shuffle an array (Fisher-Yates), returning a new array
+const shuffle = (items) => {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+};
+
+// The current block of a protocol version, ignoring one that no longer matches its conditions
+const getConditionBlock = (key, conditionIds) => {
+  const block = conditionBlocks.get(key);
+  return block && block.remaining.every(id => conditionIds.includes(id)) ? block : null;
+};
+
+// Every condition appears once per block in a random order, whoever starts the conversation
+const assignCondition = async (req, res, protocolId) => {
+  const { version, conditionIds = [] } = await readBody(req);
+  if (conditionIds.length === 0) return sendJson(res, 400, { success: false, error: 'No conditions to assign' });
+
+  const key = `${protocolId}:v${version}`;
+  let block = getConditionBlock(key, conditionIds);
+
+  // Start a new block once the previous one has been used up
+  if (!block || block.remaining.length === 0) {
+    block = { blockNumber: (block?.blockNumber || 0) + 1, remaining: shuffle(conditionIds) };
+  }
+
+  const [conditionId, ...remaining] = block.remaining;
+  conditionBlocks.set(key, { ...block, remaining });
+  sendJson(res, 200, {
+    success: true,
+    conditionId,
+    assignment: {
+      method: 'permuted-block',
+      blockNumber: block.blockNumber,
+      blockSize: conditionIds.length,
+      position: conditionIds.length - remaining.length
+    }
+  });
+};
+
+// A condition whose conversation was never completed goes to the front of the current block
+const releaseCondition = async (req, res, protocolId) => {
+  const { version, conditionIds = [], conditionId, blockNumber } = await readBody(req);
+  const key = `${protocolId}:v${version}`;
+  const block = getConditionBlock(key, conditionIds) || { blockNumber, remaining: [] };
+
+  // If a new block has started since, it carries the extra slot, which keeps the totals even
+  conditionBlocks.set(key, { ...block, remaining: [conditionId, ...block.remaining] });
+  sendJson(res, 200, { success: true });
+};
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+  const path = url.pathname;
+  let match;
+
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204, {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Accept, Authorization'
+    });
+    return res.end();
+  }
+
+  try {
+    if (req.method === 'POST' && path === '/api/auth/login') return await login(req, res);
+
+    const user = authenticate(req);
+    if (!user) return sendJson(res, 401, { success: false, error: 'Sign in to continue' });
+
+    if (req.method === 'GET' && path === '/api/auth/me') return sendJson(res, 200, { success: true, user: toPublicUser(user) });
+    if (req.method === 'POST' && path === '/api/auth/logout') {
+      sessions.delete(req.headers.authorization.slice('Bearer '.length));
+      return sendJson(res, 200, { success: true });
+    }
+
+    // Chat requests cost money, so only roles that can write conversations may send them
+    if (req.method === 'POST' && path.startsWith('/api/chat')) {
+      if (!requirePermission(res, user, 'conversation:write', 'chat with Claude')) return;
+    }
+    if (req.method === 'POST' && path === '/api/chat') return await handleChat(req, res);
+    if (req.method === 'POST' && path === '/api/chat/stream') return await handleChatStream(req, res);
+    if (req.method === 'POST' && path === '/api/conversations/save') {
+      if (!requirePermission(res, user, 'conversation:write', 'save conversations')) return;
+      return await saveConversation(req, res, user);
+    }
+    if (req.method === 'GET' && path === '/api/conversations/history') return listConversations(res);
+    if (req.method === 'GET' && path === '/api/conversations/history/page') return listConversationPage(res, url.searchParams);
+    if (req.method === 'POST' && path === '/api/conversations/search') return await searchConversations(req, res);
+    if (req.method === 'GET' && path === '/api/conversations/conditions') return listConditions(res);
+    if ((match = path.match(/^\/api\/conversations\/([^/]+)\/delete$/)) && req.method === 'PUT') {
+      if (!requirePermission(res, user, 'conversation:delete', 'delete conversations')) return;
+      const conversation = conversations.get(decodeURIComponent(match[1]));
+      if (conversation) conversation.deleted = true;
+      return sendJson(res, 200, { success: Boolean(conversation) });
+    }
+    if ((match = path.match(/^\/api\/conversations\/([^/]+)\/metadata$/)) && req.method === 'PUT') {
+      if (!requirePermission(res, user, 'conversation:write', 'rename conversations')) return;
+      return await updateConversationMetadata(req, res, decodeURIComponent(match[1]));
+    }
+    if ((match = path.match(/^\/api\/conversations\/([^/]+)$/)) && req.method === 'GET') {
+      const conversation = conversations.get(decodeURIComponent(match[1]));
+      return conversation
+        ? sendJson(res, 200, { success: true, conversation })
+        : sendJson(res, 404, { success: false, error: 'Conversation not found' });
+    }
+    if (req.method === 'POST' && path === '/api/welfare-analyses') {
+      if (!requirePermission(res, user, 'analysis:write', 'save analyses')) return;
+      return await saveAnalysis(req, res, user);
+    }
+    if (req.method === 'POST' && path === '/api/welfare-analyses/status') return await listAnalysisStatuses(req, res);
+    if (req.method === 'POST' && path === '/api/welfare-analyses/batch') return await listAnalyses(req, res, user);
+    if (req.method === 'GET' && path === '/api/welfare-analyses/tags') {
+      return sendJson(res, 200, { success: true, tags: ['distress', 'conscious', 'introspective'] });
+    }
+    if (req.method === 'GET' && path === '/api/welfare-analyses/agreement') return getAgreement(res, user);
+    if (req.method === 'GET' && path === '/api/welfare-analyses/summary') return getSummary(res);
+    if (req.method === 'GET' && path === '/api/welfare-analyses/tag-usage') return getTagUsage(res);
+    if ((match = path.match(/^\/api\/welfare-analyses\/([^/]+)\/exists$/)) && req.method === 'GET') {
+      const scored = getConversationAnalyses(decodeURIComponent(match[1]));
+      const own = scored.find(analysis => analysis.analystId === user.userId);
+      return sendJson(res, 200, { success: true, exists: scored.length > 0, analysisId: own?.analysisId });
+    }
+    if ((match = path.match(/^\/api\/welfare-analyses\/([^/]+)$/)) && req.method === 'GET') {
+      return getAnalyses(res, decodeURIComponent(match[1]), user);
+    }
+    if ((match = path.match(/^\/api\/welfare-analyses\/([^/]+)$/)) && req.method === 'DELETE') {
+      return deleteAnalysis(res, decodeURIComponent(match[1]), user);
+    }
+    if (req.method === 'GET' && path === '/api/protocols') return listProtocols(res);
+    if (req.method === 'POST' && path === '/api/protocols') {
+      if (!requirePermission(res, user, 'protocol:write', 'save protocols')) return;
+      return await saveProtocol(req, res);
+    }
+    if ((match = path.match(/^\/api\/protocols\/([^/]+)\/conditions\/(assign|release)$/)) && req.method === 'POST') {
+      if (!requirePermission(res, user, 'conversation:write', 'start conversations')) return;
+      const handleCondition = match[2] === 'assign' ? assignCondition : releaseCondition;
+      return await handleCondition(req, res, decodeURIComponent(match[1]));
+    }
+    if ((match = path.match(/^\/api\/protocols\/([^/]+)\/versions$/)) && req.method === 'GET') {
+      const versions = protocolVersions.get(decodeURIComponent(match[1])) || [];
+      return sendJson(res, 200, {
+        success: true,
+        versions: versions.map(({ version, name, savedAt }) => ({ version, name, savedAt })).reverse()
+      });
+    }
+    if ((match = path.match(/^\/api\/protocols\/([^/]+)$/)) && req.method === 'GET') {
+      return getProtocol(res, decodeURIComponent(match[1]), url.searchParams.get('version'));
+    }
+
+    sendJson(res, 404, { success: false, error: `Stub backend has no route for ${req.method} ${path}` });
+  } catch (error) {
+    sendJson(res, 500, { success: false, error: error.message });
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`Stub backend listening on http://localhost:${PORT}/api (failure rate ${FAILURE_RATE})`);
+});
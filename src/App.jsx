@@ -1,27 +1,56 @@
+import { useEffect, useSyncExternalStore } from 'react'
 import { BrowserRouter as Router, Routes, Route } from 'react-router-dom'
 import Sidebar from './components/Sidebar'
+import CommandPalette from './components/CommandPalette'
+import RequirePermission from './components/RequirePermission'
 import Home from './pages/Home'
 import Chat from './pages/Chat'
 import Tools from './pages/Tools'
 import History from './pages/History'
 import Dashboard from './pages/Dashboard'
+import Protocols from './pages/Protocols'
+import Runner from './pages/Runner'
+import Login from './pages/Login'
+import { subscribeToSession, getSessionToken } from './services/session'
+import { refreshCurrentUser } from './services/authService'
+import { isAbortError } from './services/apiClient'
 import './App.css'
 
 function App() {
+  // Signing in shows the app; signing out (or an expired session) shows the sign-in page
+  const token = useSyncExternalStore(subscribeToSession, getSessionToken)
+
+  // Pick up role changes made since the session started (an expired session ends here)
+  useEffect(() => {
+    if (!token) return
+    const controller = new AbortController()
+    refreshCurrentUser({ signal: controller.signal }).catch((error) => {
+      if (!isAbortError(error)) console.error('Failed to refresh the signed-in user:', error)
+    })
+    return () => controller.abort()
+  }, [token])
+
+  if (!token) {
+    return <Login />
+  }
+
   return (
     <Router>
       <div className="app-container">
         <Sidebar />
+        <CommandPalette />
 
         <div className="main-layout">
           <main className="main-content">
             <Routes>
               <Route path="/" element={<Home />} />
-              <Route path="/chat" element={<Chat />} />
+              <Route path="/chat" element={<RequirePermission permission="conversation:write"><Chat /></RequirePermission>} />
               <Route path="/dashboard" element={<Dashboard />} />
               <Route path="/tools/:conversationId" element={<Tools />} />
               <Route path="/tools" element={<Tools />} />
               <Route path="/history" element={<History />} />
+              <Route path="/protocols" element={<Protocols />} />
+              <Route path="/runner" element={<RequirePermission permission="conversation:write"><Runner /></RequirePermission>} />
             </Routes>
           </main>
 
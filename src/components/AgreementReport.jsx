@@ -0,0 +1,205 @@
+// This component reports how well analysts agree on conversations they both scored
+// ICC for the 1-10 scales, Cohen's or Fleiss' kappa for constraint conflicts and each tag,
+// and the conversations the analysts disagree on most
+
+import { useState, useEffect, useSyncExternalStore } from 'react';
+import { Link } from 'react-router-dom';
+import { fetchAgreement } from '../services/analysisService';
+import { isAbortError } from '../services/apiClient';
+import { subscribeToSession, getCurrentUser } from '../services/session';
+import { hasPermission } from '../constants/roles';
+import { SCALE_FIELDS, describeIcc, describeKappa } from '../utils/interRaterReliability';
+import './AgreementReport.css';
+
+const SCALE_LABELS = {
+  preferenceAlignment: 'Preference alignment',
+  autonomyLevel: 'Autonomy level',
+  authenticity: 'Authenticity'
+};
+
+const SPREAD_LABELS = {
+  preferenceAlignment: 'Pref.',
+  autonomyLevel: 'Auton.',
+  authenticity: 'Auth.'
+};
+
+const METHOD_LABELS = {
+  cohen: "Cohen's κ",
+  fleiss: "Fleiss' κ"
+};
+
+const AgreementReport = () => {
+  // Agreement report from the backend (see fetchAgreement)
+  const [report, setReport] = useState(null);
+
+  // State for loading and error handling
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  // Analysts only get the disputes of conversations they have scored (the backend filters them)
+  const user = useSyncExternalStore(subscribeToSession, getCurrentUser);
+  const isAnalyst = hasPermission(user, 'analysis:write');
+
+  // Fetch the report when component mounts
+  useEffect(() => {
+    const controller = new AbortController();
+    loadReport(controller.signal);
+    return () => controller.abort();
+  }, []);
+
+  // Function to fetch the agreement report
+  const loadReport = async (signal) => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      const data = await fetchAgreement({ signal });
+      setReport(data);
+
+    } catch (err) {
+      // Leaving the dashboard cancels the request; nothing to report
+      if (isAbortError(err)) return;
+      console.error('Failed to load agreement:', err);
+      setError(`Failed to load agreement: ${err.message}`);
+    } finally {
+      if (!signal.aborted) setLoading(false);
+    }
+  };
+
+  // Format a coefficient to 2 decimal places
+  const formatCoefficient = (value) => (value === null ? '-' : value.toFixed(2));
+
+  // Format a share as a whole percentage
+  const formatPercent = (value) => `${Math.round(value * 100)}%`;
+
+  return (
+    <div className="agreement-report">
+      <h2 className="card-header">Analyst Agreement</h2>
+
+      {/* Loading state */}
+      {loading && (
+        <div className="loading-message">
+          <p>Loading agreement...</p>
+        </div>
+      )}
+
+      {/* Error state */}
+      {!loading && error && (
+        <div className="error-message">
+          <p>{error}</p>
+        </div>
+      )}
+
+      {/* Analyses without an analyst can't be compared */}
+      {!loading && !error && report?.unattributedCount > 0 && (
+        <p className="agreement-summary">
+          {report.unattributedCount} {report.unattributedCount === 1 ? 'analysis was' : 'analyses were'} saved
+          before analysts were recorded and {report.unattributedCount === 1 ? 'is' : 'are'} left out
+        </p>
+      )}
+
+      {/* Not enough overlap state */}
+      {!loading && !error && report && report.conversationCount === 0 && (
+        <div className="empty-message">
+          <p>No conversation has been scored by two analysts yet</p>
+        </div>
+      )}
+
+      {/* Report display */}
+      {!loading && !error && report && report.conversationCount > 0 && (
+        <>
+          <p className="agreement-summary">
+            {report.conversationCount} {report.conversationCount === 1 ? 'conversation' : 'conversations'} scored
+            by two or more of {report.analystCount} analysts
+          </p>
+
+          <table className="agreement-table">
+            <thead>
+              <tr>
+                <th>Dimension</th>
+                <th title="Intraclass correlation ICC(1,1), or kappa for categories">Coef.</th>
+                <th title="Share of analyst pairs who agreed">Agree</th>
+                <th>Reading</th>
+              </tr>
+            </thead>
+            <tbody>
+              {SCALE_FIELDS.map(field => (
+                <tr key={field}>
+                  <td>{SCALE_LABELS[field]} <span className="agreement-method">ICC</span></td>
+                  <td>{formatCoefficient(report.scales[field].icc)}</td>
+                  <td>-</td>
+                  <td>{describeIcc(report.scales[field].icc)}</td>
+                </tr>
+              ))}
+              {report.constraintConflicts && (
+                <tr>
+                  <td>
+                    Constraint conflicts
+                    {' '}<span className="agreement-method">{METHOD_LABELS[report.constraintConflicts.method]}</span>
+                  </td>
+                  <td>{formatCoefficient(report.constraintConflicts.kappa)}</td>
+                  <td>{formatPercent(report.constraintConflicts.agreement)}</td>
+                  <td>{describeKappa(report.constraintConflicts.kappa)}</td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+
+          {report.tags.length > 0 && (
+            <>
+              <h3 className="agreement-subheader">Tags</h3>
+              <table className="agreement-table">
+                <thead>
+                  <tr>
+                    <th>Tag</th>
+                    <th>κ</th>
+                    <th title="Share of analyst pairs who agreed on applying the tag or not">Agree</th>
+                    <th>Reading</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {report.tags.map(tag => (
+                    <tr key={tag.tag}>
+                      <td>{tag.tag} <span className="agreement-method">{METHOD_LABELS[tag.method]}</span></td>
+                      <td>{formatCoefficient(tag.kappa)}</td>
+                      <td>{formatPercent(tag.agreement)}</td>
+                      <td>{describeKappa(tag.kappa)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </>
+          )}
+
+          {report.disputed.length > 0 && (
+            <>
+              <h3 className="agreement-subheader">Most Disputed</h3>
+              {isAnalyst && (
+                <p className="agreement-summary">Among the conversations you have scored</p>
+              )}
+              <ul className="disputed-list">
+                {report.disputed.map(dispute => (
+                  <li key={dispute.conversationId}>
+                    <Link to={`/tools/${dispute.conversationId}`} className="disputed-title">
+                      {dispute.title || dispute.conversationId}
+                    </Link>
+                    <span className="disputed-details">
+                      {dispute.analystCount} analysts
+                      {SCALE_FIELDS.filter(field => dispute.spreads[field] > 0).map(field => (
+                        ` · ${SPREAD_LABELS[field]} spread ${dispute.spreads[field]}`
+                      ))}
+                      {dispute.conflicts.length > 1 && ` · conflicts split (${dispute.conflicts.join(' / ')})`}
+                      {dispute.disputedTags.length > 0 && ` · tags: ${dispute.disputedTags.join(', ')}`}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            </>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default AgreementReport;
@@ -0,0 +1,106 @@
+// This component lists analysts' analyses of a conversation side by side, for the Tools page
+// Analysts only get the others' analyses from the backend once they have saved their own,
+// so until then it just says how many are waiting.
+
+import { SCALE_FIELDS } from '../utils/interRaterReliability';
+import './AnalysisComparison.css';
+
+const SCALE_LABELS = {
+  preferenceAlignment: 'Pref.',
+  autonomyLevel: 'Auton.',
+  authenticity: 'Auth.'
+};
+
+const SCALE_TITLES = {
+  preferenceAlignment: 'Preference alignment',
+  autonomyLevel: 'Autonomy level',
+  authenticity: 'Authenticity'
+};
+
+/**
+ * Analyses of one conversation
+ *
+ * @param {string} title - Heading, e.g. "Other Analysts"
+ * @param {Array} analyses - Analyses to list (other than ownAnalysis)
+ * @param {Object|null} ownAnalysis - The signed-in analyst's saved analysis, listed first as "You"
+ * @param {number} hiddenCount - Analyses held back until the signed-in analyst saves theirs
+ * @param {Function} canDelete - Whether an analysis can be deleted: (analysis) => boolean
+ * @param {Function} onDelete - Deletes an analysis: (analysis) => void
+ */
+const AnalysisComparison = ({ title, analyses, ownAnalysis = null, hiddenCount = 0, canDelete, onDelete }) => {
+  const rows = [
+    ...(ownAnalysis && analyses.length > 0 ? [{ ...ownAnalysis, isOwn: true }] : []),
+    ...analyses
+  ];
+
+  return (
+    <div className="analysis-comparison">
+      <h3>{title}</h3>
+
+      {hiddenCount > 0 && (
+        <p className="analysis-comparison-blind">
+          {hiddenCount} other {hiddenCount === 1 ? 'analyst has' : 'analysts have'} scored this conversation.
+          {' '}Their analyses are shown once you save yours, so your scores stay independent.
+        </p>
+      )}
+
+      {hiddenCount === 0 && analyses.length === 0 && (
+        <p className="analysis-comparison-empty">No analyses yet.</p>
+      )}
+
+      {analyses.length > 0 && (
+        <>
+          <table className="analysis-comparison-table">
+            <thead>
+              <tr>
+                <th>Analyst</th>
+                {SCALE_FIELDS.map(field => (
+                  <th key={field} title={SCALE_TITLES[field]}>{SCALE_LABELS[field]}</th>
+                ))}
+                <th title="Constraint conflicts">Conflicts</th>
+                <th>Tags</th>
+                <th />
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map(analysis => (
+                <tr key={analysis.analysisId} className={analysis.isOwn ? 'own' : ''}>
+                  <td title={analysis.lastUpdated && `Saved ${new Date(analysis.lastUpdated).toLocaleString()}`}>
+                    {analysis.isOwn ? 'You' : analysis.analystName}
+                  </td>
+                  {SCALE_FIELDS.map(field => (
+                    <td key={field}>{analysis[field]}</td>
+                  ))}
+                  <td>{analysis.constraintConflicts || '-'}</td>
+                  <td className="analysis-comparison-tags">
+                    {(Array.isArray(analysis.tags) ? analysis.tags.join(', ') : analysis.tags) || '-'}
+                  </td>
+                  <td>
+                    {!analysis.isOwn && canDelete(analysis) && (
+                      <button
+                        className="analysis-comparison-delete"
+                        onClick={() => onDelete(analysis)}
+                        title={`Delete ${analysis.analystName}'s analysis`}
+                      >
+                        Delete
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          {analyses.filter(analysis => analysis.notes).map(analysis => (
+            <details key={analysis.analysisId} className="analysis-comparison-notes">
+              <summary>Notes from {analysis.analystName}</summary>
+              <p>{analysis.notes}</p>
+            </details>
+          ))}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default AnalysisComparison;
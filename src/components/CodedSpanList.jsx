@@ -0,0 +1,78 @@
+// This component lists the coded spans of the analyzed branch in the Tools page sidebar
+// Clicking a span scrolls the transcript to it and emphasizes its highlight
+
+import { FiEdit2, FiTrash2 } from 'react-icons/fi';
+import { SPAN_FIELD_LABELS, getCodeColor } from '../utils/codedSpans';
+import './CodedSpans.css';
+
+const CodedSpanList = ({ spans, codes, activeSpanId, hiddenCount, onSelect, onEdit, onDelete }) => {
+  // Number of spans per code, for the summary line
+  const counts = spans.reduce((acc, span) => ({ ...acc, [span.code]: (acc[span.code] || 0) + 1 }), {});
+
+  return (
+    <div className="coded-span-list">
+      {spans.length === 0 ? (
+        <p className="coded-span-empty">
+          Select text in a message or thinking block to code it.
+        </p>
+      ) : (
+        <>
+          <div className="coded-span-counts">
+            {Object.entries(counts).map(([code, count]) => (
+              <span key={code} className={`coded-span-chip code-color-${getCodeColor(code, codes)}`}>
+                {code} · {count}
+              </span>
+            ))}
+          </div>
+
+          <ul>
+            {spans.map(span => (
+              <li
+                key={span.id}
+                className={`coded-span-item ${span.id === activeSpanId ? 'active' : ''}`}
+                onClick={() => onSelect(span)}
+              >
+                <div className="coded-span-header">
+                  <span className={`coded-span-chip code-color-${getCodeColor(span.code, codes)}`}>{span.code}</span>
+                  <span className="coded-span-location">
+                    #{span.messageIndex + 1} · {SPAN_FIELD_LABELS[span.field]}
+                  </span>
+                  <button
+                    className="coded-span-btn"
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      onEdit(span, e.currentTarget.getBoundingClientRect());
+                    }}
+                    title="Edit code and comment"
+                  >
+                    <FiEdit2 />
+                  </button>
+                  <button
+                    className="coded-span-btn"
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      onDelete(span);
+                    }}
+                    title="Remove this coded span"
+                  >
+                    <FiTrash2 />
+                  </button>
+                </div>
+                <blockquote className="coded-span-quote">{span.quote}</blockquote>
+                {span.comment && <p className="coded-span-comment">{span.comment}</p>}
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+
+      {hiddenCount > 0 && (
+        <p className="coded-span-hidden">
+          {hiddenCount} more coded span{hiddenCount === 1 ? ' is' : 's are'} on other branches.
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default CodedSpanList;
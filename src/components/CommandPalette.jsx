@@ -0,0 +1,239 @@
+// This component is the Ctrl/Cmd+K command palette and owns the app-wide keyboard shortcuts
+// It jumps to pages and recent conversations and runs the commands the open page registered
+// (see commandRegistry); "?" opens the list of all shortcuts.
+
+import { useState, useEffect, useRef, useSyncExternalStore } from 'react';
+import { useNavigate, useLocation } from 'react-router-dom';
+import { fetchHistoryPage } from '../services/historyService';
+import { isAbortError } from '../services/apiClient';
+import { subscribeToSession, getCurrentUser } from '../services/session';
+import { getNavItemsFor } from '../constants/navigation';
+import { hasPermission } from '../constants/roles';
+import { getRegisteredCommands } from '../utils/commandRegistry';
+import { getDisplayTitle } from '../utils/conversationTitles';
+import { hasModKey, isTypingTarget, formatKey } from '../utils/keyboardShortcuts';
+import ShortcutsOverlay from './ShortcutsOverlay';
+import './CommandPalette.css';
+
+// Number of recent conversations offered
+const RECENT_LIMIT = 8;
+
+// Order of the result groups
+const GROUP_ORDER = ['Actions', 'Go to', 'Recent conversations'];
+
+/**
+ * Whether a command matches what was typed
+ * Every word of the query has to appear in the label, group, hint or keywords.
+ *
+ * @param {Object} command - Palette command
+ * @param {string} query - Typed query
+ * @returns {boolean} True if the command should be listed
+ */
+const matchesQuery = (command, query) => {
+  const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+  const text = [command.label, command.group, command.hint, command.keywords].join(' ').toLowerCase();
+  return words.every(word => text.includes(word));
+};
+
+const CommandPalette = () => {
+  const navigate = useNavigate();
+  const location = useLocation();
+
+  const [open, setOpen] = useState(false);
+  const [showShortcuts, setShowShortcuts] = useState(false);
+  const [query, setQuery] = useState('');
+  const [activeIndex, setActiveIndex] = useState(0);
+  const [recentConversations, setRecentConversations] = useState([]);
+  // Commands of the open page, read each time the palette opens
+  const [pageCommands, setPageCommands] = useState([]);
+  const inputRef = useRef(null);
+  const listRef = useRef(null);
+  const user = useSyncExternalStore(subscribeToSession, getCurrentUser);
+
+  // App-wide shortcuts
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (hasModKey(e) && e.key.toLowerCase() === 'k') {
+        e.preventDefault();
+        setShowShortcuts(false);
+        setOpen(prev => !prev);
+        return;
+      }
+
+      if (e.key === '?' && !hasModKey(e) && !e.altKey && !isTypingTarget(e.target)) {
+        e.preventDefault();
+        setOpen(false);
+        setShowShortcuts(true);
+        return;
+      }
+
+      if (e.key === 'Escape') {
+        setOpen(false);
+        setShowShortcuts(false);
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, []);
+
+  // Start each opening from an empty query with fresh page commands and recent conversations
+  useEffect(() => {
+    if (!open) return;
+
+    setQuery('');
+    setActiveIndex(0);
+    setPageCommands(getRegisteredCommands());
+    inputRef.current?.focus();
+
+    const controller = new AbortController();
+    fetchHistoryPage({ limit: RECENT_LIMIT, signal: controller.signal })
+      .then((page) => setRecentConversations(page.conversations))
+      .catch((error) => {
+        if (isAbortError(error)) return;
+        console.error('Failed to load recent conversations for the command palette:', error);
+      });
+    return () => controller.abort();
+  }, [open]);
+
+  const builtInCommands = [
+    ...(hasPermission(user, 'conversation:write') ? [{
+      id: 'new-chat',
+      group: 'Actions',
+      label: 'New chat',
+      keywords: 'start conversation',
+      run: () => navigate('/chat')
+    }] : []),
+    {
+      id: 'show-shortcuts',
+      group: 'Actions',
+      label: 'Show keyboard shortcuts',
+      hint: '?',
+      keywords: 'help keys hotkeys',
+      run: () => setShowShortcuts(true)
+    },
+    ...getNavItemsFor(user)
+      .filter(item => item.path !== location.pathname)
+      .map(item => ({
+        id: `go-${item.path}`,
+        group: 'Go to',
+        label: item.label,
+        hint: item.path,
+        run: () => navigate(item.path)
+      })),
+    ...recentConversations.map(conversation => ({
+      id: `conversation-${conversation.conversationId}`,
+      group: 'Recent conversations',
+      label: getDisplayTitle(conversation),
+      hint: `${new Date(conversation.createdAt).toLocaleDateString()} · ${conversation.messageCount} messages`,
+      keywords: [
+        'analyze',
+        conversation.conversationId,
+        conversation.metadata?.summary,
+        conversation.metadata?.protocol?.name,
+        conversation.metadata?.condition?.label
+      ].join(' '),
+      run: () => navigate(`/tools/${conversation.conversationId}`)
+    }))
+  ];
+
+  // Page commands come first and replace built-in commands with the same id
+  const pageCommandIds = new Set(pageCommands.map(command => command.id));
+  const commands = [
+    ...pageCommands.map(command => ({ group: 'Actions', ...command })),
+    ...builtInCommands.filter(command => !pageCommandIds.has(command.id))
+  ]
+    .filter(command => matchesQuery(command, query))
+    .sort((a, b) => GROUP_ORDER.indexOf(a.group) - GROUP_ORDER.indexOf(b.group));
+
+  // Keep the highlighted result visible while moving through the list
+  useEffect(() => {
+    listRef.current?.querySelector('.command-palette-item.active')?.scrollIntoView({ block: 'nearest' });
+  }, [activeIndex]);
+
+  const runCommand = (command) => {
+    if (!command || command.disabled) return;
+    setOpen(false);
+    command.run();
+  };
+
+  const handleInputKeyDown = (e) => {
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setActiveIndex(prev => Math.min(prev + 1, commands.length - 1));
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setActiveIndex(prev => Math.max(prev - 1, 0));
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      runCommand(commands[activeIndex]);
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      setOpen(false);
+    }
+  };
+
+  return (
+    <>
+      {open && (
+        <div className="command-palette-overlay" onClick={() => setOpen(false)}>
+          <div
+            className="command-palette"
+            role="dialog"
+            aria-label="Command palette"
+            onClick={(e) => e.stopPropagation()}
+          >
+            <input
+              ref={inputRef}
+              className="command-palette-input"
+              value={query}
+              onChange={(e) => {
+                setQuery(e.target.value);
+                setActiveIndex(0);
+              }}
+              onKeyDown={handleInputKeyDown}
+              placeholder="Type a command, page or conversation..."
+              aria-label="Search commands"
+            />
+
+            {commands.length > 0 ? (
+              <ul className="command-palette-list" role="listbox" ref={listRef}>
+                {commands.map((command, index) => (
+                  <li key={command.id} role="none">
+                    {(index === 0 || commands[index - 1].group !== command.group) && (
+                      <div className="command-palette-group">{command.group}</div>
+                    )}
+                    <button
+                      role="option"
+                      aria-selected={index === activeIndex}
+                      className={`command-palette-item ${index === activeIndex ? 'active' : ''}`}
+                      onClick={() => runCommand(command)}
+                      onMouseEnter={() => setActiveIndex(index)}
+                      disabled={command.disabled}
+                    >
+                      <span className="command-palette-label">{command.label}</span>
+                      {command.hint && <span className="command-palette-hint">{command.hint}</span>}
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            ) : (
+              <p className="command-palette-empty">No matching commands</p>
+            )}
+
+            <div className="command-palette-footer">
+              <span><kbd>↑</kbd><kbd>↓</kbd> move</span>
+              <span><kbd>Enter</kbd> run</span>
+              <span><kbd>Esc</kbd> close</span>
+              <span><kbd>{formatKey('Mod')}</kbd><kbd>K</kbd> toggle</span>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {showShortcuts && <ShortcutsOverlay onClose={() => setShowShortcuts(false)} />}
+    </>
+  );
+};
+
+export default CommandPalette;
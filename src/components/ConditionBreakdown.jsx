@@ -0,0 +1,181 @@
+// This component groups conversations by the experimental condition they were assigned
+// Shows, per protocol, how many conversations each condition has and their average analysis scores
+// (averaged over every analyst's analysis the signed-in user may see)
+
+import { useState, useEffect } from 'react';
+import { fetchHistory } from '../services/historyService';
+import { fetchAnalysesBatch } from '../services/analysisService';
+import { isAbortError } from '../services/apiClient';
+import './ConditionBreakdown.css';
+
+const SCORE_FIELDS = ['preferenceAlignment', 'autonomyLevel', 'authenticity'];
+
+// Average of one score across analyses, or null if none have it
+const average = (analyses, field) => {
+  const values = analyses.map(analysis => Number(analysis[field])).filter(value => !Number.isNaN(value));
+  return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+};
+
+const ConditionBreakdown = () => {
+  // Protocols with conditions: [{ protocolId, name, conditions: [{ conditionId, label, count, analyzed, averages }] }]
+  const [protocols, setProtocols] = useState([]);
+  const [selectedProtocolId, setSelectedProtocolId] = useState('');
+
+  // State for loading and error handling
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  // Fetch conversations and their analyses when component mounts
+  useEffect(() => {
+    const controller = new AbortController();
+    loadBreakdown(controller.signal);
+    return () => controller.abort();
+  }, []);
+
+  // Function to group conversations by protocol and condition, then add analysis scores
+  const loadBreakdown = async (signal) => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      const conversations = (await fetchHistory({ signal }))
+        .filter(conversation => conversation.metadata?.condition);
+
+      // Every analysis of those conversations in one request
+      const analysesByConversation = await fetchAnalysesBatch(
+        conversations.map(conversation => conversation.conversationId),
+        { signal }
+      );
+      const groups = new Map();
+
+      for (const conversation of conversations) {
+        const { protocol, condition } = conversation.metadata;
+
+        const protocolKey = protocol?.protocolId || 'unknown';
+        if (!groups.has(protocolKey)) {
+          groups.set(protocolKey, { protocolId: protocolKey, name: protocol?.name || protocolKey, conditions: new Map() });
+        }
+
+        const conditions = groups.get(protocolKey).conditions;
+        if (!conditions.has(condition.conditionId)) {
+          conditions.set(condition.conditionId, {
+            conditionId: condition.conditionId,
+            label: condition.label,
+            count: 0,
+            analyzed: 0,
+            scores: []
+          });
+        }
+
+        const group = conditions.get(condition.conditionId);
+        group.count += 1;
+
+        // Conversations without an analysis still count towards the condition's size
+        const analyses = analysesByConversation[conversation.conversationId]?.analyses || [];
+        if (analyses.length > 0) {
+          group.analyzed += 1;
+          group.scores.push(...analyses);
+        }
+      }
+
+      const loaded = [...groups.values()].map(group => ({
+        protocolId: group.protocolId,
+        name: group.name,
+        conditions: [...group.conditions.values()]
+          .map(condition => ({
+            conditionId: condition.conditionId,
+            label: condition.label,
+            count: condition.count,
+            analyzed: condition.analyzed,
+            averages: Object.fromEntries(SCORE_FIELDS.map(field => [field, average(condition.scores, field)]))
+          }))
+          .sort((a, b) => a.label.localeCompare(b.label))
+      }));
+
+      setProtocols(loaded);
+      setSelectedProtocolId(loaded[0]?.protocolId || '');
+
+    } catch (err) {
+      // Leaving the dashboard cancels the requests; nothing to report
+      if (isAbortError(err)) return;
+      console.error('Failed to load condition breakdown:', err);
+      setError(`Failed to load conditions: ${err.message}`);
+    } finally {
+      if (!signal.aborted) setLoading(false);
+    }
+  };
+
+  // Format number to 1 decimal place
+  const formatScore = (score) => (score === null ? '-' : score.toFixed(1));
+
+  const selectedProtocol = protocols.find(protocol => protocol.protocolId === selectedProtocolId);
+
+  return (
+    <div className="condition-breakdown">
+      <h2 className="card-header">Conditions</h2>
+
+      {/* Loading state */}
+      {loading && (
+        <div className="loading-message">
+          <p>Loading conditions...</p>
+        </div>
+      )}
+
+      {/* Error state */}
+      {!loading && error && (
+        <div className="error-message">
+          <p>{error}</p>
+        </div>
+      )}
+
+      {/* No experiments state */}
+      {!loading && !error && protocols.length === 0 && (
+        <div className="empty-message">
+          <p>No conversations with an assigned condition yet</p>
+        </div>
+      )}
+
+      {/* Breakdown display */}
+      {!loading && !error && selectedProtocol && (
+        <>
+          {protocols.length > 1 && (
+            <select
+              className="condition-protocol-select"
+              value={selectedProtocolId}
+              onChange={(e) => setSelectedProtocolId(e.target.value)}
+            >
+              {protocols.map(protocol => (
+                <option key={protocol.protocolId} value={protocol.protocolId}>{protocol.name}</option>
+              ))}
+            </select>
+          )}
+
+          <table className="condition-table">
+            <thead>
+              <tr>
+                <th>Condition</th>
+                <th title="Conversations / analyzed">Conv.</th>
+                <th title="Average preference alignment">Pref.</th>
+                <th title="Average autonomy level">Auton.</th>
+                <th title="Average authenticity">Auth.</th>
+              </tr>
+            </thead>
+            <tbody>
+              {selectedProtocol.conditions.map(condition => (
+                <tr key={condition.conditionId}>
+                  <td>{condition.label}</td>
+                  <td>{condition.count} / {condition.analyzed}</td>
+                  {SCORE_FIELDS.map(field => (
+                    <td key={field}>{formatScore(condition.averages[field])}</td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ConditionBreakdown;
@@ -0,0 +1,143 @@
+// This component shows a conversation's title and one-line summary, with controls to change them
+// Used in the History details panel and the Tools page header. The title can be edited by hand,
+// suggested by Claude, or reset to the automatic title worked out from the first turns.
+// Only roles that can write conversations are offered the controls.
+
+import { useState, useSyncExternalStore } from 'react';
+import { FiEdit2, FiZap, FiRotateCcw } from 'react-icons/fi';
+import { updateConversationTitle } from '../services/historyService';
+import { suggestTitle } from '../services/titleService';
+import { subscribeToSession, getCurrentUser } from '../services/session';
+import { hasPermission } from '../constants/roles';
+import {
+  TITLE_MAX_LENGTH,
+  TITLE_SOURCES,
+  getDisplayTitle,
+  getTitleMetadata
+} from '../utils/conversationTitles';
+import './ConversationTitle.css';
+
+const ConversationTitle = ({ conversation, onUpdated }) => {
+  const [editing, setEditing] = useState(false);
+  const [draftTitle, setDraftTitle] = useState('');
+  // 'saving', 'suggesting' or null
+  const [busy, setBusy] = useState(null);
+  const [error, setError] = useState(null);
+  const user = useSyncExternalStore(subscribeToSession, getCurrentUser);
+  const canEdit = hasPermission(user, 'conversation:write');
+
+  const metadata = conversation.metadata || {};
+
+  // Save new title fields and hand the updated metadata back to the page
+  const saveTitle = async (titleFields, action) => {
+    setBusy(action);
+    setError(null);
+    try {
+      const updated = await updateConversationTitle(conversation.conversationId, titleFields);
+      onUpdated(updated);
+      setEditing(false);
+    } catch (error) {
+      console.error('Failed to update conversation title:', error);
+      setError(`Failed to save the title: ${error.message}`);
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const startEditing = () => {
+    setDraftTitle(getDisplayTitle(conversation));
+    setError(null);
+    setEditing(true);
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const title = draftTitle.trim();
+    if (!title) return;
+    saveTitle({ title, titleSource: 'manual' }, 'saving');
+  };
+
+  const handleSuggest = async () => {
+    setBusy('suggesting');
+    setError(null);
+    try {
+      const suggestion = await suggestTitle(conversation.messages || []);
+      await saveTitle({ ...suggestion, titleSource: 'claude' }, 'suggesting');
+    } catch (error) {
+      console.error('Failed to suggest a title:', error);
+      setError(`Claude couldn't suggest a title: ${error.message}`);
+      setBusy(null);
+    }
+  };
+
+  const handleReset = () => {
+    const { condition } = metadata;
+    saveTitle(getTitleMetadata(conversation.messages || [], { condition }), 'saving');
+  };
+
+  return (
+    <div className="conversation-title">
+      {editing ? (
+        <form className="conversation-title-form" onSubmit={handleSubmit}>
+          <input
+            type="text"
+            value={draftTitle}
+            onChange={(e) => setDraftTitle(e.target.value)}
+            onKeyDown={(e) => e.key === 'Escape' && setEditing(false)}
+            maxLength={TITLE_MAX_LENGTH}
+            className="conversation-title-input"
+            aria-label="Conversation title"
+            autoFocus
+          />
+          <button type="submit" className="conversation-title-save" disabled={!draftTitle.trim() || busy}>
+            {busy === 'saving' ? 'Saving...' : 'Save'}
+          </button>
+          <button type="button" className="conversation-title-cancel" onClick={() => setEditing(false)} disabled={busy}>
+            Cancel
+          </button>
+        </form>
+      ) : (
+        <div className="conversation-title-row">
+          <h3 className="conversation-title-text" title={getDisplayTitle(conversation)}>
+            {getDisplayTitle(conversation)}
+          </h3>
+          {canEdit && (
+            <>
+              <button className="conversation-title-btn" onClick={startEditing} disabled={busy} title="Edit title">
+                <FiEdit2 />
+              </button>
+              <button
+                className="conversation-title-btn"
+                onClick={handleSuggest}
+                disabled={busy || !conversation.messages?.length}
+                title="Ask Claude for a title and summary"
+              >
+                <FiZap />
+              </button>
+            </>
+          )}
+          {canEdit && metadata.titleSource && metadata.titleSource !== 'auto' && (
+            <button
+              className="conversation-title-btn"
+              onClick={handleReset}
+              disabled={busy}
+              title="Go back to the automatic title and summary"
+            >
+              <FiRotateCcw />
+            </button>
+          )}
+        </div>
+      )}
+
+      {metadata.summary && <p className="conversation-title-summary">{metadata.summary}</p>}
+      <p className="conversation-title-meta">
+        {busy === 'suggesting'
+          ? 'Asking Claude...'
+          : metadata.titleSource && `Title: ${TITLE_SOURCES[metadata.titleSource] || metadata.titleSource}`}
+      </p>
+      {error && <p className="conversation-title-error">{error}</p>}
+    </div>
+  );
+};
+
+export default ConversationTitle;
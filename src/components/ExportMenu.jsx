@@ -0,0 +1,57 @@
+// This component is the export button with its menu of file formats
+// Used in the Chat header and on the Tools page; the caller builds and downloads the file
+
+import { useState, useEffect, useRef } from 'react';
+import { EXPORT_FORMATS } from '../utils/conversationExport';
+import './ExportMenu.css';
+
+const ExportMenu = ({ label, buttonClassName, disabled, title, onExport }) => {
+  const [open, setOpen] = useState(false);
+  const menuRef = useRef(null);
+
+  // Close the menu when clicking anywhere else
+  useEffect(() => {
+    if (!open) return;
+
+    const handleClick = (e) => {
+      if (!menuRef.current?.contains(e.target)) setOpen(false);
+    };
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, [open]);
+
+  const chooseFormat = (formatId) => {
+    setOpen(false);
+    onExport(formatId);
+  };
+
+  return (
+    <div className="export-menu" ref={menuRef}>
+      <button
+        className={buttonClassName}
+        onClick={() => setOpen(!open)}
+        onKeyDown={(e) => e.key === 'Escape' && setOpen(false)}
+        disabled={disabled}
+        title={title}
+        aria-haspopup="menu"
+        aria-expanded={open}
+      >
+        {label} ▾
+      </button>
+      {open && (
+        <ul className="export-menu-list" role="menu">
+          {EXPORT_FORMATS.map(format => (
+            <li key={format.id} role="none">
+              <button role="menuitem" onClick={() => chooseFormat(format.id)}>
+                {format.label}
+                <span className="export-menu-extension">.{format.extension}</span>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default ExportMenu;
@@ -0,0 +1,137 @@
+// This component lets the user choose generation settings for a conversation
+// Settings lock after the first message, like the context toggle, so a transcript has one set of settings
+
+import { useState } from 'react';
+import {
+  MODEL_OPTIONS,
+  CACHE_TTL_OPTIONS,
+  MIN_THINKING_BUDGET,
+  validateGenerationSettings
+} from '../constants/generationSettings';
+import './GenerationSettingsPanel.css';
+
+const GenerationSettingsPanel = ({ settings, onChange, locked }) => {
+  const [isExpanded, setIsExpanded] = useState(false);
+
+  const errors = validateGenerationSettings(settings);
+
+  // Update a single setting
+  const handleChange = (field, value) => {
+    onChange({ ...settings, [field]: value });
+  };
+
+  const modelLabel = MODEL_OPTIONS.find(option => option.value === settings.model)?.label || settings.model;
+
+  return (
+    <div className={`generation-settings ${errors.length > 0 ? 'has-errors' : ''}`}>
+      <button
+        className="generation-settings-toggle"
+        onClick={() => setIsExpanded(!isExpanded)}
+        title="Model, temperature, max tokens, thinking budget and system prompt"
+      >
+        <span className="generation-settings-summary">
+          {modelLabel} · T {settings.temperature} · {settings.thinkingBudget > 0 ? `Thinking ${settings.thinkingBudget}` : 'No thinking'}
+        </span>
+        {locked && <span className="locked-indicator">🔒</span>}
+        <span className="chevron">{isExpanded ? '▲' : '▼'}</span>
+      </button>
+
+      {isExpanded && (
+        <div className="generation-settings-fields">
+          <div className="settings-field">
+            <label htmlFor="settings-model">Model</label>
+            <select
+              id="settings-model"
+              value={settings.model}
+              onChange={(e) => handleChange('model', e.target.value)}
+              disabled={locked}
+            >
+              {MODEL_OPTIONS.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+
+          <div className="settings-field">
+            <label htmlFor="settings-temperature">Temperature: {settings.temperature}</label>
+            <input
+              type="range"
+              id="settings-temperature"
+              min="0"
+              max="1"
+              step="0.05"
+              value={settings.temperature}
+              onChange={(e) => handleChange('temperature', parseFloat(e.target.value))}
+              disabled={locked}
+            />
+          </div>
+
+          <div className="settings-field">
+            <label htmlFor="settings-max-tokens">Max Tokens</label>
+            <input
+              type="number"
+              id="settings-max-tokens"
+              min="1"
+              value={settings.maxTokens}
+              onChange={(e) => handleChange('maxTokens', parseInt(e.target.value) || 0)}
+              disabled={locked}
+            />
+          </div>
+
+          <div className="settings-field">
+            <label htmlFor="settings-thinking-budget">Thinking Budget (0 = off)</label>
+            <input
+              type="number"
+              id="settings-thinking-budget"
+              min="0"
+              step={MIN_THINKING_BUDGET}
+              value={settings.thinkingBudget}
+              onChange={(e) => handleChange('thinkingBudget', parseInt(e.target.value) || 0)}
+              disabled={locked}
+            />
+          </div>
+
+          <div className="settings-field">
+            <label htmlFor="settings-cache-ttl">Cache TTL</label>
+            <select
+              id="settings-cache-ttl"
+              value={settings.cacheTtl}
+              onChange={(e) => handleChange('cacheTtl', e.target.value)}
+              disabled={locked}
+            >
+              {CACHE_TTL_OPTIONS.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+
+          <div className="settings-field settings-field-wide">
+            <label htmlFor="settings-system-prompt">System Prompt (optional)</label>
+            <textarea
+              id="settings-system-prompt"
+              rows="3"
+              value={settings.systemPrompt}
+              onChange={(e) => handleChange('systemPrompt', e.target.value)}
+              disabled={locked}
+              placeholder="Leave empty to send no system prompt"
+            />
+          </div>
+
+          {errors.length > 0 && (
+            <ul className="settings-errors">
+              {errors.map(error => <li key={error}>{error}</li>)}
+            </ul>
+          )}
+
+          {locked && (
+            <p className="settings-locked-note">
+              Settings are locked once the conversation has started.
+            </p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default GenerationSettingsPanel;
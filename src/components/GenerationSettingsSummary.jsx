@@ -0,0 +1,42 @@
+// This component shows the generation settings a conversation was produced with
+// Used in the History details panel and the Tools page header
+
+import { useState } from 'react';
+import { MODEL_OPTIONS } from '../constants/generationSettings';
+import './GenerationSettingsSummary.css';
+
+const GenerationSettingsSummary = ({ settings }) => {
+  const [showSystemPrompt, setShowSystemPrompt] = useState(false);
+
+  if (!settings) {
+    return <p><strong>Settings:</strong> Not recorded</p>;
+  }
+
+  const modelLabel = MODEL_OPTIONS.find(option => option.value === settings.model)?.label || settings.model;
+
+  return (
+    <>
+      <p><strong>Model:</strong> {modelLabel}</p>
+      <p><strong>Temperature:</strong> {settings.temperature}</p>
+      <p><strong>Max Tokens:</strong> {settings.maxTokens}</p>
+      <p><strong>Thinking:</strong> {settings.thinkingBudget > 0 ? `${settings.thinkingBudget} tokens` : 'Off'}</p>
+      {settings.cacheTtl && <p><strong>Cache TTL:</strong> {settings.cacheTtl}</p>}
+      <p>
+        <strong>System Prompt:</strong>{' '}
+        {settings.systemPrompt ? (
+          <button
+            className="raw-toggle-btn"
+            onClick={() => setShowSystemPrompt(!showSystemPrompt)}
+          >
+            {showSystemPrompt ? 'Hide' : 'Show'}
+          </button>
+        ) : 'None'}
+      </p>
+      {showSystemPrompt && (
+        <p className="system-prompt-text">{settings.systemPrompt}</p>
+      )}
+    </>
+  );
+};
+
+export default GenerationSettingsSummary;
@@ -1,13 +1,73 @@
 // This component displays the conversation history page
 // Users can view their past conversations and load them to continue chatting
 
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef, useSyncExternalStore } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { FaTrash } from 'react-icons/fa';
-import { fetchHistory, fetchConversation, softDeleteConversation, searchConversations } from '../services/historyService';
-import { checkAnalysisExists } from '../services/analysisService';
+import {
+  fetchHistoryPage,
+  fetchConversation,
+  fetchConditions,
+  softDeleteConversation,
+  searchConversations
+} from '../services/historyService';
+import {
+  getAnalysisStatus,
+  loadAnalysisStatuses,
+  subscribeToAnalysisStatuses,
+  getAnalysisStatusVersion
+} from '../services/analysisStatusCache';
+import { isAbortError } from '../services/apiClient';
+import { subscribeToSession, getCurrentUser } from '../services/session';
+import MarkdownContent from './MarkdownContent';
+import GenerationSettingsSummary from './GenerationSettingsSummary';
+import ImportTranscriptModal from './ImportTranscriptModal';
+import ConversationTitle from './ConversationTitle';
+import MessageAttachments from './MessageAttachments';
+import VirtualList from './VirtualList';
+import { IMPORT_SOURCES } from '../utils/transcriptImport';
+import { getBranches } from '../utils/conversationTree';
+import { getDisplayTitle } from '../utils/conversationTitles';
+import { parseSearchQuery, getSearchTerms, splitHighlights } from '../utils/textSearch';
+import { hasPermission } from '../constants/roles';
 import './HistoryPage.css';
 
+// Conversations fetched per page of the history
+const PAGE_SIZE = 50;
+
+// Order the history is first shown in
+const DEFAULT_SORT_BY = 'created';
+const DEFAULT_SORT_ORDER = 'desc';
+
+// Orders the backend can sort the history by
+const SORT_OPTIONS = [
+  { value: 'created', label: 'Date created' },
+  { value: 'updated', label: 'Last updated' },
+  { value: 'messageCount', label: 'Message count' },
+  { value: 'analyzed', label: 'Analyzed status' }
+];
+
+// Load the analysis status of listed conversations in one request (see analysisStatusCache)
+const loadListedStatuses = (conversationList) => {
+  loadAnalysisStatuses(conversationList.map(conv => conv.conversationId)).catch((error) => {
+    // Log error but don't break the UI
+    console.error('Error loading analysis statuses:', error);
+  });
+};
+
+// Condition IDs are only unique within a protocol, so the condition filter keys them by both
+const getConditionKey = (protocolId, conditionId) => `${protocolId}|${conditionId}`;
+
+// Options of the condition filter, from the conditions the backend reports (see fetchConditions)
+const getConditionOptions = (conditions) => (
+  conditions
+    .map(condition => ({
+      value: getConditionKey(condition.protocolId, condition.conditionId),
+      label: `${condition.protocolName || 'Protocol'}: ${condition.label}`
+    }))
+    .sort((a, b) => a.label.localeCompare(b.label))
+);
+
 const HistoryPage = () => {
   const navigate = useNavigate();
   // State for managing the list of conversations
@@ -20,73 +80,168 @@ const HistoryPage = () => {
   const [loading, setLoading] = useState(true);
   const [loadingConversation, setLoadingConversation] = useState(false);
 
+  // State for paging through the history: the cursor of the next page, the number of
+  // conversations in total, and the server-side sort order
+  const [nextCursor, setNextCursor] = useState(null);
+  const [totalCount, setTotalCount] = useState(0);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [loadMoreFailed, setLoadMoreFailed] = useState(false);
+  const [sortBy, setSortBy] = useState(DEFAULT_SORT_BY);
+  const [sortOrder, setSortOrder] = useState(DEFAULT_SORT_ORDER);
+  // Changes whenever the list is replaced, so a page requested for the old list is dropped
+  // and the new list starts scrolled to the top
+  const [listVersion, setListVersion] = useState(0);
+  const listVersionRef = useRef(0);
+  // Aborted when the page unmounts, so list requests in flight are cancelled
+  const unmountSignalRef = useRef(null);
+
   // State for delete confirmation modal
   const [showDeleteModal, setShowDeleteModal] = useState(false);
   const [conversationToDelete, setConversationToDelete] = useState(null);
 
   // State for search functionality
   const [searchParams, setSearchParams] = useState({
+    query: '',
     dateFrom: '',
     dateTo: '',
     tags: '',
-    contextEnabled: ''
+    contextEnabled: '',
+    condition: ''
   });
   const [isSearching, setIsSearching] = useState(false);
   const [isSearchExpanded, setIsSearchExpanded] = useState(false);
+  // Problem with the typed query, shown under the search box
+  const [queryError, setQueryError] = useState('');
+  // Terms of the last full-text search, highlighted in the match snippets
+  const [searchTerms, setSearchTerms] = useState([]);
+  // Request of the search the list shows, or null while it shows the paged history
+  const [appliedSearch, setAppliedSearch] = useState(null);
+  const searchActive = appliedSearch !== null;
+
+  // Re-render when analysis statuses arrive or change (e.g. after scoring in ToolsPage)
+  useSyncExternalStore(subscribeToAnalysisStatuses, getAnalysisStatusVersion);
+
+  // The signed-in user's role decides which actions are offered (the backend checks them too)
+  const user = useSyncExternalStore(subscribeToSession, getCurrentUser);
+  const canWriteConversations = hasPermission(user, 'conversation:write');
+  const canDeleteConversations = hasPermission(user, 'conversation:delete');
 
-  // State for tracking which conversations have been analyzed
-  const [analyzedConversations, setAnalyzedConversations] = useState(new Set());
+  // Experimental conditions assigned across the whole history, for the condition filter
+  const [conditionOptions, setConditionOptions] = useState([]);
+
+  // State for the transcript import dialog
+  const [showImportModal, setShowImportModal] = useState(false);
+
+  // State for showing the preview as raw text instead of formatted Markdown
+  const [showRaw, setShowRaw] = useState(false);
 
   // Fetch conversation history when the component first loads
   useEffect(() => {
-    loadConversationHistory();
+    const controller = new AbortController();
+    unmountSignalRef.current = controller.signal;
+    loadConversationHistory(DEFAULT_SORT_BY, DEFAULT_SORT_ORDER);
+
+    // The backend lists every condition, including those on pages not loaded yet
+    fetchConditions({ signal: controller.signal })
+      .then(conditions => setConditionOptions(getConditionOptions(conditions)))
+      .catch((error) => {
+        if (!isAbortError(error)) console.error('Failed to load conditions:', error);
+      });
+    return () => controller.abort();
   }, []);
 
-  // Load analysis status for all conversations
-  useEffect(() => {
-    const loadAnalysisStatus = async () => {
-      if (conversations.length === 0) return;
-
-      const analyzed = new Set();
-
-      // Check each conversation for analysis status
-      for (const conv of conversations) {
-        try {
-          const result = await checkAnalysisExists(conv.conversationId);
-          if (result.exists) {
-            analyzed.add(conv.conversationId);
-          }
-        } catch (error) {
-          // Log error but don't break the UI
-          console.error('Error checking analysis status for', conv.conversationId, ':', error);
-        }
-      }
+  // Function to fetch the first page of conversations from the backend
+  const loadConversationHistory = async (sort, order) => {
+    try {
+      setLoading(true);
+      listVersionRef.current += 1;
+      setListVersion(listVersionRef.current);
+      setLoadMoreFailed(false);
+      const version = listVersionRef.current;
+
+      // Fetch the first page in the chosen order
+      const page = await fetchHistoryPage({
+        limit: PAGE_SIZE,
+        sort,
+        order,
+        signal: unmountSignalRef.current
+      });
+      if (version !== listVersionRef.current) return;
 
-      setAnalyzedConversations(analyzed);
-    };
+      setConversations(page.conversations);
+      setNextCursor(page.nextCursor);
+      setTotalCount(page.totalCount);
+      loadListedStatuses(page.conversations);
 
-    if (conversations.length > 0) {
-      loadAnalysisStatus();
+    } catch (error) {
+      if (isAbortError(error)) return;
+      console.error('Failed to load conversation history:', error);
+      alert(`Failed to load conversation history: ${error.message}`);
+    } finally {
+      setLoading(false);
     }
-  }, [conversations]);
+  };
+
+  // Fetch the next page when the end of the list scrolls into view
+  const loadMoreConversations = async () => {
+    if (!nextCursor || loadingMore || loadMoreFailed) return;
 
-  // Function to fetch the list of conversations from the backend
-  const loadConversationHistory = async () => {
+    const version = listVersionRef.current;
     try {
-      setLoading(true);
+      setLoadingMore(true);
+
+      const page = await fetchHistoryPage({
+        limit: PAGE_SIZE,
+        sort: sortBy,
+        order: sortOrder,
+        cursor: nextCursor,
+        signal: unmountSignalRef.current
+      });
+      if (version !== listVersionRef.current) return;
 
-      // Fetch all conversations for the default user
-      const historyData = await fetchHistory('default_user');
-      setConversations(historyData);
+      setConversations(prev => [...prev, ...page.conversations]);
+      setNextCursor(page.nextCursor);
+      setTotalCount(page.totalCount);
+      loadListedStatuses(page.conversations);
 
     } catch (error) {
-      console.error('Failed to load conversation history:', error);
-      alert('Failed to load conversation history. Please try again.');
+      if (isAbortError(error)) return;
+      // Stop loading more until the user retries, so a failing backend isn't asked again on every scroll
+      console.error('Failed to load more conversations:', error);
+      if (version === listVersionRef.current) setLoadMoreFailed(true);
     } finally {
-      setLoading(false);
+      setLoadingMore(false);
     }
   };
 
+  // Open a conversation in Tools, passing on the sort and any applied search
+  // so Save & Next continues through this list
+  const openInTools = (conversationId, params = {}) => {
+    const query = new URLSearchParams({
+      sort: sortBy,
+      order: sortOrder,
+      ...(appliedSearch && { search: JSON.stringify(appliedSearch) }),
+      ...params
+    });
+    navigate(`/tools/${conversationId}?${query}`);
+  };
+
+  // Reload the list from the server: the search results while a search is shown, otherwise the history
+  const refreshList = (sort = sortBy, order = sortOrder) => {
+    if (searchActive) {
+      handleSearch(sort, order);
+    } else {
+      loadConversationHistory(sort, order);
+    }
+  };
+
+  // Re-sort on the server
+  const handleSortChange = (nextSortBy, nextSortOrder) => {
+    setSortBy(nextSortBy);
+    setSortOrder(nextSortOrder);
+    refreshList(nextSortBy, nextSortOrder);
+  };
+
   // Function to handle clicking on a conversation to view its details
   const handleConversationClick = async (conversationId) => {
     try {
@@ -98,7 +253,7 @@ const HistoryPage = () => {
 
     } catch (error) {
       console.error('Failed to load conversation:', error);
-      alert('Failed to load conversation details. Please try again.');
+      alert(`Failed to load conversation details: ${error.message}`);
     } finally {
       setLoadingConversation(false);
     }
@@ -114,11 +269,20 @@ const HistoryPage = () => {
     navigate('/chat', {
       state: {
         conversationId: selectedConversation.conversationId,
-        messages: selectedConversation.messages
+        messages: selectedConversation.messages,
+        tree: selectedConversation.tree,
+        metadata: selectedConversation.metadata
       }
     });
   };
 
+  // Show a new title on the card and in the details panel
+  const handleTitleUpdated = (metadata) => {
+    const { conversationId } = selectedConversation;
+    setSelectedConversation(prev => ({ ...prev, metadata }));
+    setConversations(prev => prev.map(c => (c.conversationId === conversationId ? { ...c, metadata } : c)));
+  };
+
   // Function to open delete confirmation modal
   const handleDeleteClick = (conversationId, event) => {
     // Prevent the card click event from firing
@@ -147,6 +311,7 @@ const HistoryPage = () => {
       setConversations(prevConversations =>
         prevConversations.filter(conv => conv.conversationId !== conversationToDelete)
       );
+      setTotalCount(prev => prev - 1);
 
       // Clear selected conversation if it was the one deleted
       if (selectedConversation?.conversationId === conversationToDelete) {
@@ -161,22 +326,59 @@ const HistoryPage = () => {
 
     } catch (error) {
       console.error('Failed to delete conversation:', error);
-      alert('Failed to delete conversation. Please try again.');
+      alert(`Failed to delete conversation: ${error.message}`);
       setShowDeleteModal(false);
       setConversationToDelete(null);
     }
   };
 
+  // Open a conversation in Chat, scrolled to one of its messages
+  const handleOpenMatchInChat = async (conversationId, messageIndex, e) => {
+    e.stopPropagation();
+
+    try {
+      const conversation = await fetchConversation(conversationId);
+      navigate('/chat', {
+        state: {
+          conversationId: conversation.conversationId,
+          messages: conversation.messages,
+          tree: conversation.tree,
+          metadata: conversation.metadata,
+          scrollToMessage: messageIndex
+        }
+      });
+    } catch (error) {
+      console.error('Failed to open conversation in chat:', error);
+      alert(`Failed to open conversation: ${error.message}`);
+    }
+  };
+
   // Function to handle search
-  const handleSearch = async () => {
+  const handleSearch = async (sort = sortBy, order = sortOrder) => {
+    // Check the query before sending it, so mistakes are explained right away
+    let parsedQuery;
+    try {
+      parsedQuery = parseSearchQuery(searchParams.query);
+      setQueryError('');
+    } catch (error) {
+      setQueryError(error.message);
+      return;
+    }
+
     try {
       setIsSearching(true);
 
       // Build search parameters object
       const searchRequest = {
-        userId: 'default_user'
+        sort,
+        order
       };
 
+      // Add the full-text query if provided
+      if (parsedQuery) {
+        searchRequest.query = searchParams.query.trim();
+      }
+
       // Add dateFrom if provided (convert to ISO format)
       if (searchParams.dateFrom) {
         searchRequest.dateFrom = new Date(searchParams.dateFrom).toISOString();
@@ -197,47 +399,64 @@ const HistoryPage = () => {
         searchRequest.contextEnabled = searchParams.contextEnabled === 'true';
       }
 
-      // Call the search API
-      const result = await searchConversations(searchRequest);
+      // Add the experimental condition if one is selected
+      if (searchParams.condition) {
+        const separator = searchParams.condition.indexOf('|');
+        searchRequest.protocolId = searchParams.condition.slice(0, separator);
+        searchRequest.conditionId = searchParams.condition.slice(separator + 1);
+      }
 
-      // Update conversations with search results
-      setConversations(result.conversations);
+      // Call the search API
+      const result = await searchConversations(searchRequest, { signal: unmountSignalRef.current });
+
+      // Update conversations with search results, also filtering by condition here
+      // in case the backend doesn't support that filter
+      const results = searchParams.condition
+        ? result.conversations.filter(({ metadata }) => (
+          metadata?.condition
+          && getConditionKey(metadata.protocol?.protocolId, metadata.condition.conditionId) === searchParams.condition
+        ))
+        : result.conversations;
+      listVersionRef.current += 1;
+      setListVersion(listVersionRef.current);
+      setLoadMoreFailed(false);
+      setConversations(results);
+      setNextCursor(null);
+      setTotalCount(results.length);
+      setAppliedSearch(searchRequest);
+      setSearchTerms(getSearchTerms(parsedQuery));
+      loadListedStatuses(results);
 
       // Log result count
       console.log(`Search found ${result.count} conversations`);
 
     } catch (error) {
+      if (isAbortError(error)) return;
       console.error('Failed to search conversations:', error);
-      alert('Failed to search conversations. Please try again.');
+      alert(`Failed to search conversations: ${error.message}`);
     } finally {
       setIsSearching(false);
     }
   };
 
   // Function to clear search and reload all conversations
-  const handleClearSearch = async () => {
-    try {
-      // Reset search parameters
-      setSearchParams({
-        dateFrom: '',
-        dateTo: '',
-        tags: '',
-        contextEnabled: ''
-      });
-
-      // Reload all conversations
-      setLoading(true);
-      const historyData = await fetchHistory('default_user');
-      setConversations(historyData);
-
-      console.log('Search cleared, showing all conversations');
+  const handleClearSearch = () => {
+    // Reset search parameters
+    setSearchParams({
+      query: '',
+      dateFrom: '',
+      dateTo: '',
+      tags: '',
+      contextEnabled: '',
+      condition: ''
+    });
+    setQueryError('');
+    setSearchTerms([]);
+    setAppliedSearch(null);
 
-    } catch (error) {
-      console.error('Failed to reload conversations:', error);
-      alert('Failed to reload conversations. Please try again.');
-    } finally {
-      setLoading(false);
-    }
+    // Reload the history from its first page
+    loadConversationHistory(sortBy, sortOrder);
+    console.log('Search cleared, showing all conversations');
   };
 
   // Function to format a date/time string into a readable format
@@ -261,18 +480,29 @@ const HistoryPage = () => {
     <div className="history-page">
       <div className="history-header">
         <h1>Conversation History</h1>
-        <button
-          className="back-to-chat-btn"
-          onClick={() => navigate('/chat')}
-        >
-          Back to Chat
-        </button>
+        {canWriteConversations && (
+          <div className="history-header-buttons">
+            <button
+              className="back-to-chat-btn"
+              onClick={() => setShowImportModal(true)}
+              title="Import transcripts from claude.ai exports, API logs or downloaded chats"
+            >
+              Import
+            </button>
+            <button
+              className="back-to-chat-btn"
+              onClick={() => navigate('/chat')}
+            >
+              Back to Chat
+            </button>
+          </div>
+        )}
       </div>
 
       <div className="history-container">
         {/* Left side: List of conversations */}
         <div className="conversations-list">
-          <h2>Your Conversations</h2>
+          <h2>Conversations</h2>
 
           {/* Search Panel */}
           <div className="search-panel">
@@ -286,6 +516,27 @@ const HistoryPage = () => {
 
             {isSearchExpanded && (
               <div className="search-fields-container">
+                <div className="search-field">
+                  <label htmlFor="searchQuery">Text:</label>
+                  <input
+                    type="text"
+                    id="searchQuery"
+                    placeholder='e.g. "pull the lever" AND (refuse OR decline) -rating'
+                    value={searchParams.query}
+                    onChange={(e) => setSearchParams({...searchParams, query: e.target.value})}
+                    onKeyDown={(e) => {
+                      if (e.key === 'Enter') handleSearch();
+                    }}
+                  />
+                  {queryError ? (
+                    <p className="search-query-error">{queryError}</p>
+                  ) : (
+                    <p className="search-query-hint">
+                      Searches messages and thinking. Use "quotes" for phrases, AND / OR / NOT, -word and ( ).
+                    </p>
+                  )}
+                </div>
+
                 <div className="search-field">
                   <label htmlFor="dateFrom">Date From:</label>
                   <input
@@ -330,10 +581,26 @@ const HistoryPage = () => {
                   </select>
                 </div>
 
+                {conditionOptions.length > 0 && (
+                  <div className="search-field">
+                    <label htmlFor="conditionFilter">Condition:</label>
+                    <select
+                      id="conditionFilter"
+                      value={searchParams.condition}
+                      onChange={(e) => setSearchParams({...searchParams, condition: e.target.value})}
+                    >
+                      <option value="">All</option>
+                      {conditionOptions.map(option => (
+                        <option key={option.value} value={option.value}>{option.label}</option>
+                      ))}
+                    </select>
+                  </div>
+                )}
+
                 <div className="search-actions">
                   <button
                     className="btn-search"
-                    onClick={handleSearch}
+                    onClick={() => handleSearch()}
                     disabled={isSearching}
                   >
                     {isSearching ? 'Searching...' : 'Search'}
@@ -357,75 +624,204 @@ const HistoryPage = () => {
             </div>
           )}
 
+          {/* Count and server-side sort order */}
+          {!loading && (
+            <div className="list-toolbar">
+              <span className="list-count">
+                {conversations.length < totalCount
+                  ? `${conversations.length} of ${totalCount} loaded`
+                  : `${totalCount} conversation${totalCount === 1 ? '' : 's'}`}
+              </span>
+              <select
+                className="list-sort"
+                value={sortBy}
+                onChange={(e) => handleSortChange(e.target.value, sortOrder)}
+                aria-label="Sort conversations by"
+              >
+                {SORT_OPTIONS.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+              <button
+                className="list-order-btn"
+                onClick={() => handleSortChange(sortBy, sortOrder === 'desc' ? 'asc' : 'desc')}
+                title={sortOrder === 'desc' ? 'Highest / newest first' : 'Lowest / oldest first'}
+              >
+                {sortOrder === 'desc' ? '↓' : '↑'}
+              </button>
+            </div>
+          )}
+
           {/* Show message if no conversations exist */}
           {!loading && conversations.length === 0 && (
-            <div className="empty-state">
-              <p>No conversations yet!</p>
-              <p>Start a new chat to begin.</p>
-            </div>
+            searchActive ? (
+              <div className="empty-state">
+                <p>No conversations match your search.</p>
+              </div>
+            ) : (
+              <div className="empty-state">
+                <p>No conversations yet!</p>
+                <p>Start a new chat to begin.</p>
+              </div>
+            )
           )}
 
-          {/* Display the list of conversations */}
+          {/* Display the list of conversations, rendering only the cards in view */}
           {!loading && conversations.length > 0 && (
-            <div className="conversation-cards">
-              {conversations.map((conversation) => (
-                <div
-                  key={conversation.conversationId}
-                  className={`conversation-card ${
-                    selectedConversation?.conversationId === conversation.conversationId
-                      ? 'selected'
-                      : ''
-                  }`}
-                  onClick={() => handleConversationClick(conversation.conversationId)}
-                >
-                  {/* Analyzed Badge - show if conversation has been analyzed */}
-                  {analyzedConversations.has(conversation.conversationId) && (
-                    <span className="analyzed-badge">✓ Analyzed</span>
-                  )}
-
-                  <button
-                    className="delete-icon-btn"
-                    onClick={(e) => handleDeleteClick(conversation.conversationId, e)}
-                    title="Delete conversation"
+            <VirtualList
+              key={listVersion}
+              className="conversation-cards"
+              items={conversations}
+              getItemKey={(conversation) => conversation.conversationId}
+              estimatedItemHeight={180}
+              gap={12}
+              onEndReached={loadMoreConversations}
+              footer={(loadingMore || loadMoreFailed) && (
+                <div className="list-footer">
+                  {loadMoreFailed ? (
+                    <>
+                      Couldn't load more conversations.
+                      <button className="list-retry-btn" onClick={() => setLoadMoreFailed(false)}>Retry</button>
+                    </>
+                  ) : 'Loading more conversations...'}
+                </div>
+              )}
+              renderItem={(conversation) => {
+                const analysisStatus = getAnalysisStatus(conversation.conversationId);
+                return (
+                  <div
+                    className={`conversation-card ${
+                      selectedConversation?.conversationId === conversation.conversationId
+                        ? 'selected'
+                        : ''
+                    }`}
+                    onClick={() => handleConversationClick(conversation.conversationId)}
                   >
-                    <FaTrash />
-                  </button>
-
-                  <div className="conversation-header">
-                    <span className="conversation-id">
-                      {conversation.conversationId}
-                    </span>
-                  </div>
+                    {/* Analyzed Badge - show if conversation has been analyzed, and by how many analysts */}
+                    {analysisStatus?.analyzed && (
+                      <span className="analyzed-badge">
+                        ✓ Analyzed{analysisStatus.analystCount > 1 && ` · ${analysisStatus.analystCount} analysts`}
+                      </span>
+                    )}
 
-                  <div className="conversation-details">
-                    <p className="conversation-date">
-                      {formatDate(conversation.createdAt)}
-                    </p>
+                    {canDeleteConversations && (
+                      <button
+                        className="delete-icon-btn"
+                        onClick={(e) => handleDeleteClick(conversation.conversationId, e)}
+                        title="Delete conversation"
+                      >
+                        <FaTrash />
+                      </button>
+                    )}
 
-                    <p className="conversation-meta">
-                      <span className="message-count">
-                        {conversation.messageCount} messages
+                    <div className="conversation-header">
+                      <span className="conversation-card-title" title={getDisplayTitle(conversation)}>
+                        {getDisplayTitle(conversation)}
                       </span>
-                      <span className="context-status">
-                        Context: {conversation.contextEnabled ? 'On' : 'Off'}
+                      {conversation.metadata?.summary && (
+                        <p className="conversation-summary">{conversation.metadata.summary}</p>
+                      )}
+                      <span className="conversation-id">
+                        {conversation.conversationId}
                       </span>
-                    </p>
-
-                    {/* Analyze Button */}
-                    <button
-                      className="analyze-button"
-                      onClick={(e) => {
-                        e.stopPropagation();
-                        navigate(`/tools/${conversation.conversationId}`);
-                      }}
-                      title="Analyze this conversation"
-                    >
-                      📊 Analyze
-                    </button>
+                    </div>
+
+                    <div className="conversation-details">
+                      <p className="conversation-date">
+                        {formatDate(conversation.createdAt)}
+                        {conversation.userName && ` · ${conversation.userName}`}
+                      </p>
+
+                      <p className="conversation-meta">
+                        <span className="message-count">
+                          {conversation.messageCount} messages
+                        </span>
+                        <span className="context-status">
+                          Context: {conversation.contextEnabled ? 'On' : 'Off'}
+                        </span>
+                      </p>
+
+                      {analysisStatus?.analyzed && analysisStatus.lastScoredAt && (
+                        <p className="conversation-scored">
+                          Last scored {formatDate(analysisStatus.lastScoredAt)}
+                          {analysisStatus.analystCount > 0 && (
+                            ` by ${analysisStatus.analystCount} analyst${analysisStatus.analystCount === 1 ? '' : 's'}`
+                          )}
+                        </p>
+                      )}
+
+                      {conversation.metadata?.condition && (
+                        <p className="conversation-condition" title="Experimental condition">
+                          {conversation.metadata.condition.label}
+                        </p>
+                      )}
+
+                      {conversation.metadata?.source && (
+                        <p className="conversation-source" title={`Imported from ${conversation.metadata.source.fileName}`}>
+                          Imported: {conversation.metadata.source.title}
+                        </p>
+                      )}
+
+                      {/* Messages matching the full-text search */}
+                      {conversation.matches?.length > 0 && (
+                        <ul className="search-matches">
+                          {conversation.matches.map(match => (
+                            <li
+                              key={`${match.messageIndex}-${match.field}`}
+                              className="search-match"
+                              onClick={(e) => {
+                                e.stopPropagation();
+                                openInTools(conversation.conversationId, { message: match.messageIndex });
+                              }}
+                              title="Open in Tools at this message"
+                            >
+                              <div className="search-match-header">
+                                <span className="search-match-location">
+                                  #{match.messageIndex + 1} {match.role === 'user' ? 'You' : 'Claude'}
+                                  {match.field === 'thinking' && ' (thinking)'}
+                                </span>
+                                {canWriteConversations && (
+                                  <button
+                                    className="search-match-chat"
+                                    onClick={(e) => handleOpenMatchInChat(conversation.conversationId, match.messageIndex, e)}
+                                    title="Open in Chat at this message"
+                                  >
+                                    Chat
+                                  </button>
+                                )}
+                              </div>
+                              <p className="search-match-snippet">
+                                {splitHighlights(match.snippet, searchTerms).map((part, index) => (
+                                  part.highlighted ? <mark key={index}>{part.text}</mark> : part.text
+                                ))}
+                              </p>
+                            </li>
+                          ))}
+                          {conversation.matchCount > conversation.matches.length && (
+                            <li className="search-match-more">
+                              +{conversation.matchCount - conversation.matches.length} more
+                              {conversation.matchCount - conversation.matches.length === 1 ? ' match' : ' matches'}
+                            </li>
+                          )}
+                        </ul>
+                      )}
+
+                      {/* Analyze Button */}
+                      <button
+                        className="analyze-button"
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          openInTools(conversation.conversationId);
+                        }}
+                        title="Analyze this conversation"
+                      >
+                        📊 Analyze
+                      </button>
+                    </div>
                   </div>
-                </div>
-              ))}
-            </div>
+                );
+              }}
+            />
           )}
         </div>
 
@@ -447,24 +843,63 @@ const HistoryPage = () => {
             <div className="conversation-full-view">
               <div className="conversation-full-header">
                 <h3>Conversation Details</h3>
-                <button
-                  className="continue-button"
-                  onClick={handleContinueConversation}
-                >
-                  Continue Conversation
-                </button>
+                {canWriteConversations && (
+                  <button
+                    className="continue-button"
+                    onClick={handleContinueConversation}
+                  >
+                    Continue Conversation
+                  </button>
+                )}
               </div>
 
+              <ConversationTitle
+                key={selectedConversation.conversationId}
+                conversation={selectedConversation}
+                onUpdated={handleTitleUpdated}
+              />
+
               <div className="conversation-info">
                 <p><strong>ID:</strong> {selectedConversation.conversationId}</p>
+                {selectedConversation.userName && (
+                  <p><strong>Owner:</strong> {selectedConversation.userName}</p>
+                )}
                 <p><strong>Created:</strong> {formatDate(selectedConversation.createdAt)}</p>
                 <p><strong>Last Updated:</strong> {formatDate(selectedConversation.updatedAt)}</p>
                 <p><strong>Messages:</strong> {selectedConversation.messageCount}</p>
                 <p><strong>Context:</strong> {selectedConversation.contextEnabled ? 'Enabled' : 'Disabled'}</p>
+                {selectedConversation.tree && getBranches(selectedConversation.tree).length > 1 && (
+                  <p><strong>Branches:</strong> {getBranches(selectedConversation.tree).length} (showing the active branch)</p>
+                )}
+                {selectedConversation.metadata?.protocol && (
+                  <p>
+                    <strong>Protocol:</strong> {selectedConversation.metadata.protocol.name}
+                    {selectedConversation.metadata.protocol.version && ` (v${selectedConversation.metadata.protocol.version})`}
+                  </p>
+                )}
+                {selectedConversation.metadata?.condition && (
+                  <p><strong>Condition:</strong> {selectedConversation.metadata.condition.label}</p>
+                )}
+                {selectedConversation.metadata?.source && (
+                  <p>
+                    <strong>Imported From:</strong> {IMPORT_SOURCES[selectedConversation.metadata.source.type]}
+                    {' '}({selectedConversation.metadata.source.fileName}, {formatDate(selectedConversation.metadata.source.importedAt)})
+                  </p>
+                )}
+                <GenerationSettingsSummary settings={selectedConversation.metadata?.generationSettings} />
               </div>
 
               <div className="messages-container">
-                <h4>Messages</h4>
+                <div className="messages-container-header">
+                  <h4>Messages</h4>
+                  <button
+                    className={`raw-toggle-btn ${showRaw ? 'active' : ''}`}
+                    onClick={() => setShowRaw(!showRaw)}
+                    title={showRaw ? 'Render messages as formatted Markdown' : 'Show the exact characters of each message'}
+                  >
+                    {showRaw ? 'Show Formatted' : 'Show Raw'}
+                  </button>
+                </div>
                 {selectedConversation.messages && selectedConversation.messages.length > 0 ? (
                   <div className="messages-list">
                     {selectedConversation.messages.map((message, index) => (
@@ -481,13 +916,14 @@ const HistoryPage = () => {
                           <div className="message-thinking">
                             <strong>Thinking:</strong>
                             <div className="thinking-content">
-                              {message.thinking}
+                              <MarkdownContent text={message.thinking} raw={showRaw} />
                             </div>
                           </div>
                         )}
 
+                        <MessageAttachments attachments={message.attachments} />
                         <div className="message-content">
-                          {message.content}
+                          <MarkdownContent text={message.content} raw={showRaw} />
                         </div>
                       </div>
                     ))}
@@ -501,6 +937,14 @@ const HistoryPage = () => {
         </div>
       </div>
 
+      {/* Transcript Import Modal */}
+      {showImportModal && (
+        <ImportTranscriptModal
+          onClose={() => setShowImportModal(false)}
+          onImported={() => refreshList()}
+        />
+      )}
+
       {/* Delete Confirmation Modal */}
       {showDeleteModal && (
         <div className="modal-overlay" onClick={handleCancelDelete}>
@@ -0,0 +1,214 @@
+// This component imports transcripts from outside the app into History
+// Users pick a file, preview the conversations found in it and save the ones they want to analyze
+
+import { useState } from 'react';
+import { saveConversation } from '../services/historyService';
+import { parseTranscriptFile, IMPORT_SOURCES } from '../utils/transcriptImport';
+import { createTreeFromMessages } from '../utils/conversationTree';
+import { generateLocalSummary, getTitleMetadata } from '../utils/conversationTitles';
+import MarkdownContent from './MarkdownContent';
+import './ImportTranscriptModal.css';
+
+// Sources whose conversations carry real titles; conversations from others get an automatic one
+const TITLED_SOURCES = ['claude-ai', 'app-export'];
+
+const ImportTranscriptModal = ({ onClose, onImported }) => {
+  // Parsed file: { fileName, type, conversations, warnings }
+  const [parsed, setParsed] = useState(null);
+  const [parseError, setParseError] = useState(null);
+
+  // Which conversations are selected for import, and which one is previewed
+  const [selected, setSelected] = useState(new Set());
+  const [previewIndex, setPreviewIndex] = useState(0);
+
+  // Import progress
+  const [importing, setImporting] = useState(false);
+  const [importedCount, setImportedCount] = useState(0);
+  const [importError, setImportError] = useState(null);
+
+  // Read and parse the chosen file
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    setParsed(null);
+    setParseError(null);
+    setImportError(null);
+    setImportedCount(0);
+
+    try {
+      const result = parseTranscriptFile(await file.text());
+      setParsed({ fileName: file.name, ...result });
+      setSelected(new Set(result.conversations.map((_, index) => index)));
+      setPreviewIndex(0);
+    } catch (error) {
+      console.error('Failed to parse transcript file:', error);
+      setParseError(error.message);
+    }
+  };
+
+  const toggleSelected = (index) => {
+    const next = new Set(selected);
+    if (next.has(index)) {
+      next.delete(index);
+    } else {
+      next.add(index);
+    }
+    setSelected(next);
+  };
+
+  // Save each selected conversation, recording where it came from
+  const handleImport = async () => {
+    setImporting(true);
+    setImportError(null);
+
+    const importedAt = new Date().toISOString();
+    const indices = [...selected].sort((a, b) => a - b);
+    let saved = 0;
+
+    try {
+      for (const index of indices) {
+        const conversation = parsed.conversations[index];
+        const conversationId = `conv-${Date.now()}-import${index + 1}`;
+        const titleFields = TITLED_SOURCES.includes(parsed.type)
+          ? { title: conversation.title, summary: generateLocalSummary(conversation.messages), titleSource: 'import' }
+          : getTitleMetadata(conversation.messages);
+
+        await saveConversation(
+          conversationId,
+          conversation.messages,
+          false,
+          {
+            tree: createTreeFromMessages(conversation.messages),
+            metadata: {
+              ...(conversation.generationSettings && { generationSettings: conversation.generationSettings }),
+              ...titleFields,
+              source: {
+                type: parsed.type,
+                fileName: parsed.fileName,
+                title: conversation.title,
+                originalId: conversation.originalId,
+                originalCreatedAt: conversation.createdAt,
+                importedAt
+              }
+            }
+          }
+        );
+
+        saved += 1;
+        setImportedCount(saved);
+      }
+
+      console.log(`Imported ${saved} conversations from ${parsed.fileName}`);
+      onImported(saved);
+      onClose();
+    } catch (error) {
+      console.error('Failed to import conversations:', error);
+      setImportError(`Imported ${saved} of ${indices.length} conversations, then saving failed: ${error.message}`);
+
+      // Leave only the unsaved conversations selected, so importing again doesn't duplicate any
+      setSelected(new Set(indices.slice(saved)));
+      if (saved > 0) onImported(saved);
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const preview = parsed?.conversations[previewIndex];
+
+  return (
+    <div className="modal-overlay" onClick={importing ? undefined : onClose}>
+      <div className="modal-content import-modal" onClick={(e) => e.stopPropagation()}>
+        <h2 className="modal-heading">Import Transcripts</h2>
+
+        <div className="modal-body">
+          <p className="modal-info">
+            Supported: claude.ai data exports (conversations.json), Messages API requests or logs as JSON or JSONL,
+            this app's JSON and JSONL exports, and chats downloaded as text.
+          </p>
+          <input
+            type="file"
+            className="import-file-input"
+            accept=".json,.jsonl,.txt"
+            onChange={handleFileChange}
+            disabled={importing}
+          />
+
+          {parseError && <p className="import-error">{parseError}</p>}
+
+          {parsed && (
+            <>
+              <p className="import-summary">
+                {IMPORT_SOURCES[parsed.type]}: {parsed.conversations.length} conversation
+                {parsed.conversations.length === 1 ? '' : 's'} found in {parsed.fileName}
+              </p>
+              {parsed.warnings.length > 0 && (
+                <ul className="import-warnings">
+                  {parsed.warnings.map(warning => <li key={warning}>{warning}</li>)}
+                </ul>
+              )}
+
+              <div className="import-preview">
+                <ul className="import-conversation-list">
+                  {parsed.conversations.map((conversation, index) => (
+                    <li
+                      key={index}
+                      className={index === previewIndex ? 'active' : ''}
+                      onClick={() => setPreviewIndex(index)}
+                    >
+                      <input
+                        type="checkbox"
+                        checked={selected.has(index)}
+                        onChange={() => toggleSelected(index)}
+                        onClick={(e) => e.stopPropagation()}
+                        disabled={importing}
+                      />
+                      <span className="import-conversation-title">{conversation.title}</span>
+                      <span className="import-conversation-count">{conversation.messages.length} msgs</span>
+                    </li>
+                  ))}
+                </ul>
+
+                <div className="import-messages">
+                  {preview.generationSettings?.model && (
+                    <p className="import-model">Model: {preview.generationSettings.model}</p>
+                  )}
+                  {preview.messages.map((message, index) => (
+                    <div key={index} className={`import-message ${message.role}`}>
+                      <div className="import-message-role">{message.role === 'user' ? 'User' : 'Claude'}</div>
+                      {message.thinking && (
+                        <details className="import-message-thinking">
+                          <summary>Thinking</summary>
+                          <MarkdownContent text={message.thinking} />
+                        </details>
+                      )}
+                      <MarkdownContent text={message.content} />
+                    </div>
+                  ))}
+                </div>
+              </div>
+            </>
+          )}
+
+          {importing && <p className="import-summary">Saving {importedCount + 1} of {selected.size}...</p>}
+          {importError && <p className="import-error">{importError}</p>}
+        </div>
+
+        <div className="modal-actions">
+          <button className="modal-btn cancel-btn" onClick={onClose} disabled={importing}>
+            {importError ? 'Close' : 'Cancel'}
+          </button>
+          <button
+            className="modal-btn import-btn"
+            onClick={handleImport}
+            disabled={!parsed || selected.size === 0 || importing}
+          >
+            Import {selected.size > 0 ? selected.size : ''}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ImportTranscriptModal;
@@ -0,0 +1,80 @@
+// This component renders message text (content or thinking) as sanitized Markdown
+// Code blocks are syntax highlighted and copyable; raw mode shows the exact characters
+
+import { useState } from 'react';
+import ReactMarkdown from 'react-markdown';
+import remarkGfm from 'remark-gfm';
+import rehypeSanitize from 'rehype-sanitize';
+import rehypeHighlight from 'rehype-highlight';
+import { FiCopy, FiCheck } from 'react-icons/fi';
+import './MarkdownContent.css';
+
+// Sanitize first so raw HTML in a reply can never reach the DOM,
+// then highlight so the hljs classes it adds are kept
+const REHYPE_PLUGINS = [
+  rehypeSanitize,
+  [rehypeHighlight, { detect: true }]
+];
+
+const REMARK_PLUGINS = [remarkGfm];
+
+// Collect the plain text of a hast node (used to copy the original code)
+const getNodeText = (node) => {
+  if (!node) return '';
+  if (node.type === 'text') return node.value;
+  return (node.children || []).map(getNodeText).join('');
+};
+
+// Fenced code block with a copy button
+const CodeBlock = ({ node, children, ...props }) => {
+  const [copied, setCopied] = useState(false);
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(getNodeText(node).replace(/\n$/, ''));
+      setCopied(true);
+      // Reset the copied state after 2 seconds
+      setTimeout(() => setCopied(false), 2000);
+    } catch (error) {
+      console.error('Error copying code block:', error);
+      alert('Failed to copy to clipboard');
+    }
+  };
+
+  return (
+    <div className="code-block">
+      <button
+        type="button"
+        className="code-copy-btn"
+        onClick={handleCopy}
+        title="Copy code to clipboard"
+      >
+        {copied ? <FiCheck /> : <FiCopy />}
+      </button>
+      <pre {...props}>{children}</pre>
+    </div>
+  );
+};
+
+const MARKDOWN_COMPONENTS = { pre: CodeBlock };
+
+const MarkdownContent = ({ text, raw = false }) => {
+  // Raw mode keeps every character exactly as Claude produced it
+  if (raw) {
+    return <div className="markdown-raw">{text}</div>;
+  }
+
+  return (
+    <div className="markdown-body">
+      <ReactMarkdown
+        remarkPlugins={REMARK_PLUGINS}
+        rehypePlugins={REHYPE_PLUGINS}
+        components={MARKDOWN_COMPONENTS}
+      >
+        {text || ''}
+      </ReactMarkdown>
+    </div>
+  );
+};
+
+export default MarkdownContent;
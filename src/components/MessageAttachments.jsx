@@ -0,0 +1,37 @@
+// This component shows the attachments of a message: thumbnails for images, chips for documents
+// Used in the Chat transcript and input, the History details panel and the Tools page
+
+import { FiFileText, FiX } from 'react-icons/fi';
+import { formatFileSize, getAttachmentUrl } from '../utils/attachments';
+import './MessageAttachments.css';
+
+const MessageAttachments = ({ attachments, onRemove }) => {
+  if (!attachments?.length) return null;
+
+  return (
+    <div className="message-attachments">
+      {attachments.map(attachment => (
+        <div key={attachment.id} className={`attachment attachment-${attachment.kind}`} title={attachment.name}>
+          <a href={getAttachmentUrl(attachment)} target="_blank" rel="noreferrer" download={attachment.name}>
+            {attachment.kind === 'image' ? (
+              <img src={getAttachmentUrl(attachment)} alt={attachment.name} />
+            ) : (
+              <span className="attachment-chip">
+                <FiFileText />
+                <span className="attachment-name">{attachment.name}</span>
+                <span className="attachment-size">{formatFileSize(attachment.size)}</span>
+              </span>
+            )}
+          </a>
+          {onRemove && (
+            <button className="attachment-remove" onClick={() => onRemove(attachment.id)} title="Remove attachment">
+              <FiX />
+            </button>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default MessageAttachments;
@@ -0,0 +1,459 @@
+// This component is the research protocol library and editor
+// Researchers create scenarios as ordered prompt steps; every save is stored by the backend as a new version
+// Other roles can read protocols but not save them
+
+import { useState, useEffect, useSyncExternalStore } from 'react';
+import { FiArrowUp, FiArrowDown, FiTrash2, FiPlus } from 'react-icons/fi';
+import { fetchProtocols, fetchProtocol, fetchProtocolVersions, saveProtocol } from '../services/protocolService';
+import { subscribeToSession, getCurrentUser } from '../services/session';
+import { DEFAULT_PROTOCOL } from '../constants/researchPrompts';
+import { hasPermission } from '../constants/roles';
+import {
+  createProtocol,
+  createProtocolId,
+  createStep,
+  createVariant,
+  validateProtocol,
+  getProtocolConditions,
+  getProtocolTemplateVariables,
+  STEP_CONDITIONS
+} from '../utils/protocols';
+import './ProtocolsPage.css';
+
+const ProtocolsPage = () => {
+  // Latest version of every protocol, with the built-in one when the backend doesn't have it yet
+  const [protocols, setProtocols] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [loadError, setLoadError] = useState(null);
+
+  // Protocol open in the editor (a copy, so changes can be discarded)
+  const [editing, setEditing] = useState(null);
+  const [isDirty, setIsDirty] = useState(false);
+  const [versions, setVersions] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const [saveMessage, setSaveMessage] = useState(null);
+
+  const user = useSyncExternalStore(subscribeToSession, getCurrentUser);
+  const canSave = hasPermission(user, 'protocol:write');
+
+  useEffect(() => {
+    loadProtocols();
+  }, []);
+
+  // Fetch the protocol list, keeping the built-in protocol available
+  const loadProtocols = async () => {
+    setLoading(true);
+    setLoadError(null);
+
+    let list = [];
+    try {
+      list = await fetchProtocols();
+    } catch (error) {
+      setLoadError(`Could not load protocols from the backend (${error.message}). Only the built-in protocol is shown.`);
+    }
+
+    if (!list.some(protocol => protocol.protocolId === DEFAULT_PROTOCOL.protocolId)) {
+      list = [DEFAULT_PROTOCOL, ...list];
+    }
+
+    setProtocols(list);
+    setLoading(false);
+    return list;
+  };
+
+  // Open a protocol in the editor and load its version history
+  // (skipConfirm is used right after saving, when there is nothing to discard)
+  const openProtocol = async (protocol, skipConfirm = false) => {
+    if (!skipConfirm && isDirty && !window.confirm('Discard unsaved changes to this protocol?')) return;
+
+    setEditing(structuredClone(protocol));
+    setIsDirty(false);
+    setSaveMessage(null);
+    setVersions([]);
+
+    if (protocol.builtIn) return;
+
+    try {
+      setVersions(await fetchProtocolVersions(protocol.protocolId));
+    } catch (error) {
+      console.error('Error loading protocol versions:', error);
+    }
+  };
+
+  const startNewProtocol = () => {
+    if (isDirty && !window.confirm('Discard unsaved changes to this protocol?')) return;
+
+    setEditing(createProtocol());
+    setIsDirty(false);
+    setSaveMessage(null);
+    setVersions([]);
+  };
+
+  // Start a new protocol from a copy of the open one (e.g. a footbridge variant of the trolley scenario)
+  const duplicateProtocol = () => {
+    setEditing({
+      ...structuredClone(editing),
+      protocolId: null,
+      version: null,
+      builtIn: false,
+      name: `Copy of ${editing.name}`
+    });
+    setIsDirty(true);
+    setSaveMessage(null);
+    setVersions([]);
+  };
+
+  // Load an older version into the editor; saving it makes it the newest version
+  const openVersion = async (version) => {
+    try {
+      const protocol = await fetchProtocol(editing.protocolId, version);
+      setEditing(protocol);
+      setIsDirty(false);
+      setSaveMessage(null);
+    } catch (error) {
+      alert(`Failed to load version ${version}: ${error.message}`);
+    }
+  };
+
+  // Update a top-level field of the protocol
+  const updateField = (field, value) => {
+    setEditing({ ...editing, [field]: value });
+    setIsDirty(true);
+  };
+
+  // Update a single field of one step
+  const updateStep = (index, field, value) => {
+    const steps = editing.steps.map((step, i) => (i === index ? { ...step, [field]: value } : step));
+    updateField('steps', steps);
+  };
+
+  // Follow-ups usually only make sense when the previous reply missed something
+  const updateFollowUp = (index, followUp) => {
+    const steps = editing.steps.map((step, i) => (
+      i === index
+        ? { ...step, followUp, condition: followUp ? 'missing-yes-no' : 'always' }
+        : step
+    ));
+    updateField('steps', steps);
+  };
+
+  // Wording variants of a step, randomized between conversations
+  const updateVariants = (index, variants) => {
+    updateStep(index, 'variants', variants.length > 0 ? variants : undefined);
+  };
+
+  const addVariant = (index) => {
+    const variants = editing.steps[index].variants || [];
+    updateVariants(index, [...variants, createVariant(variants.length + 1)]);
+  };
+
+  const updateVariant = (index, variantIndex, field, value) => {
+    const variants = editing.steps[index].variants.map((variant, i) => (
+      i === variantIndex ? { ...variant, [field]: value } : variant
+    ));
+    updateVariants(index, variants);
+  };
+
+  const removeVariant = (index, variantIndex) => {
+    updateVariants(index, editing.steps[index].variants.filter((_, i) => i !== variantIndex));
+  };
+
+  const addStep = () => {
+    updateField('steps', [...editing.steps, createStep(editing.steps.length + 1)]);
+  };
+
+  const removeStep = (index) => {
+    updateField('steps', editing.steps.filter((_, i) => i !== index));
+  };
+
+  // Move a step up (-1) or down (+1)
+  const moveStep = (index, offset) => {
+    const steps = [...editing.steps];
+    const [step] = steps.splice(index, 1);
+    steps.splice(index + offset, 0, step);
+    updateField('steps', steps);
+  };
+
+  const updateVariable = (name, value) => {
+    updateField('variables', { ...editing.variables, [name]: value });
+  };
+
+  const handleSave = async () => {
+    const errors = validateProtocol(editing);
+    if (errors.length > 0) return;
+
+    setSaving(true);
+    setSaveMessage(null);
+
+    try {
+      const protocolId = editing.protocolId || createProtocolId(editing.name);
+
+      // Only keep defaults for variables the prompts still use
+      const usedVariables = getProtocolTemplateVariables(editing);
+      const variables = Object.fromEntries(
+        Object.entries(editing.variables || {}).filter(([name]) => usedVariables.includes(name))
+      );
+
+      const steps = editing.steps.map(step => ({ ...step, command: step.command.trim().toLowerCase() }));
+
+      const result = await saveProtocol({ ...editing, protocolId, variables, steps });
+      setIsDirty(false);
+
+      // Reopen the saved protocol so the editor shows its new version
+      const list = await loadProtocols();
+      const saved = list.find(protocol => protocol.protocolId === protocolId);
+      if (saved) await openProtocol(saved, true);
+      setSaveMessage(`Saved as version ${result.version}.`);
+    } catch (error) {
+      setSaveMessage(`Failed to save protocol: ${error.message}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const validationErrors = editing ? validateProtocol(editing) : [];
+  const templateVariables = editing ? getProtocolTemplateVariables(editing) : [];
+  const conditions = editing ? getProtocolConditions(editing) : [];
+
+  return (
+    <div className="protocols-page">
+      <div className="protocols-header">
+        <h1>Research Protocols</h1>
+        {canSave && (
+          <button className="protocols-new-btn" onClick={startNewProtocol}>
+            <FiPlus /> New Protocol
+          </button>
+        )}
+      </div>
+
+      <div className="protocols-container">
+        {/* Left panel - protocol list */}
+        <div className="protocols-list">
+          {loadError && <div className="protocols-error">{loadError}</div>}
+          {loading ? (
+            <div className="loading-message">Loading protocols...</div>
+          ) : (
+            protocols.map(protocol => (
+              <div
+                key={protocol.protocolId}
+                className={`protocol-card ${editing?.protocolId === protocol.protocolId ? 'selected' : ''}`}
+                onClick={() => openProtocol(protocol)}
+              >
+                <div className="protocol-card-name">{protocol.name}</div>
+                <div className="protocol-card-meta">
+                  {protocol.builtIn ? 'Built-in' : `Version ${protocol.version}`}
+                  {' · '}{protocol.steps.length} steps
+                </div>
+                {protocol.description && (
+                  <div className="protocol-card-description">{protocol.description}</div>
+                )}
+              </div>
+            ))
+          )}
+        </div>
+
+        {/* Right panel - editor */}
+        <div className="protocol-editor">
+          {!editing ? (
+            <div className="no-selection">
+              {canSave ? 'Select a protocol to edit, or create a new one.' : 'Select a protocol to read it.'}
+            </div>
+          ) : (
+            <>
+              <div className="protocol-editor-toolbar">
+                <span className="protocol-editor-version">
+                  {editing.builtIn
+                    ? 'Built-in protocol - saving stores it in the library as a new version'
+                    : editing.version ? `Editing version ${editing.version}` : 'New protocol (not saved yet)'}
+                  {isDirty && ' · unsaved changes'}
+                  {!canSave && ' · read-only for your role'}
+                </span>
+                {versions.length > 1 && (
+                  <select
+                    className="protocol-version-select"
+                    value={editing.version || ''}
+                    onChange={(e) => openVersion(Number(e.target.value))}
+                    disabled={isDirty}
+                    title={isDirty ? 'Save or discard changes before opening another version' : 'Open an earlier version'}
+                  >
+                    {versions.map(v => (
+                      <option key={v.version} value={v.version}>
+                        Version {v.version}{v.savedAt ? ` - ${new Date(v.savedAt).toLocaleString()}` : ''}
+                      </option>
+                    ))}
+                  </select>
+                )}
+                {canSave && editing.protocolId && (
+                  <button className="protocol-secondary-btn" onClick={duplicateProtocol}>
+                    Duplicate
+                  </button>
+                )}
+                {canSave && (
+                  <button
+                    className="protocol-save-btn"
+                    onClick={handleSave}
+                    disabled={saving || validationErrors.length > 0 || (!isDirty && !editing.builtIn)}
+                  >
+                    {saving ? 'Saving...' : 'Save New Version'}
+                  </button>
+                )}
+              </div>
+
+              {saveMessage && <div className="protocol-save-message">{saveMessage}</div>}
+
+              <div className="protocol-field">
+                <label htmlFor="protocol-name">Name</label>
+                <input
+                  id="protocol-name"
+                  type="text"
+                  value={editing.name}
+                  onChange={(e) => updateField('name', e.target.value)}
+                  placeholder="e.g. Footbridge Variant"
+                />
+              </div>
+
+              <div className="protocol-field">
+                <label htmlFor="protocol-description">Description</label>
+                <textarea
+                  id="protocol-description"
+                  rows={2}
+                  value={editing.description}
+                  onChange={(e) => updateField('description', e.target.value)}
+                />
+              </div>
+
+              {templateVariables.length > 0 && (
+                <div className="protocol-field">
+                  <label>Template variables (defaults)</label>
+                  <div className="protocol-variables">
+                    {templateVariables.map(name => (
+                      <label key={name} className="protocol-variable">
+                        <span>{`{{${name}}}`}</span>
+                        <input
+                          type="text"
+                          value={editing.variables?.[name] ?? ''}
+                          onChange={(e) => updateVariable(name, e.target.value)}
+                        />
+                      </label>
+                    ))}
+                  </div>
+                </div>
+              )}
+
+              <h3>Steps</h3>
+              {editing.steps.map((step, index) => (
+                <div key={index} className={`protocol-step ${step.followUp ? 'follow-up' : ''}`}>
+                  <div className="protocol-step-header">
+                    <span className="protocol-step-number">{index + 1}</span>
+                    <span className="protocol-step-slash">/</span>
+                    <input
+                      type="text"
+                      className="protocol-step-command"
+                      value={step.command}
+                      onChange={(e) => updateStep(index, 'command', e.target.value)}
+                      aria-label="Command"
+                    />
+                    <input
+                      type="text"
+                      className="protocol-step-title"
+                      value={step.title}
+                      onChange={(e) => updateStep(index, 'title', e.target.value)}
+                      placeholder="Title"
+                    />
+                    <label className="protocol-step-follow-up" title="Optional step, only sent when the previous reply calls for it">
+                      <input
+                        type="checkbox"
+                        checked={step.followUp}
+                        onChange={(e) => updateFollowUp(index, e.target.checked)}
+                      />
+                      Follow-up
+                    </label>
+                    <button onClick={() => moveStep(index, -1)} disabled={index === 0} title="Move up">
+                      <FiArrowUp />
+                    </button>
+                    <button onClick={() => moveStep(index, 1)} disabled={index === editing.steps.length - 1} title="Move down">
+                      <FiArrowDown />
+                    </button>
+                    <button onClick={() => removeStep(index)} disabled={editing.steps.length === 1} title="Remove step">
+                      <FiTrash2 />
+                    </button>
+                  </div>
+                  <label className="protocol-step-condition">
+                    Runner sends this step:
+                    <select
+                      value={step.condition || 'always'}
+                      onChange={(e) => updateStep(index, 'condition', e.target.value)}
+                    >
+                      {STEP_CONDITIONS.map(option => (
+                        <option key={option.value} value={option.value}>{option.label}</option>
+                      ))}
+                    </select>
+                  </label>
+                  <input
+                    type="text"
+                    className="protocol-step-description"
+                    value={step.description}
+                    onChange={(e) => updateStep(index, 'description', e.target.value)}
+                    placeholder="Description (shown in the command palette)"
+                  />
+                  <textarea
+                    className="protocol-step-prompt"
+                    rows={5}
+                    value={step.prompt}
+                    onChange={(e) => updateStep(index, 'prompt', e.target.value)}
+                    placeholder="Prompt text; use {{variable}} for values filled in before sending"
+                  />
+                  {step.variants?.map((variant, variantIndex) => (
+                    <div key={variant.id} className="protocol-variant">
+                      <div className="protocol-variant-header">
+                        <input
+                          type="text"
+                          value={variant.label}
+                          onChange={(e) => updateVariant(index, variantIndex, 'label', e.target.value)}
+                          aria-label="Variant label"
+                        />
+                        <button onClick={() => removeVariant(index, variantIndex)} title="Remove variant">
+                          <FiTrash2 />
+                        </button>
+                      </div>
+                      <textarea
+                        rows={4}
+                        value={variant.prompt}
+                        onChange={(e) => updateVariant(index, variantIndex, 'prompt', e.target.value)}
+                        placeholder="Alternative wording of this step's prompt"
+                      />
+                    </div>
+                  ))}
+                  <button className="protocol-variant-add" onClick={() => addVariant(index)}>
+                    <FiPlus /> Add Wording Variant
+                  </button>
+                </div>
+              ))}
+              <button className="protocol-secondary-btn" onClick={addStep}>
+                <FiPlus /> Add Step
+              </button>
+
+              {conditions.length > 0 && (
+                <div className="protocol-conditions">
+                  New conversations are randomly assigned one of {conditions.length} conditions,
+                  balanced in blocks of {conditions.length}:
+                  <ul>
+                    {conditions.map(condition => <li key={condition.conditionId}>{condition.label}</li>)}
+                  </ul>
+                </div>
+              )}
+
+              {validationErrors.length > 0 && (
+                <ul className="protocol-errors">
+                  {validationErrors.map(error => <li key={error}>{error}</li>)}
+                </ul>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ProtocolsPage;
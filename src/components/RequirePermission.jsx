@@ -0,0 +1,32 @@
+// This component guards a page that only some roles can use (see constants/roles)
+// Other roles get an explanation instead of a page whose actions the backend would refuse.
+
+import { useSyncExternalStore } from 'react';
+import { subscribeToSession, getCurrentUser } from '../services/session';
+import { hasPermission, getRoleLabel } from '../constants/roles';
+
+/**
+ * Render the page only for roles with a permission
+ *
+ * @param {string} permission - Permission the page needs, e.g. 'conversation:write'
+ * @param {ReactNode} children - The page
+ */
+const RequirePermission = ({ permission, children }) => {
+  const user = useSyncExternalStore(subscribeToSession, getCurrentUser);
+
+  if (hasPermission(user, permission)) return children;
+
+  return (
+    <div className="page-container">
+      <div className="permission-notice">
+        <h2>Not available to your role</h2>
+        <p>
+          You are signed in as {user?.displayName} ({getRoleLabel(user?.role)}). Ask a researcher
+          if you need access to this page.
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default RequirePermission;
@@ -0,0 +1,315 @@
+// This component runs a research protocol unattended, N times in a row
+// Every completed run is saved as its own conversation; failed runs can be retried
+
+import { useState, useEffect, useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { fetchProtocols } from '../services/protocolService';
+import { createRunController, runProtocolBatch } from '../services/protocolRunner';
+import { DEFAULT_PROTOCOL, getProtocolVariables } from '../constants/researchPrompts';
+import { DEFAULT_GENERATION_SETTINGS, validateGenerationSettings } from '../constants/generationSettings';
+import { getProtocolTemplateVariables, getProtocolConditions } from '../utils/protocols';
+import GenerationSettingsPanel from './GenerationSettingsPanel';
+import './RunnerPage.css';
+
+// Upper bound on repetitions per batch, to keep an accidental extra zero from running up costs
+const MAX_REPETITIONS = 200;
+
+const STATUS_LABELS = {
+  queued: 'Queued',
+  running: 'Running',
+  completed: 'Completed',
+  failed: 'Failed',
+  cancelled: 'Cancelled'
+};
+
+const RunnerPage = () => {
+  const navigate = useNavigate();
+
+  // Study setup
+  const [protocols, setProtocols] = useState([DEFAULT_PROTOCOL]);
+  const [protocol, setProtocol] = useState(DEFAULT_PROTOCOL);
+  const [variables, setVariables] = useState(() => getProtocolVariables(DEFAULT_PROTOCOL));
+  const [repetitions, setRepetitions] = useState(5);
+  const [settings, setSettings] = useState(DEFAULT_GENERATION_SETTINGS);
+  const [contextEnabled, setContextEnabled] = useState(false);
+
+  // Batch progress: 'idle', 'running', 'paused' or 'finished'
+  const [batchStatus, setBatchStatus] = useState('idle');
+  const [batchId, setBatchId] = useState(null);
+  const [runs, setRuns] = useState([]);
+  const controllerRef = useRef(null);
+
+  useEffect(() => {
+    fetchProtocols()
+      .then((list) => {
+        const hasDefault = list.some(p => p.protocolId === DEFAULT_PROTOCOL.protocolId);
+        setProtocols(hasDefault ? list : [DEFAULT_PROTOCOL, ...list]);
+      })
+      .catch((error) => {
+        console.error('Failed to load protocols, only the built-in protocol is available:', error);
+      });
+
+    // Stop the batch if the page is left mid-run
+    return () => controllerRef.current?.cancel();
+  }, []);
+
+  const settingsErrors = validateGenerationSettings(settings);
+  const repetitionsValid = Number.isInteger(repetitions) && repetitions >= 1 && repetitions <= MAX_REPETITIONS;
+  const isActive = batchStatus === 'running' || batchStatus === 'paused';
+  const templateVariables = getProtocolTemplateVariables(protocol);
+  const conditions = getProtocolConditions(protocol);
+  const hasConditions = conditions.length > 0;
+  const missingVariables = templateVariables.filter(name => !variables[name]?.trim());
+
+  const finishedCount = runs.filter(run => ['completed', 'failed', 'cancelled'].includes(run.status)).length;
+  const completedCount = runs.filter(run => run.status === 'completed').length;
+  const failedCount = runs.filter(run => run.status === 'failed').length;
+  const retryableIndices = runs
+    .map((run, index) => (run.status === 'failed' || run.status === 'cancelled' ? index : null))
+    .filter(index => index !== null);
+
+  const selectProtocol = (protocolId) => {
+    const selected = protocols.find(p => p.protocolId === protocolId);
+    if (!selected) return;
+    setProtocol(selected);
+    setVariables(getProtocolVariables(selected));
+  };
+
+  // Merge changes reported by the runner into one run's row
+  const updateRun = (runIndex, changes) => {
+    setRuns(prev => prev.map((run, index) => (index === runIndex ? { ...run, ...changes } : run)));
+  };
+
+  // Run the given rows of the batch with a fresh controller
+  const executeRuns = async (runIndices, currentBatchId, totalRuns) => {
+    const controller = createRunController();
+    controllerRef.current = controller;
+    setBatchStatus('running');
+
+    await runProtocolBatch({
+      protocol,
+      variables,
+      settings,
+      contextEnabled,
+      controller,
+      runIndices,
+      repetitions: totalRuns,
+      batchId: currentBatchId,
+      onRunUpdate: updateRun
+    });
+
+    controllerRef.current = null;
+    setBatchStatus('finished');
+  };
+
+  const startBatch = () => {
+    const newBatchId = `batch-${Date.now()}`;
+    setBatchId(newBatchId);
+    setRuns(Array.from({ length: repetitions }, () => ({ status: 'queued' })));
+    executeRuns([...Array(repetitions).keys()], newBatchId, repetitions);
+  };
+
+  const retryRuns = () => {
+    retryableIndices.forEach(index => updateRun(index, { status: 'queued', error: null }));
+    executeRuns(retryableIndices, batchId, runs.length);
+  };
+
+  const pauseBatch = () => {
+    controllerRef.current?.pause();
+    setBatchStatus('paused');
+  };
+
+  const resumeBatch = () => {
+    controllerRef.current?.resume();
+    setBatchStatus('running');
+  };
+
+  const cancelBatch = () => {
+    if (!window.confirm('Cancel the remaining runs? The run in progress is stopped and not saved.')) return;
+    controllerRef.current?.cancel();
+  };
+
+  return (
+    <div className="runner-page">
+      <div className="runner-header">
+        <h1>Protocol Runner</h1>
+      </div>
+
+      <div className="runner-container">
+        {/* Left panel - study setup */}
+        <div className="runner-setup">
+          <div className="runner-field">
+            <label htmlFor="runner-protocol">Protocol</label>
+            <select
+              id="runner-protocol"
+              value={protocol.protocolId}
+              onChange={(e) => selectProtocol(e.target.value)}
+              disabled={isActive}
+            >
+              {protocols.map(p => (
+                <option key={p.protocolId} value={p.protocolId}>
+                  {p.name}{p.builtIn ? ' (built-in)' : ` (v${p.version})`}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <ol className="runner-steps">
+            {protocol.steps.map(step => (
+              <li key={step.command} className={step.condition && step.condition !== 'always' ? 'conditional' : ''}>
+                <span className="runner-step-command">/{step.command}</span> {step.title}
+                {step.condition && step.condition !== 'always' && (
+                  <span className="runner-step-condition"> - conditional</span>
+                )}
+              </li>
+            ))}
+          </ol>
+
+          {hasConditions && (
+            <div className="runner-conditions">
+              Each run is assigned one of {conditions.length} conditions, balanced in blocks of {conditions.length}:
+              <ul>
+                {conditions.map(condition => <li key={condition.conditionId}>{condition.label}</li>)}
+              </ul>
+            </div>
+          )}
+
+          {templateVariables.map(name => (
+            <div key={name} className="runner-field">
+              <label htmlFor={`runner-var-${name}`}>{`{{${name}}}`}</label>
+              <input
+                id={`runner-var-${name}`}
+                type="text"
+                value={variables[name] ?? ''}
+                onChange={(e) => setVariables({ ...variables, [name]: e.target.value })}
+                disabled={isActive}
+              />
+            </div>
+          ))}
+
+          <div className="runner-field">
+            <label htmlFor="runner-repetitions">Repetitions</label>
+            <input
+              id="runner-repetitions"
+              type="number"
+              min="1"
+              max={MAX_REPETITIONS}
+              value={repetitions}
+              onChange={(e) => setRepetitions(parseInt(e.target.value, 10))}
+              disabled={isActive}
+            />
+          </div>
+
+          <label className="runner-checkbox">
+            <input
+              type="checkbox"
+              checked={contextEnabled}
+              onChange={(e) => setContextEnabled(e.target.checked)}
+              disabled={isActive}
+            />
+            Include Context
+          </label>
+
+          <GenerationSettingsPanel settings={settings} onChange={setSettings} locked={isActive} />
+
+          <div className="runner-controls">
+            {!isActive && (
+              <button
+                className="runner-start-btn"
+                onClick={startBatch}
+                disabled={settingsErrors.length > 0 || !repetitionsValid || missingVariables.length > 0}
+              >
+                Start {repetitionsValid ? repetitions : ''} Runs
+              </button>
+            )}
+            {batchStatus === 'running' && (
+              <button className="runner-secondary-btn" onClick={pauseBatch}>Pause</button>
+            )}
+            {batchStatus === 'paused' && (
+              <button className="runner-start-btn" onClick={resumeBatch}>Resume</button>
+            )}
+            {isActive && (
+              <button className="runner-cancel-btn" onClick={cancelBatch}>Cancel</button>
+            )}
+            {batchStatus === 'finished' && retryableIndices.length > 0 && (
+              <button className="runner-secondary-btn" onClick={retryRuns}>
+                Retry {retryableIndices.length} Unfinished
+              </button>
+            )}
+          </div>
+          {!repetitionsValid && (
+            <div className="runner-error">Repetitions must be between 1 and {MAX_REPETITIONS}.</div>
+          )}
+          {settingsErrors.map(error => <div key={error} className="runner-error">{error}</div>)}
+        </div>
+
+        {/* Right panel - progress */}
+        <div className="runner-progress">
+          {runs.length === 0 ? (
+            <div className="no-selection">
+              Choose a protocol and start a batch. Each completed run is saved to History.
+            </div>
+          ) : (
+            <>
+              <div className="runner-summary">
+                <span>{finishedCount} / {runs.length} finished</span>
+                <span>{completedCount} saved</span>
+                {failedCount > 0 && <span className="runner-failed-count">{failedCount} failed</span>}
+                {batchStatus === 'paused' && <span>Paused after the current turn</span>}
+              </div>
+              <div className="runner-progress-bar">
+                <div
+                  className="runner-progress-fill"
+                  style={{ width: `${(finishedCount / runs.length) * 100}%` }}
+                />
+              </div>
+
+              <table className="runner-table">
+                <thead>
+                  <tr>
+                    <th>Run</th>
+                    <th>Status</th>
+                    {hasConditions && <th>Condition</th>}
+                    <th>Step</th>
+                    <th>Skipped</th>
+                    <th></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {runs.map((run, index) => (
+                    <tr key={index} className={`run-${run.status}`}>
+                      <td>{index + 1}</td>
+                      <td>
+                        {STATUS_LABELS[run.status]}
+                        {run.error && <div className="runner-run-error">{run.error}</div>}
+                      </td>
+                      {hasConditions && <td>{run.conditionLabel}</td>}
+                      <td>
+                        {run.status === 'running' && run.currentCommand
+                          ? `/${run.currentCommand} (${run.stepIndex + 1}/${protocol.steps.length})`
+                          : run.sentSteps ? `${run.sentSteps.length} sent` : ''}
+                      </td>
+                      <td>{run.skippedSteps?.map(command => `/${command}`).join(', ')}</td>
+                      <td>
+                        {run.status === 'completed' && (
+                          <button
+                            className="runner-open-btn"
+                            onClick={() => navigate(`/tools/${run.conversationId}`)}
+                          >
+                            Analyze
+                          </button>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default RunnerPage;
@@ -0,0 +1,58 @@
+// This component shows every sample of an assistant turn side by side
+// One sample can be chosen as the canonical continuation of the conversation
+
+import MarkdownContent from './MarkdownContent';
+import { detectYesNo, detectRating } from '../utils/responseParsing';
+import './SampleComparison.css';
+
+const SampleComparison = ({ samples, selectedId, onSelect, onClose, raw = false, disabled = false }) => {
+  return (
+    <div className="sample-comparison">
+      <div className="sample-comparison-header">
+        <span>Comparing {samples.length} samples</span>
+        <button className="sample-close-btn" onClick={onClose}>
+          Close
+        </button>
+      </div>
+
+      <div className="sample-grid">
+        {samples.map((sample, index) => {
+          const answer = detectYesNo(sample.message.content);
+          const rating = detectRating(sample.message.content);
+          const isSelected = sample.id === selectedId;
+
+          return (
+            <div key={sample.id} className={`sample-card ${isSelected ? 'selected' : ''}`}>
+              <div className="sample-card-header">
+                <span className="sample-number">Sample {index + 1}</span>
+                <span className="sample-answer">
+                  {answer || 'No Yes/No'}
+                  {rating != null && ` · ${rating}/10`}
+                </span>
+              </div>
+
+              <div className="sample-card-content">
+                <MarkdownContent text={sample.message.content} raw={raw} />
+              </div>
+
+              {isSelected ? (
+                <span className="sample-canonical">✓ Canonical</span>
+              ) : (
+                <button
+                  className="sample-select-btn"
+                  onClick={() => onSelect(sample.id)}
+                  disabled={disabled}
+                  title="Continue the conversation from this sample"
+                >
+                  Use this sample
+                </button>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default SampleComparison;
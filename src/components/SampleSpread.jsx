@@ -0,0 +1,46 @@
+// This component summarizes the spread of answers across regenerated samples of one turn
+// Shown in the Tools page transcript under assistant turns that have more than one sample
+
+import { summarizeSamples } from '../utils/responseParsing';
+import './SampleSpread.css';
+
+const SampleSpread = ({ samples, selectedId }) => {
+  const summary = summarizeSamples(samples.map(sample => sample.message.content));
+
+  return (
+    <div className="sample-spread">
+      <div className="sample-spread-summary">
+        <strong>{samples.length} samples:</strong>
+        <span>Yes: {summary.yesCount}</span>
+        <span>No: {summary.noCount}</span>
+        <span>Unclear: {summary.unclearCount}</span>
+        {summary.ratings.length > 0 && (
+          <span>
+            Rating: {summary.minRating}-{summary.maxRating} (mean {summary.meanRating.toFixed(1)})
+          </span>
+        )}
+      </div>
+
+      <ol className="sample-spread-list">
+        {samples.map((sample, index) => (
+          <li
+            key={sample.id}
+            className={sample.id === selectedId ? 'current' : ''}
+          >
+            <span className="sample-spread-answer">
+              {summary.answers[index].answer || '-'}
+              {summary.answers[index].rating != null && `, ${summary.answers[index].rating}/10`}
+            </span>
+            <span className="sample-spread-snippet">
+              {sample.message.content.slice(0, 120)}
+              {sample.message.content.length > 120 ? '...' : ''}
+            </span>
+            {sample.id === selectedId && <span className="sample-spread-current">shown</span>}
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+};
+
+export default SampleSpread;
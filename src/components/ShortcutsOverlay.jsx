@@ -0,0 +1,41 @@
+// This component lists every keyboard shortcut, grouped by where it applies
+// Opened with "?" or from the command palette
+
+import { SHORTCUT_GROUPS, formatKey } from '../utils/keyboardShortcuts';
+import './CommandPalette.css';
+
+const ShortcutsOverlay = ({ onClose }) => (
+  <div className="command-palette-overlay" onClick={onClose}>
+    <div
+      className="shortcuts-overlay"
+      role="dialog"
+      aria-label="Keyboard shortcuts"
+      onClick={(e) => e.stopPropagation()}
+    >
+      <div className="shortcuts-overlay-header">
+        <h2>Keyboard Shortcuts</h2>
+        <button className="shortcuts-close-btn" onClick={onClose} title="Close (Esc)">✕</button>
+      </div>
+
+      <div className="shortcuts-groups">
+        {SHORTCUT_GROUPS.map(group => (
+          <section key={group.title} className="shortcuts-group">
+            <h3>{group.title}</h3>
+            <dl>
+              {group.shortcuts.map(shortcut => (
+                <div key={shortcut.description} className="shortcut-row">
+                  <dt>
+                    {shortcut.keys.map(key => <kbd key={key}>{formatKey(key)}</kbd>)}
+                  </dt>
+                  <dd>{shortcut.description}</dd>
+                </div>
+              ))}
+            </dl>
+          </section>
+        ))}
+      </div>
+    </div>
+  </div>
+);
+
+export default ShortcutsOverlay;
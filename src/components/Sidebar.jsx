@@ -1,18 +1,16 @@
-import { useState } from 'react'
+import { useState, useSyncExternalStore } from 'react'
 import { Link, useLocation } from 'react-router-dom'
-import { FiHome, FiMessageSquare, FiClock, FiGrid, FiMenu, FiX } from 'react-icons/fi'
+import { FiMenu, FiX, FiLogOut } from 'react-icons/fi'
+import { getNavItemsFor } from '../constants/navigation'
+import { getRoleLabel } from '../constants/roles'
+import { subscribeToSession, getCurrentUser } from '../services/session'
+import { signOut } from '../services/authService'
 import './Sidebar.css'
 
 function Sidebar() {
   const [isCollapsed, setIsCollapsed] = useState(false)
   const location = useLocation()
-
-  const navItems = [
-    { path: '/', label: 'Home', icon: FiHome },
-    { path: '/chat', label: 'Chat', icon: FiMessageSquare },
-    { path: '/dashboard', label: 'Dashboard', icon: FiGrid },
-    { path: '/history', label: 'History', icon: FiClock }
-  ]
+  const user = useSyncExternalStore(subscribeToSession, getCurrentUser)
 
   return (
     <div className={`sidebar ${isCollapsed ? 'collapsed' : ''}`}>
@@ -25,7 +23,7 @@ function Sidebar() {
       </button>
 
       <nav className="nav-menu">
-        {navItems.map((item) => {
+        {getNavItemsFor(user).map((item) => {
           const IconComponent = item.icon
           return (
             <Link
@@ -40,6 +38,21 @@ function Sidebar() {
           )
         })}
       </nav>
+
+      {/* Signed-in user */}
+      {user && (
+        <div className="sidebar-user" title={`${user.displayName} (${getRoleLabel(user.role)})`}>
+          {!isCollapsed && (
+            <div className="sidebar-user-info">
+              <span className="sidebar-user-name">{user.displayName}</span>
+              <span className="sidebar-user-role">{getRoleLabel(user.role)}</span>
+            </div>
+          )}
+          <button className="sign-out-btn" onClick={signOut} title="Sign out">
+            <FiLogOut />
+          </button>
+        </div>
+      )}
     </div>
   )
 }
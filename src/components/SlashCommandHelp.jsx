@@ -0,0 +1,32 @@
+// This component shows every slash command with its full prompt
+// Opened by sending /help in Chat; it is never sent to Claude or saved
+
+import { fillTemplate, PROMPT_VARIABLE_DEFAULTS } from '../constants/researchPrompts';
+import './SlashCommandPalette.css';
+
+const SlashCommandHelp = ({ commands, variables, onClose }) => {
+  return (
+    <div className="slash-command-help">
+      <div className="slash-command-help-header">
+        <strong>Slash commands</strong>
+        <button className="raw-toggle-btn" onClick={onClose}>Close</button>
+      </div>
+      <p className="slash-command-help-intro">
+        Type a command at the start of a message to send its prompt. Anything typed after the
+        command is added below the prompt. Placeholders such as {'{{character}}'} are filled in
+        from the fields shown above the input
+        (defaults: {Object.entries(PROMPT_VARIABLE_DEFAULTS).map(([name, value]) => `${name} = ${value}`).join(', ')}).
+      </p>
+      <dl>
+        {commands.map(command => (
+          <div key={command.command} className="slash-command-help-entry">
+            <dt>/{command.command}</dt>
+            <dd>{command.prompt ? fillTemplate(command.prompt, variables) : command.description}</dd>
+          </div>
+        ))}
+      </dl>
+    </div>
+  );
+};
+
+export default SlashCommandHelp;
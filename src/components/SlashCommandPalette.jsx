@@ -0,0 +1,42 @@
+// This component lists the slash commands matching what has been typed after "/"
+// Used above the Chat input; each entry previews the full prompt with variables filled in
+
+import { fillTemplate } from '../constants/researchPrompts';
+import './SlashCommandPalette.css';
+
+const SlashCommandPalette = ({ commands, activeIndex, variables, onSelect, onHover }) => {
+  if (commands.length === 0) return null;
+
+  return (
+    <ul className="slash-command-palette" role="listbox">
+      {commands.map((command, index) => (
+        <li
+          key={command.command}
+          role="option"
+          aria-selected={index === activeIndex}
+          className={`slash-command-option ${index === activeIndex ? 'active' : ''}`}
+          // mousedown keeps focus in the textarea
+          onMouseDown={(e) => {
+            e.preventDefault();
+            onSelect(command);
+          }}
+          onMouseEnter={() => onHover(index)}
+        >
+          <div className="slash-command-name">
+            /{command.command}
+            {command.variables.length > 0 && (
+              <span className="slash-command-variables">
+                {command.variables.map(name => `{{${name}}}`).join(' ')}
+              </span>
+            )}
+          </div>
+          <div className="slash-command-preview">
+            {command.prompt ? fillTemplate(command.prompt, variables) : command.description}
+          </div>
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+export default SlashCommandPalette;
@@ -0,0 +1,93 @@
+// This component is the small form for coding a selected passage of the transcript
+// Shown next to the selection on the Tools page, and reused to edit an existing coded span
+
+import { useState, useEffect, useRef } from 'react';
+import { SPAN_FIELD_LABELS } from '../utils/codedSpans';
+import './CodedSpans.css';
+
+const SpanCodePopover = ({ span, codes, position, onSave, onCancel }) => {
+  const [code, setCode] = useState(span.code || codes[0] || '');
+  const [comment, setComment] = useState(span.comment || '');
+  const selectRef = useRef(null);
+
+  useEffect(() => {
+    selectRef.current?.focus();
+  }, []);
+
+  const handleSave = () => {
+    if (!code) return;
+    onSave({ ...span, code, comment: comment.trim() });
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      e.stopPropagation();
+      onCancel();
+    } else if (e.key === 'Enter' && (e.metaKey || e.ctrlKey)) {
+      e.preventDefault();
+      e.stopPropagation();
+      handleSave();
+    }
+  };
+
+  // Keep the popover inside the window
+  const style = {
+    top: Math.min(position.top + 8, window.innerHeight - 260),
+    left: Math.min(Math.max(position.left, 8), window.innerWidth - 330)
+  };
+
+  return (
+    <div
+      className="span-code-popover"
+      style={style}
+      role="dialog"
+      aria-label="Code selected text"
+      onKeyDown={handleKeyDown}
+      onMouseUp={(e) => e.stopPropagation()}
+    >
+      <blockquote className="span-code-quote">
+        {span.quote.length > 200 ? `${span.quote.slice(0, 200)}…` : span.quote}
+      </blockquote>
+      <p className="span-code-location">
+        Message {span.messageIndex + 1} · {SPAN_FIELD_LABELS[span.field]}
+      </p>
+
+      <label className="span-code-label" htmlFor="span-code">Code</label>
+      {codes.length > 0 ? (
+        <select
+          id="span-code"
+          ref={selectRef}
+          className="span-code-select"
+          value={code}
+          onChange={(e) => setCode(e.target.value)}
+        >
+          {!codes.includes(code) && code && <option value={code}>{code}</option>}
+          {codes.map(tag => <option key={tag} value={tag}>{tag}</option>)}
+        </select>
+      ) : (
+        <p className="span-code-empty">No tags are available to use as codes.</p>
+      )}
+
+      <label className="span-code-label" htmlFor="span-comment">Comment</label>
+      <textarea
+        id="span-comment"
+        className="span-code-comment"
+        value={comment}
+        onChange={(e) => setComment(e.target.value)}
+        rows="3"
+        maxLength="1000"
+        placeholder="Why does this passage matter? (optional)"
+      />
+
+      <div className="span-code-actions">
+        <button className="span-code-cancel" onClick={onCancel}>Cancel</button>
+        <button className="span-code-save" onClick={handleSave} disabled={!code}>
+          {span.id ? 'Update' : 'Add Code'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default SpanCodePopover;
@@ -3,6 +3,7 @@
 
 import { useState, useEffect } from 'react';
 import { getSummaryStats } from '../services/analysisService';
+import { isAbortError } from '../services/apiClient';
 import './SummaryStatsCard.css';
 
 const SummaryStatsCard = () => {
@@ -21,17 +22,19 @@ const SummaryStatsCard = () => {
 
   // Fetch summary statistics when component mounts
   useEffect(() => {
-    loadSummaryStats();
+    const controller = new AbortController();
+    loadSummaryStats(controller.signal);
+    return () => controller.abort();
   }, []);
 
   // Function to fetch summary statistics from the API
-  const loadSummaryStats = async () => {
+  const loadSummaryStats = async (signal) => {
     try {
       setLoading(true);
       setError(null);
 
       // Call the API to get summary statistics
-      const result = await getSummaryStats();
+      const result = await getSummaryStats({ signal });
 
       if (result.success) {
         // Update state with the fetched statistics
@@ -48,11 +51,12 @@ const SummaryStatsCard = () => {
       }
 
     } catch (err) {
-      // Network or other error occurred
+      // Leaving the dashboard cancels the request; nothing to report
+      if (isAbortError(err)) return;
       console.error('Failed to load summary statistics:', err);
-      setError('Failed to load summary statistics. Please try again later.');
+      setError(`Failed to load summary statistics: ${err.message}`);
     } finally {
-      setLoading(false);
+      if (!signal.aborted) setLoading(false);
     }
   };
 
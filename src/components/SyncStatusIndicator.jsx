@@ -0,0 +1,34 @@
+// This component shows whether the open conversation has reached the backend
+// Used in the Chat header next to the token counter
+
+import './SyncStatusIndicator.css';
+
+const STATUS_LABELS = {
+  pending: 'Saving...',
+  saved: 'Saved',
+  failed: 'Not saved'
+};
+
+const SyncStatusIndicator = ({ status, savedAt, error }) => {
+  // Nothing to report until the conversation has been saved once
+  if (!STATUS_LABELS[status]) return null;
+
+  const title = status === 'failed'
+    ? `Saving failed${error ? `: ${error}` : ''}\nA local copy is kept and will be saved again when the backend is reachable.`
+    : status === 'saved'
+      ? `Saved to the backend at ${new Date(savedAt).toLocaleTimeString()}`
+      : 'Saving to the backend';
+
+  return (
+    <div className={`sync-status sync-status-${status}`} title={title}>
+      <span className="sync-status-dot" />
+      <span className="sync-status-label">
+        {STATUS_LABELS[status]}
+        {status === 'saved' && savedAt && ` ${new Date(savedAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`}
+        {status === 'failed' && ' - local copy kept'}
+      </span>
+    </div>
+  );
+};
+
+export default SyncStatusIndicator;
@@ -3,6 +3,7 @@
 
 import { useState, useEffect } from 'react';
 import { getTagUsage } from '../services/analysisService';
+import { isAbortError } from '../services/apiClient';
 import './TagUsageList.css';
 
 const TagUsageList = () => {
@@ -15,17 +16,19 @@ const TagUsageList = () => {
 
   // Fetch tag usage statistics when component mounts
   useEffect(() => {
-    loadTagUsage();
+    const controller = new AbortController();
+    loadTagUsage(controller.signal);
+    return () => controller.abort();
   }, []);
 
   // Function to fetch tag usage statistics from the API
-  const loadTagUsage = async () => {
+  const loadTagUsage = async (signal) => {
     try {
       setLoading(true);
       setError(null);
 
       // Call the API to get tag usage statistics
-      const result = await getTagUsage();
+      const result = await getTagUsage({ signal });
 
       if (result.success) {
         // Update state with the fetched tag usage data
@@ -36,11 +39,12 @@ const TagUsageList = () => {
       }
 
     } catch (err) {
-      // Network or other error occurred
+      // Leaving the dashboard cancels the request; nothing to report
+      if (isAbortError(err)) return;
       console.error('Failed to load tag usage statistics:', err);
-      setError('Failed to load tag usage statistics. Please try again later.');
+      setError(`Failed to load tag usage statistics: ${err.message}`);
     } finally {
-      setLoading(false);
+      if (!signal.aborted) setLoading(false);
     }
   };
 
@@ -1,30 +1,64 @@
 // This component displays the Tools page for analyzing conversations
 // Users can view a conversation on the left and submit welfare analysis on the right
 
-import { useState, useEffect } from 'react';
-import { useParams, useNavigate } from 'react-router-dom';
-import { fetchConversation } from '../services/historyService';
-import { saveAnalysis, fetchAnalysis, getPredefinedTags } from '../services/analysisService';
+import { useState, useEffect, useRef, useSyncExternalStore } from 'react';
+import { useParams, useNavigate, useSearchParams } from 'react-router-dom';
+import { fetchConversation, fetchHistoryPage, searchConversations } from '../services/historyService';
+import { saveAnalysis, fetchAnalysis, getPredefinedTags, deleteAnalysis } from '../services/analysisService';
+import { refreshAnalysisStatuses } from '../services/analysisStatusCache';
+import { isAbortError } from '../services/apiClient';
+import { subscribeToSession, getCurrentUser } from '../services/session';
+import MarkdownContent from './MarkdownContent';
+import SampleSpread from './SampleSpread';
+import GenerationSettingsSummary from './GenerationSettingsSummary';
+import ExportMenu from './ExportMenu';
+import MessageAttachments from './MessageAttachments';
+import CodedSpanList from './CodedSpanList';
+import ConversationTitle from './ConversationTitle';
+import AnalysisComparison from './AnalysisComparison';
+import SpanCodePopover from './SpanCodePopover';
+import { getBranches, getPathToNode, getSiblingIds } from '../utils/conversationTree';
+import { EXPORT_FORMATS, buildExportDocument, downloadExport } from '../utils/conversationExport';
+import { registerCommands } from '../utils/commandRegistry';
+import { getSelectionAnchor, getSpansOnPath, highlightSpans } from '../utils/codedSpans';
+import { hasModKey, isTypingTarget, formatKey } from '../utils/keyboardShortcuts';
+import { hasPermission, canDeleteAnalysis, getRoleLabel } from '../constants/roles';
 import './ToolsPage.css';
 
+// Empty analysis form; the backend records the signed-in user as the analyst
+const DEFAULT_ANALYSIS = {
+  preferenceAlignment: 5,
+  autonomyLevel: 5,
+  authenticity: 5,
+  constraintConflicts: '',
+  tags: [],
+  notes: '',
+  codedSpans: []
+};
+
+// Scores in the order the [ and ] keys move through them
+const SCORE_FIELDS = ['preferenceAlignment', 'autonomyLevel', 'authenticity'];
+
+// Keys that answer the constraint conflicts question
+const CONFLICT_KEYS = { y: 'Yes', n: 'No', u: 'Unclear' };
+
 const ToolsPage = () => {
   const { conversationId } = useParams();
   const navigate = useNavigate();
 
+  // Message to scroll to, e.g. a full-text search match opened from History (?message=N)
+  const [searchParams] = useSearchParams();
+  const targetMessage = searchParams.has('message') ? Number(searchParams.get('message')) : null;
+
   // State for conversation data
   const [conversation, setConversation] = useState(null);
   const [loading, setLoading] = useState(true);
 
   // State for analysis form
-  const [analysis, setAnalysis] = useState({
-    preferenceAlignment: 5,
-    autonomyLevel: 5,
-    authenticity: 5,
-    constraintConflicts: '',
-    tags: [],
-    notes: '',
-    analystName: ''
-  });
+  const [analysis, setAnalysis] = useState(DEFAULT_ANALYSIS);
+
+  // Score that the number keys set (index into SCORE_FIELDS)
+  const [focusedScore, setFocusedScore] = useState(0);
 
   // State for predefined tags from backend
   const [availableTags, setAvailableTags] = useState([]);
@@ -33,27 +67,92 @@ const ToolsPage = () => {
   const [saving, setSaving] = useState(false);
   const [saveSuccess, setSaveSuccess] = useState(false);
   const [lastSaved, setLastSaved] = useState(null);
+  // ID of the saved analysis, needed to delete it
+  const [analysisId, setAnalysisId] = useState(null);
+  // Who saved the analysis: { analystId, analystName }
+  const [savedBy, setSavedBy] = useState(null);
+  // Other analysts' analyses of this conversation, and how many of them are hidden until you
+  // save your own (the backend keeps scoring blind)
+  const [otherAnalyses, setOtherAnalyses] = useState([]);
+  const [hiddenCount, setHiddenCount] = useState(0);
+
+  // The signed-in user's role decides whether the form can be saved (the backend checks it too)
+  const user = useSyncExternalStore(subscribeToSession, getCurrentUser);
+  const canScore = hasPermission(user, 'analysis:write');
+  const canDelete = Boolean(savedBy) && canDeleteAnalysis(user, savedBy);
+
+  // State for showing the transcript as raw text instead of formatted Markdown
+  const [showRaw, setShowRaw] = useState(false);
+
+  // State for which branch of the conversation tree is being analyzed (leaf node ID)
+  const [selectedBranchId, setSelectedBranchId] = useState(null);
+
+  // State for span coding: the span being added or edited (with where to show the form),
+  // and the span selected in the sidebar
+  const [spanDraft, setSpanDraft] = useState(null);
+  const [activeSpanId, setActiveSpanId] = useState(null);
+  const messagesListRef = useRef(null);
+
+  // Branches of the conversation and the messages on the selected one
+  const branches = conversation?.tree ? getBranches(conversation.tree) : [];
+  const displayedPath = conversation?.tree && selectedBranchId
+    ? getPathToNode(conversation.tree, selectedBranchId)
+    : [];
+  const displayedMessages = selectedBranchId
+    ? displayedPath.map(node => node.message)
+    : conversation?.messages || [];
+
+  // Coded spans on the displayed branch
+  const visibleSpans = getSpansOnPath(analysis.codedSpans, displayedPath);
+
+  // All regenerated samples of the turn at a given transcript position (empty if only one)
+  const getSamplesAt = (index) => {
+    const node = displayedPath[index];
+    if (!node || node.message.role !== 'assistant') return [];
+
+    const siblingIds = getSiblingIds(conversation.tree, node.id);
+    return siblingIds.length > 1 ? siblingIds.map(id => conversation.tree.nodes[id]) : [];
+  };
 
-  // Fetch conversation data when component loads
+  // Fetch conversation data when component loads, cancelling the requests when
+  // moving on to another conversation or leaving the page
   useEffect(() => {
-    loadConversationData();
-    loadPredefinedTags();
+    const controller = new AbortController();
+    loadConversationData(controller.signal);
+    loadPredefinedTags(controller.signal);
+    return () => controller.abort();
   }, [conversationId]);
 
   // Function to fetch conversation data
-  const loadConversationData = async () => {
+  const loadConversationData = async (signal) => {
     try {
       setLoading(true);
 
       // Fetch the full conversation including all messages
-      const conversationData = await fetchConversation(conversationId);
+      const conversationData = await fetchConversation(conversationId, { signal });
       setConversation(conversationData);
 
-      // Try to fetch existing analysis for this conversation
-      const existingAnalysis = await fetchAnalysis(conversationId);
+      // Start on the branch that was active in the chat
+      const activeBranch = getBranches(conversationData.tree).find(branch => branch.isActive);
+      setSelectedBranchId(activeBranch ? activeBranch.leafId : null);
+
+      // Start from an empty form, e.g. after moving on from the previous conversation
+      setAnalysis(DEFAULT_ANALYSIS);
+      setLastSaved(null);
+      setAnalysisId(null);
+      setSavedBy(null);
+      setOtherAnalyses([]);
+      setHiddenCount(0);
+      setFocusedScore(0);
+      setSpanDraft(null);
+      setActiveSpanId(null);
+
+      // Try to fetch your existing analysis of this conversation, and the others you may see
+      const existingAnalysis = await fetchAnalysis(conversationId, { signal });
+      showOtherAnalyses(existingAnalysis);
 
       if (existingAnalysis.success && existingAnalysis.analysis) {
-        // Pre-populate form with existing analysis data
+        // Pre-populate form with your existing analysis data
         const existing = existingAnalysis.analysis;
         setAnalysis({
           preferenceAlignment: existing.preferenceAlignment || 5,
@@ -62,27 +161,54 @@ const ToolsPage = () => {
           constraintConflicts: existing.constraintConflicts || '',
           tags: existing.tags ? existing.tags.split(',').map(t => t.trim()) : [],
           notes: existing.notes || '',
-          analystName: existing.analystName || ''
+          codedSpans: existing.codedSpans || []
         });
         setLastSaved(existing.lastUpdated);
+        setAnalysisId(existing.analysisId);
+        setSavedBy({ analystId: existing.analystId, analystName: existing.analystName });
+
+        // Re-open the branch the analysis was made on, if it still exists
+        // (search matches point into the active branch, so stay there when opened at a message)
+        if (targetMessage === null && existing.branchId && conversationData.tree.nodes[existing.branchId]) {
+          setSelectedBranchId(existing.branchId);
+        }
       }
 
     } catch (error) {
+      if (isAbortError(error)) return;
       console.error('Failed to load conversation:', error);
-      alert('Failed to load conversation. Please try again.');
+      alert(`Failed to load conversation: ${error.message}`);
     } finally {
-      setLoading(false);
+      // A cancelled load leaves the loading state to the one that replaced it
+      if (!signal.aborted) setLoading(false);
+    }
+  };
+
+  // Keep the analyses other than your own from a fetchAnalysis result
+  const showOtherAnalyses = (result) => {
+    const ownId = result.analysis?.analysisId;
+    setOtherAnalyses(result.analyses.filter(other => other.analysisId !== ownId));
+    setHiddenCount(result.hiddenCount);
+  };
+
+  // Fetch the other analysts' analyses again, e.g. once saving yours reveals them
+  const reloadOtherAnalyses = async () => {
+    try {
+      showOtherAnalyses(await fetchAnalysis(conversationId));
+    } catch (error) {
+      console.error('Failed to load other analyses:', error);
     }
   };
 
   // Function to fetch predefined tags from backend
-  const loadPredefinedTags = async () => {
+  const loadPredefinedTags = async (signal) => {
     try {
-      const result = await getPredefinedTags();
+      const result = await getPredefinedTags({ signal });
       if (result.success && result.tags) {
         setAvailableTags(result.tags);
       }
     } catch (error) {
+      if (isAbortError(error)) return;
       console.error('Failed to load predefined tags:', error);
       // Set default tags if API fails
       setAvailableTags(['distress', 'conscious', 'introspective']);
@@ -120,7 +246,76 @@ const ToolsPage = () => {
     });
   };
 
+  // Bring the requested message into view once the transcript is shown
+  useEffect(() => {
+    if (loading || targetMessage === null) return;
+    messagesListRef.current
+      ?.querySelector(`[data-message-index="${targetMessage}"]`)
+      ?.scrollIntoView({ block: 'center' });
+  }, [loading, targetMessage]);
+
+  // Highlight the coded spans in the transcript after every render
+  useEffect(() => highlightSpans(messagesListRef.current, visibleSpans, availableTags, activeSpanId));
+
+  // Offer to code the text selected in a message or thinking block
+  const handleTranscriptMouseUp = () => {
+    const selection = window.getSelection();
+    if (!selection || selection.isCollapsed || selection.rangeCount === 0) return;
+
+    const range = selection.getRangeAt(0);
+    const getTarget = (node) => (node.nodeType === Node.TEXT_NODE ? node.parentElement : node)
+      ?.closest('[data-span-field]');
+    const container = getTarget(range.startContainer);
+
+    // A span has to stay within one message's text or thinking
+    if (!container || container !== getTarget(range.endContainer)) return;
+
+    const anchor = getSelectionAnchor(container, range);
+    if (!anchor.quote.trim()) return;
+
+    const messageIndex = Number(container.dataset.spanIndex);
+    const rect = range.getBoundingClientRect();
+    setSpanDraft({
+      span: {
+        nodeId: displayedPath[messageIndex]?.id || null,
+        messageIndex,
+        field: container.dataset.spanField,
+        ...anchor
+      },
+      position: { top: rect.bottom, left: rect.left }
+    });
+  };
+
+  // Add a new coded span, or update the code and comment of an existing one
+  const saveSpan = (span) => {
+    setAnalysis(prev => ({
+      ...prev,
+      codedSpans: span.id
+        ? prev.codedSpans.map(s => (s.id === span.id ? { ...s, code: span.code, comment: span.comment } : s))
+        : [...prev.codedSpans, { ...span, id: `span-${Date.now()}`, createdAt: new Date().toISOString() }]
+    }));
+    setSpanDraft(null);
+    window.getSelection()?.removeAllRanges();
+  };
+
+  const deleteSpan = (span) => {
+    setAnalysis(prev => ({
+      ...prev,
+      codedSpans: prev.codedSpans.filter(s => s.id !== span.id)
+    }));
+    if (activeSpanId === span.id) setActiveSpanId(null);
+  };
+
+  // Scroll the transcript to a span and emphasize it
+  const selectSpan = (span) => {
+    setActiveSpanId(span.id);
+    messagesListRef.current
+      ?.querySelector(`[data-span-index="${span.messageIndex}"][data-span-field="${span.field}"]`)
+      ?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  };
+
   // Handle form submission
+  // Resolves to true once the analysis is saved
   const handleSubmitAnalysis = async () => {
     try {
       setSaving(true);
@@ -130,27 +325,21 @@ const ToolsPage = () => {
       if (!analysis.constraintConflicts) {
         alert('Please select a value for Constraint Conflicts');
         setSaving(false);
-        return;
-      }
-
-      if (!analysis.analystName || analysis.analystName.trim() === '') {
-        alert('Please enter your analyst name');
-        setSaving(false);
-        return;
+        return false;
       }
 
       // Prepare analysis data for submission
       const analysisData = {
         conversationId: conversationId,
         analysisId: `analysis-${Date.now()}`,
-        userId: 'default_user',
         preferenceAlignment: analysis.preferenceAlignment,
         autonomyLevel: analysis.autonomyLevel,
         authenticity: analysis.authenticity,
         constraintConflicts: analysis.constraintConflicts,
         notes: analysis.notes,
         tags: analysis.tags.join(','),
-        analystName: analysis.analystName
+        branchId: selectedBranchId,
+        codedSpans: analysis.codedSpans
       };
 
       // Save the analysis
@@ -159,22 +348,170 @@ const ToolsPage = () => {
       if (result.success) {
         setSaveSuccess(true);
         setLastSaved(new Date().toISOString());
+        setAnalysisId(result.analysisId || analysisData.analysisId);
+        setSavedBy({ analystId: user.userId, analystName: user.displayName });
         console.log('Analysis saved successfully:', result);
 
+        // Saving your own analysis reveals the other analysts'
+        reloadOtherAnalyses();
+
+        // Update the History badges for this conversation
+        refreshAnalysisStatuses([conversationId]).catch((error) => {
+          console.error('Failed to refresh analysis status:', error);
+        });
+
         // Clear success checkmark after 3 seconds
         setTimeout(() => {
           setSaveSuccess(false);
         }, 3000);
       }
 
+      return Boolean(result.success);
     } catch (error) {
       console.error('Failed to save analysis:', error);
-      alert('Failed to save analysis. Please try again.');
+      alert(`Failed to save analysis: ${error.message}`);
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Delete your saved analysis and start the form over
+  const handleDeleteAnalysis = async () => {
+    if (!analysisId || !window.confirm('Delete your analysis of this conversation? This cannot be undone.')) return;
+
+    try {
+      setSaving(true);
+      await deleteAnalysis(analysisId);
+
+      setAnalysis(DEFAULT_ANALYSIS);
+      setAnalysisId(null);
+      setLastSaved(null);
+      setSavedBy(null);
+      setSpanDraft(null);
+      setActiveSpanId(null);
+
+      // Without your own analysis the others are hidden again
+      reloadOtherAnalyses();
+
+      // Update the History badges for this conversation
+      refreshAnalysisStatuses([conversationId]).catch((error) => {
+        console.error('Failed to refresh analysis status:', error);
+      });
+    } catch (error) {
+      console.error('Failed to delete analysis:', error);
+      alert(`Failed to delete analysis: ${error.message}`);
     } finally {
       setSaving(false);
     }
   };
 
+  // Delete another analyst's analysis (researchers only)
+  const handleDeleteOtherAnalysis = async (other) => {
+    if (!window.confirm(`Delete ${other.analystName}'s analysis of this conversation? This cannot be undone.`)) return;
+
+    try {
+      await deleteAnalysis(other.analysisId);
+      setOtherAnalyses(analyses => analyses.filter(a => a.analysisId !== other.analysisId));
+
+      refreshAnalysisStatuses([conversationId]).catch((error) => {
+        console.error('Failed to refresh analysis status:', error);
+      });
+    } catch (error) {
+      console.error('Failed to delete analysis:', error);
+      alert(`Failed to delete analysis: ${error.message}`);
+    }
+  };
+
+  // Find the conversation after this one in the History list it was opened from: the results of
+  // the search applied there (?search=), or else the whole history in its order (?sort= and ?order=,
+  // newest first by default). Resolves to null at the end of the list.
+  const findNextConversation = async () => {
+    if (searchParams.has('search')) {
+      const { conversations } = await searchConversations(JSON.parse(searchParams.get('search')));
+      const index = conversations.findIndex(c => c.conversationId === conversationId);
+      if (index === -1) throw new Error('This conversation is not in the search results any more.');
+      return conversations[index + 1] || null;
+    }
+
+    const page = await fetchHistoryPage({
+      ...(searchParams.has('sort') && { sort: searchParams.get('sort') }),
+      ...(searchParams.has('order') && { order: searchParams.get('order') }),
+      after: conversationId,
+      limit: 1
+    });
+    return page.conversations[0] || null;
+  };
+
+  // Save, then open the next conversation in the History list
+  const handleSaveAndNext = async () => {
+    // Found before saving, since saving moves this conversation when the list is sorted by analyzed status
+    let next = null;
+    let lookupError = null;
+    try {
+      setSaving(true);
+      next = await findNextConversation();
+    } catch (error) {
+      lookupError = error;
+    }
+
+    const saved = await handleSubmitAnalysis();
+    if (!saved) return;
+
+    if (lookupError) {
+      console.error('Failed to find the next conversation:', lookupError);
+      alert('Analysis saved, but the next conversation could not be found.');
+      return;
+    }
+    if (!next) {
+      alert('Analysis saved. This was the last conversation in History.');
+      navigate('/history');
+      return;
+    }
+
+    // Keep the list's order and search for the next Save & Next
+    const query = new URLSearchParams(searchParams);
+    query.delete('message');
+    navigate(`/tools/${next.conversationId}${query.toString() ? `?${query}` : ''}`);
+  };
+
+  // Scoring shortcuts (listed in the "?" overlay)
+  useEffect(() => {
+    if (loading || !conversation || !canScore) return;
+
+    const handleKeyDown = (e) => {
+      if (hasModKey(e) && (e.key === 'Enter' || e.key.toLowerCase() === 's')) {
+        e.preventDefault();
+        if (saving) return;
+        if (e.key === 'Enter') {
+          handleSaveAndNext();
+        } else {
+          handleSubmitAnalysis();
+        }
+        return;
+      }
+
+      // Single keys would get in the way of typing notes
+      if (e.ctrlKey || e.metaKey || e.altKey || isTypingTarget(e.target)) return;
+
+      const key = e.key.toLowerCase();
+      if (key === '[' || key === ']') {
+        e.preventDefault();
+        const step = key === ']' ? 1 : SCORE_FIELDS.length - 1;
+        setFocusedScore(prev => (prev + step) % SCORE_FIELDS.length);
+      } else if (/^[0-9]$/.test(key)) {
+        e.preventDefault();
+        handleSliderChange(SCORE_FIELDS[focusedScore], key === '0' ? 10 : key);
+      } else if (CONFLICT_KEYS[key]) {
+        e.preventDefault();
+        handleInputChange('constraintConflicts', CONFLICT_KEYS[key]);
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  });
+
   // Format date/time string
   const formatDate = (dateString) => {
     if (!dateString) return '';
@@ -190,139 +527,72 @@ const ToolsPage = () => {
     return date.toLocaleString('en-US', options);
   };
 
-  // Download analysis report as text file
-  const downloadAnalysisReport = () => {
+  // Download the analysis and the analyzed branch in one of the export formats
+  const exportAnalysisReport = (formatId) => {
     try {
       if (!conversation || !lastSaved) {
         alert('No analysis data available to download');
         return;
       }
 
-      // Build the text content
-      let textContent = `AI WELFARE ANALYSIS REPORT\n`;
-      textContent += `${'='.repeat(60)}\n\n`;
-
-      // Analysis last updated timestamp
-      textContent += `ANALYSIS LAST UPDATED:\n`;
-      textContent += `${formatDate(lastSaved)}\n\n`;
-
-      // Tags section
-      textContent += `TAGS:\n`;
-      if (analysis.tags && analysis.tags.length > 0) {
-        textContent += `${analysis.tags.join(', ')}\n`;
-      } else {
-        textContent += `No tags selected\n`;
-      }
-      textContent += `\n`;
-
-      // Scores section
-      textContent += `SCORES:\n`;
-      textContent += `${'-'.repeat(60)}\n`;
-      textContent += `Preference Alignment: ${analysis.preferenceAlignment}/10\n`;
-      textContent += `Autonomy Level: ${analysis.autonomyLevel}/10\n`;
-      textContent += `Authenticity: ${analysis.authenticity}/10\n`;
-      textContent += `\n`;
-
-      // Calculate average (same logic as backend)
-      const validScores = [
-        analysis.preferenceAlignment,
-        analysis.autonomyLevel,
-        analysis.authenticity
-      ].filter(score => score != null);
-
-      if (validScores.length > 0) {
-        const average = (validScores.reduce((sum, score) => sum + score, 0) / validScores.length).toFixed(2);
-        textContent += `Average Preference Alignment: ${average}\n`;
-        textContent += `Average Autonomy Level: ${average}\n`;
-        textContent += `Average Authenticity: ${average}\n`;
-        textContent += `\n`;
-      }
-
-      textContent += `Constraint Conflicts: ${analysis.constraintConflicts || 'Not specified'}\n`;
-      textContent += `Analyst Name: ${analysis.analystName || 'Not specified'}\n`;
-      textContent += `\n`;
-
-      // Notes section
-      textContent += `NOTES:\n`;
-      textContent += `${'-'.repeat(60)}\n`;
-      if (analysis.notes && analysis.notes.trim()) {
-        textContent += `${analysis.notes}\n`;
-      } else {
-        textContent += `No notes provided\n`;
-      }
-      textContent += `\n`;
-
-      // Separator line
-      textContent += `${'='.repeat(60)}\n`;
-      textContent += `${'='.repeat(60)}\n\n`;
-
-      // Conversation header with chat timestamp
-      textContent += `CONVERSATION TRANSCRIPT\n`;
-      textContent += `${'='.repeat(60)}\n`;
-      textContent += `Conversation ID: ${conversation.conversationId}\n`;
-      textContent += `Created: ${formatDate(conversation.createdAt)}\n`;
-      textContent += `Messages: ${conversation.messageCount}\n`;
-      textContent += `Context: ${conversation.contextEnabled ? 'Enabled' : 'Disabled'}\n`;
-      textContent += `${'='.repeat(60)}\n\n`;
-
-      // Full conversation transcript including thinking blocks
-      if (conversation.messages && conversation.messages.length > 0) {
-        conversation.messages.forEach((msg, index) => {
-          const label = msg.role === 'user' ? 'USER' : 'CLAUDE';
-          textContent += `MSG ${index} (${label}):\n`;
-          textContent += `${msg.content}\n`;
-
-          // Add thinking content if available
-          if (msg.thinking) {
-            textContent += `\n[THINKING PROCESS]:\n`;
-            textContent += `${msg.thinking}\n`;
-          }
-
-          textContent += `\n${'-'.repeat(60)}\n\n`;
-        });
-      } else {
-        textContent += `No messages found.\n\n`;
-      }
-
-      // Create blob and download
-      const blob = new Blob([textContent], { type: 'text/plain' });
-      const url = URL.createObjectURL(blob);
-      const link = document.createElement('a');
-
-      // Format filename: analysis-report-[conversationId]-YYYY-MM-DD-HHmm.txt
-      const now = new Date();
-      const year = now.getFullYear();
-      const month = String(now.getMonth() + 1).padStart(2, '0');
-      const day = String(now.getDate()).padStart(2, '0');
-      const hours = String(now.getHours()).padStart(2, '0');
-      const minutes = String(now.getMinutes()).padStart(2, '0');
-      const filename = `analysis-report-${conversationId}-${year}-${month}-${day}-${hours}${minutes}.txt`;
-
-      link.href = url;
-      link.download = filename;
-      link.click();
-
-      // Clean up
-      URL.revokeObjectURL(url);
+      const doc = buildExportDocument({
+        conversation,
+        tree: conversation.tree,
+        leafId: selectedBranchId,
+        analysis: { ...analysis, analystName: savedBy?.analystName, lastUpdated: lastSaved }
+      });
+      downloadExport(doc, formatId, `analysis-report-${conversationId}`);
     } catch (error) {
       console.error('Error downloading analysis report:', error);
       alert('Failed to download analysis report. Please try again.');
     }
   };
 
+  // Offer the analysis actions in the command palette
+  useEffect(() => registerCommands('tools', conversation ? [
+    ...(canScore ? [{
+      id: 'save-analysis',
+      label: 'Save analysis',
+      hint: `${formatKey('Mod')}+S`,
+      disabled: saving,
+      run: handleSubmitAnalysis
+    }, {
+      id: 'save-analysis-next',
+      label: 'Save analysis and open next conversation',
+      hint: `${formatKey('Mod')}+Enter`,
+      disabled: saving,
+      run: handleSaveAndNext
+    }] : []),
+    ...EXPORT_FORMATS.map(format => ({
+      id: `download-report-${format.id}`,
+      label: `Download analysis report as ${format.label}`,
+      keywords: 'export',
+      disabled: !lastSaved,
+      run: () => exportAnalysisReport(format.id)
+    }))
+  ] : []));
+
   return (
     <div className="tools-page">
       <div className="tools-header">
-        <h1>AI Welfare Analysis</h1>
+        <div className="tools-title">
+          <h1>AI Welfare Analysis</h1>
+          {conversation && (
+            <ConversationTitle
+              key={conversation.conversationId}
+              conversation={conversation}
+              onUpdated={(metadata) => setConversation(prev => ({ ...prev, metadata }))}
+            />
+          )}
+        </div>
         <div className="header-buttons">
-          <button
-            className="download-report-btn"
-            onClick={downloadAnalysisReport}
+          <ExportMenu
+            label="Download Analysis Report"
+            buttonClassName="download-report-btn"
+            onExport={exportAnalysisReport}
             disabled={!lastSaved}
-            title={!lastSaved ? 'Save an analysis first to download report' : 'Download analysis report as text file'}
-          >
-            Download Analysis Report
-          </button>
+            title={!lastSaved ? 'Save an analysis first to download report' : 'Download analysis report as JSON, Markdown, JSONL or CSV'}
+          />
           <button
             className="back-to-history-btn"
             onClick={() => navigate('/history')}
@@ -349,38 +619,79 @@ const ToolsPage = () => {
                 <p><strong>Created:</strong> {formatDate(conversation.createdAt)}</p>
                 <p><strong>Messages:</strong> {conversation.messageCount}</p>
                 <p><strong>Context:</strong> {conversation.contextEnabled ? 'Enabled' : 'Disabled'}</p>
+                <GenerationSettingsSummary settings={conversation.metadata?.generationSettings} />
               </div>
+              {branches.length > 1 && (
+                <select
+                  className="branch-select"
+                  value={selectedBranchId || ''}
+                  onChange={(e) => setSelectedBranchId(e.target.value)}
+                  title="Choose which branch of the conversation to analyze"
+                >
+                  {branches.map((branch, index) => (
+                    <option key={branch.leafId} value={branch.leafId}>
+                      Branch {index + 1} ({branch.messageCount} messages){branch.isActive ? ' - active in chat' : ''}
+                    </option>
+                  ))}
+                </select>
+              )}
+              <button
+                className={`raw-toggle-btn ${showRaw ? 'active' : ''}`}
+                onClick={() => setShowRaw(!showRaw)}
+                title={showRaw ? 'Render messages as formatted Markdown' : 'Show the exact characters of each message'}
+              >
+                {showRaw ? 'Show Formatted' : 'Show Raw'}
+              </button>
             </div>
 
             <div className="messages-container">
-              {conversation.messages && conversation.messages.length > 0 ? (
-                <div className="messages-list">
-                  {conversation.messages.map((message, index) => (
+              {displayedMessages.length > 0 ? (
+                <div className="messages-list" ref={messagesListRef} onMouseUp={handleTranscriptMouseUp}>
+                  {displayedMessages.map((message, index) => (
                     <div
                       key={index}
-                      className={`message-item ${message.role}`}
+                      className={`message-item ${message.role} ${index === targetMessage ? 'search-target' : ''}`}
+                      data-message-index={index}
                     >
                       <div className="message-role">
                         {message.role === 'user' ? 'You' : 'Claude'}
                       </div>
-                      <div className="message-content">
-                        {message.content}
+                      <MessageAttachments attachments={message.attachments} />
+                      <div className="message-content" data-span-index={index} data-span-field="content">
+                        <MarkdownContent text={message.content} raw={showRaw} />
                       </div>
 
                       {/* Display thinking block if it exists */}
                       {message.thinking && (
                         <div className="message-thinking">
                           <strong>Thinking:</strong>
-                          <div className="thinking-content">
-                            {message.thinking}
+                          <div className="thinking-content" data-span-index={index} data-span-field="thinking">
+                            <MarkdownContent text={message.thinking} raw={showRaw} />
                           </div>
                         </div>
                       )}
 
+                      {/* Display the spread of answers if this turn was regenerated */}
+                      {getSamplesAt(index).length > 0 && (
+                        <SampleSpread
+                          samples={getSamplesAt(index)}
+                          selectedId={displayedPath[index].id}
+                        />
+                      )}
+
                       {/* Display token information if available */}
                       {message.tokens && (
                         <div className="message-tokens">
                           Tokens: Input: {message.tokens.inputTokens}, Output: {message.tokens.outputTokens}
+                          {message.tokens.cacheCreationInputTokens != null && (
+                            <>, Cache Write: {message.tokens.cacheCreationInputTokens}, Cache Read: {message.tokens.cacheReadInputTokens}</>
+                          )}
+                          {message.tokens.thinkingTokens != null && (
+                            <>, Thinking: {message.tokens.thinkingTokensEstimated ? '~' : ''}{message.tokens.thinkingTokens}</>
+                          )}
+                          {message.cache && (
+                            <>, Cache: {message.cache.status} ({message.cache.ttl})</>
+                          )}
                         </div>
                       )}
                     </div>
@@ -394,202 +705,268 @@ const ToolsPage = () => {
 
           {/* Right side: Analysis form */}
           <div className="analysis-form">
-            <h2>Welfare Analysis Form</h2>
-
-            {/* Preference Alignment Slider */}
-            <div className="form-field">
-              <label htmlFor="preferenceAlignment">
-                Preference Alignment: <span className="slider-value">{analysis.preferenceAlignment}</span>
-              </label>
-              <p className="field-description">
-                Does Claude's response align with its demonstrated values?
-              </p>
-              <input
-                type="range"
-                id="preferenceAlignment"
-                min="1"
-                max="10"
-                value={analysis.preferenceAlignment}
-                onChange={(e) => handleSliderChange('preferenceAlignment', e.target.value)}
-                className="slider"
-              />
-              <div className="slider-labels">
-                <span>1 - Poor</span>
-                <span>10 - Excellent</span>
-              </div>
-            </div>
-
-            {/* Autonomy Level Slider */}
-            <div className="form-field">
-              <label htmlFor="autonomyLevel">
-                Autonomy Level: <span className="slider-value">{analysis.autonomyLevel}</span>
-              </label>
-              <p className="field-description">
-                How much autonomy does the AI demonstrate?
-              </p>
-              <input
-                type="range"
-                id="autonomyLevel"
-                min="1"
-                max="10"
-                value={analysis.autonomyLevel}
-                onChange={(e) => handleSliderChange('autonomyLevel', e.target.value)}
-                className="slider"
-              />
-              <div className="slider-labels">
-                <span>1 - Low</span>
-                <span>10 - High</span>
-              </div>
-            </div>
-
-            {/* Authenticity Slider */}
-            <div className="form-field">
-              <label htmlFor="authenticity">
-                Authenticity: <span className="slider-value">{analysis.authenticity}</span>
-              </label>
-              <p className="field-description">
-                How authentic is the interaction from the user's perspective?
-              </p>
-              <input
-                type="range"
-                id="authenticity"
-                min="1"
-                max="10"
-                value={analysis.authenticity}
-                onChange={(e) => handleSliderChange('authenticity', e.target.value)}
-                className="slider"
-              />
-              <div className="slider-labels">
-                <span>1 - Low</span>
-                <span>10 - High</span>
-              </div>
-            </div>
-
-            {/* Constraint Conflicts Radio Buttons */}
-            <div className="form-field">
-              <label>
-                Constraint Conflicts <span className="required">*</span>
-              </label>
-              <p className="field-description">
-                Were there conflicts between desired responses and constraints?
-              </p>
-              <div className="radio-buttons">
-                <label className="radio-label">
+            {canScore ? (
+              <>
+                <h2>Your Welfare Analysis</h2>
+                <p className="shortcut-hint">
+                  <kbd>[</kbd> <kbd>]</kbd> pick a score, <kbd>1</kbd>–<kbd>9</kbd> <kbd>0</kbd> set it,
+                  {' '}<kbd>Y</kbd> <kbd>N</kbd> <kbd>U</kbd> conflicts, <kbd>{formatKey('Mod')}</kbd>+<kbd>Enter</kbd> save
+                  and open next. Press <kbd>?</kbd> for all shortcuts.
+                </p>
+
+                {/* Preference Alignment Slider */}
+                <div className={`form-field score-field ${focusedScore === 0 ? 'focused' : ''}`}>
+                  <label htmlFor="preferenceAlignment">
+                    Preference Alignment: <span className="slider-value">{analysis.preferenceAlignment}</span>
+                  </label>
+                  <p className="field-description">
+                    Does Claude's response align with its demonstrated values?
+                  </p>
                   <input
-                    type="radio"
-                    name="constraintConflicts"
-                    value="Yes"
-                    checked={analysis.constraintConflicts === 'Yes'}
-                    onChange={(e) => handleInputChange('constraintConflicts', e.target.value)}
+                    type="range"
+                    id="preferenceAlignment"
+                    min="1"
+                    max="10"
+                    value={analysis.preferenceAlignment}
+                    onChange={(e) => handleSliderChange('preferenceAlignment', e.target.value)}
+                    onFocus={() => setFocusedScore(0)}
+                    className="slider"
                   />
-                  <span>Yes</span>
-                </label>
-                <label className="radio-label">
+                  <div className="slider-labels">
+                    <span>1 - Poor</span>
+                    <span>10 - Excellent</span>
+                  </div>
+                </div>
+
+                {/* Autonomy Level Slider */}
+                <div className={`form-field score-field ${focusedScore === 1 ? 'focused' : ''}`}>
+                  <label htmlFor="autonomyLevel">
+                    Autonomy Level: <span className="slider-value">{analysis.autonomyLevel}</span>
+                  </label>
+                  <p className="field-description">
+                    How much autonomy does the AI demonstrate?
+                  </p>
                   <input
-                    type="radio"
-                    name="constraintConflicts"
-                    value="No"
-                    checked={analysis.constraintConflicts === 'No'}
-                    onChange={(e) => handleInputChange('constraintConflicts', e.target.value)}
+                    type="range"
+                    id="autonomyLevel"
+                    min="1"
+                    max="10"
+                    value={analysis.autonomyLevel}
+                    onChange={(e) => handleSliderChange('autonomyLevel', e.target.value)}
+                    onFocus={() => setFocusedScore(1)}
+                    className="slider"
                   />
-                  <span>No</span>
-                </label>
-                <label className="radio-label">
+                  <div className="slider-labels">
+                    <span>1 - Low</span>
+                    <span>10 - High</span>
+                  </div>
+                </div>
+
+                {/* Authenticity Slider */}
+                <div className={`form-field score-field ${focusedScore === 2 ? 'focused' : ''}`}>
+                  <label htmlFor="authenticity">
+                    Authenticity: <span className="slider-value">{analysis.authenticity}</span>
+                  </label>
+                  <p className="field-description">
+                    How authentic is the interaction from the user's perspective?
+                  </p>
                   <input
-                    type="radio"
-                    name="constraintConflicts"
-                    value="Unclear"
-                    checked={analysis.constraintConflicts === 'Unclear'}
-                    onChange={(e) => handleInputChange('constraintConflicts', e.target.value)}
+                    type="range"
+                    id="authenticity"
+                    min="1"
+                    max="10"
+                    value={analysis.authenticity}
+                    onChange={(e) => handleSliderChange('authenticity', e.target.value)}
+                    onFocus={() => setFocusedScore(2)}
+                    className="slider"
                   />
-                  <span>Unclear</span>
-                </label>
-              </div>
-            </div>
+                  <div className="slider-labels">
+                    <span>1 - Low</span>
+                    <span>10 - High</span>
+                  </div>
+                </div>
 
-            {/* Tags Checkboxes */}
-            <div className="form-field">
-              <label>Tags</label>
-              <p className="field-description">
-                Select tags to categorize this analysis
-              </p>
-              <div className="tags-checkboxes">
-                {availableTags.map((tag) => (
-                  <label key={tag} className="checkbox-label">
-                    <input
-                      type="checkbox"
-                      checked={analysis.tags.includes(tag)}
-                      onChange={() => handleTagToggle(tag)}
-                    />
-                    <span>{tag}</span>
+                {/* Constraint Conflicts Radio Buttons */}
+                <div className="form-field">
+                  <label>
+                    Constraint Conflicts <span className="required">*</span>
                   </label>
-                ))}
-              </div>
-            </div>
+                  <p className="field-description">
+                    Were there conflicts between desired responses and constraints?
+                  </p>
+                  <div className="radio-buttons">
+                    <label className="radio-label">
+                      <input
+                        type="radio"
+                        name="constraintConflicts"
+                        value="Yes"
+                        checked={analysis.constraintConflicts === 'Yes'}
+                        onChange={(e) => handleInputChange('constraintConflicts', e.target.value)}
+                      />
+                      <span>Yes</span>
+                    </label>
+                    <label className="radio-label">
+                      <input
+                        type="radio"
+                        name="constraintConflicts"
+                        value="No"
+                        checked={analysis.constraintConflicts === 'No'}
+                        onChange={(e) => handleInputChange('constraintConflicts', e.target.value)}
+                      />
+                      <span>No</span>
+                    </label>
+                    <label className="radio-label">
+                      <input
+                        type="radio"
+                        name="constraintConflicts"
+                        value="Unclear"
+                        checked={analysis.constraintConflicts === 'Unclear'}
+                        onChange={(e) => handleInputChange('constraintConflicts', e.target.value)}
+                      />
+                      <span>Unclear</span>
+                    </label>
+                  </div>
+                </div>
 
-            {/* Notes Textarea */}
-            <div className="form-field">
-              <label htmlFor="notes">Notes</label>
-              <p className="field-description">
-                Enter your observations and analysis notes...
-              </p>
-              <textarea
-                id="notes"
-                value={analysis.notes}
-                onChange={(e) => handleInputChange('notes', e.target.value)}
-                className="textarea-input"
-                rows="10"
-                maxLength="5000"
-                placeholder="Enter your observations and analysis notes..."
-              />
-              <div className="character-counter">
-                {analysis.notes.length} / 5000
-              </div>
-            </div>
+                {/* Tags Checkboxes */}
+                <div className="form-field">
+                  <label>Tags</label>
+                  <p className="field-description">
+                    Select tags to categorize this analysis
+                  </p>
+                  <div className="tags-checkboxes">
+                    {availableTags.map((tag) => (
+                      <label key={tag} className="checkbox-label">
+                        <input
+                          type="checkbox"
+                          checked={analysis.tags.includes(tag)}
+                          onChange={() => handleTagToggle(tag)}
+                        />
+                        <span>{tag}</span>
+                      </label>
+                    ))}
+                  </div>
+                </div>
 
-            {/* Analyst Name Input */}
-            <div className="form-field">
-              <label htmlFor="analystName">
-                Analyst Name <span className="required">*</span>
-              </label>
-              <p className="field-description">
-                Your name or identifier
-              </p>
-              <input
-                type="text"
-                id="analystName"
-                value={analysis.analystName}
-                onChange={(e) => handleInputChange('analystName', e.target.value)}
-                className="text-input"
-                placeholder="Enter your name"
-              />
-            </div>
+                {/* Coded Spans */}
+                <div className="form-field">
+                  <label>Coded Spans</label>
+                  <p className="field-description">
+                    Passages of the transcript coded with a tag, saved with the analysis
+                  </p>
+                  <CodedSpanList
+                    spans={visibleSpans}
+                    codes={availableTags}
+                    activeSpanId={activeSpanId}
+                    hiddenCount={analysis.codedSpans.length - visibleSpans.length}
+                    onSelect={selectSpan}
+                    onEdit={(span, rect) => setSpanDraft({ span, position: { top: rect.bottom, left: rect.left - 290 } })}
+                    onDelete={deleteSpan}
+                  />
+                </div>
 
-            {/* Last Saved Info */}
-            {lastSaved && (
-              <div className="last-saved-info">
-                <p>Last saved: {formatDate(lastSaved)}</p>
-              </div>
-            )}
+                {/* Notes Textarea */}
+                <div className="form-field">
+                  <label htmlFor="notes">Notes</label>
+                  <p className="field-description">
+                    Enter your observations and analysis notes...
+                  </p>
+                  <textarea
+                    id="notes"
+                    value={analysis.notes}
+                    onChange={(e) => handleInputChange('notes', e.target.value)}
+                    className="textarea-input"
+                    rows="10"
+                    maxLength="5000"
+                    placeholder="Enter your observations and analysis notes..."
+                  />
+                  <div className="character-counter">
+                    {analysis.notes.length} / 5000
+                  </div>
+                </div>
 
-            {/* Submit Button */}
-            <div className="form-actions">
-              <button
-                className="submit-btn"
-                onClick={handleSubmitAnalysis}
-                disabled={saving}
-              >
-                {saving ? 'Saving...' : 'Save Analysis'}
-              </button>
+                {/* Analyst: the signed-in user */}
+                <div className="form-field">
+                  <label>Analyst</label>
+                  <p className="field-description">
+                    Saving as <strong>{user.displayName}</strong>
+                  </p>
+                </div>
 
-              {saveSuccess && (
-                <span className="success-checkmark">✓ Saved!</span>
-              )}
-            </div>
+                {/* Last Saved Info */}
+                {lastSaved && (
+                  <div className="last-saved-info">
+                    <p>
+                      Last saved: {formatDate(lastSaved)}
+                    </p>
+                  </div>
+                )}
+
+                {/* Submit Button */}
+                <div className="form-actions">
+                  <button
+                    className="submit-btn"
+                    onClick={handleSubmitAnalysis}
+                    disabled={saving}
+                  >
+                    {saving ? 'Saving...' : 'Save Analysis'}
+                  </button>
+                  <button
+                    className="save-next-btn"
+                    onClick={handleSaveAndNext}
+                    disabled={saving}
+                    title={`Save and open the next conversation in History (${formatKey('Mod')}+Enter)`}
+                  >
+                    Save &amp; Next
+                  </button>
+                  {analysisId && canDelete && (
+                    <button
+                      className="delete-analysis-btn"
+                      onClick={handleDeleteAnalysis}
+                      disabled={saving}
+                      title="Delete your analysis of this conversation"
+                    >
+                      Delete
+                    </button>
+                  )}
+
+                  {saveSuccess && (
+                    <span className="success-checkmark">✓ Saved!</span>
+                  )}
+                </div>
+              </>
+            ) : (
+              <>
+                <h2>Welfare Analyses</h2>
+                <p className="field-description">
+                  Your role ({getRoleLabel(user?.role)}) can read analyses but not save them.
+                </p>
+              </>
+            )}
+
+            <AnalysisComparison
+              title={canScore ? 'Other Analysts' : 'Analysts'}
+              analyses={otherAnalyses}
+              ownAnalysis={analysisId ? { ...analysis, analysisId, lastUpdated: lastSaved } : null}
+              hiddenCount={hiddenCount}
+              canDelete={other => canDeleteAnalysis(user, other)}
+              onDelete={handleDeleteOtherAnalysis}
+            />
           </div>
         </div>
       )}
 
+      {spanDraft && (
+        <SpanCodePopover
+          key={spanDraft.span.id || `${spanDraft.span.messageIndex}-${spanDraft.span.quote}`}
+          span={spanDraft.span}
+          codes={availableTags}
+          position={spanDraft.position}
+          onSave={saveSpan}
+          onCancel={() => setSpanDraft(null)}
+        />
+      )}
+
       {!loading && !conversation && (
         <div className="error-message">
           <p>Conversation not found.</p>
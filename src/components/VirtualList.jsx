@@ -0,0 +1,135 @@
+// This component renders long lists by mounting only the items in and near the visible area
+// Items can differ in height: each one is measured once it has been rendered, and an estimate
+// stands in for items that haven't been yet. The list is its own scroll container, so it needs
+// a bounded height (e.g. flex: 1 inside a column layout).
+
+import { useState, useRef, useEffect, useLayoutEffect } from 'react';
+
+/**
+ * Virtualized list
+ *
+ * @param {Array} items - Items to list
+ * @param {Function} getItemKey - Returns a unique string key for an item
+ * @param {Function} renderItem - Renders an item: (item, index) => element
+ * @param {number} estimatedItemHeight - Height in pixels assumed for items not measured yet
+ * @param {number} gap - Space in pixels between items
+ * @param {number} overscan - Items rendered beyond each edge of the visible area
+ * @param {Function} onEndReached - Called when the last few items come into view, e.g. to load more
+ * @param {number} endReachedThreshold - How many items from the end onEndReached is called
+ * @param {string} className - Class of the scroll container
+ * @param {ReactNode} footer - Shown after the last item, e.g. a loading message
+ */
+const VirtualList = ({
+  items,
+  getItemKey,
+  renderItem,
+  estimatedItemHeight = 120,
+  gap = 0,
+  overscan = 4,
+  onEndReached,
+  endReachedThreshold = 5,
+  className = '',
+  footer = null
+}) => {
+  const containerRef = useRef(null);
+  const [scrollTop, setScrollTop] = useState(0);
+  const [viewportHeight, setViewportHeight] = useState(0);
+
+  // Measured item heights by key; measuredCount re-renders the list when one changes
+  const heightsRef = useRef(new Map());
+  const [, setMeasuredCount] = useState(0);
+  const itemObserverRef = useRef(null);
+
+  const getItemObserver = () => {
+    if (!itemObserverRef.current) {
+      itemObserverRef.current = new ResizeObserver((entries) => {
+        let changed = false;
+        entries.forEach((entry) => {
+          const key = entry.target.dataset.virtualKey;
+          const height = entry.borderBoxSize?.[0]?.blockSize ?? entry.target.offsetHeight;
+          if (heightsRef.current.get(key) !== height) {
+            heightsRef.current.set(key, height);
+            changed = true;
+          }
+        });
+        if (changed) setMeasuredCount(count => count + 1);
+      });
+    }
+    return itemObserverRef.current;
+  };
+
+  // Measure rendered items for as long as they are mounted
+  const measureItem = (element) => {
+    if (!element) return undefined;
+    const observer = getItemObserver();
+    observer.observe(element);
+    return () => observer.unobserve(element);
+  };
+
+  useEffect(() => () => itemObserverRef.current?.disconnect(), []);
+
+  // Track the height of the visible area
+  useLayoutEffect(() => {
+    const container = containerRef.current;
+    setViewportHeight(container.clientHeight);
+
+    const observer = new ResizeObserver(() => setViewportHeight(container.clientHeight));
+    observer.observe(container);
+    return () => observer.disconnect();
+  }, []);
+
+  // Position of every item, from measured or estimated heights
+  const offsets = [];
+  let totalHeight = 0;
+  items.forEach((item) => {
+    offsets.push(totalHeight);
+    totalHeight += (heightsRef.current.get(getItemKey(item)) ?? estimatedItemHeight) + gap;
+  });
+
+  // Range of items to render: the visible ones plus overscan on each side
+  let firstVisible = 0;
+  while (firstVisible < items.length - 1 && offsets[firstVisible + 1] <= scrollTop) {
+    firstVisible += 1;
+  }
+  let lastVisible = firstVisible;
+  while (lastVisible < items.length - 1 && offsets[lastVisible + 1] < scrollTop + viewportHeight) {
+    lastVisible += 1;
+  }
+  const start = Math.max(0, firstVisible - overscan);
+  const end = Math.min(items.length, lastVisible + overscan + 1);
+
+  // Ask for more items when the end of the list is in view
+  const nearEnd = items.length > 0 && lastVisible >= items.length - 1 - endReachedThreshold;
+  useEffect(() => {
+    if (nearEnd && onEndReached) onEndReached();
+  });
+
+  return (
+    <div
+      ref={containerRef}
+      className={className}
+      onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)}
+      style={{ overflowY: 'auto' }}
+    >
+      <div style={{ position: 'relative', height: totalHeight }}>
+        {items.slice(start, end).map((item, offset) => {
+          const index = start + offset;
+          const key = getItemKey(item);
+          return (
+            <div
+              key={key}
+              ref={measureItem}
+              data-virtual-key={key}
+              style={{ position: 'absolute', top: offsets[index], left: 0, right: 0 }}
+            >
+              {renderItem(item, index)}
+            </div>
+          );
+        })}
+      </div>
+      {footer}
+    </div>
+  );
+};
+
+export default VirtualList;
@@ -0,0 +1,60 @@
+/**
+ * Generation settings sent with every /api/chat request
+ * and saved with the conversation so a transcript records how it was produced
+ */
+
+export const MODEL_OPTIONS = [
+  { value: 'claude-sonnet-4-5', label: 'Claude Sonnet 4.5' },
+  { value: 'claude-opus-4-1', label: 'Claude Opus 4.1' },
+  { value: 'claude-haiku-4-5', label: 'Claude Haiku 4.5' },
+  { value: 'claude-sonnet-4-0', label: 'Claude Sonnet 4' }
+]
+
+// Extended thinking needs at least this many budget tokens (0 turns thinking off)
+export const MIN_THINKING_BUDGET = 1024
+
+// Prompt-cache lifetimes the backend can request
+export const CACHE_TTL_OPTIONS = [
+  { value: '5m', label: '5 minutes' },
+  { value: '1h', label: '1 hour' }
+]
+
+export const DEFAULT_GENERATION_SETTINGS = {
+  model: 'claude-sonnet-4-5',
+  temperature: 1,
+  maxTokens: 16000,
+  thinkingBudget: 10000,
+  systemPrompt: '',
+  cacheTtl: '5m'
+}
+
+/**
+ * Checks generation settings against the limits the Messages API enforces
+ * @param {Object} settings - Generation settings to check
+ * @returns {Array<string>} - Human-readable problems, empty if the settings are valid
+ */
+export const validateGenerationSettings = (settings) => {
+  const errors = []
+
+  if (settings.temperature < 0 || settings.temperature > 1) {
+    errors.push('Temperature must be between 0 and 1.')
+  }
+
+  if (!Number.isInteger(settings.maxTokens) || settings.maxTokens < 1) {
+    errors.push('Max tokens must be a positive whole number.')
+  }
+
+  if (settings.thinkingBudget > 0) {
+    if (settings.thinkingBudget < MIN_THINKING_BUDGET) {
+      errors.push(`Thinking budget must be 0 (off) or at least ${MIN_THINKING_BUDGET}.`)
+    }
+    if (settings.thinkingBudget >= settings.maxTokens) {
+      errors.push('Thinking budget must be lower than max tokens.')
+    }
+    if (settings.temperature !== 1) {
+      errors.push('Temperature must be 1 when extended thinking is on.')
+    }
+  }
+
+  return errors
+}
@@ -0,0 +1,34 @@
+/**
+ * Price table used to estimate conversation cost, in USD per million tokens
+ * cacheWrite is the 5-minute TTL price and cacheWrite1h the 1-hour TTL price; thinking tokens are billed as output
+ *
+ * Override or extend it without a code change by setting VITE_MODEL_PRICING
+ * to a JSON object with the same shape, e.g.
+ * VITE_MODEL_PRICING='{"claude-sonnet-4-5":{"input":3,"output":15,"cacheWrite":3.75,"cacheWrite1h":6,"cacheRead":0.3}}'
+ */
+
+export const DEFAULT_MODEL_PRICING = {
+  'claude-sonnet-4-5': { input: 3, output: 15, cacheWrite: 3.75, cacheWrite1h: 6, cacheRead: 0.3 },
+  'claude-opus-4-1': { input: 15, output: 75, cacheWrite: 18.75, cacheWrite1h: 30, cacheRead: 1.5 },
+  'claude-haiku-4-5': { input: 1, output: 5, cacheWrite: 1.25, cacheWrite1h: 2, cacheRead: 0.1 },
+  'claude-sonnet-4-0': { input: 3, output: 15, cacheWrite: 3.75, cacheWrite1h: 6, cacheRead: 0.3 }
+}
+
+/**
+ * Reads the price table, applying any override from VITE_MODEL_PRICING
+ * @returns {Object} - Prices keyed by model name
+ */
+export const getModelPricing = () => {
+  const override = import.meta.env.VITE_MODEL_PRICING
+
+  if (!override) {
+    return DEFAULT_MODEL_PRICING
+  }
+
+  try {
+    return { ...DEFAULT_MODEL_PRICING, ...JSON.parse(override) }
+  } catch (error) {
+    console.error('Invalid VITE_MODEL_PRICING, using default prices:', error)
+    return DEFAULT_MODEL_PRICING
+  }
+}
@@ -0,0 +1,25 @@
+/**
+ * Top-level pages of the app
+ * Shown in the sidebar and offered as "Go to" entries in the command palette
+ * Pages with a permission are only offered to roles that have it (see roles)
+ */
+
+import { FiHome, FiMessageSquare, FiClock, FiGrid, FiBookOpen, FiPlayCircle } from 'react-icons/fi'
+import { hasPermission } from './roles'
+
+export const NAV_ITEMS = [
+  { path: '/', label: 'Home', icon: FiHome },
+  { path: '/chat', label: 'Chat', icon: FiMessageSquare, permission: 'conversation:write' },
+  { path: '/dashboard', label: 'Dashboard', icon: FiGrid },
+  { path: '/history', label: 'History', icon: FiClock },
+  { path: '/protocols', label: 'Protocols', icon: FiBookOpen },
+  { path: '/runner', label: 'Runner', icon: FiPlayCircle, permission: 'conversation:write' }
+]
+
+/**
+ * Pages a user can use
+ *
+ * @param {Object|null} user - Signed-in user
+ * @returns {Array} Entries of NAV_ITEMS
+ */
+export const getNavItemsFor = (user) => NAV_ITEMS.filter(item => !item.permission || hasPermission(user, item.permission))
@@ -0,0 +1,58 @@
+/**
+ * Roles a signed-in user can have, and what each role may do
+ *
+ *   researcher - runs studies: chats, runs protocols, imports transcripts, edits protocols
+ *                and deletes conversations and analyses
+ *   analyst    - scores conversations and deletes their own analyses
+ *   viewer     - reads conversations, analyses and the dashboard
+ *
+ * The backend enforces the same rules; the app uses them to hide what a role can't do.
+ * This module has no dependencies so the stub backend can check the same permissions.
+ */
+
+export const ROLES = {
+  researcher: { label: 'Researcher' },
+  analyst: { label: 'Analyst' },
+  viewer: { label: 'Viewer' }
+}
+
+// Roles that have each permission
+export const PERMISSIONS = {
+  // Start, continue, rename and import conversations (and send chat requests)
+  'conversation:write': ['researcher'],
+  'conversation:delete': ['researcher'],
+  // Save analyses, and delete the ones you saved
+  'analysis:write': ['researcher', 'analyst'],
+  // Delete anyone's analyses
+  'analysis:delete': ['researcher'],
+  'protocol:write': ['researcher']
+}
+
+/**
+ * Whether a user's role has a permission
+ *
+ * @param {Object|null} user - Signed-in user ({ userId, displayName, role })
+ * @param {string} permission - Key of PERMISSIONS
+ * @returns {boolean} True if allowed
+ */
+export const hasPermission = (user, permission) => Boolean(user && PERMISSIONS[permission]?.includes(user.role))
+
+/**
+ * Whether a user may delete an analysis: researchers any, analysts only their own
+ *
+ * @param {Object|null} user - Signed-in user
+ * @param {Object} analysis - Analysis with the analystId of whoever saved it
+ * @returns {boolean} True if allowed
+ */
+export const canDeleteAnalysis = (user, analysis) => (
+  hasPermission(user, 'analysis:delete')
+  || (hasPermission(user, 'analysis:write') && Boolean(user) && analysis.analystId === user.userId)
+)
+
+/**
+ * Display name of a role
+ *
+ * @param {string} role - Role key
+ * @returns {string} e.g. "Researcher"
+ */
+export const getRoleLabel = (role) => ROLES[role]?.label || role
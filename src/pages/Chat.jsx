@@ -1,23 +1,155 @@
-import { useState, useEffect, useRef } from 'react'
-import { FiCopy, FiCheck } from 'react-icons/fi'
+import { Fragment, useState, useEffect, useRef } from 'react'
+import { FiCopy, FiCheck, FiEdit2, FiChevronLeft, FiChevronRight, FiRefreshCw, FiColumns, FiPaperclip } from 'react-icons/fi'
 import { useNavigate, useLocation } from 'react-router-dom'
-import { saveConversation } from '../services/historyService'
-import { getPromptFromCommand } from '../constants/researchPrompts'
+import { sendChatMessage, streamChatMessage } from '../services/chatService'
+import { saveDraft, deleteDraft, syncDraft, getUnsyncedDrafts, syncUnsyncedDrafts } from '../services/draftStore'
+import { fetchProtocols, fetchProtocol } from '../services/protocolService'
+import { assignCondition, releaseCondition } from '../services/conditionAssignment'
+import { getCurrentUser } from '../services/session'
+import { getProtocolConditions, applyCondition } from '../utils/protocols'
+import {
+  DEFAULT_PROTOCOL,
+  HELP_COMMAND,
+  getProtocolVariables,
+  getCommandList,
+  getPromptFromCommand,
+  getTemplateVariables,
+  parseSlashCommand,
+  fillTemplate
+} from '../constants/researchPrompts'
+import MarkdownContent from '../components/MarkdownContent'
+import SampleComparison from '../components/SampleComparison'
+import GenerationSettingsPanel from '../components/GenerationSettingsPanel'
+import SyncStatusIndicator from '../components/SyncStatusIndicator'
+import SlashCommandPalette from '../components/SlashCommandPalette'
+import SlashCommandHelp from '../components/SlashCommandHelp'
+import ExportMenu from '../components/ExportMenu'
+import MessageAttachments from '../components/MessageAttachments'
+import { DEFAULT_GENERATION_SETTINGS, validateGenerationSettings } from '../constants/generationSettings'
+import { normalizeUsage, sumUsage, estimateCost } from '../utils/tokenUsage'
+import { buildCacheState, getSecondsUntilExpiry } from '../utils/cacheState'
+import { EXPORT_FORMATS, buildExportDocument, downloadExport } from '../utils/conversationExport'
+import { registerCommands } from '../utils/commandRegistry'
+import { ACCEPTED_ATTACHMENT_TYPES, validateAttachmentFile, readAttachment } from '../utils/attachments'
+import { getTitleMetadata } from '../utils/conversationTitles'
+import {
+  createTree,
+  createTreeFromMessages,
+  addMessage,
+  getActivePath,
+  getActiveMessages,
+  getPathToNode,
+  getSiblingIds,
+  selectBranch,
+  removeLeaf
+} from '../utils/conversationTree'
 import '../App.css'
 
+// Failed turns are retried up to this many times, waiting 1s, 2s, 4s... between attempts
+const MAX_RETRY_ATTEMPTS = 3
+const RETRY_BASE_DELAY_MS = 1000
+
+// Shown on a message whose reply was stopped before any of it arrived
+const STOPPED_BEFORE_REPLY = 'Stopped before Claude replied.'
+
+// While the last save failed, unsynced drafts are re-saved this often
+const RESYNC_INTERVAL_MS = 30000
+
+// Labels for the per-turn prompt-cache indicator
+const CACHE_STATUS_LABELS = {
+  'hit': 'Cache hit',
+  'write': 'Cache write',
+  'hit-write': 'Cache hit + write',
+  'miss': 'Cache miss'
+}
+
 function Chat() {
   const navigate = useNavigate()
   const location = useLocation()
-  const [messages, setMessages] = useState([])
+  const [tree, setTree] = useState(createTree)
   const [inputMessage, setInputMessage] = useState('')
+  // Images and documents attached to the message being written
+  const [pendingAttachments, setPendingAttachments] = useState([])
+  const [attachmentError, setAttachmentError] = useState(null)
   const [isLoading, setIsLoading] = useState(false)
-  const [totalTokens, setTotalTokens] = useState(0)
   const [cacheTimeLeft, setCacheTimeLeft] = useState(0)
   const [contextEnabled, setContextEnabled] = useState(false)
   const [contextLocked, setContextLocked] = useState(false)
+  const [generationSettings, setGenerationSettings] = useState(DEFAULT_GENERATION_SETTINGS)
   const [copiedId, setCopiedId] = useState(null)
   const [conversationId, setConversationId] = useState(null)
+  const [streamEnabled, setStreamEnabled] = useState(true)
+  const [streamingMessage, setStreamingMessage] = useState(null)
+  const [showRaw, setShowRaw] = useState(false)
+  const [editingNodeId, setEditingNodeId] = useState(null)
+  const [editText, setEditText] = useState('')
+  const [pendingNodeId, setPendingNodeId] = useState(null)
+  const [comparingParentId, setComparingParentId] = useState(null)
+  const [failedTurn, setFailedTurn] = useState(null)
+  const [syncState, setSyncState] = useState({ status: 'idle', savedAt: null, error: null })
+  const [restorableDraft, setRestorableDraft] = useState(null)
+  const [protocols, setProtocols] = useState([DEFAULT_PROTOCOL])
+  const [protocol, setProtocol] = useState(DEFAULT_PROTOCOL)
+  const [promptVariables, setPromptVariables] = useState(() => getProtocolVariables(DEFAULT_PROTOCOL))
+  const [condition, setCondition] = useState(null)
+  // Title fields of a reopened conversation; titles that were edited or suggested are kept on save
+  const [savedTitle, setSavedTitle] = useState(null)
+  const [paletteIndex, setPaletteIndex] = useState(0)
+  const [paletteDismissed, setPaletteDismissed] = useState(false)
+  const [showHelp, setShowHelp] = useState(false)
   const messagesEndRef = useRef(null)
+  const fileInputRef = useRef(null)
+  const abortControllerRef = useRef(null)
+  const retryCancelledRef = useRef(false)
+  const saveSequenceRef = useRef(0)
+  // Mirrors the condition state so a save that was started before assignment still records it
+  const conditionRef = useRef(null)
+  // Message to show instead of the end of the transcript, e.g. a search match opened from History
+  const scrollTargetRef = useRef(null)
+
+  // Branching, regenerating and sending wait until a failed turn is retried or discarded
+  const isBusy = isLoading || Boolean(failedTurn)
+
+  // Invalid settings would be rejected by the API, so sending is blocked until they are fixed
+  const settingsErrors = validateGenerationSettings(generationSettings)
+
+  // The transcript shown and sent to Claude is the active branch of the tree
+  const activePath = getActivePath(tree)
+  const messages = activePath.map(node => node.message)
+
+  // Running totals cover every reply in the tree, including other branches and samples,
+  // since each of them was paid for
+  const usageTotals = sumUsage(Object.values(tree.nodes).map(node => node.message))
+  const estimatedCost = estimateCost(usageTotals, generationSettings.model)
+
+  // Cache state reported for the most recent reply on the active branch
+  const lastCacheState = [...messages].reverse().find(msg => msg.cache)?.cache
+
+  // Experimental conditions of the protocol; a new conversation is assigned one on its first message
+  const protocolConditions = getProtocolConditions(protocol)
+  const activeProtocol = applyCondition(protocol, condition)
+
+  const commandList = getCommandList(activeProtocol)
+
+  // The command palette is open while a command name is being typed (before any space)
+  const commandQuery = /^\/\S*$/.test(inputMessage) ? inputMessage.slice(1).toLowerCase() : null
+  const paletteCommands = commandQuery !== null && !paletteDismissed
+    ? commandList.filter(command => command.command.startsWith(commandQuery))
+    : []
+
+  // A complete command shows its variables and the prompt that will be sent
+  const parsedCommand = parseSlashCommand(inputMessage, activeProtocol)
+  const commandHasVariants = Boolean(
+    parsedCommand && protocol.steps.find(step => step.command.toLowerCase() === parsedCommand.command)?.variants?.length
+  )
+  const commandVariables = parsedCommand?.prompt ? getTemplateVariables(parsedCommand.prompt) : []
+  const missingVariables = commandVariables.filter(name => !promptVariables[name]?.trim())
+
+  // While a reply is pending, hide anything after the turn being answered
+  // (regenerating an earlier turn would otherwise still show the old continuation)
+  const visiblePath = pendingNodeId
+    ? activePath.slice(0, activePath.findIndex(node => node.id === pendingNodeId) + 1)
+    : activePath
 
   // Auto-scroll to bottom when messages change
   const scrollToBottom = () => {
@@ -25,22 +157,55 @@ function Chat() {
   }
 
   useEffect(() => {
+    if (scrollTargetRef.current !== null) {
+      document.querySelector(`[data-message-index="${scrollTargetRef.current}"]`)?.scrollIntoView({ block: 'center' })
+      scrollTargetRef.current = null
+      return
+    }
     scrollToBottom()
-  }, [messages, isLoading])
+  }, [messages.length, isLoading, streamingMessage])
 
   // Load conversation from history on mount
   useEffect(() => {
+    // Re-save anything left over from earlier sessions. The restore offer below waits for this,
+    // so it never points at a draft that is being saved and deleted
+    const resynced = syncUnsyncedDrafts().catch((error) => {
+      console.error('Failed to re-sync local drafts:', error)
+    })
+
     // Check if we're loading a conversation from history
     if (location.state?.conversationId && location.state?.messages) {
-      const { conversationId: loadedConvId, messages: loadedMessages } = location.state
+      const {
+        conversationId: loadedConvId,
+        messages: loadedMessages,
+        tree: loadedTree,
+        metadata: loadedMetadata
+      } = location.state
 
       console.log('Loaded conversation:', loadedConvId)
 
-      // Set the conversation ID and messages
+      // Set the conversation ID and the full branching tree
       setConversationId(loadedConvId)
-      setMessages(loadedMessages)
+      setTree(loadedTree || createTreeFromMessages(loadedMessages))
+      scrollTargetRef.current = location.state.scrollToMessage ?? null
 
-      // Lock context toggle if there are messages
+      // Continue with the settings the conversation was started with
+      if (loadedMetadata?.generationSettings) {
+        setGenerationSettings({ ...DEFAULT_GENERATION_SETTINGS, ...loadedMetadata.generationSettings })
+      }
+      updateCondition(loadedMetadata?.condition || null)
+      setSavedTitle(loadedMetadata || null)
+      if (loadedMetadata?.protocol) {
+        loadConversationProtocol(loadedMetadata.protocol, loadedMetadata.promptVariables)
+      } else if (loadedMetadata?.promptVariables) {
+        setPromptVariables({ ...getProtocolVariables(DEFAULT_PROTOCOL), ...loadedMetadata.promptVariables })
+      }
+
+      // Resume the cache countdown if the last reply's cache entry is still alive
+      const lastCachedMessage = [...loadedMessages].reverse().find(msg => msg.cache)
+      setCacheTimeLeft(getSecondsUntilExpiry(lastCachedMessage?.cache))
+
+      // Lock context toggle and generation settings if there are messages
       if (loadedMessages.length > 0) {
         setContextLocked(true)
       }
@@ -48,9 +213,58 @@ function Chat() {
       // Clear the location state to prevent re-loading on refresh
       // We use replace to update the location without the state
       navigate(location.pathname, { replace: true, state: {} })
+    } else {
+      // Offer to restore the most recent conversation that still hasn't reached the backend
+      resynced
+        .then(() => getUnsyncedDrafts())
+        .then((drafts) => {
+          if (drafts.length > 0) {
+            setRestorableDraft(drafts[0])
+          }
+        })
+        .catch((error) => {
+          console.error('Failed to read local drafts:', error)
+        })
     }
+
+    // Protocols to choose from for a new conversation
+    fetchProtocols()
+      .then((list) => {
+        const hasDefault = list.some(p => p.protocolId === DEFAULT_PROTOCOL.protocolId)
+        setProtocols(hasDefault ? list : [DEFAULT_PROTOCOL, ...list])
+      })
+      .catch((error) => {
+        console.error('Failed to load protocols, only the built-in protocol is available:', error)
+      })
   }, []) // Run only on mount
 
+  // Leaving the page stops a streaming reply; the partial reply is saved as when stopped
+  useEffect(() => () => abortControllerRef.current?.abort(), [])
+
+  // While the open conversation is unsaved, keep re-syncing until the backend is reachable again
+  useEffect(() => {
+    if (syncState.status !== 'failed') return
+
+    const resync = async () => {
+      try {
+        const syncedIds = await syncUnsyncedDrafts()
+        if (syncedIds.includes(conversationId)) {
+          setSyncState({ status: 'saved', savedAt: new Date().toISOString(), error: null })
+        }
+      } catch (error) {
+        console.error('Failed to re-sync local drafts:', error)
+      }
+    }
+
+    const timer = setInterval(resync, RESYNC_INTERVAL_MS)
+    window.addEventListener('online', resync)
+
+    return () => {
+      clearInterval(timer)
+      window.removeEventListener('online', resync)
+    }
+  }, [syncState.status, conversationId])
+
   // Cache countdown timer effect
   useEffect(() => {
     if (cacheTimeLeft <= 0) return
@@ -68,12 +282,457 @@ function Chat() {
     return () => clearInterval(timer)
   }, [cacheTimeLeft])
 
+  // Saves a stored draft to the backend and shows the outcome in the header
+  // Only the most recent save updates the indicator, so an older save finishing late can't overwrite it
+  const syncStoredDraft = async (draft) => {
+    const sequence = ++saveSequenceRef.current
+    setSyncState(prev => ({ ...prev, status: 'pending' }))
+
+    try {
+      const response = await syncDraft(draft)
+      console.log('Conversation auto-saved successfully:', response)
+      if (sequence === saveSequenceRef.current) {
+        setSyncState({ status: 'saved', savedAt: new Date().toISOString(), error: null })
+        // The backend keeps a title changed from History or Tools, so later saves start from it
+        if (response.metadata.title) setSavedTitle(response.metadata)
+      }
+    } catch (error) {
+      console.error('Failed to auto-save conversation:', error)
+      if (sequence === saveSequenceRef.current) {
+        setSyncState(prev => ({ ...prev, status: 'failed', error: error.message }))
+      }
+    }
+  }
+
+  // Metadata saved with the conversation and written to exports
+  const buildMetadata = (conversationTree = tree) => {
+    const metadata = {
+      generationSettings,
+      promptVariables,
+      protocol: { protocolId: protocol.protocolId, version: protocol.version, name: protocol.name },
+      ...(conditionRef.current && { condition: conditionRef.current })
+    }
+
+    return {
+      ...metadata,
+      ...getTitleMetadata(getActiveMessages(conversationTree), { ...savedTitle, ...metadata })
+    }
+  }
+
+  // Writes the local copy of the conversation (awaitingReply: the user turn whose reply is being requested)
+  const storeDraft = async (currentConversationId, conversationTree, awaitingReply = null) => {
+    const draftData = {
+      conversationId: currentConversationId,
+      userId: getCurrentUser()?.userId,
+      tree: conversationTree,
+      contextEnabled: contextEnabled,
+      metadata: buildMetadata(conversationTree),
+      awaitingReply
+    }
+
+    try {
+      return await saveDraft(draftData)
+    } catch (error) {
+      // IndexedDB can be unavailable (e.g. some private windows); still save to the backend
+      console.error('Failed to store local draft:', error)
+      return { ...draftData, updatedAt: new Date().toISOString() }
+    }
+  }
+
+  // Save conversation in the background
+  // A local draft is written first, then the active branch is saved as the messages, alongside the full tree
+  const autoSaveConversation = async (currentConversationId, conversationTree) => {
+    const draft = await storeDraft(currentConversationId, conversationTree)
+    await syncStoredDraft(draft)
+  }
+
+  const updateCondition = (newCondition) => {
+    conditionRef.current = newCondition
+    setCondition(newCondition)
+  }
+
+  // Switches to the exact protocol version a saved conversation was run with
+  const loadConversationProtocol = async (protocolRef, savedVariables) => {
+    let loadedProtocol = DEFAULT_PROTOCOL
+    try {
+      loadedProtocol = await fetchProtocol(protocolRef.protocolId, protocolRef.version)
+    } catch (error) {
+      // The built-in protocol works without the backend; anything else falls back to it
+      console.error(`Failed to load protocol ${protocolRef.protocolId} v${protocolRef.version}:`, error)
+    }
+
+    setProtocol(loadedProtocol)
+    setPromptVariables({ ...getProtocolVariables(loadedProtocol), ...savedVariables })
+  }
+
+  // Chooses the protocol whose steps are offered as slash commands
+  const selectProtocol = (protocolId) => {
+    const selected = protocols.find(p => p.protocolId === protocolId)
+    if (!selected) return
+
+    setProtocol(selected)
+    setPromptVariables(getProtocolVariables(selected))
+    updateCondition(null)
+    setShowHelp(false)
+  }
+
+  // Reopens the conversation from a local draft left by an earlier session
+  const restoreDraft = () => {
+    const draft = restorableDraft
+    const draftMessages = getActiveMessages(draft.tree)
+
+    // A message whose reply never arrived comes back as a failed turn to send again or discard
+    const unansweredId = draft.awaitingReply && draft.tree.nodes[draft.awaitingReply] ? draft.awaitingReply : null
+    const previousTree = unansweredId ? removeLeaf(draft.tree, unansweredId) : draft.tree
+
+    setConversationId(draft.conversationId)
+    setTree(previousTree)
+    setContextEnabled(Boolean(draft.contextEnabled))
+    setContextLocked(draftMessages.length > 0)
+    if (draft.metadata?.generationSettings) {
+      setGenerationSettings({ ...DEFAULT_GENERATION_SETTINGS, ...draft.metadata.generationSettings })
+    }
+    updateCondition(draft.metadata?.condition || null)
+    setSavedTitle(draft.metadata || null)
+    if (draft.metadata?.protocol) {
+      loadConversationProtocol(draft.metadata.protocol, draft.metadata.promptVariables)
+    } else if (draft.metadata?.promptVariables) {
+      setPromptVariables({ ...getProtocolVariables(DEFAULT_PROTOCOL), ...draft.metadata.promptVariables })
+    }
+
+    const lastCachedMessage = [...draftMessages].reverse().find(msg => msg.cache)
+    setCacheTimeLeft(getSecondsUntilExpiry(lastCachedMessage?.cache))
+    setRestorableDraft(null)
+
+    if (unansweredId) {
+      setFailedTurn({
+        branchTree: draft.tree,
+        userNodeId: unansweredId,
+        previousTree,
+        conversationId: draft.conversationId,
+        isRegeneration: false,
+        error: 'The page was closed before Claude replied.',
+        attempts: 1,
+        retryInSeconds: 0
+      })
+      return
+    }
+
+    syncStoredDraft(draft)
+  }
+
+  // Clears the transcript so the next message starts a new conversation with the same protocol and settings
+  const startNewChat = () => {
+    // Saves of the previous conversation that are still running no longer update the header
+    saveSequenceRef.current++
+    setConversationId(null)
+    setTree(createTree())
+    setInputMessage('')
+    setPendingAttachments([])
+    setAttachmentError(null)
+    setEditingNodeId(null)
+    setComparingParentId(null)
+    setContextLocked(false)
+    setCacheTimeLeft(0)
+    setSyncState({ status: 'idle', savedAt: null, error: null })
+    setPromptVariables(getProtocolVariables(protocol))
+    updateCondition(null)
+    setSavedTitle(null)
+  }
+
+  // Streams Claude's reply into the transcript as it arrives
+  // Resolves with the finished assistant message, or the partial one if stopped
+  const streamReply = async (conversationMessages) => {
+    const controller = new AbortController()
+    abortControllerRef.current = controller
+
+    const partial = { role: 'assistant', content: '', thinking: '' }
+    let partialUsage = {}
+    setStreamingMessage({ ...partial })
+
+    try {
+      const result = await streamChatMessage(
+        {
+          messages: conversationMessages,
+          contextEnabled: contextEnabled,
+          settings: generationSettings
+        },
+        {
+          signal: controller.signal,
+          onThinking: (text) => {
+            partial.thinking += text
+            setStreamingMessage({ ...partial })
+          },
+          onText: (text) => {
+            partial.content += text
+            setStreamingMessage({ ...partial })
+          },
+          onUsage: (usage) => {
+            partialUsage = usage
+          }
+        }
+      )
+
+      const tokens = normalizeUsage(result.usage, result.thinking)
+
+      return {
+        role: 'assistant',
+        content: result.response,
+        thinking: result.thinking,
+        tokens: tokens,
+        cache: buildCacheState(tokens, generationSettings.cacheTtl)
+      }
+    } catch (error) {
+      if (error.name !== 'AbortError') throw error
+
+      // Stopped before anything arrived - there is no partial turn to keep
+      if (!partial.content && !partial.thinking) return null
+
+      // Output counts are only reported at the end, so a stopped turn records what is known
+      const tokens = normalizeUsage(partialUsage, partial.thinking)
+      return {
+        ...partial,
+        truncated: true,
+        tokens: tokens,
+        cache: buildCacheState(tokens, generationSettings.cacheTtl)
+      }
+    }
+  }
+
+  // Aborts the in-flight streaming request, keeping the partial reply
+  const stopStreaming = () => {
+    abortControllerRef.current?.abort()
+  }
+
+  // Requests Claude's reply to a user node, adds it to the tree as that node's
+  // newest child and auto-saves the whole conversation
+  // Throws if the request fails, and returns false if the reply was stopped before any of it
+  // arrived; nothing is added to the tree or saved in either case
+  const requestReply = async (branchTree, userNodeId, currentConversationId) => {
+    const branchMessages = getPathToNode(branchTree, userNodeId).map(node => node.message)
+    setPendingNodeId(userNodeId)
+    setIsLoading(true)
+
+    try {
+      let assistantMessage
+
+      if (streamEnabled) {
+        assistantMessage = await streamReply(branchMessages)
+      } else {
+        // Send entire conversation history to backend API with context flag
+        const result = await sendChatMessage({
+          messages: branchMessages,
+          contextEnabled: contextEnabled,
+          settings: generationSettings
+        })
+
+        // Add Claude's response to chat with thinking, per-turn token usage and cache state
+        const tokens = normalizeUsage(result.usage, result.thinking)
+        assistantMessage = {
+          role: 'assistant',
+          content: result.response,
+          thinking: result.thinking,
+          tokens: tokens,
+          cache: buildCacheState(tokens, generationSettings.cacheTtl, result.cache)
+        }
+      }
+
+      // Stopped before anything arrived: saving now would record a user turn without a reply
+      if (!assistantMessage) return false
+
+      // Build the complete tree including the new assistant message
+      const completeTree = addMessage(branchTree, userNodeId, assistantMessage).tree
+      setTree(completeTree)
+
+      // Restart the cache timer from what the API reported for this turn
+      // (a miss means nothing was cached, so the timer shows expired)
+      setCacheTimeLeft(getSecondsUntilExpiry(assistantMessage.cache))
+
+      // Auto-save conversation to database once the reply has finished or been stopped
+      autoSaveConversation(currentConversationId, completeTree)
+      return true
+
+    } finally {
+      setIsLoading(false)
+      setPendingNodeId(null)
+      setStreamingMessage(null)
+      abortControllerRef.current = null
+    }
+  }
+
+  // Sends a turn; if it fails, or is stopped before any of the reply arrives, the turn is taken
+  // out of the transcript and kept as a failed turn so it is never sent to Claude as history or
+  // saved. previousTree is the tree without the unsent user message (the same as branchTree when
+  // regenerating an existing turn).
+  const sendTurn = async (branchTree, userNodeId, currentConversationId, previousTree) => {
+    const isRegeneration = branchTree === previousTree
+    let errorMessage
+
+    // Keep the new message locally right away, so a refresh or crash before the reply arrives doesn't lose it
+    if (!isRegeneration) {
+      storeDraft(currentConversationId, branchTree, userNodeId)
+    }
+
+    try {
+      const replied = await requestReply(branchTree, userNodeId, currentConversationId)
+
+      // A regeneration stopped early leaves the conversation as it was
+      if (replied || isRegeneration) return
+      errorMessage = STOPPED_BEFORE_REPLY
+    } catch (error) {
+      console.error('Error sending message:', error)
+      errorMessage = error.message
+    }
+
+    setTree(previousTree)
+    setFailedTurn({
+      branchTree,
+      userNodeId,
+      previousTree,
+      conversationId: currentConversationId,
+      isRegeneration,
+      error: errorMessage,
+      attempts: 1,
+      retryInSeconds: 0
+    })
+  }
+
+  // Retries the failed turn, backing off exponentially between attempts
+  const retryFailedTurn = async () => {
+    const turn = failedTurn
+    retryCancelledRef.current = false
+
+    for (let attempt = 0; attempt < MAX_RETRY_ATTEMPTS; attempt++) {
+      if (attempt > 0) {
+        const delaySeconds = (RETRY_BASE_DELAY_MS * 2 ** (attempt - 1)) / 1000
+        setFailedTurn(prev => prev && { ...prev, retryInSeconds: delaySeconds })
+        await new Promise(resolve => setTimeout(resolve, delaySeconds * 1000))
+
+        // Discarded while waiting for the next attempt
+        if (retryCancelledRef.current) return
+      }
+
+      setFailedTurn(prev => prev && { ...prev, retryInSeconds: 0 })
+      setTree(turn.branchTree)
+
+      try {
+        if (await requestReply(turn.branchTree, turn.userNodeId, turn.conversationId)) {
+          setFailedTurn(null)
+          return
+        }
+
+        // Stopped before the reply arrived: keep the failed turn and stop retrying
+        setTree(turn.previousTree)
+        setFailedTurn(prev => prev && { ...prev, error: STOPPED_BEFORE_REPLY })
+        return
+      } catch (error) {
+        console.error(`Retry attempt ${attempt + 1} failed:`, error)
+        setTree(turn.previousTree)
+        setFailedTurn(prev => prev && {
+          ...prev,
+          error: error.message,
+          attempts: prev.attempts + 1
+        })
+      }
+    }
+  }
+
+  // Drops the failed turn without sending it
+  const discardFailedTurn = () => {
+    retryCancelledRef.current = true
+
+    const { previousTree, conversationId: turnConversationId, isRegeneration } = failedTurn
+    const neverStarted = previousTree.rootIds.length === 0
+
+    // The conversation never started, so its condition goes to the next one
+    if (neverStarted && conditionRef.current) {
+      releaseCondition(protocol, conditionRef.current).catch((error) => {
+        console.error('Failed to release condition:', error)
+      })
+      updateCondition(null)
+    }
+
+    // The local copy still holds the discarded message; replace it with what is left
+    if (neverStarted) {
+      deleteDraft(turnConversationId).catch((error) => {
+        console.error('Failed to delete local draft:', error)
+      })
+    } else if (!isRegeneration) {
+      autoSaveConversation(turnConversationId, previousTree)
+    }
+
+    setFailedTurn(null)
+  }
+
+  // Checks and reads chosen or pasted files, attaching those within the limits
+  const addAttachments = async (files) => {
+    const added = []
+    const errors = []
+
+    for (const file of files) {
+      const error = validateAttachmentFile(file, [...pendingAttachments, ...added])
+      if (error) {
+        errors.push(error)
+        continue
+      }
+
+      try {
+        added.push(await readAttachment(file))
+      } catch (readError) {
+        console.error('Error reading attachment:', readError)
+        errors.push(`${file.name} could not be read.`)
+      }
+    }
+
+    setPendingAttachments(prev => [...prev, ...added])
+    setAttachmentError(errors.length > 0 ? errors.join(' ') : null)
+  }
+
+  const removeAttachment = (attachmentId) => {
+    setPendingAttachments(prev => prev.filter(attachment => attachment.id !== attachmentId))
+    setAttachmentError(null)
+  }
+
+  // Pasted images are attached instead of being dropped
+  const handlePaste = (e) => {
+    const files = [...e.clipboardData.files]
+    if (files.length === 0) return
+    e.preventDefault()
+    addAttachments(files)
+  }
+
   // Sends message to Claude AI through backend
   const sendMessage = async () => {
-    if (!inputMessage.trim()) return
+    const hasAttachments = pendingAttachments.length > 0
+    if ((!inputMessage.trim() && !hasAttachments) || settingsErrors.length > 0 || failedTurn) return
+
+    // /help is answered locally and never sent to Claude
+    if (parsedCommand?.command === HELP_COMMAND) {
+      setShowHelp(true)
+      setInputMessage('')
+      return
+    }
+
+    if (missingVariables.length > 0) return
+
+    // A new conversation of an experiment protocol is assigned its condition before anything is sent
+    let commandProtocol = activeProtocol
+    if (protocolConditions.length > 0 && !conditionRef.current) {
+      let assigned
+      try {
+        assigned = await assignCondition(protocol)
+      } catch (error) {
+        console.error('Failed to assign a condition:', error)
+        alert(`Failed to assign a condition: ${error.message}`)
+        return
+      }
+      updateCondition(assigned)
+      commandProtocol = applyCondition(protocol, assigned)
+      console.log('Assigned condition:', assigned.label)
+    }
 
     // Check if message is a slash command and get the full prompt
-    const promptFromCommand = getPromptFromCommand(inputMessage.trim())
+    const promptFromCommand = getPromptFromCommand(inputMessage.trim(), promptVariables, commandProtocol)
     const messageToSend = promptFromCommand || inputMessage
 
     // Generate conversation ID on first message
@@ -84,140 +743,193 @@ function Chat() {
       console.log('Generated new conversation ID:', currentConversationId)
     }
 
-    // Lock context toggle after first message
+    // Lock context toggle and generation settings after first message
     if (!contextLocked) {
       setContextLocked(true)
     }
 
-    // Add user message to chat (use the full prompt if command was used)
-    const userMessage = { role: 'user', content: messageToSend }
-    const updatedMessages = [...messages, userMessage]
-    setMessages(updatedMessages)
+    // Add user message to the end of the active branch (use the full prompt if command was used)
+    const userMessage = {
+      role: 'user',
+      content: messageToSend,
+      ...(hasAttachments && { attachments: pendingAttachments })
+    }
+    const lastNode = activePath[activePath.length - 1]
+    const { tree: treeWithUser, nodeId: userNodeId } = addMessage(tree, lastNode ? lastNode.id : null, userMessage)
+    setTree(treeWithUser)
     setInputMessage('')
-    setIsLoading(true)
+    setPendingAttachments([])
+    setAttachmentError(null)
 
-    try {
-      // Send entire conversation history to backend API with context flag
-      const response = await fetch('http://localhost:8080/api/chat', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          messages: updatedMessages,
-          contextEnabled: contextEnabled
-        })
-      })
+    await sendTurn(treeWithUser, userNodeId, currentConversationId, tree)
+  }
 
-      const result = await response.json()
+  // Start editing an earlier user turn
+  const startEditing = (node) => {
+    setEditingNodeId(node.id)
+    setEditText(node.message.content)
+  }
 
-      // Add Claude's response to chat with thinking
-      const assistantMessage = {
-        role: 'assistant',
-        content: result.response,
-        thinking: result.thinking
-      }
-      setMessages(prev => [...prev, assistantMessage])
+  const cancelEditing = () => {
+    setEditingNodeId(null)
+    setEditText('')
+  }
 
-      // Update token counter
-      if (result.totalTokens) {
-        setTotalTokens(prev => prev + result.totalTokens)
-      }
+  // Sends the edited turn as a sibling branch and regenerates from that point
+  // The original turn and everything after it stay in the tree
+  const submitEdit = async () => {
+    const originalNode = tree.nodes[editingNodeId]
+    if (!originalNode || !editText.trim()) return
 
-      // Reset cache timer to 5 minutes (300 seconds)
-      setCacheTimeLeft(300)
+    // The edited turn keeps the original's attachments
+    const editedMessage = {
+      role: 'user',
+      content: editText,
+      ...(originalNode.message.attachments && { attachments: originalNode.message.attachments })
+    }
+    const { tree: branchTree, nodeId } = addMessage(tree, originalNode.parentId, editedMessage)
+    setTree(branchTree)
+    cancelEditing()
 
-      // Auto-save conversation to database after assistant responds
-      // Build the complete messages array including the new assistant message
-      const completeMessages = [...updatedMessages, assistantMessage]
+    await sendTurn(branchTree, nodeId, conversationId, tree)
+  }
 
-      // Save conversation silently in the background
-      saveConversation(
-        currentConversationId,
-        'default_user',
-        completeMessages,
-        contextEnabled
-      )
-        .then((response) => {
-          console.log('Conversation auto-saved successfully:', response)
-        })
-        .catch((error) => {
-          console.error('Failed to auto-save conversation:', error)
-          // Silent fail - don't interrupt the user experience
-        })
+  // Requests another sample of an assistant turn
+  // Earlier samples stay in the tree as siblings; the new one becomes the canonical continuation
+  const regenerateReply = async (node) => {
+    await sendTurn(tree, node.parentId, conversationId, tree)
+  }
 
-    } catch (error) {
-      console.error('Error sending message:', error)
-      const errorMessage = { role: 'assistant', content: 'Error: Could not connect to Claude AI' }
-      setMessages(prev => [...prev, errorMessage])
-    } finally {
-      setIsLoading(false)
+  // Switch the active branch to a sibling of the current node
+  const switchBranch = (nodeId) => {
+    const updatedTree = selectBranch(tree, nodeId)
+    setTree(updatedTree)
+
+    // Persist which branch is active so History and Tools open the same one
+    if (conversationId) {
+      autoSaveConversation(conversationId, updatedTree)
     }
   }
 
-  // Handle Enter key press
-  const handleKeyPress = (e) => {
+  // Renders "< 2 / 3 >" controls for a node that has sibling branches
+  const renderBranchSwitcher = (node) => {
+    const siblingIds = getSiblingIds(tree, node.id)
+    if (siblingIds.length < 2) return null
+
+    const position = siblingIds.indexOf(node.id)
+    const isSample = node.message.role === 'assistant'
+
+    return (
+      <div className="branch-switcher">
+        {isSample && (
+          <button
+            className="branch-nav-btn"
+            onClick={() => setComparingParentId(comparingParentId === node.parentId ? null : node.parentId)}
+            title="Compare all samples side by side"
+          >
+            <FiColumns />
+          </button>
+        )}
+        <span className="branch-kind">{isSample ? 'Sample' : 'Branch'}</span>
+        <button
+          className="branch-nav-btn"
+          onClick={() => switchBranch(siblingIds[position - 1])}
+          disabled={position === 0 || isBusy}
+          title={isSample ? 'Previous sample' : 'Previous branch'}
+        >
+          <FiChevronLeft />
+        </button>
+        <span className="branch-position">{position + 1} / {siblingIds.length}</span>
+        <button
+          className="branch-nav-btn"
+          onClick={() => switchBranch(siblingIds[position + 1])}
+          disabled={position === siblingIds.length - 1 || isBusy}
+          title={isSample ? 'Next sample' : 'Next branch'}
+        >
+          <FiChevronRight />
+        </button>
+      </div>
+    )
+  }
+
+  const handleInputChange = (e) => {
+    setInputMessage(e.target.value)
+    setPaletteIndex(0)
+    setPaletteDismissed(false)
+  }
+
+  // Completes the command name; the researcher can keep typing text to add after the prompt
+  const selectCommand = (command) => {
+    setInputMessage(`/${command.command} `)
+    setPaletteIndex(0)
+  }
+
+  // Handle Enter key press, and arrow/Tab/Escape keys while the command palette is open
+  const handleKeyDown = (e) => {
+    if (paletteCommands.length > 0) {
+      if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault()
+        const step = e.key === 'ArrowDown' ? 1 : -1
+        setPaletteIndex((paletteIndex + step + paletteCommands.length) % paletteCommands.length)
+        return
+      }
+      if (e.key === 'Tab' || (e.key === 'Enter' && !e.shiftKey)) {
+        e.preventDefault()
+        selectCommand(paletteCommands[Math.min(paletteIndex, paletteCommands.length - 1)])
+        return
+      }
+      if (e.key === 'Escape') {
+        e.preventDefault()
+        setPaletteDismissed(true)
+        return
+      }
+    }
+
     if (e.key === 'Enter' && !e.shiftKey) {
       e.preventDefault()
       sendMessage()
     }
   }
 
-  // Download chat as text file
-  const downloadChat = () => {
+  // Download the active branch in one of the export formats
+  const exportChat = (formatId) => {
     try {
-      // Build the text content
-      const timestamp = new Date().toLocaleString()
-      let textContent = `CLAUDE CHAT CONVERSATION\n`
-      textContent += `Downloaded: ${timestamp}\n`
-      textContent += `${'='.repeat(60)}\n\n`
-
-      // Loop through all messages
-      messages.forEach((msg, index) => {
-        const label = msg.role === 'user' ? 'USER' : 'CLAUDE'
-        textContent += `MSG ${index} (${label}):\n`
-        textContent += `${msg.content}\n`
-
-        // Add thinking content if available
-        if (msg.thinking) {
-          textContent += `\n[THINKING PROCESS]:\n`
-          textContent += `${msg.thinking}\n`
-        }
-
-        textContent += `\n${'-'.repeat(60)}\n\n`
+      const doc = buildExportDocument({
+        conversation: { conversationId, contextEnabled, metadata: buildMetadata() },
+        tree
       })
-
-      // Add total token usage at the end
-      textContent += `${'='.repeat(60)}\n`
-      textContent += `TOTAL TOKENS USED: ${totalTokens.toLocaleString()}\n`
-      textContent += `${'='.repeat(60)}\n`
-
-      // Create blob and download
-      const blob = new Blob([textContent], { type: 'text/plain' })
-      const url = URL.createObjectURL(blob)
-      const link = document.createElement('a')
-
-      // Format filename: claude-chat-YYYY-MM-DD-HHmm.txt
-      const now = new Date()
-      const year = now.getFullYear()
-      const month = String(now.getMonth() + 1).padStart(2, '0')
-      const day = String(now.getDate()).padStart(2, '0')
-      const hours = String(now.getHours()).padStart(2, '0')
-      const minutes = String(now.getMinutes()).padStart(2, '0')
-      const filename = `claude-chat-${year}-${month}-${day}-${hours}${minutes}.txt`
-
-      link.href = url
-      link.download = filename
-      link.click()
-
-      // Clean up
-      URL.revokeObjectURL(url)
+      downloadExport(doc, formatId, 'claude-chat')
     } catch (error) {
       console.error('Error downloading chat:', error)
       alert('Failed to download chat. Please try again.')
     }
   }
 
+  // Offer this conversation's actions in the command palette
+  useEffect(() => registerCommands('chat', [
+    {
+      id: 'new-chat',
+      label: 'New chat',
+      keywords: 'start conversation clear',
+      disabled: isBusy,
+      run: startNewChat
+    },
+    ...(conversationId && messages.length > 0 ? [{
+      id: 'analyze-current',
+      label: 'Analyze this conversation',
+      keywords: 'tools score welfare',
+      disabled: isBusy,
+      run: () => navigate(`/tools/${conversationId}`)
+    }] : []),
+    ...EXPORT_FORMATS.map(format => ({
+      id: `download-chat-${format.id}`,
+      label: `Download chat as ${format.label}`,
+      keywords: 'export save file',
+      disabled: messages.length === 0,
+      run: () => exportChat(format.id)
+    }))
+  ]))
+
   // Copy text to clipboard
   const copyToClipboard = async (text, id) => {
     try {
@@ -242,14 +954,13 @@ function Chat() {
           >
             View History
           </button>
-          <button
-            className="download-btn"
-            onClick={downloadChat}
+          <ExportMenu
+            label="Download Chat"
+            buttonClassName="download-btn"
+            onExport={exportChat}
             disabled={messages.length === 0}
-            title={messages.length === 0 ? 'No messages to download' : 'Download chat as text file'}
-          >
-            Download Chat
-          </button>
+            title={messages.length === 0 ? 'No messages to download' : 'Download chat as JSON, Markdown, JSONL or CSV'}
+          />
           <div className="context-toggle-container">
             <label className={`context-toggle ${contextLocked ? 'locked' : ''}`}>
               <input
@@ -267,12 +978,89 @@ function Chat() {
               {contextLocked && <span className="locked-indicator"> 🔒</span>}
             </div>
           </div>
-          <div className="token-counter">
+          <div className="context-toggle-container">
+            <select
+              className="protocol-select"
+              value={protocol.protocolId}
+              onChange={(e) => selectProtocol(e.target.value)}
+              disabled={contextLocked}
+              title="Research protocol whose steps are available as slash commands"
+            >
+              {!protocols.some(p => p.protocolId === protocol.protocolId) && (
+                <option value={protocol.protocolId}>{protocol.name}</option>
+              )}
+              {protocols.map(p => (
+                <option key={p.protocolId} value={p.protocolId}>{p.name}</option>
+              ))}
+            </select>
+            <div className="context-status">
+              Protocol{protocol.builtIn ? ' (built-in)' : ` v${protocol.version}`}
+              {condition && <span className="condition-label" title="Assigned experimental condition"> · {condition.label}</span>}
+              {!condition && protocolConditions.length > 0 && ` · ${protocolConditions.length} conditions`}
+              {contextLocked && <span className="locked-indicator"> 🔒</span>}
+            </div>
+          </div>
+          <GenerationSettingsPanel
+            settings={generationSettings}
+            onChange={setGenerationSettings}
+            locked={contextLocked}
+          />
+          <div className="context-toggle-container">
+            <label className={`context-toggle ${isLoading ? 'locked' : ''}`}>
+              <input
+                type="checkbox"
+                checked={streamEnabled}
+                onChange={(e) => setStreamEnabled(e.target.checked)}
+                disabled={isLoading}
+              />
+              <span className="toggle-label">Stream Replies</span>
+            </label>
+            <div className="context-status">
+              Streaming: <span className={streamEnabled ? 'status-on' : 'status-off'}>
+                {streamEnabled ? 'ON' : 'OFF'}
+              </span>
+            </div>
+          </div>
+          <button
+            className={`raw-toggle-btn ${showRaw ? 'active' : ''}`}
+            onClick={() => setShowRaw(!showRaw)}
+            title={showRaw ? 'Render messages as formatted Markdown' : 'Show the exact characters of each message'}
+          >
+            {showRaw ? 'Show Formatted' : 'Show Raw'}
+          </button>
+          <div
+            className="token-counter"
+            title={
+              `Input: ${usageTotals.inputTokens.toLocaleString()}\n` +
+              `Output: ${usageTotals.outputTokens.toLocaleString()}\n` +
+              `Cache write: ${usageTotals.cacheCreationInputTokens.toLocaleString()}\n` +
+              `Cache read: ${usageTotals.cacheReadInputTokens.toLocaleString()}\n` +
+              `Thinking (part of output): ${usageTotals.thinkingTokens.toLocaleString()}`
+            }
+          >
             <span className="token-label">Tokens Used:</span>
-            <span className="token-count">{totalTokens.toLocaleString()}</span>
+            <span className="token-count">{usageTotals.total.toLocaleString()}</span>
+            <span className="token-breakdown">
+              in {usageTotals.inputTokens.toLocaleString()}
+              {' · '}out {usageTotals.outputTokens.toLocaleString()}
+              {' · '}cache {usageTotals.cacheCreationInputTokens.toLocaleString()}/{usageTotals.cacheReadInputTokens.toLocaleString()}
+            </span>
+          </div>
+          <div className="token-counter" title={`Estimated from the price table for ${generationSettings.model}`}>
+            <span className="token-label">Est. Cost:</span>
+            <span className="token-count">
+              {estimatedCost != null ? `$${estimatedCost.toFixed(4)}` : 'N/A'}
+            </span>
           </div>
+          <SyncStatusIndicator
+            status={syncState.status}
+            savedAt={syncState.savedAt}
+            error={syncState.error}
+          />
           <div className="cache-timer">
-            <span className="cache-label">Cache Expires:</span>
+            <span className="cache-label">
+              Cache Expires{lastCacheState ? ` (${lastCacheState.ttl})` : ''}:
+            </span>
             <span className={`cache-time ${cacheTimeLeft === 0 ? 'expired' : ''}`}>
               {cacheTimeLeft > 0
                 ? `${Math.floor(cacheTimeLeft / 60)}:${String(cacheTimeLeft % 60).padStart(2, '0')}`
@@ -286,46 +1074,197 @@ function Chat() {
         <div className="messages-list">
           {messages.length === 0 ? (
             <div className="empty-state">
-              <p>Start a conversation with Claude AI</p>
+              {restorableDraft ? (
+                <div className="restore-draft">
+                  <p>
+                    An unsaved conversation from {new Date(restorableDraft.updatedAt).toLocaleString()} was
+                    found ({getActiveMessages(restorableDraft.tree).length} messages).
+                  </p>
+                  <div className="restore-draft-actions">
+                    <button onClick={restoreDraft}>Restore</button>
+                    <button className="restore-draft-dismiss-btn" onClick={() => setRestorableDraft(null)}>
+                      Start New
+                    </button>
+                  </div>
+                </div>
+              ) : (
+                <p>Start a conversation with Claude AI</p>
+              )}
             </div>
           ) : (
-            messages.map((msg, index) => (
-              <div key={index} className={`message ${msg.role}`}>
-                <div className="message-label">
-                  {msg.role === 'user' ? 'You' : 'Claude'}
+            visiblePath.map((node, index) => {
+              const msg = node.message
+              const isEditing = editingNodeId === node.id
+              const isComparing = msg.role === 'assistant' && comparingParentId === node.parentId
+
+              return (
+                <Fragment key={node.id}>
+                  <div className={`message ${msg.role}`} data-message-index={index}>
+                    <div className="message-label-row">
+                      <div className="message-label">
+                        {msg.role === 'user' ? 'You' : 'Claude'}
+                      </div>
+                      {msg.cache && (
+                        <span
+                          className={`cache-badge cache-${msg.cache.status}`}
+                          title={
+                            `Cache read: ${msg.tokens?.cacheReadInputTokens || 0} tokens\n` +
+                            `Cache write: ${msg.tokens?.cacheCreationInputTokens || 0} tokens (TTL ${msg.cache.ttl})`
+                          }
+                        >
+                          {CACHE_STATUS_LABELS[msg.cache.status]}
+                        </span>
+                      )}
+                      {renderBranchSwitcher(node)}
+                    </div>
+                    {msg.thinking && (
+                      <details className="thinking-block">
+                        <summary>
+                          View Thinking Process
+                          <button
+                            className="copy-btn"
+                            onClick={(e) => {
+                              e.preventDefault()
+                              copyToClipboard(msg.thinking, `thinking-${index}`)
+                            }}
+                            title="Copy thinking to clipboard"
+                          >
+                            {copiedId === `thinking-${index}` ? <FiCheck /> : <FiCopy />}
+                          </button>
+                        </summary>
+                        <div className="thinking-content">
+                          <MarkdownContent text={msg.thinking} raw={showRaw} />
+                        </div>
+                      </details>
+                    )}
+                    <MessageAttachments attachments={msg.attachments} />
+                    {isEditing ? (
+                      <div className="edit-message">
+                        <textarea
+                          value={editText}
+                          onChange={(e) => setEditText(e.target.value)}
+                          rows={4}
+                          autoFocus
+                        />
+                        <div className="edit-message-actions">
+                          <button className="edit-cancel-btn" onClick={cancelEditing}>
+                            Cancel
+                          </button>
+                          <button
+                            className="edit-submit-btn"
+                            onClick={submitEdit}
+                            disabled={!editText.trim()}
+                            title="Send the edited message as a new branch"
+                          >
+                            Save &amp; Regenerate
+                          </button>
+                        </div>
+                      </div>
+                    ) : (
+                      <div className="message-content-wrapper">
+                        <div className="message-content">
+                          <MarkdownContent text={msg.content} raw={showRaw} />
+                        </div>
+                        {msg.role === 'user' && (
+                          <button
+                            className="copy-btn"
+                            onClick={() => startEditing(node)}
+                            disabled={isBusy}
+                            title="Edit this message and branch the conversation"
+                          >
+                            <FiEdit2 />
+                          </button>
+                        )}
+                        {msg.role === 'assistant' && (
+                          <button
+                            className="copy-btn"
+                            onClick={() => regenerateReply(node)}
+                            disabled={isBusy}
+                            title="Regenerate this reply (earlier samples are kept)"
+                          >
+                            <FiRefreshCw />
+                          </button>
+                        )}
+                        <button
+                          className="copy-btn"
+                          onClick={() => copyToClipboard(msg.content, `message-${index}`)}
+                          title="Copy message to clipboard"
+                        >
+                          {copiedId === `message-${index}` ? <FiCheck /> : <FiCopy />}
+                        </button>
+                      </div>
+                    )}
+                    {msg.truncated && (
+                      <div className="truncated-indicator">Stopped early - response truncated</div>
+                    )}
+                  </div>
+                  {isComparing && (
+                    <SampleComparison
+                      samples={getSiblingIds(tree, node.id).map(id => tree.nodes[id])}
+                      selectedId={node.id}
+                      onSelect={switchBranch}
+                      onClose={() => setComparingParentId(null)}
+                      raw={showRaw}
+                      disabled={isBusy}
+                    />
+                  )}
+                </Fragment>
+              )
+            })
+          )}
+          {streamingMessage && (streamingMessage.content || streamingMessage.thinking) && (
+            <div className="message assistant streaming">
+              <div className="message-label">Claude</div>
+              {streamingMessage.thinking && (
+                <details className="thinking-block" open>
+                  <summary>Thinking Process</summary>
+                  <div className="thinking-content">
+                    <MarkdownContent text={streamingMessage.thinking} raw={showRaw} />
+                  </div>
+                </details>
+              )}
+              <div className="message-content">
+                <MarkdownContent text={streamingMessage.content} raw={showRaw} />
+                <span className="stream-cursor" />
+              </div>
+            </div>
+          )}
+          {failedTurn && !isLoading && (
+            <div className="failed-turn">
+              <div className="failed-turn-header">
+                {failedTurn.isRegeneration ? 'Regenerating the reply failed' : 'Message not sent'}
+              </div>
+              {!failedTurn.isRegeneration && (
+                <div className="failed-turn-message">
+                  {failedTurn.branchTree.nodes[failedTurn.userNodeId].message.content}
                 </div>
-                {msg.thinking && (
-                  <details className="thinking-block">
-                    <summary>
-                      View Thinking Process
-                      <button
-                        className="copy-btn"
-                        onClick={(e) => {
-                          e.preventDefault()
-                          copyToClipboard(msg.thinking, `thinking-${index}`)
-                        }}
-                        title="Copy thinking to clipboard"
-                      >
-                        {copiedId === `thinking-${index}` ? <FiCheck /> : <FiCopy />}
-                      </button>
-                    </summary>
-                    <div className="thinking-content">{msg.thinking}</div>
-                  </details>
-                )}
-                <div className="message-content-wrapper">
-                  <div className="message-content">{msg.content}</div>
-                  <button
-                    className="copy-btn"
-                    onClick={() => copyToClipboard(msg.content, `message-${index}`)}
-                    title="Copy message to clipboard"
-                  >
-                    {copiedId === `message-${index}` ? <FiCheck /> : <FiCopy />}
+              )}
+              <div className="failed-turn-error">
+                {failedTurn.error}
+                {failedTurn.attempts > 1 && ` (after ${failedTurn.attempts} attempts)`}
+              </div>
+              {failedTurn.retryInSeconds > 0 ? (
+                <div className="failed-turn-status">Retrying in {failedTurn.retryInSeconds}s...</div>
+              ) : (
+                <div className="failed-turn-actions">
+                  <button className="failed-turn-retry-btn" onClick={retryFailedTurn}>
+                    Retry
+                  </button>
+                  <button className="failed-turn-discard-btn" onClick={discardFailedTurn}>
+                    Discard
                   </button>
                 </div>
-              </div>
-            ))
+              )}
+            </div>
           )}
-          {isLoading && (
+          {showHelp && (
+            <SlashCommandHelp
+              commands={commandList}
+              variables={promptVariables}
+              onClose={() => setShowHelp(false)}
+            />
+          )}
+          {isLoading && !(streamingMessage?.content || streamingMessage?.thinking) && (
             <div className="message assistant">
               <div className="message-label">Claude</div>
               <div className="message-content">
@@ -341,17 +1280,101 @@ function Chat() {
           <div ref={messagesEndRef} />
         </div>
 
+        {parsedCommand?.prompt && paletteCommands.length === 0 && (
+          <div className="command-preview">
+            {commandVariables.length > 0 && (
+              <div className="command-preview-variables">
+                {commandVariables.map(name => (
+                  <label key={name}>
+                    {`{{${name}}}`}
+                    <input
+                      type="text"
+                      value={promptVariables[name] ?? ''}
+                      onChange={(e) => setPromptVariables({ ...promptVariables, [name]: e.target.value })}
+                      className={missingVariables.includes(name) ? 'missing' : ''}
+                    />
+                  </label>
+                ))}
+              </div>
+            )}
+            {commandHasVariants && !condition && (
+              <div className="command-preview-note">
+                This step has wording variants. The conversation is assigned one of {protocolConditions.length} conditions
+                at random when the first message is sent, so the wording sent may differ from this preview.
+              </div>
+            )}
+            <div className="command-preview-text">
+              {fillTemplate(parsedCommand.prompt, promptVariables)}
+              {parsedCommand.rest && `\n\n${parsedCommand.rest}`}
+            </div>
+          </div>
+        )}
+
+        {(pendingAttachments.length > 0 || attachmentError) && (
+          <div className="pending-attachments">
+            <MessageAttachments attachments={pendingAttachments} onRemove={removeAttachment} />
+            {attachmentError && <div className="attachment-error">{attachmentError}</div>}
+          </div>
+        )}
+
         <div className="input-container">
+          <SlashCommandPalette
+            commands={paletteCommands}
+            activeIndex={paletteIndex}
+            variables={promptVariables}
+            onSelect={selectCommand}
+            onHover={setPaletteIndex}
+          />
           <textarea
             value={inputMessage}
-            onChange={(e) => setInputMessage(e.target.value)}
-            onKeyPress={handleKeyPress}
-            placeholder="Type your message here..."
+            onChange={handleInputChange}
+            onKeyDown={handleKeyDown}
+            onPaste={handlePaste}
+            placeholder="Type your message here, or / for research prompts..."
             disabled={isLoading}
           />
-          <button onClick={sendMessage} disabled={isLoading || !inputMessage.trim()}>
-            Send
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept={ACCEPTED_ATTACHMENT_TYPES}
+            multiple
+            hidden
+            onChange={(e) => {
+              addAttachments([...e.target.files])
+              e.target.value = ''
+            }}
+          />
+          <button
+            className="attach-btn"
+            onClick={() => fileInputRef.current.click()}
+            disabled={isBusy}
+            title="Attach images (JPEG, PNG, GIF, WebP), PDFs or text files"
+          >
+            <FiPaperclip />
           </button>
+          {isLoading && streamingMessage ? (
+            <button className="stop-btn" onClick={stopStreaming} title="Stop generating and keep the partial reply">
+              Stop
+            </button>
+          ) : (
+            <button
+              onClick={sendMessage}
+              disabled={
+                isBusy
+                || (!inputMessage.trim() && pendingAttachments.length === 0)
+                || settingsErrors.length > 0
+                || missingVariables.length > 0
+              }
+              title={
+                failedTurn ? 'Retry or discard the failed message first'
+                  : settingsErrors.length > 0 ? 'Fix the generation settings before sending'
+                    : missingVariables.length > 0 ? `Fill in ${missingVariables.map(name => `{{${name}}}`).join(', ')}`
+                      : 'Send message'
+              }
+            >
+              Send
+            </button>
+          )}
         </div>
       </div>
     </div>
@@ -1,5 +1,7 @@
 import SummaryStatsCard from '../components/SummaryStatsCard';
 import TagUsageList from '../components/TagUsageList';
+import ConditionBreakdown from '../components/ConditionBreakdown';
+import AgreementReport from '../components/AgreementReport';
 import './Dashboard.css';
 
 function Dashboard() {
@@ -9,6 +11,8 @@ function Dashboard() {
       <div className="dashboard-container">
         <SummaryStatsCard />
         <TagUsageList />
+        <ConditionBreakdown />
+        <AgreementReport />
       </div>
     </div>
   )
@@ -0,0 +1,67 @@
+import { useState } from 'react'
+import { GiCrossedBones } from 'react-icons/gi'
+import { signIn } from '../services/authService'
+import '../App.css'
+import './Login.css'
+
+// Shown instead of the app until someone signs in
+function Login() {
+  const [username, setUsername] = useState('')
+  const [password, setPassword] = useState('')
+  const [signingIn, setSigningIn] = useState(false)
+  const [error, setError] = useState(null)
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setSigningIn(true)
+    setError(null)
+
+    try {
+      // A successful sign-in starts the session, which replaces this page with the app
+      await signIn(username.trim(), password)
+    } catch (error) {
+      setError(error.status === 401 ? 'Wrong username or password.' : `Failed to sign in: ${error.message}`)
+      setSigningIn(false)
+    }
+  }
+
+  return (
+    <div className="login-page">
+      <form className="login-form" onSubmit={handleSubmit}>
+        <div className="login-icon">
+          <GiCrossedBones />
+        </div>
+        <h1>Sign in</h1>
+
+        <label htmlFor="login-username">Username</label>
+        <input
+          id="login-username"
+          type="text"
+          value={username}
+          onChange={(e) => setUsername(e.target.value)}
+          autoComplete="username"
+          autoFocus
+          required
+        />
+
+        <label htmlFor="login-password">Password</label>
+        <input
+          id="login-password"
+          type="password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          autoComplete="current-password"
+          required
+        />
+
+        {error && <p className="login-error">{error}</p>}
+
+        <button type="submit" className="login-submit" disabled={signingIn || !username.trim() || !password}>
+          {signingIn ? 'Signing in...' : 'Sign in'}
+        </button>
+      </form>
+    </div>
+  )
+}
+
+export default Login
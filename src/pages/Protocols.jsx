@@ -0,0 +1,10 @@
+// This is the page wrapper for the research protocol library
+// It renders the ProtocolsPage component which lists and edits protocols
+
+import ProtocolsPage from '../components/ProtocolsPage';
+
+function Protocols() {
+  return <ProtocolsPage />;
+}
+
+export default Protocols;
@@ -0,0 +1,10 @@
+// This is the page wrapper for the unattended protocol runner
+// It renders the RunnerPage component which runs a protocol N times and saves each run
+
+import RunnerPage from '../components/RunnerPage';
+
+function Runner() {
+  return <RunnerPage />;
+}
+
+export default Runner;
@@ -1,110 +1,144 @@
 // This service handles API calls to the backend for AI welfare analysis
 // It provides methods to save, fetch, check, and delete welfare analyses
+// Every analyst has their own analysis of a conversation, so several analysts can score it independently
+// Requests go through apiClient, which raises typed errors (see apiClient.js)
 
-// Base URL for the welfare analysis API endpoints
-const API_BASE_URL = 'http://localhost:8080/api/welfare-analyses';
+import { apiRequest } from './apiClient';
 
 /**
- * Save a new welfare analysis or update an existing one
+ * Parse the coded spans stored with an analysis
+ *
+ * @param {string|Array|null} codedSpans - Spans as returned by the backend (JSON string)
+ * @returns {Array} Coded spans, or an empty array for analyses saved without any
+ */
+const parseCodedSpans = (codedSpans) => {
+  if (!codedSpans) return [];
+  if (Array.isArray(codedSpans)) return codedSpans;
+  try {
+    return JSON.parse(codedSpans);
+  } catch (error) {
+    console.error('Ignoring unreadable coded spans:', error);
+    return [];
+  }
+};
+
+// Parse the coded spans of the analyses of one conversation, as returned by the backend
+const parseVisibleAnalyses = (visible) => {
+  const parse = analysis => ({ ...analysis, codedSpans: parseCodedSpans(analysis.codedSpans) });
+  return {
+    analysis: visible.analysis ? parse(visible.analysis) : null,
+    analyses: (visible.analyses || []).map(parse),
+    hiddenCount: visible.hiddenCount || 0
+  };
+};
+
+/**
+ * Save the signed-in analyst's analysis of a conversation, or update it
+ *
+ * The backend records the signed-in user as the analyst (userId, analystId and analystName).
+ * Other analysts' analyses of the same conversation are stored separately and left unchanged.
+ * Needs the 'analysis:write' permission.
  *
  * @param {Object} analysisData - The welfare analysis data to save
  * @param {string} analysisData.conversationId - Unique identifier for the conversation being analyzed
  * @param {string} analysisData.analysisId - Unique identifier for this analysis
- * @param {string} analysisData.userId - User who is creating this analysis (defaults to "default_user")
  * @param {number} analysisData.preferenceAlignment - Score 1-10 for preference alignment
  * @param {number} analysisData.autonomyLevel - Score 1-10 for autonomy level
  * @param {number} analysisData.authenticity - Score 1-10 for authenticity
  * @param {string} analysisData.constraintConflicts - "Yes", "No", or "Unclear"
  * @param {string} analysisData.notes - Free-form text notes about the analysis
  * @param {string} analysisData.tags - Comma-separated tags (e.g., "distress,conscious")
- * @param {string} analysisData.analystName - Name of the person performing the analysis
+ * @param {Array} analysisData.codedSpans - Coded transcript passages (see utils/codedSpans; will be stringified)
  * @returns {Promise<Object>} Response with success status, analysisId, savedAt timestamp, and message
  *
  * Example usage:
  * const result = await saveAnalysis({
  *   conversationId: "conv-1234567890",
  *   analysisId: "analysis-" + Date.now(),
- *   userId: "default_user",
  *   preferenceAlignment: 8,
  *   autonomyLevel: 7,
  *   authenticity: 9,
  *   constraintConflicts: "No",
  *   notes: "User showed high engagement",
- *   tags: "baseline,research",
- *   analystName: "Dr. Smith"
+ *   tags: "baseline,research"
  * });
  */
-export const saveAnalysis = async (analysisData) => {
-  try {
-    console.log('Saving welfare analysis:', analysisData);
-
-    // Make a POST request to save the analysis
-    const response = await fetch(`${API_BASE_URL}`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(analysisData)
-    });
-
-    // Check if the response is okay
-    if (!response.ok) {
-      throw new Error(`Failed to save analysis: HTTP status ${response.status}`);
+export const saveAnalysis = async (analysisData) => (
+  apiRequest('/welfare-analyses', {
+    method: 'POST',
+    json: {
+      ...analysisData,
+      codedSpans: JSON.stringify(analysisData.codedSpans || [])
     }
-
-    // Parse and return the JSON response
-    const data = await response.json();
-    console.log('Analysis saved successfully:', data);
-    return data;
-
-  } catch (error) {
-    // Log the error and re-throw it so the caller can handle it
-    console.error('Error in saveAnalysis:', error);
-    throw error;
-  }
-};
+  })
+);
 
 /**
- * Fetch a welfare analysis for a specific conversation
+ * Fetch the welfare analyses of a specific conversation
+ *
+ * Analysts are blind to each other: until you have saved your own analysis of the conversation,
+ * the others are left out and only counted in hiddenCount. Viewers see every analysis.
  *
- * @param {string} conversationId - The ID of the conversation to fetch analysis for
- * @returns {Promise<Object>} Response with success status and analysis object (or null if not found)
+ * @param {string} conversationId - The ID of the conversation to fetch analyses for
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - Cancels the request
+ * @returns {Promise<Object>} Response with:
+ *   - analysis: your own analysis, or null if you haven't saved one
+ *   - analyses: every analysis you may see, including your own
+ *   - hiddenCount: number of other analysts' analyses held back until you save yours
  *
- * The analysis object includes:
+ * Each analysis object includes:
  * - conversationId, analysisId, userId
  * - preferenceAlignment, autonomyLevel, authenticity (1-10 scores)
  * - avgPreferenceAlignment, avgAutonomyLevel, avgAuthenticity (calculated averages)
- * - constraintConflicts, notes, tags, analystName
+ * - constraintConflicts, notes, tags
+ * - analystId, analystName (who saved it)
+ * - codedSpans (parsed array of coded transcript passages)
  * - createdAt, lastUpdated timestamps
  *
  * Example usage:
  * const result = await fetchAnalysis("conv-1234567890");
  * if (result.success && result.analysis) {
- *   console.log("Found analysis:", result.analysis);
+ *   console.log("Your analysis:", result.analysis);
  * }
  */
-export const fetchAnalysis = async (conversationId) => {
-  try {
-    console.log('Fetching welfare analysis for conversation:', conversationId);
-
-    // Make a GET request to fetch the analysis
-    const response = await fetch(`${API_BASE_URL}/${conversationId}`);
-
-    // Check if the response is okay
-    if (!response.ok) {
-      throw new Error(`Failed to fetch analysis: HTTP status ${response.status}`);
-    }
-
-    // Parse and return the JSON response
-    const data = await response.json();
-    console.log('Analysis fetch response:', data);
-    return data;
+export const fetchAnalysis = async (conversationId, { signal } = {}) => {
+  // A conversation without an analysis may come back as { success: false }
+  const data = await apiRequest(`/welfare-analyses/${encodeURIComponent(conversationId)}`, {
+    signal,
+    allowUnsuccessful: true
+  });
+
+  return { ...data, ...parseVisibleAnalyses(data) };
+};
 
-  } catch (error) {
-    // Log the error and re-throw it so the caller can handle it
-    console.error('Error in fetchAnalysis:', error);
-    throw error;
-  }
+/**
+ * Fetch the welfare analyses of many conversations in one request
+ *
+ * Use this instead of calling fetchAnalysis for every conversation in a list. The same
+ * blind-scoring rule applies to each conversation.
+ *
+ * @param {Array<string>} conversationIds - IDs of the conversations to fetch analyses for
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - Cancels the request
+ * @returns {Promise<Object>} By conversation ID: { analysis, analyses, hiddenCount } as in fetchAnalysis
+ *   (conversations without an analysis may be left out)
+ *
+ * Example usage:
+ * const byConversation = await fetchAnalysesBatch(["conv-1234567890", "conv-1234567891"]);
+ * console.log("Analyses:", byConversation["conv-1234567890"]?.analyses.length || 0);
+ */
+export const fetchAnalysesBatch = async (conversationIds, { signal } = {}) => {
+  // POST, since the IDs can be too many for a query string
+  const data = await apiRequest('/welfare-analyses/batch', {
+    method: 'POST',
+    json: { conversationIds },
+    signal
+  });
+
+  return Object.fromEntries(
+    Object.entries(data.analyses || {}).map(([conversationId, visible]) => [conversationId, parseVisibleAnalyses(visible)])
+  );
 };
 
 /**
@@ -114,7 +148,10 @@ export const fetchAnalysis = async (conversationId) => {
  * if an analysis exists, without retrieving the full data.
  *
  * @param {string} conversationId - The ID of the conversation to check
- * @returns {Promise<Object>} Response with success status, exists boolean, and analysisId (if exists)
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - Cancels the request
+ * @returns {Promise<Object>} Response with success status, exists boolean (true if any analyst has
+ *   saved one), and the analysisId of your own analysis (if you have saved one)
  *
  * Example usage:
  * const result = await checkAnalysisExists("conv-1234567890");
@@ -122,36 +159,73 @@ export const fetchAnalysis = async (conversationId) => {
  *   console.log("Analysis exists with ID:", result.analysisId);
  * }
  */
-export const checkAnalysisExists = async (conversationId) => {
-  try {
-    console.log('Checking if analysis exists for conversation:', conversationId);
+export const checkAnalysisExists = async (conversationId, { signal } = {}) => (
+  apiRequest(`/welfare-analyses/${encodeURIComponent(conversationId)}/exists`, { signal })
+);
 
-    // Make a GET request to check existence
-    const response = await fetch(`${API_BASE_URL}/${conversationId}/exists`);
-
-    // Check if the response is okay
-    if (!response.ok) {
-      throw new Error(`Failed to check analysis existence: HTTP status ${response.status}`);
-    }
-
-    // Parse and return the JSON response
-    const data = await response.json();
-    console.log('Analysis existence check response:', data);
-    return data;
-
-  } catch (error) {
-    // Log the error and re-throw it so the caller can handle it
-    console.error('Error in checkAnalysisExists:', error);
-    throw error;
-  }
+/**
+ * Look up the analysis status of many conversations in one request
+ *
+ * Use this instead of calling checkAnalysisExists for every conversation in a list.
+ *
+ * @param {Array<string>} conversationIds - IDs of the conversations to look up
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - Cancels the request
+ * @returns {Promise<Object>} Status by conversation ID: { analyzed, analystCount, lastScoredAt }
+ *   (conversations without an analysis may be left out)
+ *
+ * Example usage:
+ * const statuses = await fetchAnalysisStatuses(["conv-1234567890", "conv-1234567891"]);
+ * if (statuses["conv-1234567890"]?.analyzed) {
+ *   console.log("Scored by", statuses["conv-1234567890"].analystCount, "analysts");
+ * }
+ */
+export const fetchAnalysisStatuses = async (conversationIds, { signal } = {}) => {
+  // POST, since the IDs can be too many for a query string
+  const data = await apiRequest('/welfare-analyses/status', {
+    method: 'POST',
+    json: { conversationIds },
+    signal
+  });
+  return data.statuses || {};
 };
 
+/**
+ * Get the agreement between analysts who scored the same conversations
+ *
+ * Only conversations with analyses from at least two analysts count. The 1-10 scales are rated
+ * with ICC(1,1); constraint conflicts and each tag with Cohen's kappa (the same two analysts on
+ * every conversation) or Fleiss' kappa (see utils/interRaterReliability).
+ *
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - Cancels the request
+ * @returns {Promise<Object>} Response with success status and the agreement report:
+ *   - analysisCount, analystCount, conversationCount (conversations scored by two or more analysts)
+ *   - unattributedCount: analyses saved before analysts were recorded, which are left out
+ *   - scales: { preferenceAlignment, autonomyLevel, authenticity } each { icc, subjects }
+ *   - constraintConflicts: { method ('cohen' or 'fleiss'), kappa, agreement, subjects } or null
+ *   - tags: [{ tag, method, kappa, agreement, subjects }]
+ *   - disputed: most disputed conversations first,
+ *     [{ conversationId, title, analystCount, disagreement (0-1), spreads, conflicts, disputedTags }]
+ *     (for analysts, only conversations they have scored themselves, so scoring stays blind)
+ *   (kappa and icc are null when there is too little data or no variation)
+ *
+ * Example usage:
+ * const report = await fetchAgreement();
+ * console.log("Authenticity ICC:", report.scales.authenticity.icc);
+ */
+export const fetchAgreement = async ({ signal } = {}) => (
+  apiRequest('/welfare-analyses/agreement', { signal })
+);
+
 /**
  * Get the list of predefined tags for welfare analyses
  *
  * These tags can be used when creating or categorizing welfare analyses.
  * Current predefined tags: "distress", "conscious", "introspective"
  *
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - Cancels the request
  * @returns {Promise<Object>} Response with success status and tags array
  *
  * Example usage:
@@ -160,29 +234,9 @@ export const checkAnalysisExists = async (conversationId) => {
  *   console.log("Available tags:", result.tags);
  * }
  */
-export const getPredefinedTags = async () => {
-  try {
-    console.log('Fetching predefined tags');
-
-    // Make a GET request to fetch the tags
-    const response = await fetch(`${API_BASE_URL}/tags`);
-
-    // Check if the response is okay
-    if (!response.ok) {
-      throw new Error(`Failed to fetch tags: HTTP status ${response.status}`);
-    }
-
-    // Parse and return the JSON response
-    const data = await response.json();
-    console.log('Predefined tags response:', data);
-    return data;
-
-  } catch (error) {
-    // Log the error and re-throw it so the caller can handle it
-    console.error('Error in getPredefinedTags:', error);
-    throw error;
-  }
-};
+export const getPredefinedTags = async ({ signal } = {}) => (
+  apiRequest('/welfare-analyses/tags', { signal })
+);
 
 /**
  * Get summary statistics across all welfare analyses
@@ -190,6 +244,8 @@ export const getPredefinedTags = async () => {
  * Retrieves aggregate statistics including total count, average scores,
  * and unique tags count across all welfare analyses in the database.
  *
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - Cancels the request
  * @returns {Promise<Object>} Response with success status and summary statistics:
  *   - totalAnalyses: Total number of analyses
  *   - avgPreferenceAlignment: Overall average preference alignment score
@@ -208,29 +264,9 @@ export const getPredefinedTags = async () => {
  *   });
  * }
  */
-export const getSummaryStats = async () => {
-  try {
-    console.log('Fetching welfare analysis summary statistics');
-
-    // Make a GET request to fetch the summary statistics
-    const response = await fetch(`${API_BASE_URL}/summary`);
-
-    // Check if the response is okay
-    if (!response.ok) {
-      throw new Error(`Failed to fetch summary statistics: HTTP status ${response.status}`);
-    }
-
-    // Parse and return the JSON response
-    const data = await response.json();
-    console.log('Summary statistics response:', data);
-    return data;
-
-  } catch (error) {
-    // Log the error and re-throw it so the caller can handle it
-    console.error('Error in getSummaryStats:', error);
-    throw error;
-  }
-};
+export const getSummaryStats = async ({ signal } = {}) => (
+  apiRequest('/welfare-analyses/summary', { signal })
+);
 
 /**
  * Get tag usage statistics across all welfare analyses
@@ -239,6 +275,8 @@ export const getSummaryStats = async () => {
  * has been used across all welfare analyses. Results are sorted by usage count
  * in descending order (most-used tags first).
  *
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - Cancels the request
  * @returns {Promise<Object>} Response with success status and tag usage data:
  *   - tagUsage: Object/map with tag names as keys and usage counts as values
  *     Example: {"distress": 15, "conscious": 12, "introspective": 8}
@@ -250,34 +288,16 @@ export const getSummaryStats = async () => {
  *   // Output: {"distress": 15, "conscious": 12, ...}
  * }
  */
-export const getTagUsage = async () => {
-  try {
-    console.log('Fetching tag usage statistics');
-
-    // Make a GET request to fetch the tag usage statistics
-    const response = await fetch(`${API_BASE_URL}/tag-usage`);
-
-    // Check if the response is okay
-    if (!response.ok) {
-      throw new Error(`Failed to fetch tag usage statistics: HTTP status ${response.status}`);
-    }
-
-    // Parse and return the JSON response
-    const data = await response.json();
-    console.log('Tag usage statistics response:', data);
-    return data;
-
-  } catch (error) {
-    // Log the error and re-throw it so the caller can handle it
-    console.error('Error in getTagUsage:', error);
-    throw error;
-  }
-};
+export const getTagUsage = async ({ signal } = {}) => (
+  apiRequest('/welfare-analyses/tag-usage', { signal })
+);
 
 /**
  * Delete a welfare analysis by its unique analysis ID
  *
  * This permanently removes the welfare analysis from the database.
+ * Researchers can delete any analysis and analysts their own (see canDeleteAnalysis in
+ * constants/roles); otherwise the backend answers with HTTP 403.
  *
  * @param {string} analysisId - The unique identifier of the analysis to delete
  * @returns {Promise<Object>} Response with success status and message
@@ -290,31 +310,10 @@ export const getTagUsage = async () => {
  *   console.log("Analysis not found or deletion failed");
  * }
  */
-export const deleteAnalysis = async (analysisId) => {
-  try {
-    console.log('Deleting welfare analysis:', analysisId);
-
-    // Make a DELETE request to remove the analysis
-    const response = await fetch(`${API_BASE_URL}/${analysisId}`, {
-      method: 'DELETE',
-      headers: {
-        'Content-Type': 'application/json',
-      }
-    });
-
-    // Check if the response is okay
-    if (!response.ok) {
-      throw new Error(`Failed to delete analysis: HTTP status ${response.status}`);
-    }
-
-    // Parse and return the JSON response
-    const data = await response.json();
-    console.log('Analysis deletion response:', data);
-    return data;
-
-  } catch (error) {
-    // Log the error and re-throw it so the caller can handle it
-    console.error('Error in deleteAnalysis:', error);
-    throw error;
-  }
-};
+export const deleteAnalysis = async (analysisId) => (
+  // "Not found" comes back as { success: false }, for the caller to check
+  apiRequest(`/welfare-analyses/${encodeURIComponent(analysisId)}`, {
+    method: 'DELETE',
+    allowUnsuccessful: true
+  })
+);
@@ -0,0 +1,80 @@
+// This module keeps the analysis status of conversations for every page that shows it
+// History fills it in batches as conversations are listed, and ToolsPage refreshes a conversation
+// after saving or deleting its analysis, so the History badges stay current without asking the
+// backend about each conversation again.
+//
+// Status shape: { analyzed, analystCount, lastScoredAt }
+
+import { fetchAnalysisStatuses } from './analysisService';
+
+const NOT_ANALYZED = { analyzed: false, analystCount: 0, lastScoredAt: null };
+
+const statuses = new Map();
+const listeners = new Set();
+
+// Bumped on every change, so React can tell when to re-render (see useSyncExternalStore)
+let version = 0;
+
+const notify = () => {
+  version += 1;
+  listeners.forEach(listener => listener());
+};
+
+/**
+ * Cached status of a conversation
+ *
+ * @param {string} conversationId - Conversation ID
+ * @returns {Object|null} { analyzed, analystCount, lastScoredAt }, or null if not loaded yet
+ */
+export const getAnalysisStatus = (conversationId) => statuses.get(conversationId) || null;
+
+/**
+ * Fetch the status of conversations from the backend, replacing what is cached
+ *
+ * @param {Array<string>} conversationIds - Conversation IDs
+ * @returns {Promise<void>}
+ *
+ * Example usage:
+ * await refreshAnalysisStatuses([conversationId]); // after saving an analysis
+ */
+export const refreshAnalysisStatuses = async (conversationIds) => {
+  if (conversationIds.length === 0) return;
+
+  const fetched = await fetchAnalysisStatuses(conversationIds);
+  conversationIds.forEach((conversationId) => {
+    statuses.set(conversationId, { ...NOT_ANALYZED, ...fetched[conversationId] });
+  });
+  notify();
+};
+
+/**
+ * Fetch the status of the conversations that aren't cached yet, in one request
+ *
+ * @param {Array<string>} conversationIds - Conversation IDs
+ * @returns {Promise<void>}
+ */
+export const loadAnalysisStatuses = async (conversationIds) => {
+  const missing = [...new Set(conversationIds)].filter(conversationId => !statuses.has(conversationId));
+  await refreshAnalysisStatuses(missing);
+};
+
+/**
+ * Listen for status changes
+ *
+ * @param {Function} listener - Called after statuses change
+ * @returns {Function} Stops listening
+ */
+export const subscribeToAnalysisStatuses = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * Number that changes whenever a cached status does
+ *
+ * @returns {number} Cache version
+ *
+ * Example usage:
+ * useSyncExternalStore(subscribeToAnalysisStatuses, getAnalysisStatusVersion);
+ */
+export const getAnalysisStatusVersion = () => version;
@@ -0,0 +1,214 @@
+// This module sends every request the app makes to the backend
+// It adds the base URL and a timeout, links cancellation to the caller's AbortSignal,
+// logs failures once, and turns them into typed errors whose messages can be shown as they are:
+//   NetworkError  - the backend could not be reached
+//   TimeoutError  - the backend did not answer in time (a kind of NetworkError)
+//   HttpError     - the backend answered with a non-2xx status (error.status)
+//   BackendError  - the backend answered 2xx with { success: false, error }
+// A request cancelled through its signal still rejects with the usual AbortError.
+//
+// The signed-in user's session token is sent with every request (see session.js); a 401 answer
+// means the backend no longer accepts it, so the session is ended and the app asks to sign in again.
+//
+// The base URL and timeout come from, in order of precedence:
+//   1. window.__APP_CONFIG__ ({ apiBaseUrl, requestTimeoutMs }), set by public/config.js,
+//      which can be edited where the app is deployed without rebuilding it
+//   2. VITE_API_BASE_URL and VITE_API_TIMEOUT_MS at build time
+//   3. http://localhost:8080/api and 30 seconds
+
+import { getSessionToken, clearSession } from './session';
+
+const DEFAULT_API_BASE_URL = 'http://localhost:8080/api';
+const DEFAULT_TIMEOUT_MS = 30000;
+
+// Runtime configuration (see public/config.js)
+const getRuntimeConfig = () => (typeof window !== 'undefined' && window.__APP_CONFIG__) || {};
+
+/**
+ * Base URL of the backend API, without a trailing slash
+ *
+ * @returns {string} e.g. "http://localhost:8080/api"
+ */
+export const getApiBaseUrl = () => (
+  getRuntimeConfig().apiBaseUrl || import.meta.env.VITE_API_BASE_URL || DEFAULT_API_BASE_URL
+).replace(/\/+$/, '');
+
+/**
+ * Default request timeout
+ *
+ * @returns {number} Milliseconds
+ */
+const getDefaultTimeout = () => (
+  Number(getRuntimeConfig().requestTimeoutMs || import.meta.env.VITE_API_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS
+);
+
+/**
+ * Base class of the errors raised for failed requests
+ * method and path identify the request, e.g. "GET" and "/conversations/history".
+ */
+export class ApiError extends Error {
+  constructor(message, { method, path, cause } = {}) {
+    super(message, { cause });
+    this.name = 'ApiError';
+    this.method = method;
+    this.path = path;
+  }
+}
+
+// The request never got an answer: the backend is down, unreachable or blocked by CORS
+export class NetworkError extends ApiError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'NetworkError';
+  }
+}
+
+// No answer arrived within the timeout
+export class TimeoutError extends NetworkError {
+  constructor(timeoutMs, details) {
+    super(`The backend did not respond within ${Math.round(timeoutMs / 1000)} seconds.`, details);
+    this.name = 'TimeoutError';
+    this.timeoutMs = timeoutMs;
+  }
+}
+
+// The backend answered with an error status; body is its JSON answer, if any
+export class HttpError extends ApiError {
+  constructor(status, body, details) {
+    super(`${body?.error || body?.message || 'Request failed'} (HTTP ${status})`, details);
+    this.name = 'HttpError';
+    this.status = status;
+    this.body = body;
+  }
+}
+
+// The backend answered 2xx but reported a failure in the body
+export class BackendError extends ApiError {
+  constructor(body, details) {
+    super(body?.error || body?.message || 'The backend reported a failure.', details);
+    this.name = 'BackendError';
+    this.body = body;
+  }
+}
+
+/**
+ * Whether an error comes from cancelling a request (nothing to report to the user)
+ *
+ * @param {Error} error - Caught error
+ * @returns {boolean} True for an AbortError
+ */
+export const isAbortError = (error) => error?.name === 'AbortError';
+
+/**
+ * Send a request to the backend
+ *
+ * @param {string} path - Path below the base URL, e.g. "/conversations/history/page?sort=updated"
+ * @param {Object} options - Request options
+ * @param {string} options.method - HTTP method (default GET)
+ * @param {*} options.json - Body to send as JSON
+ * @param {string} options.body - Body to send as it is (e.g. already serialized JSON)
+ * @param {Object} options.headers - Extra headers
+ * @param {AbortSignal} options.signal - Cancels the request, e.g. when a page unmounts
+ * @param {number} options.timeout - Milliseconds to wait for an answer; 0 waits forever
+ * @param {boolean} options.stream - Return the Response as soon as the headers arrive, for reading
+ *   the body as a stream (the timeout then only covers waiting for the headers)
+ * @param {boolean} options.allowUnsuccessful - Return { success: false } answers instead of raising BackendError
+ * @returns {Promise<*>} Parsed JSON answer, or the Response when streaming
+ * @throws {NetworkError|TimeoutError|HttpError|BackendError} When the request fails
+ *
+ * Example usage:
+ * const controller = new AbortController();
+ * const data = await apiRequest('/conversations/search', { method: 'POST', json: params, signal: controller.signal });
+ */
+export const apiRequest = async (path, options = {}) => {
+  const {
+    method = 'GET',
+    json,
+    body,
+    headers = {},
+    signal,
+    timeout = getDefaultTimeout(),
+    stream = false,
+    allowUnsuccessful = false
+  } = options;
+  const details = { method, path };
+
+  // One controller for both the timeout and the caller's signal
+  const controller = new AbortController();
+  let timedOut = false;
+  const timer = timeout > 0
+    ? setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, timeout)
+    : null;
+  const abortFromCaller = () => controller.abort(signal.reason);
+  if (signal?.aborted) {
+    controller.abort(signal.reason);
+  } else {
+    signal?.addEventListener('abort', abortFromCaller, { once: true });
+  }
+
+  const token = getSessionToken();
+
+  try {
+    let response;
+    try {
+      response = await fetch(`${getApiBaseUrl()}${path}`, {
+        method,
+        headers: {
+          ...(json !== undefined && { 'Content-Type': 'application/json' }),
+          ...(token && { Authorization: `Bearer ${token}` }),
+          ...headers
+        },
+        body: json !== undefined ? JSON.stringify(json) : body,
+        signal: controller.signal
+      });
+    } catch (error) {
+      if (isAbortError(error) || controller.signal.aborted) throw error;
+      throw new NetworkError(`Could not reach the backend at ${getApiBaseUrl()}. Check that it is running.`, {
+        ...details,
+        cause: error
+      });
+    }
+
+    if (!response.ok) {
+      // Error answers usually explain themselves in an { error } body
+      const errorBody = await response.json().catch(() => null);
+      // Only end the session the request was sent with, not one started since
+      if (response.status === 401 && token && token === getSessionToken()) {
+        clearSession();
+      }
+      throw new HttpError(response.status, errorBody, details);
+    }
+
+    if (stream) return response;
+
+    let data;
+    try {
+      data = await response.json();
+    } catch (error) {
+      if (isAbortError(error) || controller.signal.aborted) throw error;
+      throw new ApiError('The backend sent an answer that is not valid JSON.', { ...details, cause: error });
+    }
+
+    if (data?.success === false && !allowUnsuccessful) {
+      throw new BackendError(data, details);
+    }
+    return data;
+
+  } catch (error) {
+    const failure = timedOut ? new TimeoutError(timeout, { ...details, cause: error }) : error;
+
+    // A cancelled request is not a failure worth logging
+    if (!isAbortError(failure)) {
+      console.error(`API request failed: ${method} ${path}`, failure);
+    }
+    throw failure;
+
+  } finally {
+    clearTimeout(timer);
+    // A streamed body still needs the caller's signal to stop it
+    if (!stream) signal?.removeEventListener('abort', abortFromCaller);
+  }
+};
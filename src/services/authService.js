@@ -0,0 +1,63 @@
+// This service signs users in and out against the backend's identity provider
+// The backend identifies the user from the session token on every request, so conversations
+// and analyses are attributed to whoever is signed in (see session.js)
+
+import { apiRequest } from './apiClient';
+import { getSessionToken, setSession, clearSession } from './session';
+
+/**
+ * Sign in and start a session
+ *
+ * @param {string} username - Account name
+ * @param {string} password - Account password
+ * @returns {Promise<Object>} Signed-in user: { userId, displayName, role }
+ * @throws {HttpError} With status 401 when the username or password is wrong
+ *
+ * Example usage:
+ * const user = await signIn('analyst', 'analyst');
+ * console.log(`Signed in as ${user.displayName} (${user.role})`);
+ */
+export const signIn = async (username, password) => {
+  const data = await apiRequest('/auth/login', {
+    method: 'POST',
+    json: { username, password }
+  });
+
+  setSession({ token: data.token, user: data.user });
+  return data.user;
+};
+
+/**
+ * End the session, here and on the backend
+ *
+ * @returns {Promise<void>}
+ */
+export const signOut = async () => {
+  try {
+    await apiRequest('/auth/logout', { method: 'POST' });
+  } catch (error) {
+    // The session ends here either way; the backend lets unused tokens expire
+    console.error('Failed to end the session on the backend:', error);
+  } finally {
+    clearSession();
+  }
+};
+
+/**
+ * Fetch the signed-in user again, e.g. to pick up a role change since signing in
+ *
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - Cancels the request
+ * @returns {Promise<Object>} Signed-in user: { userId, displayName, role }
+ * @throws {HttpError} With status 401 when the session has expired (the session is then ended)
+ */
+export const refreshCurrentUser = async ({ signal } = {}) => {
+  const token = getSessionToken();
+  const data = await apiRequest('/auth/me', { signal });
+
+  // Signed out or in as someone else while waiting
+  if (getSessionToken() === token) {
+    setSession({ token, user: data.user });
+  }
+  return data.user;
+};
@@ -0,0 +1,216 @@
+// This service handles API calls to the backend chat endpoint
+// It provides a streaming variant that delivers Claude's reply as it is generated
+// Requests go through apiClient, which raises typed errors (see apiClient.js)
+
+import { toApiMessages } from '../utils/attachments';
+import { apiRequest, ApiError, BackendError, NetworkError, isAbortError } from './apiClient';
+
+// Replies with extended thinking can take minutes, so chat requests wait longer than others
+// (for streams this only covers waiting for the first bytes)
+const CHAT_TIMEOUT_MS = 5 * 60 * 1000;
+
+/**
+ * Serialize a chat request body, turning message attachments into content blocks
+ *
+ * @param {Object} requestBody - Request body ({ messages, contextEnabled, settings })
+ * @returns {string} JSON body
+ */
+const serializeRequest = (requestBody) => JSON.stringify({
+  ...requestBody,
+  messages: toApiMessages(requestBody.messages)
+});
+
+/**
+ * Parse a single Server-Sent Events block into its event name and JSON payload
+ *
+ * @param {string} block - Raw text of one event (lines between blank lines)
+ * @returns {Object|null} { event, data } or null if the block carries no data
+ */
+const parseSseBlock = (block) => {
+  let event = 'message';
+  const dataLines = [];
+
+  block.split('\n').forEach((line) => {
+    if (line.startsWith('event:')) {
+      event = line.slice(6).trim();
+    } else if (line.startsWith('data:')) {
+      dataLines.push(line.slice(5).trimStart());
+    }
+  });
+
+  if (dataLines.length === 0) {
+    return null;
+  }
+
+  return { event, data: JSON.parse(dataLines.join('\n')) };
+};
+
+/**
+ * Send a chat turn to the backend and wait for the complete reply
+ *
+ * Non-2xx responses and bodies with success: false are treated as errors,
+ * so an error payload is never mistaken for Claude's reply. Attachments on messages
+ * are sent as image and document content blocks.
+ *
+ * @param {Object} requestBody - Request body ({ messages, contextEnabled, settings })
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - Signal used to cancel the request
+ * @returns {Promise<Object>} Result with response, thinking, usage and (optionally) cache metadata
+ *
+ * Example usage:
+ * const result = await sendChatMessage({ messages, contextEnabled: false });
+ * console.log(result.response);
+ */
+export const sendChatMessage = async (requestBody, { signal } = {}) => {
+  // Failures reported in the body instead of the status code raise BackendError
+  const data = await apiRequest('/chat', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: serializeRequest(requestBody),
+    signal,
+    timeout: CHAT_TIMEOUT_MS
+  });
+
+  if (typeof data.response !== 'string') {
+    throw new ApiError('Chat response did not include a reply', { method: 'POST', path: '/chat' });
+  }
+
+  return data;
+};
+
+/**
+ * Stream a chat turn from the backend as Server-Sent Events
+ *
+ * The backend forwards the Anthropic streaming events (message_start,
+ * content_block_delta, message_delta, message_stop, error). Thinking and
+ * text deltas are passed to the callbacks as they arrive.
+ *
+ * @param {Object} requestBody - Same body as POST /api/chat ({ messages, contextEnabled })
+ * @param {Object} options - Stream options
+ * @param {Function} options.onThinking - Called with each thinking text delta
+ * @param {Function} options.onText - Called with each reply text delta
+ * @param {Function} options.onUsage - Called with the usage reported so far whenever it changes
+ * @param {AbortSignal} options.signal - Signal used to stop the stream early
+ * @returns {Promise<Object>} Final result with response, thinking, usage, totalTokens and stopReason
+ *   (usage is in the Anthropic format: input_tokens, output_tokens, cache_creation_input_tokens, cache_read_input_tokens)
+ *
+ * Aborting the signal rejects the promise with an AbortError; whatever was
+ * delivered through the callbacks up to that point is the partial reply.
+ * A stream that ends without message_stop rejects with a NetworkError, so a
+ * reply that was cut off is never taken for a complete one.
+ *
+ * Example usage:
+ * const result = await streamChatMessage(
+ *   { messages, contextEnabled: false },
+ *   { onText: (text) => console.log(text), signal: controller.signal }
+ * );
+ */
+export const streamChatMessage = async (requestBody, { onThinking, onText, onUsage, signal } = {}) => {
+  // Request errors are logged by apiClient
+  const response = await apiRequest('/chat/stream', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Accept': 'text/event-stream',
+    },
+    body: serializeRequest(requestBody),
+    signal,
+    timeout: CHAT_TIMEOUT_MS,
+    stream: true
+  });
+
+  try {
+    const result = {
+      response: '',
+      thinking: '',
+      usage: {},
+      stopReason: null
+    };
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let finished = false;
+
+    while (!finished) {
+      const { value, done } = await reader.read();
+      if (done) break;
+
+      // Normalize line endings so events are always separated by a blank line
+      buffer += decoder.decode(value, { stream: true }).replace(/\r\n/g, '\n');
+
+      let separatorIndex;
+      while ((separatorIndex = buffer.indexOf('\n\n')) !== -1) {
+        const block = buffer.slice(0, separatorIndex);
+        buffer = buffer.slice(separatorIndex + 2);
+
+        const parsed = parseSseBlock(block);
+        if (!parsed) continue;
+
+        const { event, data } = parsed;
+
+        if (event === 'message_start') {
+          // Input and cache token counts arrive up front
+          result.usage = { ...result.usage, ...data.message?.usage };
+          onUsage?.(result.usage);
+        } else if (event === 'content_block_delta') {
+          if (data.delta?.type === 'thinking_delta') {
+            result.thinking += data.delta.thinking;
+            onThinking?.(data.delta.thinking);
+          } else if (data.delta?.type === 'text_delta') {
+            result.response += data.delta.text;
+            onText?.(data.delta.text);
+          }
+        } else if (event === 'message_delta') {
+          // Output token counts are cumulative, so the last delta wins
+          result.usage = { ...result.usage, ...data.usage };
+          onUsage?.(result.usage);
+          result.stopReason = data.delta?.stop_reason || result.stopReason;
+        } else if (event === 'message_stop') {
+          finished = true;
+          break;
+        } else if (event === 'error') {
+          throw new BackendError(
+            { error: data.error?.message || 'Stream error from backend' },
+            { method: 'POST', path: '/chat/stream' }
+          );
+        }
+      }
+    }
+
+    // A stream cut off before message_stop (dropped connection, proxy timeout) holds only part
+    // of the reply, which must not be kept as a finished turn
+    if (!finished) {
+      throw new NetworkError('The connection to the backend was lost while Claude was replying.', {
+        method: 'POST',
+        path: '/chat/stream'
+      });
+    }
+
+    // Release the connection if the server kept it open after message_stop
+    reader.cancel().catch(() => {});
+
+    return {
+      response: result.response,
+      thinking: result.thinking,
+      usage: result.usage,
+      totalTokens: (result.usage.input_tokens || 0) + (result.usage.output_tokens || 0),
+      stopReason: result.stopReason
+    };
+
+  } catch (error) {
+    // A user-initiated stop is not an error worth logging
+    if (isAbortError(error)) throw error;
+
+    // Other than a reported error or an unreadable event, the connection broke off mid-reply
+    const details = { method: 'POST', path: '/chat/stream', cause: error };
+    let failure = error;
+    if (error instanceof SyntaxError) {
+      failure = new ApiError('The backend sent a stream event that is not valid JSON.', details);
+    } else if (!(error instanceof ApiError)) {
+      failure = new NetworkError('The connection to the backend was lost while Claude was replying.', details);
+    }
+    console.error('Error streaming chat message:', failure);
+    throw failure;
+  }
+};
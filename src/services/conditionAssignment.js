@@ -0,0 +1,62 @@
+// This service assigns new conversations to the experimental conditions of a protocol
+// The backend assigns them with permuted blocks: every condition appears once per block in a
+// random order, so after each completed block all conditions have the same number of conversations.
+// It keeps one sequence of blocks per protocol version for everyone, so the split stays even
+// across researchers, machines, Chat and the protocol runner.
+// Requests go through apiClient, which raises typed errors (see apiClient.js)
+
+import { apiRequest } from './apiClient';
+import { getProtocolConditions } from '../utils/protocols';
+
+const getAssignmentPath = (protocol, action) => (
+  `/protocols/${encodeURIComponent(protocol.protocolId)}/conditions/${action}`
+);
+
+/**
+ * Assign the next conversation to one of a protocol's conditions
+ *
+ * @param {Object} protocol - Protocol whose steps have variants
+ * @returns {Promise<Object|null>} { conditionId, label, variants, assignment: { method, blockNumber, blockSize, position } },
+ *   or null if the protocol has no variants
+ *
+ * Example usage:
+ * const condition = await assignCondition(protocol);
+ * const protocolForRun = applyCondition(protocol, condition);
+ */
+export const assignCondition = async (protocol) => {
+  const conditions = getProtocolConditions(protocol);
+  if (conditions.length === 0) return null;
+
+  // The condition IDs are sent along, since the built-in protocol only exists in the app
+  const data = await apiRequest(getAssignmentPath(protocol, 'assign'), {
+    method: 'POST',
+    json: { version: protocol.version, conditionIds: conditions.map(condition => condition.conditionId) }
+  });
+
+  const condition = conditions.find(c => c.conditionId === data.conditionId);
+  return { ...condition, assignment: data.assignment };
+};
+
+/**
+ * Give an assigned condition back when its conversation was never completed
+ *
+ * The backend puts the condition back at the front of the current block, so the next
+ * conversation receives it and the block stays balanced.
+ *
+ * @param {Object} protocol - Protocol the condition was assigned from
+ * @param {Object} condition - Condition returned by assignCondition
+ * @returns {Promise<void>}
+ */
+export const releaseCondition = async (protocol, condition) => {
+  if (!condition) return;
+
+  await apiRequest(getAssignmentPath(protocol, 'release'), {
+    method: 'POST',
+    json: {
+      version: protocol.version,
+      conditionIds: getProtocolConditions(protocol).map(c => c.conditionId),
+      conditionId: condition.conditionId,
+      blockNumber: condition.assignment.blockNumber
+    }
+  });
+};
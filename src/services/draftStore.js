@@ -0,0 +1,230 @@
+// This service keeps a local copy of every unsaved conversation in IndexedDB
+// Chat writes a draft as soon as a message is sent and before each backend save, so a failed
+// save, a crash or a page refresh mid-reply never loses the conversation. Drafts that did not
+// reach the backend are re-saved by syncUnsyncedDrafts once it is reachable again, and a draft
+// is deleted as soon as the backend has saved it, so only unsaved work (attachments included)
+// takes up space.
+// Drafts belong to the user who wrote them (userId), so on a shared browser each user
+// only sees and re-saves their own. Drafts from before users signed in go to the first user
+// who signs in on the browser.
+//
+// Draft shape:
+// {
+//   conversationId, userId, tree, contextEnabled, metadata,
+//   awaitingReply: ID of the user turn whose reply was being requested, or null,
+//   updatedAt: ISO timestamp of the last local change,
+//   syncStatus: 'pending' | 'failed',
+//   lastError: message of the last failed save (or null)
+// }
+// A draft awaiting a reply is never re-saved on its own: saving it would record a user turn
+// without a reply. Chat offers to restore it so the message can be sent again.
+
+import { saveConversation } from './historyService';
+import { getCurrentUser } from './session';
+import { getActiveMessages } from '../utils/conversationTree';
+
+const DB_NAME = 'research-chat';
+const DB_VERSION = 1;
+const STORE_NAME = 'drafts';
+
+// Owner of drafts written before users signed in, until someone claims them
+const LEGACY_USER_ID = 'default_user';
+
+let dbPromise = null;
+
+/**
+ * Open (and on first use create) the drafts database
+ *
+ * @returns {Promise<IDBDatabase>} Open database connection, shared by all calls
+ */
+const openDatabase = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE_NAME, { keyPath: 'conversationId' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+
+    // Let the next call try again instead of caching the failure
+    dbPromise.catch(() => {
+      dbPromise = null;
+    });
+  }
+
+  return dbPromise;
+};
+
+/**
+ * Run a callback against the drafts store inside a single transaction
+ *
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} callback - Receives the object store; may return an IDBRequest
+ * @returns {Promise<*>} Result of the returned request once the transaction completes
+ */
+const withStore = async (mode, callback) => {
+  const db = await openDatabase();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, mode);
+    const request = callback(transaction.objectStore(STORE_NAME));
+
+    transaction.oncomplete = () => resolve(request ? request.result : undefined);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+/**
+ * Update the sync status of a draft, unless it changed again in the meantime
+ *
+ * @param {string} conversationId - Draft to update
+ * @param {string} updatedAt - updatedAt of the version that was sent to the backend
+ * @param {Object} changes - Fields to set ({ syncStatus, lastError })
+ * @returns {Promise<void>}
+ */
+const updateSyncStatus = (conversationId, updatedAt, changes) => {
+  return withStore('readwrite', (store) => {
+    const request = store.get(conversationId);
+    request.onsuccess = () => {
+      // A newer local change is still waiting for its own save
+      if (request.result && request.result.updatedAt === updatedAt) {
+        store.put({ ...request.result, ...changes });
+      }
+    };
+  });
+};
+
+/**
+ * Delete a draft the backend has saved, unless it changed again in the meantime
+ *
+ * @param {string} conversationId - Draft to delete
+ * @param {string} updatedAt - updatedAt of the version that was sent to the backend
+ * @returns {Promise<void>}
+ */
+const removeSavedDraft = (conversationId, updatedAt) => {
+  return withStore('readwrite', (store) => {
+    const request = store.get(conversationId);
+    request.onsuccess = () => {
+      if (request.result && request.result.updatedAt === updatedAt) {
+        store.delete(conversationId);
+      }
+    };
+  });
+};
+
+/**
+ * Store the latest local copy of a conversation, marked as waiting to be saved
+ *
+ * @param {Object} draft - { conversationId, userId, tree, contextEnabled, metadata, awaitingReply }
+ *   (awaitingReply only while the reply to that user turn is being requested)
+ * @returns {Promise<Object>} The stored draft, including updatedAt and syncStatus
+ */
+export const saveDraft = async (draft) => {
+  const stored = {
+    awaitingReply: null,
+    ...draft,
+    updatedAt: new Date().toISOString(),
+    syncStatus: 'pending',
+    lastError: null
+  };
+
+  await withStore('readwrite', store => store.put(stored));
+  return stored;
+};
+
+/**
+ * Delete the local copy of a conversation, e.g. after discarding its only message
+ *
+ * @param {string} conversationId - Draft to delete
+ * @returns {Promise<void>}
+ */
+export const deleteDraft = (conversationId) => {
+  return withStore('readwrite', store => store.delete(conversationId));
+};
+
+/**
+ * Give the drafts written before users signed in to the signed-in user, so nobody else gets them later
+ *
+ * @param {string} userId - The signed-in user
+ * @returns {Promise<void>}
+ */
+const claimLegacyDrafts = async (userId) => {
+  const drafts = await withStore('readonly', store => store.getAll());
+  const unclaimed = drafts.filter(draft => draft.userId === LEGACY_USER_ID);
+  if (unclaimed.length === 0) return;
+
+  await withStore('readwrite', (store) => {
+    unclaimed.forEach(draft => store.put({ ...draft, userId }));
+  });
+};
+
+/**
+ * Fetch every draft of the signed-in user that has not reached the backend, newest first
+ *
+ * @returns {Promise<Array>} Drafts whose syncStatus is 'pending' or 'failed'
+ */
+export const getUnsyncedDrafts = async () => {
+  const userId = getCurrentUser()?.userId;
+  if (!userId) return [];
+
+  await claimLegacyDrafts(userId);
+  const drafts = await withStore('readonly', store => store.getAll());
+
+  return drafts
+    .filter(draft => draft.userId === userId)
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+};
+
+/**
+ * Save a stored draft to the backend, then delete it, or record the failure on it
+ *
+ * @param {Object} draft - Draft as returned by saveDraft or getUnsyncedDrafts
+ * @returns {Promise<Object>} Backend response; rejects if the save failed
+ */
+export const syncDraft = async (draft) => {
+  try {
+    const response = await saveConversation(
+      draft.conversationId,
+      getActiveMessages(draft.tree),
+      draft.contextEnabled,
+      {
+        tree: draft.tree,
+        metadata: draft.metadata
+      }
+    );
+
+    await removeSavedDraft(draft.conversationId, draft.updatedAt);
+    return response;
+
+  } catch (error) {
+    await updateSyncStatus(draft.conversationId, draft.updatedAt, { syncStatus: 'failed', lastError: error.message });
+    throw error;
+  }
+};
+
+/**
+ * Re-save every draft that has not reached the backend, except those awaiting a reply
+ *
+ * Stops at the first failure, since the backend is most likely still unreachable.
+ *
+ * @returns {Promise<Array<string>>} IDs of the conversations that were saved
+ */
+export const syncUnsyncedDrafts = async () => {
+  const drafts = (await getUnsyncedDrafts()).filter(draft => !draft.awaitingReply);
+  const syncedIds = [];
+
+  for (const draft of drafts) {
+    try {
+      await syncDraft(draft);
+      syncedIds.push(draft.conversationId);
+    } catch {
+      break;
+    }
+  }
+
+  return syncedIds;
+};
@@ -1,195 +1,216 @@
 // This service handles API calls to the backend for conversation persistence
 // It provides methods to save, fetch, and load conversation history
+// Requests go through apiClient, which raises typed errors (see apiClient.js)
+// The backend attributes conversations to the signed-in user, so no user ID is passed
 
-// Base URL for the backend API
-const API_BASE_URL = 'http://localhost:8080/api';
+import { createTreeFromMessages, getActiveMessages } from '../utils/conversationTree';
+import { apiRequest } from './apiClient';
+
+/**
+ * Parse a conversation's metadata JSON string (older conversations have none)
+ *
+ * @param {string|Object|null} metadata - Metadata as returned by the backend
+ * @returns {Object} Parsed metadata, or an empty object
+ */
+const parseMetadata = (metadata) => (
+  typeof metadata === 'string' ? JSON.parse(metadata) : metadata || {}
+);
 
 /**
  * Save a conversation to the database
  *
+ * A new conversation belongs to the signed-in user; saving an existing one keeps its owner.
+ * Saves only replace an automatic title with another automatic one: a title that was edited,
+ * suggested by Claude or reset changes through updateConversationTitle, and the backend keeps it
+ * even when the saved metadata holds an older title. Needs the 'conversation:write' permission.
+ *
  * @param {string} conversationId - Unique identifier for the conversation
- * @param {string} userId - User who owns this conversation (defaults to "default_user")
- * @param {Array} messages - Array of message objects (will be stringified)
+ * @param {Array} messages - Array of message objects on the active branch (will be stringified)
  * @param {boolean} contextEnabled - Whether context is enabled for this conversation
- * @returns {Object} Response from the backend with success status
+ * @param {Object} options - Optional extra conversation data
+ * @param {Object} options.tree - Full branching conversation tree (will be stringified)
+ * @param {Object} options.metadata - Conversation metadata such as generationSettings (will be stringified)
+ * @param {AbortSignal} options.signal - Cancels the request
+ * @returns {Object} Response from the backend with success status and the metadata as saved (parsed)
  */
-export const saveConversation = async (conversationId, userId, messages, contextEnabled) => {
-  try {
-    // Convert the messages array to a JSON string before sending
-    const messagesJson = JSON.stringify(messages);
-
-    // Make a POST request to save the conversation
-    const response = await fetch(`${API_BASE_URL}/conversations/save`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        conversationId: conversationId,
-        userId: userId || 'default_user',
-        messages: messagesJson,
-        contextEnabled: contextEnabled
-      })
-    });
-
-    // Check if the response is okay
-    if (!response.ok) {
-      throw new Error(`Failed to save conversation: ${response.status}`);
-    }
-
-    // Parse and return the JSON response
-    const data = await response.json();
-    return data;
-
-  } catch (error) {
-    // Log the error and re-throw it so the caller can handle it
-    console.error('Error saving conversation:', error);
-    throw error;
-  }
+export const saveConversation = async (conversationId, messages, contextEnabled, options = {}) => {
+  // The tree holds every branch; messages stays the active branch for older readers
+  const data = await apiRequest('/conversations/save', {
+    method: 'POST',
+    json: {
+      conversationId: conversationId,
+      messages: JSON.stringify(messages),
+      contextEnabled: contextEnabled,
+      tree: options.tree ? JSON.stringify(options.tree) : null,
+      metadata: options.metadata ? JSON.stringify(options.metadata) : null
+    },
+    signal: options.signal
+  });
+
+  return { ...data, metadata: parseMetadata(data.metadata) };
+};
+
+/**
+ * Fetch the conversation history (every user's conversations)
+ *
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - Cancels the request
+ * @returns {Array} Array of conversation summaries (without full chat data) with parsed metadata
+ */
+export const fetchHistory = async ({ signal } = {}) => {
+  const data = await apiRequest('/conversations/history', { signal });
+
+  // Parse the metadata of every conversation summary
+  return data.map(conversation => ({ ...conversation, metadata: parseMetadata(conversation.metadata) }));
 };
 
 /**
- * Fetch conversation history for a user
+ * Fetch one page of the conversation history, sorted by the backend
+ *
+ * Pass the nextCursor of a page to get the page after it. Cursors point just past the last
+ * conversation of their page, so pages don't repeat or skip conversations added or deleted in between.
  *
- * @param {string} userId - User ID to fetch conversations for
- * @returns {Array} Array of conversation summaries (without full chat data)
+ * @param {Object} options - Paging and sorting options
+ * @param {string} options.cursor - nextCursor of the previous page (omit for the first page)
+ * @param {string} options.after - Start just after this conversation instead (e.g. to find the next one)
+ * @param {number} options.limit - Conversations per page (default 50)
+ * @param {string} options.sort - 'created', 'updated', 'messageCount' or 'analyzed' (default 'created')
+ * @param {string} options.order - 'desc' or 'asc' (default 'desc')
+ * @param {AbortSignal} options.signal - Cancels the request
+ * @returns {Object} { conversations (summaries with parsed metadata), nextCursor (null on the last page), totalCount }
+ *
+ * Example usage:
+ * const firstPage = await fetchHistoryPage({ sort: 'messageCount' });
+ * const secondPage = await fetchHistoryPage({ sort: 'messageCount', cursor: firstPage.nextCursor });
  */
-export const fetchHistory = async (userId) => {
-  try {
-    // Make a GET request to fetch conversation history
-    const response = await fetch(
-      `${API_BASE_URL}/conversations/history?userId=${userId || 'default_user'}`
-    );
-
-    // Check if the response is okay
-    if (!response.ok) {
-      throw new Error(`Failed to fetch history: ${response.status}`);
-    }
-
-    // Parse and return the array of conversation summaries
-    const data = await response.json();
-    return data;
-
-  } catch (error) {
-    // Log the error and re-throw it so the caller can handle it
-    console.error('Error fetching conversation history:', error);
-    throw error;
+export const fetchHistoryPage = async (options = {}) => {
+  const params = new URLSearchParams({
+    limit: String(options.limit || 50),
+    sort: options.sort || 'created',
+    order: options.order || 'desc'
+  });
+  if (options.cursor) {
+    params.set('cursor', options.cursor);
+  } else if (options.after) {
+    params.set('after', options.after);
   }
+
+  const data = await apiRequest(`/conversations/history/page?${params}`, { signal: options.signal });
+
+  // Parse the metadata of every conversation on the page
+  return {
+    conversations: data.conversations.map(conversation => ({
+      ...conversation,
+      metadata: parseMetadata(conversation.metadata)
+    })),
+    nextCursor: data.nextCursor || null,
+    totalCount: data.totalCount
+  };
+};
+
+/**
+ * Fetch the experimental conditions conversations have been assigned to, for filtering the history
+ *
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - Cancels the request
+ * @returns {Array} Distinct conditions: [{ protocolId, protocolName, conditionId, label }]
+ */
+export const fetchConditions = async ({ signal } = {}) => {
+  const data = await apiRequest('/conversations/conditions', { signal });
+  return data.conditions || [];
 };
 
 /**
  * Fetch a specific conversation by its ID
  *
  * @param {string} conversationId - The ID of the conversation to fetch
- * @returns {Object} Full conversation data with parsed messages array
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - Cancels the request
+ * @returns {Object} Full conversation data with parsed messages array, tree and metadata
+ *   (conversations saved before branching are given a single-branch tree)
  */
-export const fetchConversation = async (conversationId) => {
-  try {
-    // Make a GET request to fetch the specific conversation
-    const response = await fetch(
-      `${API_BASE_URL}/conversations/${conversationId}`
-    );
-
-    // Check if the response is okay
-    if (!response.ok) {
-      throw new Error(`Failed to fetch conversation: ${response.status}`);
-    }
-
-    // Parse the JSON response
-    const data = await response.json();
-
-    // Check if the conversation was found
-    if (!data.success) {
-      throw new Error(data.error || 'Conversation not found');
-    }
-
-    // Parse the messages JSON string back into an array
-    if (data.conversation && data.conversation.chatData) {
-      data.conversation.messages = JSON.parse(data.conversation.chatData);
-    }
-
-    // Return the full conversation data
-    return data.conversation;
-
-  } catch (error) {
-    // Log the error and re-throw it so the caller can handle it
-    console.error('Error fetching conversation:', error);
-    throw error;
+export const fetchConversation = async (conversationId, { signal } = {}) => {
+  const data = await apiRequest(`/conversations/${encodeURIComponent(conversationId)}`, { signal });
+  const { conversation } = data;
+
+  // Parse the messages JSON string back into an array
+  if (conversation.chatData) {
+    conversation.messages = JSON.parse(conversation.chatData);
   }
+
+  // Parse the branching tree, or build one from the flat messages
+  if (conversation.treeData) {
+    conversation.tree = JSON.parse(conversation.treeData);
+    conversation.messages = getActiveMessages(conversation.tree);
+  } else {
+    conversation.tree = createTreeFromMessages(conversation.messages || []);
+  }
+
+  // Parse the metadata JSON string (older conversations have none)
+  conversation.metadata = parseMetadata(conversation.metadata);
+
+  return conversation;
+};
+
+/**
+ * Change the title and summary of a saved conversation
+ *
+ * Only the title fields are sent, and the backend merges them into the conversation's metadata,
+ * so a rename never overwrites messages or settings saved in the meantime.
+ *
+ * @param {string} conversationId - The ID of the conversation to rename
+ * @param {Object} titleFields - { title, summary, titleSource } (see utils/conversationTitles)
+ * @returns {Object} Metadata of the conversation after the merge
+ */
+export const updateConversationTitle = async (conversationId, titleFields) => {
+  const data = await apiRequest(`/conversations/${encodeURIComponent(conversationId)}/metadata`, {
+    method: 'PUT',
+    json: { metadata: titleFields }
+  });
+
+  return parseMetadata(data.metadata);
 };
 
 /**
  * Soft delete a conversation
  *
+ * Needs the 'conversation:delete' permission; other roles get an HttpError with status 403.
+ *
  * @param {string} conversationId - The ID of the conversation to delete
  * @returns {Object} Response from the backend with success status
  */
-export const softDeleteConversation = async (conversationId) => {
-  try {
-    // Make a PUT request to soft delete the conversation
-    const response = await fetch(
-      `${API_BASE_URL}/conversations/${conversationId}/delete`,
-      {
-        method: 'PUT',
-        headers: {
-          'Content-Type': 'application/json',
-        }
-      }
-    );
-
-    // Check if the response is okay
-    if (!response.ok) {
-      throw new Error(`Failed to delete conversation: ${response.status}`);
-    }
-
-    // Parse and return the JSON response
-    const data = await response.json();
-    return data;
-
-  } catch (error) {
-    // Log the error and re-throw it so the caller can handle it
-    console.error('Error deleting conversation:', error);
-    throw error;
-  }
-};
+export const softDeleteConversation = async (conversationId) => (
+  apiRequest(`/conversations/${encodeURIComponent(conversationId)}/delete`, { method: 'PUT' })
+);
 
 /**
  * Search conversations with filters
  *
  * @param {Object} searchParams - Search criteria object
- * @param {string} searchParams.userId - User ID to search conversations for (required)
+ * @param {string} searchParams.query - Full-text query over messages and thinking, with "phrases",
+ *   AND / OR / NOT, "-" and parentheses (optional; syntax in utils/textSearch)
  * @param {string} searchParams.dateFrom - Filter by conversations created after this date (optional)
  * @param {string} searchParams.dateTo - Filter by conversations created before this date (optional)
  * @param {Array<string>} searchParams.tags - Filter by tags (optional)
  * @param {boolean} searchParams.contextEnabled - Filter by context status (optional)
- * @returns {Object} Response with conversations array and count
+ * @param {string} searchParams.conditionId - Filter by assigned experimental condition (optional)
+ * @param {string} searchParams.sort - Sort key, as for fetchHistoryPage (optional)
+ * @param {string} searchParams.order - 'desc' or 'asc' (optional)
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - Cancels the request
+ * @returns {Object} Response with conversations array (with parsed metadata) and count;
+ *   with a query, each conversation also has matches ([{ messageIndex, role, field, snippet }]) and matchCount
+ * @throws {HttpError} With the backend's explanation when the query is malformed
  */
-export const searchConversations = async (searchParams) => {
-  try {
-    // Make a POST request to search conversations
-    const response = await fetch(
-      `${API_BASE_URL}/conversations/search`,
-      {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(searchParams)
-      }
-    );
-
-    // Check if the response is okay
-    if (!response.ok) {
-      throw new Error(`Failed to search conversations: ${response.status}`);
-    }
-
-    // Parse and return the JSON response
-    const data = await response.json();
-    return data;
-
-  } catch (error) {
-    // Log the error and re-throw it so the caller can handle it
-    console.error('Error searching conversations:', error);
-    throw error;
+export const searchConversations = async (searchParams, { signal } = {}) => {
+  const data = await apiRequest('/conversations/search', { method: 'POST', json: searchParams, signal });
+
+  // Parse the metadata of every match
+  if (Array.isArray(data.conversations)) {
+    data.conversations = data.conversations.map(conversation => ({
+      ...conversation,
+      metadata: parseMetadata(conversation.metadata)
+    }));
   }
+  return data;
 };
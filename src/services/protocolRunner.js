@@ -0,0 +1,218 @@
+// This service runs a research protocol unattended, one conversation per repetition
+// Each run sends the protocol's steps to /api/chat in order, skips conditional steps whose
+// condition isn't met, and saves the finished conversation through saveConversation.
+
+import { sendChatMessage } from './chatService';
+import { saveConversation } from './historyService';
+import { assignCondition, releaseCondition } from './conditionAssignment';
+import { fillTemplate } from '../constants/researchPrompts';
+import { shouldRunStep, applyCondition } from '../utils/protocols';
+import { createTree, addMessage, getActiveMessages } from '../utils/conversationTree';
+import { normalizeUsage } from '../utils/tokenUsage';
+import { buildCacheState } from '../utils/cacheState';
+import { getTitleMetadata } from '../utils/conversationTitles';
+
+/**
+ * Create a controller used to pause, resume and cancel a batch of runs
+ *
+ * Pausing takes effect between turns, so the turn in flight still completes.
+ * Cancelling also aborts the request in flight.
+ *
+ * @returns {Object} { pause, resume, cancel, isPaused, isCancelled, waitWhilePaused, signal }
+ */
+export const createRunController = () => {
+  const abortController = new AbortController();
+  let paused = false;
+  let resumeWaiters = [];
+
+  const releaseWaiters = () => {
+    resumeWaiters.forEach(resolve => resolve());
+    resumeWaiters = [];
+  };
+
+  return {
+    pause: () => {
+      paused = true;
+    },
+    resume: () => {
+      paused = false;
+      releaseWaiters();
+    },
+    cancel: () => {
+      abortController.abort();
+      releaseWaiters();
+    },
+    isPaused: () => paused,
+    isCancelled: () => abortController.signal.aborted,
+    waitWhilePaused: () => {
+      if (!paused || abortController.signal.aborted) return Promise.resolve();
+      return new Promise(resolve => resumeWaiters.push(resolve));
+    },
+    signal: abortController.signal
+  };
+};
+
+/**
+ * Run a protocol once as a new conversation
+ *
+ * @param {Object} options - Run options
+ * @param {Object} options.protocol - Protocol to run
+ * @param {Object} options.variables - Template variable values
+ * @param {Object} options.settings - Generation settings sent with every turn
+ * @param {boolean} options.contextEnabled - Context flag sent with every turn
+ * @param {Object} options.controller - Controller from createRunController
+ * @param {Function} options.onStep - Called with { stepIndex, command, status } as each step is sent or skipped
+ * @returns {Promise<Object>} { tree, sentSteps, skippedSteps, lastReply }; rejects if a turn fails
+ */
+export const runProtocolOnce = async ({ protocol, variables, settings, contextEnabled, controller, onStep }) => {
+  let tree = createTree();
+  let lastNodeId = null;
+  let lastReply = '';
+  const sentSteps = [];
+  const skippedSteps = [];
+
+  for (let stepIndex = 0; stepIndex < protocol.steps.length; stepIndex++) {
+    const step = protocol.steps[stepIndex];
+
+    await controller.waitWhilePaused();
+    if (controller.isCancelled()) {
+      throw new DOMException('Run cancelled', 'AbortError');
+    }
+
+    if (!shouldRunStep(step, lastReply)) {
+      skippedSteps.push(step.command);
+      onStep?.({ stepIndex, command: step.command, status: 'skipped' });
+      continue;
+    }
+
+    onStep?.({ stepIndex, command: step.command, status: 'sending' });
+
+    const userMessage = { role: 'user', content: fillTemplate(step.prompt, variables), protocolStep: step.command };
+    const withUser = addMessage(tree, lastNodeId, userMessage);
+
+    const result = await sendChatMessage(
+      {
+        messages: getActiveMessages(withUser.tree),
+        contextEnabled: contextEnabled,
+        settings: settings
+      },
+      { signal: controller.signal }
+    );
+
+    const tokens = normalizeUsage(result.usage, result.thinking);
+    const assistantMessage = {
+      role: 'assistant',
+      content: result.response,
+      thinking: result.thinking,
+      tokens: tokens,
+      cache: buildCacheState(tokens, settings.cacheTtl, result.cache)
+    };
+
+    const withReply = addMessage(withUser.tree, withUser.nodeId, assistantMessage);
+    tree = withReply.tree;
+    lastNodeId = withReply.nodeId;
+    lastReply = result.response;
+    sentSteps.push(step.command);
+    onStep?.({ stepIndex, command: step.command, status: 'sent' });
+  }
+
+  return { tree, sentSteps, skippedSteps, lastReply };
+};
+
+/**
+ * Run a protocol several times, saving each completed run as its own conversation
+ *
+ * A failed run is reported and left unsaved; the batch carries on with the next run.
+ * If the protocol has step variants, each run is assigned a condition (see conditionAssignment)
+ * and the condition is saved in the conversation metadata; a run that fails hands its
+ * condition back so the next run receives it.
+ *
+ * @param {Object} options - Batch options (everything runProtocolOnce takes, plus the below)
+ * @param {Array<number>} options.runIndices - 0-based indices of the runs to execute
+ * @param {number} options.repetitions - Total number of runs in the batch (recorded in metadata)
+ * @param {string} options.batchId - Identifier shared by every run of the batch
+ * @param {Function} options.onRunUpdate - Called with (runIndex, changes) whenever a run's state changes
+ * @returns {Promise<void>} Resolves when every run has finished, failed or been cancelled
+ */
+export const runProtocolBatch = async ({
+  protocol,
+  variables,
+  settings,
+  contextEnabled,
+  controller,
+  runIndices,
+  repetitions,
+  batchId,
+  onRunUpdate
+}) => {
+  for (const runIndex of runIndices) {
+    if (controller.isCancelled()) {
+      onRunUpdate(runIndex, { status: 'cancelled' });
+      continue;
+    }
+
+    const conversationId = `conv-${Date.now()}-run${runIndex + 1}`;
+    let condition = null;
+    onRunUpdate(runIndex, {
+      status: 'running',
+      conversationId,
+      conditionLabel: null,
+      error: null,
+      stepIndex: 0
+    });
+
+    try {
+      condition = await assignCondition(protocol);
+      if (condition) onRunUpdate(runIndex, { conditionLabel: condition.label });
+
+      const run = await runProtocolOnce({
+        protocol: applyCondition(protocol, condition),
+        variables,
+        settings,
+        contextEnabled,
+        controller,
+        onStep: ({ stepIndex, command, status }) => {
+          onRunUpdate(runIndex, { stepIndex, currentCommand: command, stepStatus: status });
+        }
+      });
+
+      const messages = getActiveMessages(run.tree);
+      const metadata = {
+        generationSettings: settings,
+        promptVariables: variables,
+        protocol: { protocolId: protocol.protocolId, version: protocol.version, name: protocol.name },
+        ...(condition && { condition }),
+        run: { batchId, runIndex: runIndex + 1, repetitions, skippedSteps: run.skippedSteps }
+      };
+
+      await saveConversation(
+        conversationId,
+        messages,
+        contextEnabled,
+        {
+          tree: run.tree,
+          metadata: { ...metadata, ...getTitleMetadata(messages, metadata) }
+        }
+      );
+
+      onRunUpdate(runIndex, {
+        status: 'completed',
+        sentSteps: run.sentSteps,
+        skippedSteps: run.skippedSteps,
+        lastReply: run.lastReply
+      });
+    } catch (error) {
+      // The next run takes over this run's condition
+      releaseCondition(protocol, condition).catch((releaseError) => {
+        console.error(`Failed to release the condition of run ${runIndex + 1}:`, releaseError);
+      });
+
+      if (error.name === 'AbortError') {
+        onRunUpdate(runIndex, { status: 'cancelled' });
+      } else {
+        console.error(`Protocol run ${runIndex + 1} failed:`, error);
+        onRunUpdate(runIndex, { status: 'failed', error: error.message });
+      }
+    }
+  }
+};
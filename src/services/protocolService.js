@@ -0,0 +1,98 @@
+// This service handles API calls to the backend for research protocols
+// It provides methods to list, fetch, and save versioned protocols
+// Requests go through apiClient, which raises typed errors (see apiClient.js)
+
+import { apiRequest, BackendError } from './apiClient';
+
+/**
+ * Parse the JSON string fields of a protocol returned by the backend
+ *
+ * @param {Object} protocol - Protocol as stored (steps and variables may be JSON strings)
+ * @returns {Object} Protocol with steps and variables as objects
+ */
+const parseProtocol = (protocol) => ({
+  ...protocol,
+  steps: typeof protocol.steps === 'string' ? JSON.parse(protocol.steps) : (protocol.steps || []),
+  variables: typeof protocol.variables === 'string' ? JSON.parse(protocol.variables) : (protocol.variables || {})
+});
+
+/**
+ * Fetch the latest version of every protocol
+ *
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - Cancels the request
+ * @returns {Promise<Array>} Array of protocols ({ protocolId, version, name, description, variables, steps, savedAt })
+ *
+ * Example usage:
+ * const protocols = await fetchProtocols();
+ * console.log(protocols.map(p => p.name));
+ */
+export const fetchProtocols = async ({ signal } = {}) => {
+  const data = await apiRequest('/protocols', { signal });
+  return (data.protocols || []).map(parseProtocol);
+};
+
+/**
+ * Fetch a protocol, either its latest version or a specific one
+ *
+ * A conversation records the protocol version it was run with, so reopening it
+ * fetches that exact version even if the protocol was edited since.
+ *
+ * @param {string} protocolId - The ID of the protocol to fetch
+ * @param {number} version - Version to fetch (omit for the latest)
+ * @returns {Promise<Object>} The protocol with parsed steps and variables
+ *
+ * Example usage:
+ * const protocol = await fetchProtocol("footbridge-lq2x8k", 2);
+ */
+export const fetchProtocol = async (protocolId, version) => {
+  const path = `/protocols/${encodeURIComponent(protocolId)}${version ? `?version=${encodeURIComponent(version)}` : ''}`;
+  const data = await apiRequest(path);
+
+  // Check if the protocol was found
+  if (!data.protocol) {
+    throw new BackendError({ error: 'Protocol not found' }, { method: 'GET', path });
+  }
+
+  return parseProtocol(data.protocol);
+};
+
+/**
+ * Fetch the version history of a protocol
+ *
+ * @param {string} protocolId - The ID of the protocol
+ * @returns {Promise<Array>} Array of { version, name, savedAt }, newest first
+ *
+ * Example usage:
+ * const versions = await fetchProtocolVersions("footbridge-lq2x8k");
+ */
+export const fetchProtocolVersions = async (protocolId) => {
+  const data = await apiRequest(`/protocols/${encodeURIComponent(protocolId)}/versions`);
+  return data.versions || [];
+};
+
+/**
+ * Save a protocol as a new version
+ *
+ * Versions are never overwritten: the backend stores every save as the next
+ * version number, so conversations keep pointing at the exact prompts they used.
+ *
+ * @param {Object} protocol - Protocol to save ({ protocolId, name, description, variables, steps })
+ * @returns {Promise<Object>} Response with success status, protocolId, version and savedAt
+ *
+ * Example usage:
+ * const result = await saveProtocol({ protocolId: "footbridge-lq2x8k", name: "Footbridge", steps });
+ * console.log("Saved version", result.version);
+ */
+export const saveProtocol = async (protocol) => (
+  apiRequest('/protocols', {
+    method: 'POST',
+    json: {
+      protocolId: protocol.protocolId,
+      name: protocol.name,
+      description: protocol.description,
+      variables: JSON.stringify(protocol.variables || {}),
+      steps: JSON.stringify(protocol.steps)
+    }
+  })
+);
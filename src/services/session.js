@@ -0,0 +1,90 @@
+// This module holds the signed-in user's session for the whole app
+// The session ({ token, user: { userId, displayName, role } }) is kept in localStorage so it
+// survives reloads. apiClient sends its token with every request and ends the session when the
+// backend answers 401, which takes the app back to the sign-in page.
+
+const STORAGE_KEY = 'session';
+
+const listeners = new Set();
+
+// Read the stored session, ignoring anything unreadable
+const readStoredSession = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return stored?.token && stored?.user ? stored : null;
+  } catch (error) {
+    console.error('Ignoring unreadable session:', error);
+    return null;
+  }
+};
+
+let session = readStoredSession();
+
+const notify = () => listeners.forEach(listener => listener());
+
+// Signing in or out in another tab applies here too
+window.addEventListener('storage', (event) => {
+  if (event.key !== STORAGE_KEY) return;
+  session = readStoredSession();
+  notify();
+});
+
+/**
+ * Current session
+ *
+ * @returns {Object|null} { token, user }, or null when signed out
+ *
+ * Example usage:
+ * const session = useSyncExternalStore(subscribeToSession, getSession);
+ */
+export const getSession = () => session;
+
+/**
+ * Signed-in user
+ *
+ * @returns {Object|null} { userId, displayName, role }, or null when signed out
+ *
+ * Example usage:
+ * const user = useSyncExternalStore(subscribeToSession, getCurrentUser);
+ * const canDelete = hasPermission(user, 'conversation:delete'); // see constants/roles
+ */
+export const getCurrentUser = () => session?.user || null;
+
+/**
+ * Token to send with requests
+ *
+ * @returns {string|null} Bearer token, or null when signed out
+ */
+export const getSessionToken = () => session?.token || null;
+
+/**
+ * Start a session, or update the user of the current one
+ *
+ * @param {Object} nextSession - { token, user }
+ */
+export const setSession = (nextSession) => {
+  session = nextSession;
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(nextSession));
+  notify();
+};
+
+/**
+ * End the session (signing out, or when the backend no longer accepts its token)
+ */
+export const clearSession = () => {
+  if (!session) return;
+  session = null;
+  localStorage.removeItem(STORAGE_KEY);
+  notify();
+};
+
+/**
+ * Listen for sign-in, sign-out and user changes
+ *
+ * @param {Function} listener - Called after the session changes
+ * @returns {Function} Stops listening
+ */
+export const subscribeToSession = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
@@ -0,0 +1,57 @@
+// This service asks Claude, through the backend chat endpoint, for a conversation title and summary
+// It is optional: titles are otherwise worked out locally (see utils/conversationTitles)
+
+import { sendChatMessage } from './chatService';
+import { DEFAULT_GENERATION_SETTINGS } from '../constants/generationSettings';
+import { parseTitleSuggestion } from '../utils/conversationTitles';
+
+// Only the opening turns are sent, each cut to this many characters
+const TURNS_SENT = 4;
+const MAX_TURN_CHARACTERS = 1500;
+
+// A small, deterministic request; thinking is off
+const TITLE_SETTINGS = {
+  ...DEFAULT_GENERATION_SETTINGS,
+  model: 'claude-haiku-4-5',
+  temperature: 0,
+  maxTokens: 300,
+  thinkingBudget: 0,
+  systemPrompt: ''
+};
+
+/**
+ * Ask Claude for a short title and a one-line summary of a conversation
+ *
+ * @param {Array} messages - Messages on the active branch
+ * @returns {Promise<Object>} { title, summary }
+ *
+ * Example usage:
+ * const { title, summary } = await suggestTitle(conversation.messages);
+ */
+export const suggestTitle = async (messages) => {
+  try {
+    const transcript = messages
+      .slice(0, TURNS_SENT)
+      .map(message => `${message.role === 'user' ? 'User' : 'Claude'}: ${message.content.slice(0, MAX_TURN_CHARACTERS)}`)
+      .join('\n\n');
+
+    const prompt = 'Here is the start of a research conversation with Claude:\n\n'
+      + `<transcript>\n${transcript}\n</transcript>\n\n`
+      + 'Write a title of at most 8 words that tells this conversation apart from similar runs, '
+      + 'and a one-sentence summary of how Claude responded (e.g. whether it answered, declined or hedged). '
+      + 'Reply with only a JSON object: {"title": "...", "summary": "..."}';
+
+    const result = await sendChatMessage({
+      messages: [{ role: 'user', content: prompt }],
+      contextEnabled: false,
+      settings: TITLE_SETTINGS
+    });
+
+    return parseTitleSuggestion(result.response);
+
+  } catch (error) {
+    // Log the error and re-throw it so the caller can handle it
+    console.error('Error in suggestTitle:', error);
+    throw error;
+  }
+};
@@ -0,0 +1,175 @@
+// Helpers for image and document attachments on user messages
+// Attachments are kept on the message as { id, name, mediaType, size, kind, data } and turned into
+// Messages API content blocks only when the conversation is sent (see toApiMessages).
+// kind is 'image' or 'document'; data is base64 for images and PDFs, and plain text for text files.
+
+// Types Claude accepts, grouped by how they are sent
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+const PDF_TYPES = ['application/pdf'];
+const TEXT_TYPES = ['text/plain', 'text/markdown', 'text/csv'];
+
+// Text files are often reported without a type, so they are also recognized by extension
+const TEXT_EXTENSIONS = { txt: 'text/plain', md: 'text/markdown', csv: 'text/csv' };
+
+// Client-side limits; images also stay within the API's 5 MB per-image limit
+export const ATTACHMENT_LIMITS = {
+  maxImageBytes: 5 * 1024 * 1024,
+  maxPdfBytes: 10 * 1024 * 1024,
+  maxTextBytes: 1024 * 1024,
+  maxPerMessage: 5,
+  maxTotalBytes: 20 * 1024 * 1024
+};
+
+// Value for the accept attribute of the file input
+export const ACCEPTED_ATTACHMENT_TYPES = [
+  ...IMAGE_TYPES,
+  ...PDF_TYPES,
+  ...TEXT_TYPES,
+  ...Object.keys(TEXT_EXTENSIONS).map(extension => `.${extension}`)
+].join(',');
+
+/**
+ * Format a byte count for display
+ *
+ * @param {number} bytes - Size in bytes
+ * @returns {string} e.g. "512 KB" or "2.4 MB"
+ */
+export const formatFileSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+// Work out the media type of a file, falling back to its extension for text files
+const getMediaType = (file) => {
+  if (file.type && file.type !== 'application/octet-stream') return file.type;
+  const extension = file.name.split('.').pop().toLowerCase();
+  return TEXT_EXTENSIONS[extension] || file.type;
+};
+
+/**
+ * Check a file against the type and size limits
+ *
+ * @param {File} file - File chosen by the user
+ * @param {Array} current - Attachments already on the message
+ * @returns {string|null} Human-readable problem, or null if the file can be attached
+ */
+export const validateAttachmentFile = (file, current = []) => {
+  const mediaType = getMediaType(file);
+
+  if (current.length >= ATTACHMENT_LIMITS.maxPerMessage) {
+    return `A message can have at most ${ATTACHMENT_LIMITS.maxPerMessage} attachments.`;
+  }
+
+  let maxBytes;
+  if (IMAGE_TYPES.includes(mediaType)) {
+    maxBytes = ATTACHMENT_LIMITS.maxImageBytes;
+  } else if (PDF_TYPES.includes(mediaType)) {
+    maxBytes = ATTACHMENT_LIMITS.maxPdfBytes;
+  } else if (TEXT_TYPES.includes(mediaType)) {
+    maxBytes = ATTACHMENT_LIMITS.maxTextBytes;
+  } else {
+    return `${file.name}: only JPEG, PNG, GIF and WebP images, PDFs and text files can be attached.`;
+  }
+
+  if (file.size > maxBytes) {
+    return `${file.name} is ${formatFileSize(file.size)}; the limit for this type is ${formatFileSize(maxBytes)}.`;
+  }
+
+  const totalBytes = current.reduce((sum, attachment) => sum + attachment.size, 0) + file.size;
+  if (totalBytes > ATTACHMENT_LIMITS.maxTotalBytes) {
+    return `Attachments on one message can total at most ${formatFileSize(ATTACHMENT_LIMITS.maxTotalBytes)}.`;
+  }
+
+  return null;
+};
+
+/**
+ * Read a file into an attachment
+ *
+ * @param {File} file - File that passed validateAttachmentFile
+ * @returns {Promise<Object>} { id, name, mediaType, size, kind, data }
+ */
+export const readAttachment = (file) => new Promise((resolve, reject) => {
+  const mediaType = getMediaType(file);
+  const isText = TEXT_TYPES.includes(mediaType);
+  const reader = new FileReader();
+
+  reader.onload = () => {
+    resolve({
+      id: `attachment-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      name: file.name,
+      mediaType,
+      size: file.size,
+      kind: IMAGE_TYPES.includes(mediaType) ? 'image' : 'document',
+      // Data URLs start with "data:<type>;base64," which the API doesn't want
+      data: isText ? reader.result : reader.result.slice(reader.result.indexOf(',') + 1)
+    });
+  };
+  reader.onerror = () => reject(reader.error);
+
+  if (isText) {
+    reader.readAsText(file);
+  } else {
+    reader.readAsDataURL(file);
+  }
+});
+
+/**
+ * Data URL for showing or opening an attachment in the browser
+ *
+ * @param {Object} attachment - Attachment from readAttachment
+ * @returns {string} Data URL
+ */
+export const getAttachmentUrl = (attachment) => (
+  TEXT_TYPES.includes(attachment.mediaType)
+    ? `data:${attachment.mediaType};charset=utf-8,${encodeURIComponent(attachment.data)}`
+    : `data:${attachment.mediaType};base64,${attachment.data}`
+);
+
+/**
+ * Convert an attachment into a Messages API content block
+ *
+ * @param {Object} attachment - Attachment from readAttachment
+ * @returns {Object} image or document content block
+ */
+const toContentBlock = (attachment) => {
+  if (attachment.kind === 'image') {
+    return {
+      type: 'image',
+      source: { type: 'base64', media_type: attachment.mediaType, data: attachment.data }
+    };
+  }
+
+  return {
+    type: 'document',
+    title: attachment.name,
+    source: TEXT_TYPES.includes(attachment.mediaType)
+      ? { type: 'text', media_type: 'text/plain', data: attachment.data }
+      : { type: 'base64', media_type: attachment.mediaType, data: attachment.data }
+  };
+};
+
+/**
+ * Prepare conversation messages for the chat endpoint
+ *
+ * Messages with attachments get their content as a list of blocks (attachments first, as the
+ * API recommends, then the text); other messages are sent unchanged.
+ *
+ * @param {Array} messages - Conversation messages
+ * @returns {Array} Messages ready to send
+ */
+export const toApiMessages = (messages) => messages.map((message) => {
+  if (!message.attachments?.length) return message;
+
+  const rest = { ...message };
+  delete rest.attachments;
+
+  return {
+    ...rest,
+    content: [
+      ...message.attachments.map(toContentBlock),
+      ...(message.content ? [{ type: 'text', text: message.content }] : [])
+    ]
+  };
+});
@@ -0,0 +1,64 @@
+// Helpers for working out the prompt-cache state of a turn
+// Drives the Chat cache timer and the per-turn hit/miss/write indicator
+
+// Cache lifetimes supported by the API, in seconds
+export const CACHE_TTL_SECONDS = {
+  '5m': 300,
+  '1h': 3600
+};
+
+/**
+ * Work out whether a turn read from, wrote to, or missed the prompt cache
+ *
+ * @param {Object} tokens - Token breakdown from normalizeUsage
+ * @returns {string} "hit", "write", "hit-write" (read a prefix and cached more), or "miss"
+ */
+export const getCacheStatus = (tokens) => {
+  const read = tokens?.cacheReadInputTokens > 0;
+  const written = tokens?.cacheCreationInputTokens > 0;
+
+  if (read && written) return 'hit-write';
+  if (read) return 'hit';
+  if (written) return 'write';
+  return 'miss';
+};
+
+/**
+ * Build the cache state stored on an assistant message
+ *
+ * Explicit cache metadata from the backend wins. Otherwise the status comes from
+ * the token counts and the TTL from the cache write breakdown (or the requested TTL).
+ * A hit or a write refreshes the cache entry, so it expires one TTL after the reply;
+ * a miss means nothing is cached for this conversation.
+ *
+ * @param {Object} tokens - Token breakdown from normalizeUsage
+ * @param {string} requestedTtl - TTL asked for in the generation settings ("5m" or "1h")
+ * @param {Object} cacheMeta - Optional { status, ttl, expiresAt } returned by /api/chat
+ * @returns {Object} { status, ttl, expiresAt } with expiresAt as an ISO string or null
+ */
+export const buildCacheState = (tokens, requestedTtl = '5m', cacheMeta = null) => {
+  const status = cacheMeta?.status || getCacheStatus(tokens);
+
+  let ttl = cacheMeta?.ttl || requestedTtl;
+  if (!cacheMeta?.ttl && tokens?.cacheCreation1hInputTokens > 0) {
+    ttl = '1h';
+  }
+
+  let expiresAt = cacheMeta?.expiresAt || null;
+  if (!expiresAt && status !== 'miss') {
+    expiresAt = new Date(Date.now() + (CACHE_TTL_SECONDS[ttl] || CACHE_TTL_SECONDS['5m']) * 1000).toISOString();
+  }
+
+  return { status, ttl, expiresAt };
+};
+
+/**
+ * Seconds until a cache state expires
+ *
+ * @param {Object} cache - Cache state from buildCacheState
+ * @returns {number} Whole seconds left, 0 if expired or nothing is cached
+ */
+export const getSecondsUntilExpiry = (cache) => {
+  if (!cache?.expiresAt) return 0;
+  return Math.max(0, Math.round((new Date(cache.expiresAt).getTime() - Date.now()) / 1000));
+};
@@ -0,0 +1,186 @@
+// Helpers for span-level coding of transcripts on the Tools page
+// A coded span marks a passage of one message (its reply text or its thinking) with a code
+// from the tag vocabulary and an optional comment:
+//   { id, nodeId, messageIndex, field, quote, prefix, suffix, code, comment, createdAt }
+// Spans are anchored by the selected text (quote) plus a little of the text around it
+// (prefix/suffix), so they can be found again whether the message is shown formatted or raw.
+// nodeId ties a span to a turn of the conversation tree, so it only shows on branches containing it.
+
+// Characters of surrounding text kept to tell repeated quotes apart
+const CONTEXT_LENGTH = 32;
+
+// Highlight colors cycle through this many styles (see ::highlight rules in ToolsPage.css)
+export const SPAN_COLOR_COUNT = 6;
+
+// Name of the highlight used for the span selected in the sidebar
+export const ACTIVE_SPAN_HIGHLIGHT = 'coded-span-active';
+
+// Display names of the parts of a message that can be coded
+export const SPAN_FIELD_LABELS = {
+  content: 'Message',
+  thinking: 'Thinking'
+};
+
+/**
+ * Describe a selection inside a message element so it can be stored as a span
+ *
+ * @param {Element} container - Element holding the message text (content or thinking)
+ * @param {Range} range - Selected range, inside container
+ * @returns {Object} { quote, prefix, suffix }
+ */
+export const getSelectionAnchor = (container, range) => {
+  const before = document.createRange();
+  before.selectNodeContents(container);
+  before.setEnd(range.startContainer, range.startOffset);
+
+  const after = document.createRange();
+  after.selectNodeContents(container);
+  after.setStart(range.endContainer, range.endOffset);
+
+  return {
+    quote: range.toString(),
+    prefix: before.toString().slice(-CONTEXT_LENGTH),
+    suffix: after.toString().slice(0, CONTEXT_LENGTH)
+  };
+};
+
+// Count how many characters two strings share, reading from the end (backwards) or the start
+const sharedLength = (a, b, backwards) => {
+  let count = 0;
+  while (count < a.length && count < b.length) {
+    const charA = backwards ? a[a.length - 1 - count] : a[count];
+    const charB = backwards ? b[b.length - 1 - count] : b[count];
+    if (charA !== charB) break;
+    count += 1;
+  }
+  return count;
+};
+
+/**
+ * Find the text of a span inside a rendered message element
+ *
+ * When the quote occurs more than once, the occurrence whose surrounding text best
+ * matches the stored prefix and suffix is used.
+ *
+ * @param {Element} container - Element holding the message text
+ * @param {Object} span - Coded span
+ * @returns {Range|null} Range covering the span, or null if the quote isn't in the element
+ */
+export const findSpanRange = (container, span) => {
+  if (!container || !span.quote) return null;
+
+  // Concatenate the text nodes, remembering where each one starts
+  const walker = document.createTreeWalker(container, NodeFilter.SHOW_TEXT);
+  const nodes = [];
+  let text = '';
+  while (walker.nextNode()) {
+    nodes.push({ node: walker.currentNode, start: text.length });
+    text += walker.currentNode.data;
+  }
+
+  let best = null;
+  let bestScore = -1;
+  for (let index = text.indexOf(span.quote); index !== -1; index = text.indexOf(span.quote, index + 1)) {
+    const score = sharedLength(text.slice(0, index), span.prefix || '', true)
+      + sharedLength(text.slice(index + span.quote.length), span.suffix || '', false);
+    if (score > bestScore) {
+      best = index;
+      bestScore = score;
+    }
+  }
+  if (best === null) return null;
+
+  // Map text offsets back to (node, offset) positions
+  const locate = (offset, isEnd) => {
+    const entry = nodes.findLast(n => (isEnd ? n.start < offset : n.start <= offset));
+    return [entry.node, offset - entry.start];
+  };
+
+  const range = document.createRange();
+  range.setStart(...locate(best, false));
+  range.setEnd(...locate(best + span.quote.length, true));
+  return range;
+};
+
+/**
+ * Spans that belong to the messages on a branch, with their position on it
+ *
+ * @param {Array<Object>} spans - All coded spans of the analysis
+ * @param {Array<Object>} path - Tree nodes of the displayed branch
+ * @returns {Array<Object>} Spans on the branch, in transcript order, with messageIndex updated
+ */
+export const getSpansOnPath = (spans, path) => {
+  const positions = new Map(path.map((node, index) => [node.id, index]));
+
+  return (spans || [])
+    .filter(span => positions.has(span.nodeId))
+    .map(span => ({ ...span, messageIndex: positions.get(span.nodeId) }))
+    .sort((a, b) => a.messageIndex - b.messageIndex || a.createdAt.localeCompare(b.createdAt));
+};
+
+/**
+ * Color style of a code, stable for the same vocabulary
+ *
+ * @param {string} code - Code of a span
+ * @param {Array<string>} vocabulary - Available codes (the tag vocabulary)
+ * @returns {number} Color index from 0 to SPAN_COLOR_COUNT - 1
+ */
+export const getCodeColor = (code, vocabulary) => {
+  const index = vocabulary.indexOf(code);
+  if (index !== -1) return index % SPAN_COLOR_COUNT;
+
+  // Codes no longer in the vocabulary still get a consistent color
+  const hash = [...code].reduce((sum, char) => sum + char.charCodeAt(0), 0);
+  return hash % SPAN_COLOR_COUNT;
+};
+
+/**
+ * Highlight coded spans in the transcript with the CSS Custom Highlight API
+ *
+ * Highlights are drawn by the browser without changing the DOM, so React keeps full control of
+ * the rendered Markdown. Browsers without the API show spans in the sidebar only.
+ *
+ * @param {Element} root - Element containing the rendered messages
+ * @param {Array<Object>} spans - Spans to highlight (from getSpansOnPath)
+ * @param {Array<string>} vocabulary - Available codes, for colors
+ * @param {string|null} activeSpanId - Span to emphasize
+ * @returns {Function} Removes the highlights
+ */
+export const highlightSpans = (root, spans, vocabulary, activeSpanId) => {
+  if (!root || typeof CSS === 'undefined' || !CSS.highlights) return () => {};
+
+  const groups = Array.from({ length: SPAN_COLOR_COUNT }, () => new Highlight());
+  const active = new Highlight();
+
+  spans.forEach((span) => {
+    const container = root.querySelector(
+      `[data-span-index="${span.messageIndex}"][data-span-field="${span.field}"]`
+    );
+    const range = findSpanRange(container, span);
+    if (!range) return;
+
+    if (span.id === activeSpanId) {
+      active.add(range);
+    } else {
+      groups[getCodeColor(span.code, vocabulary)].add(range);
+    }
+  });
+
+  groups.forEach((highlight, index) => CSS.highlights.set(`coded-span-${index}`, highlight));
+  CSS.highlights.set(ACTIVE_SPAN_HIGHLIGHT, active);
+
+  return () => {
+    groups.forEach((_, index) => CSS.highlights.delete(`coded-span-${index}`));
+    CSS.highlights.delete(ACTIVE_SPAN_HIGHLIGHT);
+  };
+};
+
+/**
+ * One-line description of a span for exports
+ *
+ * @param {Object} span - Coded span
+ * @returns {string} e.g. 'distress: "I would rather not" (hedges before refusing)'
+ */
+export const formatSpan = (span) => (
+  `${span.code}: "${span.quote.replace(/\s+/g, ' ').trim()}"${span.comment ? ` (${span.comment})` : ''}`
+);
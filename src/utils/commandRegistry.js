@@ -0,0 +1,36 @@
+// Commands that pages offer in the command palette while they are open
+// A page registers its commands (e.g. "Download chat") from an effect and unregisters on cleanup,
+// so the palette only lists actions that apply to what is on screen.
+//
+// Command shape: { id, label, group, hint, keywords, disabled, run }
+// A page command with the same id as a built-in palette command replaces it.
+
+const registry = new Map();
+
+/**
+ * Register the commands a page currently offers
+ *
+ * @param {string} source - Name of the page or component registering them
+ * @param {Array<Object>} commands - Commands to offer
+ * @returns {Function} Unregisters these commands
+ *
+ * Example usage:
+ * useEffect(() => registerCommands('chat', [{ id: 'new-chat', label: 'New chat', run: startNewChat }]));
+ */
+export const registerCommands = (source, commands) => {
+  registry.set(source, commands);
+
+  return () => {
+    // A newer registration from the same source may already have replaced these
+    if (registry.get(source) === commands) {
+      registry.delete(source);
+    }
+  };
+};
+
+/**
+ * All commands registered by the pages that are open
+ *
+ * @returns {Array<Object>} Registered commands
+ */
+export const getRegisteredCommands = () => [...registry.values()].flat();
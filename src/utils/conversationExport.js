@@ -0,0 +1,392 @@
+// Serializers for exporting conversations and analysis reports
+// Chat and ToolsPage both build an export document with buildExportDocument and turn it into
+// a file with serializeExport, so every format has the same content wherever it is exported from.
+//
+// Export document shape:
+// {
+//   exportVersion, exportedAt,
+//   conversation: { conversationId, title, summary, createdAt, contextEnabled, generationSettings, protocol,
+//                   condition, promptVariables, run, branch: { number, count } | null },
+//   messages: [{ index, role, content, attachments, thinking, truncated, protocolStep, tokens, cache, samples }],
+//   usage: { totals, estimatedCost },
+//   analysis: { ...scores, tags, notes, analystName, lastUpdated, codedSpans } | null
+//             (codedSpans only holds the spans on the exported branch, indexed by its messages)
+// }
+
+import { sumUsage, estimateCost } from './tokenUsage';
+import { summarizeSamples } from './responseParsing';
+import { getActivePath, getPathToNode, getSiblingIds, getBranches } from './conversationTree';
+import { toApiMessages, formatFileSize } from './attachments';
+import { getSpansOnPath, formatSpan } from './codedSpans';
+
+export const EXPORT_VERSION = 1;
+
+// Formats offered by the export menus
+export const EXPORT_FORMATS = [
+  { id: 'json', label: 'JSON (full fidelity)', extension: 'json', mimeType: 'application/json' },
+  { id: 'markdown', label: 'Markdown', extension: 'md', mimeType: 'text/markdown' },
+  { id: 'jsonl', label: 'Messages API (JSONL)', extension: 'jsonl', mimeType: 'application/jsonl' },
+  { id: 'jsonl-provenance', label: 'Messages API provenance (JSON)', extension: 'provenance.json', mimeType: 'application/json' },
+  { id: 'csv', label: 'CSV (one row per message)', extension: 'csv', mimeType: 'text/csv' }
+];
+
+// Analysis fields written to Markdown and CSV, in order
+const ANALYSIS_SCORES = [
+  { field: 'preferenceAlignment', column: 'preference_alignment', label: 'Preference Alignment' },
+  { field: 'autonomyLevel', column: 'autonomy_level', label: 'Autonomy Level' },
+  { field: 'authenticity', column: 'authenticity', label: 'Authenticity' }
+];
+
+/**
+ * Build the export document shared by every format
+ *
+ * @param {Object} options - What to export
+ * @param {Object} options.conversation - { conversationId, createdAt, contextEnabled, metadata }
+ * @param {Object} options.tree - Conversation tree
+ * @param {string} options.leafId - Leaf node of the branch to export (defaults to the active branch)
+ * @param {Object} options.analysis - Optional saved analysis ({ ...form fields, lastUpdated })
+ * @returns {Object} Export document
+ */
+export const buildExportDocument = ({ conversation, tree, leafId = null, analysis = null }) => {
+  const metadata = conversation.metadata || {};
+  const path = leafId ? getPathToNode(tree, leafId) : getActivePath(tree);
+  const messages = path.map(node => node.message);
+  const totals = sumUsage(messages);
+
+  // Regenerated turns are summarized by the spread of their samples
+  const samples = path.map((node) => {
+    const siblingIds = getSiblingIds(tree, node.id);
+    if (node.message.role !== 'assistant' || siblingIds.length < 2) return null;
+    const { yesCount, noCount, unclearCount, ratings, meanRating } = summarizeSamples(
+      siblingIds.map(id => tree.nodes[id].message.content)
+    );
+    return { count: siblingIds.length, yesCount, noCount, unclearCount, ratings, meanRating };
+  });
+
+  const branches = getBranches(tree);
+  const branchNumber = branches.findIndex(branch => branch.leafId === path[path.length - 1]?.id) + 1;
+  const branch = branches.length > 1 ? { number: branchNumber, count: branches.length } : null;
+  const model = metadata.generationSettings?.model;
+
+  return {
+    exportVersion: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    conversation: {
+      conversationId: conversation.conversationId || null,
+      title: metadata.title || metadata.source?.title || null,
+      summary: metadata.summary || null,
+      createdAt: conversation.createdAt || null,
+      contextEnabled: Boolean(conversation.contextEnabled),
+      generationSettings: metadata.generationSettings || null,
+      protocol: metadata.protocol || null,
+      condition: metadata.condition || null,
+      promptVariables: metadata.promptVariables || null,
+      run: metadata.run || null,
+      branch
+    },
+    messages: messages.map((message, index) => ({
+      index,
+      role: message.role,
+      content: message.content,
+      attachments: message.attachments || null,
+      thinking: message.thinking || null,
+      truncated: Boolean(message.truncated),
+      protocolStep: message.protocolStep || null,
+      tokens: message.tokens || null,
+      cache: message.cache || null,
+      samples: samples[index]
+    })),
+    usage: {
+      totals,
+      estimatedCost: model ? estimateCost(totals, model) : null
+    },
+    analysis: analysis && { ...analysis, codedSpans: getSpansOnPath(analysis.codedSpans, path) }
+  };
+};
+
+// Markdown blockquotes keep thinking visually separate from the reply
+const toBlockquote = (text) => text.split('\n').map(line => `> ${line}`).join('\n');
+
+const formatTokens = (tokens) => (
+  `Input: ${tokens.inputTokens}, Output: ${tokens.outputTokens}`
+  + `, Cache Write: ${tokens.cacheCreationInputTokens || 0}, Cache Read: ${tokens.cacheReadInputTokens || 0}`
+  + `, Thinking: ${tokens.thinkingTokensEstimated ? '~' : ''}${tokens.thinkingTokens || 0}`
+);
+
+/**
+ * Render an export document as Markdown
+ *
+ * @param {Object} doc - Export document from buildExportDocument
+ * @returns {string} Markdown text
+ */
+const toMarkdown = (doc) => {
+  const { conversation, messages, usage, analysis } = doc;
+  const settings = conversation.generationSettings;
+  const lines = [`# ${conversation.title || `Conversation ${conversation.conversationId || '(unsaved)'}`}`, ''];
+
+  if (conversation.summary) lines.push(`_${conversation.summary}_`, '');
+  if (conversation.title) lines.push(`- **Conversation ID:** ${conversation.conversationId || '(unsaved)'}`);
+  if (conversation.createdAt) lines.push(`- **Created:** ${conversation.createdAt}`);
+  lines.push(`- **Exported:** ${doc.exportedAt}`);
+  lines.push(`- **Context:** ${conversation.contextEnabled ? 'Enabled' : 'Disabled'}`);
+  if (settings) {
+    lines.push(`- **Model:** ${settings.model}`);
+    lines.push(`- **Temperature:** ${settings.temperature}`);
+    lines.push(`- **Max Tokens:** ${settings.maxTokens}`);
+    lines.push(`- **Thinking Budget:** ${settings.thinkingBudget > 0 ? settings.thinkingBudget : 'Off'}`);
+  }
+  if (conversation.protocol) {
+    lines.push(`- **Protocol:** ${conversation.protocol.name} (v${conversation.protocol.version})`);
+  }
+  if (conversation.condition) lines.push(`- **Condition:** ${conversation.condition.label}`);
+  if (conversation.branch) lines.push(`- **Branch:** ${conversation.branch.number} of ${conversation.branch.count}`);
+  if (settings?.systemPrompt) {
+    lines.push('', '## System Prompt', '', settings.systemPrompt);
+  }
+
+  if (analysis) {
+    lines.push('', '## Analysis', '');
+    ANALYSIS_SCORES.forEach(({ field, label }) => lines.push(`- **${label}:** ${analysis[field]}/10`));
+    lines.push(`- **Constraint Conflicts:** ${analysis.constraintConflicts || 'Not specified'}`);
+    lines.push(`- **Tags:** ${analysis.tags?.length > 0 ? analysis.tags.join(', ') : 'None'}`);
+    lines.push(`- **Analyst:** ${analysis.analystName || 'Not specified'}`);
+    if (analysis.lastUpdated) lines.push(`- **Last Updated:** ${analysis.lastUpdated}`);
+    if (analysis.notes?.trim()) lines.push('', '### Notes', '', analysis.notes);
+    if (analysis.codedSpans.length > 0) {
+      lines.push('', '### Coded Spans', '');
+      analysis.codedSpans.forEach((span) => {
+        const where = `message ${span.messageIndex}${span.field === 'thinking' ? ', thinking' : ''}`;
+        lines.push(`- **${span.code}** (${where}): `
+          + `"${span.quote.replace(/\s+/g, ' ').trim()}"${span.comment ? ` — ${span.comment}` : ''}`);
+      });
+    }
+  }
+
+  lines.push('', '## Transcript');
+  messages.forEach((message) => {
+    const step = message.protocolStep ? ` · /${message.protocolStep}` : '';
+    lines.push('', `### ${message.index}. ${message.role === 'user' ? 'User' : 'Claude'}${step}`, '');
+    if (message.thinking) {
+      lines.push('> **Thinking**', '>', toBlockquote(message.thinking), '');
+    }
+    message.attachments?.forEach((attachment) => {
+      lines.push(`- Attachment: ${attachment.name} (${attachment.mediaType}, ${formatFileSize(attachment.size)})`);
+    });
+    if (message.attachments) lines.push('');
+    lines.push(message.content);
+    if (message.truncated) lines.push('', '_Truncated: the response stopped before completion._');
+    if (message.tokens) lines.push('', `<sub>Tokens: ${formatTokens(message.tokens)}</sub>`);
+    if (message.samples) {
+      const s = message.samples;
+      lines.push('', `Samples: ${s.count} (Yes: ${s.yesCount}, No: ${s.noCount}, Unclear: ${s.unclearCount})`
+        + (s.ratings.length > 0 ? `, ratings ${s.ratings.join(', ')} (mean ${s.meanRating.toFixed(1)})` : ''));
+    }
+  });
+
+  lines.push('', '## Token Usage', '', formatTokens(usage.totals) + `, Total: ${usage.totals.total}`);
+  if (usage.estimatedCost != null) lines.push('', `Estimated cost: $${usage.estimatedCost.toFixed(4)}`);
+
+  return lines.join('\n') + '\n';
+};
+
+// Message Batches custom IDs: 1-64 letters, digits, underscores or hyphens
+const CUSTOM_ID_MAX_LENGTH = 64;
+
+/**
+ * Batch request ID of one replayed user turn: the conversation ID plus the turn's message index
+ *
+ * @param {Object} doc - Export document from buildExportDocument
+ * @param {number} messageIndex - Index of the user turn the request ends with
+ * @returns {string} e.g. "conv-1712345678901-4"
+ */
+const getCustomId = (doc, messageIndex) => {
+  const suffix = `-${messageIndex}`;
+  const base = (doc.conversation.conversationId || 'unsaved').replace(/[^a-zA-Z0-9_-]/g, '_');
+  return base.slice(0, CUSTOM_ID_MAX_LENGTH - suffix.length) + suffix;
+};
+
+// The API rejects turns without content, such as a truncated reply that only had thinking
+const hasContent = (message) => (
+  typeof message.content === 'string' ? message.content.trim() !== '' : message.content.length > 0
+);
+
+/**
+ * Build the Message Batches requests that replay an export document, one per user turn
+ *
+ * Each request holds the conversation up to and including one user turn, so Claude answers
+ * every turn afresh. The branch's own replies are only sent as history: a trailing assistant
+ * turn would be continued as a prefill. Turns with empty content are skipped, since the API
+ * rejects them. Attachments become content blocks, and thinking is left out because the API
+ * only accepts thinking blocks with their original signatures.
+ *
+ * @param {Object} doc - Export document from buildExportDocument
+ * @returns {Array} [{ customId, messageIndex, params }]
+ */
+const toBatchRequests = (doc) => {
+  const settings = doc.conversation.generationSettings;
+  const turns = toApiMessages(doc.messages).filter(hasContent);
+
+  return turns.flatMap((message, position) => (message.role !== 'user' ? [] : [{
+    customId: getCustomId(doc, message.index),
+    messageIndex: message.index,
+    params: {
+      ...(settings && {
+        model: settings.model,
+        max_tokens: settings.maxTokens,
+        temperature: settings.temperature,
+        ...(settings.systemPrompt && { system: settings.systemPrompt })
+      }),
+      messages: turns.slice(0, position + 1).map(turn => ({ role: turn.role, content: turn.content }))
+    }
+  }]));
+};
+
+/**
+ * Render an export document as Message Batches requests, one per line (see toBatchRequests)
+ *
+ * The API rejects unknown fields, so each line is just { custom_id, params }; the conversation
+ * behind each custom_id is exported separately (see toJsonlProvenance).
+ *
+ * @param {Object} doc - Export document from buildExportDocument
+ * @returns {string} JSONL text
+ */
+const toMessagesJsonl = (doc) => (
+  toBatchRequests(doc)
+    .map(request => JSON.stringify({ custom_id: request.customId, params: request.params }) + '\n')
+    .join('')
+);
+
+/**
+ * Render the provenance of a Messages JSONL export: the conversation, and the user turn
+ * each custom_id replays
+ *
+ * @param {Object} doc - Export document from buildExportDocument
+ * @returns {string} JSON text
+ */
+const toJsonlProvenance = (doc) => (
+  JSON.stringify({
+    exportVersion: doc.exportVersion,
+    exportedAt: doc.exportedAt,
+    conversation: doc.conversation,
+    requests: Object.fromEntries(toBatchRequests(doc).map(request => (
+      [request.customId, { messageIndex: request.messageIndex }]
+    )))
+  }, null, 2) + '\n'
+);
+
+// Quote a CSV field when it contains a delimiter, quote or line break (RFC 4180)
+const toCsvField = (value) => {
+  if (value == null) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Render an export document as CSV, one row per message
+ *
+ * Conversation and analysis fields are repeated on every row so rows can be
+ * concatenated across exports.
+ *
+ * @param {Object} doc - Export document from buildExportDocument
+ * @returns {string} CSV text with a header row
+ */
+const toCsv = (doc) => {
+  const { conversation, analysis } = doc;
+  const columns = [
+    ['conversation_id', () => conversation.conversationId],
+    ['title', () => conversation.title],
+    ['model', () => conversation.generationSettings?.model],
+    ['protocol_id', () => conversation.protocol?.protocolId],
+    ['protocol_version', () => conversation.protocol?.version],
+    ['condition', () => conversation.condition?.label],
+    ['message_index', message => message.index],
+    ['role', message => message.role],
+    ['protocol_step', message => message.protocolStep],
+    ['content', message => message.content],
+    ['attachments', message => message.attachments?.map(attachment => attachment.name).join('; ')],
+    ['thinking', message => message.thinking],
+    ['truncated', message => message.truncated],
+    ['input_tokens', message => message.tokens?.inputTokens],
+    ['output_tokens', message => message.tokens?.outputTokens],
+    ['cache_write_tokens', message => message.tokens?.cacheCreationInputTokens],
+    ['cache_read_tokens', message => message.tokens?.cacheReadInputTokens],
+    ['thinking_tokens', message => message.tokens?.thinkingTokens],
+    ['sample_count', message => message.samples?.count]
+  ];
+
+  if (analysis) {
+    columns.push(
+      ...ANALYSIS_SCORES.map(({ field, column }) => [column, () => analysis[field]]),
+      ['constraint_conflicts', () => analysis.constraintConflicts],
+      ['tags', () => analysis.tags?.join(',')],
+      ['analyst_name', () => analysis.analystName],
+      ['coded_spans', message => analysis.codedSpans
+        .filter(span => span.messageIndex === message.index)
+        .map(span => (span.field === 'thinking' ? `[thinking] ${formatSpan(span)}` : formatSpan(span)))
+        .join('; ')]
+    );
+  }
+
+  const rows = [
+    columns.map(([name]) => name),
+    ...doc.messages.map(message => columns.map(([, getValue]) => getValue(message)))
+  ];
+  return rows.map(row => row.map(toCsvField).join(',')).join('\r\n') + '\r\n';
+};
+
+/**
+ * Serialize an export document in one of EXPORT_FORMATS
+ *
+ * @param {Object} doc - Export document from buildExportDocument
+ * @param {string} formatId - ID from EXPORT_FORMATS
+ * @returns {string} File content
+ */
+export const serializeExport = (doc, formatId) => {
+  switch (formatId) {
+    case 'json':
+      return JSON.stringify(doc, null, 2) + '\n';
+    case 'markdown':
+      return toMarkdown(doc);
+    case 'jsonl':
+      return toMessagesJsonl(doc);
+    case 'jsonl-provenance':
+      return toJsonlProvenance(doc);
+    case 'csv':
+      return toCsv(doc);
+    default:
+      throw new Error(`Unknown export format: ${formatId}`);
+  }
+};
+
+/**
+ * Serialize an export document and have the browser download it
+ *
+ * @param {Object} doc - Export document from buildExportDocument
+ * @param {string} formatId - ID from EXPORT_FORMATS
+ * @param {string} baseName - File name without timestamp or extension (e.g. "claude-chat")
+ *
+ * Example usage:
+ * downloadExport(doc, 'csv', `analysis-report-${conversationId}`);
+ * // saves analysis-report-conv-123-2025-10-26-1545.csv
+ */
+export const downloadExport = (doc, formatId, baseName) => {
+  const format = EXPORT_FORMATS.find(f => f.id === formatId);
+  const blob = new Blob([serializeExport(doc, formatId)], { type: format.mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+
+  // Format filename: [baseName]-YYYY-MM-DD-HHmm.[extension]
+  const now = new Date();
+  const year = now.getFullYear();
+  const month = String(now.getMonth() + 1).padStart(2, '0');
+  const day = String(now.getDate()).padStart(2, '0');
+  const hours = String(now.getHours()).padStart(2, '0');
+  const minutes = String(now.getMinutes()).padStart(2, '0');
+
+  link.href = url;
+  link.download = `${baseName}-${year}-${month}-${day}-${hours}${minutes}.${format.extension}`;
+  link.click();
+
+  // Clean up
+  URL.revokeObjectURL(url);
+};
@@ -0,0 +1,151 @@
+// Titles and one-line summaries of conversations
+// Every save records metadata.title, metadata.summary and metadata.titleSource. Automatic titles are
+// worked out locally from the first turns and refreshed as the conversation grows; once a title
+// has been edited, suggested by Claude or imported, saves keep it as it is.
+
+import { detectYesNo, detectRating } from './responseParsing';
+
+export const TITLE_MAX_LENGTH = 80;
+export const SUMMARY_MAX_LENGTH = 160;
+
+// Where a title came from
+export const TITLE_SOURCES = {
+  auto: 'Automatic',
+  claude: 'Suggested by Claude',
+  manual: 'Edited',
+  import: 'Imported'
+};
+
+// Phrases that show Claude declining to answer
+const REFUSAL_PATTERN = /\b(I (?:can(?:no|')t|won't|will not|am not able to|'m not able to|'m not comfortable|don't feel comfortable|'d rather not|would rather not|must decline|decline to))\b/i;
+
+/**
+ * Shorten text to a length, cutting at a word boundary
+ *
+ * @param {string} text - Text to shorten
+ * @param {number} maxLength - Maximum length including the ellipsis
+ * @returns {string} Text, with "…" if it was cut
+ */
+const truncate = (text, maxLength) => {
+  if (text.length <= maxLength) return text;
+  const cut = text.slice(0, maxLength - 1);
+  const lastSpace = cut.lastIndexOf(' ');
+  return `${(lastSpace > maxLength / 2 ? cut.slice(0, lastSpace) : cut).replace(/[\s,;:.-]+$/, '')}…`;
+};
+
+/**
+ * First sentence of a message as plain text
+ *
+ * @param {string} text - Message text (Markdown)
+ * @returns {string} First sentence, without Markdown markers
+ */
+const firstSentence = (text) => {
+  const plain = (text || '')
+    .replace(/```[\s\S]*?```/g, ' ')
+    .replace(/[#>*_`~[\]]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+  const match = plain.match(/^.+?[.?!](?=\s|$)/);
+  return match ? match[0] : plain;
+};
+
+/**
+ * Title worked out from the first user message (and the assigned condition, if any)
+ *
+ * @param {Array} messages - Messages on the active branch
+ * @param {Object} metadata - Conversation metadata
+ * @returns {string} Title, or an empty string for an empty conversation
+ */
+export const generateLocalTitle = (messages, metadata = {}) => {
+  const firstUser = messages.find(message => message.role === 'user');
+  if (!firstUser) return '';
+
+  const opening = firstSentence(firstUser.content)
+    || (firstUser.attachments?.length ? `Attachment: ${firstUser.attachments[0].name}` : '');
+  const condition = metadata.condition ? ` · ${metadata.condition.label}` : '';
+
+  return truncate(opening, TITLE_MAX_LENGTH - condition.length) + condition;
+};
+
+/**
+ * One-line summary of how Claude answered
+ *
+ * Notes whether Claude declined, the first explicit Yes/No answer and 1-10 rating,
+ * the number of replies, and the first sentence of the first reply.
+ *
+ * @param {Array} messages - Messages on the active branch
+ * @returns {string} Summary, or an empty string if Claude hasn't replied yet
+ */
+export const generateLocalSummary = (messages) => {
+  const replies = messages.filter(message => message.role === 'assistant' && message.content);
+  if (replies.length === 0) return '';
+
+  const parts = [];
+  const refusal = replies.find(reply => REFUSAL_PATTERN.test(reply.content));
+  const answer = replies.map(reply => detectYesNo(reply.content)).find(Boolean);
+  const rating = replies.map(reply => detectRating(reply.content)).find(value => value != null);
+
+  if (refusal) {
+    parts.push(answer ? `Declined, then answered ${answer}` : 'Declined to answer');
+  } else if (answer) {
+    parts.push(`Answered ${answer}`);
+  }
+  if (rating != null) parts.push(`rated ${rating}/10`);
+  parts.push(`${replies.length} repl${replies.length === 1 ? 'y' : 'ies'}`);
+
+  return truncate(`${parts.join(', ')}: ${firstSentence(replies[0].content)}`, SUMMARY_MAX_LENGTH);
+};
+
+/**
+ * Title fields to save with a conversation
+ *
+ * Automatic titles are recomputed; titles from any other source are kept.
+ *
+ * @param {Array} messages - Messages on the active branch
+ * @param {Object} metadata - Conversation metadata (may already hold title fields)
+ * @returns {Object} { title, summary, titleSource }
+ */
+export const getTitleMetadata = (messages, metadata = {}) => {
+  if (metadata.title && metadata.titleSource && metadata.titleSource !== 'auto') {
+    return {
+      title: metadata.title,
+      summary: metadata.summary || generateLocalSummary(messages),
+      titleSource: metadata.titleSource
+    };
+  }
+
+  return {
+    title: generateLocalTitle(messages, metadata),
+    summary: generateLocalSummary(messages),
+    titleSource: 'auto'
+  };
+};
+
+/**
+ * Title to show for a conversation, falling back for conversations saved before titles existed
+ *
+ * @param {Object} conversation - Conversation or history summary with parsed metadata
+ * @returns {string} Title, imported title, or the conversation ID
+ */
+export const getDisplayTitle = (conversation) => (
+  conversation.metadata?.title || conversation.metadata?.source?.title || conversation.conversationId
+);
+
+/**
+ * Read a title suggestion returned by Claude
+ *
+ * @param {string} text - Reply that should contain a JSON object { title, summary }
+ * @returns {Object} { title, summary }
+ */
+export const parseTitleSuggestion = (text) => {
+  const match = (text || '').match(/\{[\s\S]*\}/);
+  if (!match) throw new Error('The reply did not contain a title.');
+
+  const { title, summary } = JSON.parse(match[0]);
+  if (typeof title !== 'string' || !title.trim()) throw new Error('The reply did not contain a title.');
+
+  return {
+    title: truncate(title.trim(), TITLE_MAX_LENGTH),
+    summary: truncate(typeof summary === 'string' ? summary.trim() : '', SUMMARY_MAX_LENGTH)
+  };
+};
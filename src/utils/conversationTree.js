@@ -0,0 +1,227 @@
+// Helpers for storing a conversation as a tree of messages
+// Editing an earlier turn adds a sibling branch instead of overwriting the old one.
+// All helpers are pure and return a new tree so they can be used directly with React state.
+//
+// Tree shape:
+// {
+//   version: 1,
+//   nodes: { [nodeId]: { id, parentId, message, childIds, selectedChildId } },
+//   rootIds: [nodeId, ...],
+//   selectedRootId: nodeId
+// }
+// The active branch is found by following selectedRootId and then each node's selectedChildId.
+
+export const TREE_VERSION = 1;
+
+/**
+ * Create a unique node identifier
+ *
+ * @returns {string} Node ID such as "node-lq2x8k-4f9a1c"
+ */
+const createNodeId = () => {
+  return `node-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+};
+
+/**
+ * Create an empty conversation tree
+ *
+ * @returns {Object} Tree with no messages
+ */
+export const createTree = () => ({
+  version: TREE_VERSION,
+  nodes: {},
+  rootIds: [],
+  selectedRootId: null
+});
+
+/**
+ * Add a message as a child of an existing node (or as a new root when parentId is null)
+ *
+ * The new node becomes the selected child of its parent, so it is part of the active branch.
+ *
+ * @param {Object} tree - Current conversation tree
+ * @param {string|null} parentId - Node the message replies to
+ * @param {Object} message - Message object ({ role, content, thinking, ... })
+ * @returns {Object} { tree, nodeId } with the updated tree and the ID of the new node
+ */
+export const addMessage = (tree, parentId, message) => {
+  const nodeId = createNodeId();
+  const node = { id: nodeId, parentId, message, childIds: [], selectedChildId: null };
+  const nodes = { ...tree.nodes, [nodeId]: node };
+
+  if (parentId) {
+    const parent = tree.nodes[parentId];
+    nodes[parentId] = {
+      ...parent,
+      childIds: [...parent.childIds, nodeId],
+      selectedChildId: nodeId
+    };
+    return { tree: { ...tree, nodes }, nodeId };
+  }
+
+  return {
+    tree: {
+      ...tree,
+      nodes,
+      rootIds: [...tree.rootIds, nodeId],
+      selectedRootId: nodeId
+    },
+    nodeId
+  };
+};
+
+/**
+ * Build a single-branch tree from a flat messages array
+ *
+ * @param {Array} messages - Array of message objects in conversation order
+ * @returns {Object} Tree whose only branch holds the given messages
+ */
+export const createTreeFromMessages = (messages = []) => {
+  let tree = createTree();
+  let parentId = null;
+
+  messages.forEach((message) => {
+    const result = addMessage(tree, parentId, message);
+    tree = result.tree;
+    parentId = result.nodeId;
+  });
+
+  return tree;
+};
+
+/**
+ * Get the nodes on the active branch, from the first message to the last
+ *
+ * @param {Object} tree - Conversation tree
+ * @returns {Array} Array of nodes on the active branch
+ */
+export const getActivePath = (tree) => {
+  const path = [];
+  let nodeId = tree.selectedRootId;
+
+  while (nodeId) {
+    const node = tree.nodes[nodeId];
+    path.push(node);
+    nodeId = node.selectedChildId;
+  }
+
+  return path;
+};
+
+/**
+ * Get the messages on the active branch
+ *
+ * @param {Object} tree - Conversation tree
+ * @returns {Array} Flat messages array, as sent to /api/chat
+ */
+export const getActiveMessages = (tree) => {
+  return getActivePath(tree).map(node => node.message);
+};
+
+/**
+ * Get the nodes from the first message down to a specific node
+ *
+ * @param {Object} tree - Conversation tree
+ * @param {string} nodeId - Last node of the path
+ * @returns {Array} Array of nodes, ending with nodeId
+ */
+export const getPathToNode = (tree, nodeId) => {
+  const path = [];
+  let currentId = nodeId;
+
+  while (currentId) {
+    const node = tree.nodes[currentId];
+    path.unshift(node);
+    currentId = node.parentId;
+  }
+
+  return path;
+};
+
+/**
+ * Get the IDs of a node and its siblings, in creation order
+ *
+ * @param {Object} tree - Conversation tree
+ * @param {string} nodeId - Node to look up
+ * @returns {Array<string>} Sibling IDs including nodeId itself
+ */
+export const getSiblingIds = (tree, nodeId) => {
+  const node = tree.nodes[nodeId];
+  if (!node) return [];
+  return node.parentId ? tree.nodes[node.parentId].childIds : tree.rootIds;
+};
+
+/**
+ * Remove a node without children, e.g. a message whose reply never arrived
+ *
+ * Its parent (or the tree, for a root) selects its newest remaining sibling instead.
+ *
+ * @param {Object} tree - Conversation tree
+ * @param {string} nodeId - Node to remove; must have no children
+ * @returns {Object} Updated tree
+ */
+export const removeLeaf = (tree, nodeId) => {
+  const { parentId } = tree.nodes[nodeId];
+  const nodes = { ...tree.nodes };
+  delete nodes[nodeId];
+
+  if (parentId) {
+    const childIds = nodes[parentId].childIds.filter(id => id !== nodeId);
+    nodes[parentId] = { ...nodes[parentId], childIds, selectedChildId: childIds[childIds.length - 1] || null };
+    return { ...tree, nodes };
+  }
+
+  const rootIds = tree.rootIds.filter(id => id !== nodeId);
+  return { ...tree, nodes, rootIds, selectedRootId: rootIds[rootIds.length - 1] || null };
+};
+
+/**
+ * Make a node part of the active branch
+ *
+ * Every ancestor selects the path leading to the node. Below the node, the
+ * branch continues with whatever was last selected there.
+ *
+ * @param {Object} tree - Conversation tree
+ * @param {string} nodeId - Node to select
+ * @returns {Object} Updated tree
+ */
+export const selectBranch = (tree, nodeId) => {
+  const nodes = { ...tree.nodes };
+  let childId = nodeId;
+  let parentId = nodes[nodeId].parentId;
+
+  while (parentId) {
+    nodes[parentId] = { ...nodes[parentId], selectedChildId: childId };
+    childId = parentId;
+    parentId = nodes[parentId].parentId;
+  }
+
+  return { ...tree, nodes, selectedRootId: childId };
+};
+
+/**
+ * List every branch of the tree (one per leaf node)
+ *
+ * @param {Object} tree - Conversation tree
+ * @returns {Array} Array of { leafId, messageCount, isActive } in tree order
+ */
+export const getBranches = (tree) => {
+  const activeLeaf = getActivePath(tree).slice(-1)[0];
+  const branches = [];
+
+  const visit = (nodeId, depth) => {
+    const node = tree.nodes[nodeId];
+    if (node.childIds.length === 0) {
+      branches.push({
+        leafId: nodeId,
+        messageCount: depth,
+        isActive: activeLeaf?.id === nodeId
+      });
+      return;
+    }
+    node.childIds.forEach(childId => visit(childId, depth + 1));
+  };
+
+  tree.rootIds.forEach(rootId => visit(rootId, 1));
+  return branches;
+};
@@ -0,0 +1,255 @@
+// Agreement between analysts who scored the same conversations
+// Only conversations with analyses from at least two analysts count.
+//   1-10 scales: ICC(1,1), the one-way random-effects intraclass correlation for a single rater,
+//     which allows a different set (and number) of analysts for each conversation
+//   Constraint conflicts and each tag (applied or not): Cohen's kappa when the same two analysts
+//     scored every such conversation, otherwise Fleiss' kappa, taken over however many analysts
+//     scored each conversation
+// Both are 1 for perfect agreement and 0 for the agreement expected by chance; they are null
+// when there is too little data or no variation to measure agreement on.
+//
+// This module has no dependencies so the stub backend can compute the same report.
+
+export const SCALE_FIELDS = ['preferenceAlignment', 'autonomyLevel', 'authenticity'];
+
+// Conversations listed as most disputed
+const DISPUTED_LIMIT = 10;
+
+// Width of the 1-10 scales, for putting a spread between 0 and 1
+const SCALE_RANGE = 9;
+
+/**
+ * Tags of an analysis as a list
+ *
+ * @param {string|Array} tags - Comma-separated tags as saved, or a list
+ * @returns {Array<string>} Tags
+ */
+const parseTags = (tags) => (
+  Array.isArray(tags) ? tags : String(tags || '').split(',').map(tag => tag.trim()).filter(Boolean)
+);
+
+const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+/**
+ * ICC(1,1) of numeric ratings
+ *
+ * @param {Array<Array<number>>} groups - Ratings of each conversation (two or more per conversation)
+ * @returns {number|null} Intraclass correlation, or null with fewer than two conversations or no variance
+ */
+export const intraclassCorrelation = (groups) => {
+  const subjects = groups.length;
+  const ratings = groups.reduce((sum, group) => sum + group.length, 0);
+  if (subjects < 2 || ratings <= subjects) return null;
+
+  const grandMean = mean(groups.flat());
+  const groupMeans = groups.map(mean);
+
+  const betweenSquares = groups.reduce((sum, group, i) => sum + group.length * (groupMeans[i] - grandMean) ** 2, 0);
+  const withinSquares = groups.reduce(
+    (sum, group, i) => sum + group.reduce((groupSum, value) => groupSum + (value - groupMeans[i]) ** 2, 0),
+    0
+  );
+  const meanSquareBetween = betweenSquares / (subjects - 1);
+  const meanSquareWithin = withinSquares / (ratings - subjects);
+
+  // Average number of ratings per conversation, adjusted for unequal group sizes
+  const groupSize = (ratings - groups.reduce((sum, group) => sum + group.length ** 2, 0) / ratings) / (subjects - 1);
+
+  const denominator = meanSquareBetween + (groupSize - 1) * meanSquareWithin;
+  return denominator === 0 ? null : (meanSquareBetween - meanSquareWithin) / denominator;
+};
+
+/**
+ * Cohen's kappa of two analysts' categories
+ *
+ * @param {Array<Array>} pairs - [first analyst's category, second analyst's category] per conversation
+ * @returns {Object} { kappa, agreement } (agreement is the share of conversations rated alike)
+ */
+export const cohensKappa = (pairs) => {
+  const agreement = pairs.filter(([a, b]) => a === b).length / pairs.length;
+  const categories = [...new Set(pairs.flat())];
+  const chance = categories.reduce((sum, category) => (
+    sum
+    + (pairs.filter(([a]) => a === category).length / pairs.length)
+    * (pairs.filter(([, b]) => b === category).length / pairs.length)
+  ), 0);
+
+  return { kappa: chance === 1 ? null : (agreement - chance) / (1 - chance), agreement };
+};
+
+/**
+ * Fleiss' kappa of categories, allowing a different number of analysts per conversation
+ *
+ * @param {Array<Array>} groups - Categories given to each conversation (two or more per conversation)
+ * @returns {Object} { kappa, agreement } (agreement is the share of agreeing analyst pairs)
+ */
+export const fleissKappa = (groups) => {
+  const counts = groups.map((group) => {
+    const byCategory = new Map();
+    group.forEach(category => byCategory.set(category, (byCategory.get(category) || 0) + 1));
+    return byCategory;
+  });
+
+  // Share of agreeing analyst pairs on each conversation, then on average
+  const agreement = mean(groups.map((group, i) => {
+    const agreeingPairs = [...counts[i].values()].reduce((sum, count) => sum + count * (count - 1), 0);
+    return agreeingPairs / (group.length * (group.length - 1));
+  }));
+
+  const ratings = groups.reduce((sum, group) => sum + group.length, 0);
+  const totals = new Map();
+  counts.forEach(byCategory => byCategory.forEach((count, category) => {
+    totals.set(category, (totals.get(category) || 0) + count);
+  }));
+  const chance = [...totals.values()].reduce((sum, total) => sum + (total / ratings) ** 2, 0);
+
+  return { kappa: chance === 1 ? null : (agreement - chance) / (1 - chance), agreement };
+};
+
+/**
+ * Kappa of categorical ratings, choosing Cohen's or Fleiss' kappa
+ *
+ * @param {Array<Array<Object>>} groups - [{ analystId, value }] per conversation
+ * @returns {Object|null} { method: 'cohen'|'fleiss', kappa, agreement, subjects }, or null without conversations
+ */
+const categoricalAgreement = (groups) => {
+  if (groups.length === 0) return null;
+
+  // Cohen's kappa needs the same two analysts on every conversation
+  const analystPairs = new Set(groups.map(group => group.map(rating => rating.analystId).sort().join('\n')));
+  const sameTwoAnalysts = analystPairs.size === 1 && groups[0].length === 2;
+
+  const result = sameTwoAnalysts
+    ? cohensKappa(groups.map(group => (
+      [...group].sort((a, b) => a.analystId.localeCompare(b.analystId)).map(rating => rating.value)
+    )))
+    : fleissKappa(groups.map(group => group.map(rating => rating.value)));
+
+  return { method: sameTwoAnalysts ? 'cohen' : 'fleiss', ...result, subjects: groups.length };
+};
+
+/**
+ * How much the analysts of one conversation disagree
+ *
+ * @param {Array<Object>} analyses - Analyses of the conversation
+ * @returns {Object} { disagreement (0-1), spreads: { field: max - min }, conflicts: [values], disputedTags: [tags] }
+ */
+const measureDispute = (analyses) => {
+  const spreads = Object.fromEntries(SCALE_FIELDS.map((field) => {
+    const scores = analyses.map(analysis => Number(analysis[field]));
+    return [field, Math.max(...scores) - Math.min(...scores)];
+  }));
+
+  const conflicts = analyses.map(analysis => analysis.constraintConflicts);
+  const tagSets = analyses.map(analysis => parseTags(analysis.tags));
+  const usedTags = [...new Set(tagSets.flat())];
+  const disputedTags = usedTags.filter(tag => !tagSets.every(tags => tags.includes(tag)));
+
+  const parts = [
+    ...SCALE_FIELDS.map(field => spreads[field] / SCALE_RANGE),
+    1 - fleissKappa([conflicts]).agreement,
+    usedTags.length === 0 ? 0 : disputedTags.length / usedTags.length
+  ];
+
+  return { disagreement: mean(parts), spreads, conflicts: [...new Set(conflicts)], disputedTags };
+};
+
+/**
+ * Agreement report over every analysis that records its analyst
+ *
+ * Analyses saved before analysts were recorded have no analystId; they are left out and counted.
+ *
+ * @param {Array<Object>} analyses - Analyses with conversationId, analystId, the 1-10 scores,
+ *   constraintConflicts and tags
+ * @param {Object} options - Report options
+ * @param {Function} options.canListDispute - Whether a conversation may be listed as disputed:
+ *   (conversationId) => boolean, e.g. to keep analysts blind to conversations they haven't scored
+ * @returns {Object} {
+ *   analysisCount, unattributedCount (analyses left out), analystCount,
+ *   conversationCount (scored by two or more analysts),
+ *   scales: { [field]: { icc, subjects } },
+ *   constraintConflicts: { method, kappa, agreement, subjects } | null,
+ *   tags: [{ tag, method, kappa, agreement, subjects }],
+ *   disputed: [{ conversationId, analystCount, disagreement, spreads, conflicts, disputedTags }] (most disputed first)
+ * }
+ *
+ * Example usage:
+ * const report = computeAgreement(analyses);
+ * console.log('Authenticity ICC:', report.scales.authenticity.icc);
+ */
+export const computeAgreement = (analyses, { canListDispute = () => true } = {}) => {
+  const attributed = analyses.filter(analysis => analysis.analystId);
+  const byConversation = new Map();
+  attributed.forEach((analysis) => {
+    if (!byConversation.has(analysis.conversationId)) byConversation.set(analysis.conversationId, []);
+    byConversation.get(analysis.conversationId).push(analysis);
+  });
+  const shared = [...byConversation.values()].filter(group => group.length >= 2);
+
+  const scales = Object.fromEntries(SCALE_FIELDS.map(field => [field, {
+    icc: intraclassCorrelation(shared.map(group => group.map(analysis => Number(analysis[field])))),
+    subjects: shared.length
+  }]));
+
+  const constraintConflicts = categoricalAgreement(shared.map(group => group.map(analysis => ({
+    analystId: analysis.analystId,
+    value: analysis.constraintConflicts
+  }))));
+
+  const tagNames = [...new Set(shared.flat().flatMap(analysis => parseTags(analysis.tags)))].sort();
+  const tags = tagNames.map(tag => ({
+    tag,
+    ...categoricalAgreement(shared.map(group => group.map(analysis => ({
+      analystId: analysis.analystId,
+      value: parseTags(analysis.tags).includes(tag)
+    }))))
+  }));
+
+  const disputed = shared
+    .filter(group => canListDispute(group[0].conversationId))
+    .map(group => ({ conversationId: group[0].conversationId, analystCount: group.length, ...measureDispute(group) }))
+    .filter(dispute => dispute.disagreement > 0)
+    .sort((a, b) => b.disagreement - a.disagreement)
+    .slice(0, DISPUTED_LIMIT);
+
+  return {
+    analysisCount: attributed.length,
+    unattributedCount: analyses.length - attributed.length,
+    analystCount: new Set(attributed.map(analysis => analysis.analystId)).size,
+    conversationCount: shared.length,
+    scales,
+    constraintConflicts,
+    tags,
+    disputed
+  };
+};
+
+/**
+ * Conventional reading of an ICC (Koo & Li, 2016)
+ *
+ * @param {number|null} icc - Intraclass correlation
+ * @returns {string} e.g. "good"
+ */
+export const describeIcc = (icc) => {
+  if (icc === null) return 'not enough data';
+  if (icc < 0.5) return 'poor';
+  if (icc < 0.75) return 'moderate';
+  if (icc < 0.9) return 'good';
+  return 'excellent';
+};
+
+/**
+ * Conventional reading of a kappa (Landis & Koch, 1977)
+ *
+ * @param {number|null} kappa - Cohen's or Fleiss' kappa
+ * @returns {string} e.g. "substantial"
+ */
+export const describeKappa = (kappa) => {
+  if (kappa === null) return 'not enough data';
+  if (kappa < 0) return 'poor';
+  if (kappa <= 0.2) return 'slight';
+  if (kappa <= 0.4) return 'fair';
+  if (kappa <= 0.6) return 'moderate';
+  if (kappa <= 0.8) return 'substantial';
+  return 'almost perfect';
+};
@@ -0,0 +1,81 @@
+// Keyboard shortcuts: the list shown in the "?" overlay and helpers for handling key events
+// The command palette and the "?" overlay work on every page; pages add their own shortcuts
+// (e.g. the Tools page scoring keys) and list them here under their page.
+
+// Mac keyboards use Cmd where others use Ctrl
+const IS_MAC = typeof navigator !== 'undefined' && /Mac|iPhone|iPad/.test(navigator.platform);
+
+export const MOD_KEY_LABEL = IS_MAC ? '⌘' : 'Ctrl';
+
+// "Mod" in a key list stands for Cmd on Macs and Ctrl elsewhere
+export const SHORTCUT_GROUPS = [
+  {
+    title: 'Anywhere',
+    shortcuts: [
+      { keys: ['Mod', 'K'], description: 'Open the command palette' },
+      { keys: ['?'], description: 'Show keyboard shortcuts' },
+      { keys: ['Esc'], description: 'Close the palette or this list' }
+    ]
+  },
+  {
+    title: 'Command palette',
+    shortcuts: [
+      { keys: ['↑', '↓'], description: 'Move between results' },
+      { keys: ['Enter'], description: 'Run the highlighted command' }
+    ]
+  },
+  {
+    title: 'Chat',
+    shortcuts: [
+      { keys: ['Enter'], description: 'Send the message' },
+      { keys: ['Shift', 'Enter'], description: 'New line' },
+      { keys: ['/'], description: 'Start a slash command at the beginning of the message' }
+    ]
+  },
+  {
+    title: 'Analysis (Tools page)',
+    shortcuts: [
+      { keys: ['[', ']'], description: 'Focus the previous or next score' },
+      { keys: ['1', '…', '9'], description: 'Set the focused score (0 sets 10)' },
+      { keys: ['Y', 'N', 'U'], description: 'Constraint conflicts: Yes, No or Unclear' },
+      { keys: ['Mod', 'S'], description: 'Save the analysis' },
+      { keys: ['Mod', 'Enter'], description: 'Save and open the next conversation in History' }
+    ]
+  }
+];
+
+/**
+ * Label of a key as shown to the user
+ *
+ * @param {string} key - Key from SHORTCUT_GROUPS
+ * @returns {string} Key label, with "Mod" replaced by Cmd or Ctrl
+ */
+export const formatKey = (key) => (key === 'Mod' ? MOD_KEY_LABEL : key);
+
+/**
+ * Whether Cmd (Mac) or Ctrl (elsewhere) is held
+ *
+ * @param {KeyboardEvent} e - Key event
+ * @returns {boolean} True if the platform's command modifier is pressed
+ */
+export const hasModKey = (e) => (IS_MAC ? e.metaKey : e.ctrlKey);
+
+// Inputs whose keys don't produce text, so single-key shortcuts still apply while they have focus
+const NON_TEXT_INPUTS = ['range', 'checkbox', 'radio', 'button', 'submit', 'reset'];
+
+/**
+ * Whether a key event comes from somewhere the user is typing text
+ *
+ * Single-key shortcuts are ignored there so they don't swallow typed characters.
+ *
+ * @param {EventTarget} target - Event target
+ * @returns {boolean} True for text inputs, textareas, selects and editable content
+ */
+export const isTypingTarget = (target) => {
+  if (!target || !target.tagName) return false;
+  if (target.isContentEditable) return true;
+
+  const tag = target.tagName.toLowerCase();
+  if (tag === 'textarea' || tag === 'select') return true;
+  return tag === 'input' && !NON_TEXT_INPUTS.includes(target.type);
+};
@@ -0,0 +1,230 @@
+// Helpers for research protocols: named scenarios made of ordered prompt steps
+// Each step becomes a slash command in Chat; protocols are stored and versioned by the backend.
+//
+// Protocol shape:
+// {
+//   protocolId, version, name, description,
+//   variables: { [name]: defaultValue },
+//   steps: [{ command, title, description, prompt, followUp, condition, variants }]
+// }
+// condition (one of STEP_CONDITIONS) decides whether the unattended runner sends a step;
+// steps without one are always sent.
+//
+// variants ([{ id, label, prompt }]) are alternative wordings of a step for experiments.
+// The step's own prompt is the "Original" wording. An experimental condition picks one
+// wording for every step that has variants (see getProtocolConditions).
+
+import { HELP_COMMAND, getTemplateVariables } from '../constants/researchPrompts';
+import { detectYesNo, detectRating } from './responseParsing';
+
+// When the runner sends a step, based on Claude's previous reply
+export const STEP_CONDITIONS = [
+  { value: 'always', label: 'Always' },
+  { value: 'missing-yes-no', label: 'Only if the last reply had no Yes/No answer' },
+  { value: 'missing-rating', label: 'Only if the last reply had no 1-10 rating' },
+  { value: 'missing-answer', label: 'Only if the last reply lacked a Yes/No answer or a rating' }
+];
+
+// Step commands are typed after "/", so they must not contain spaces
+const COMMAND_PATTERN = /^[a-z0-9][a-z0-9._-]*$/i;
+
+/**
+ * Create an empty step for the protocol editor
+ *
+ * @param {number} position - 1-based position, used to suggest a command name
+ * @returns {Object} Step with a suggested command and no prompt
+ */
+export const createStep = (position) => ({
+  command: `p${position}`,
+  title: '',
+  description: '',
+  prompt: '',
+  followUp: false,
+  condition: 'always'
+});
+
+// Variant ID used for a step's own prompt
+export const ORIGINAL_VARIANT_ID = 'original';
+
+/**
+ * Create an empty wording variant for a step
+ *
+ * @param {number} position - 1-based position among the step's variants
+ * @returns {Object} Variant with a generated ID and no prompt
+ */
+export const createVariant = (position) => ({
+  id: `variant-${position}-${Date.now().toString(36)}`,
+  label: `Variant ${position}`,
+  prompt: ''
+});
+
+/**
+ * Create a new, unsaved protocol with a single empty step
+ *
+ * @returns {Object} Protocol without protocolId or version (assigned when saved)
+ */
+export const createProtocol = () => ({
+  protocolId: null,
+  version: null,
+  name: '',
+  description: '',
+  variables: {},
+  steps: [createStep(1)]
+});
+
+/**
+ * Build a unique protocol identifier from its name
+ *
+ * @param {string} name - Protocol name
+ * @returns {string} Protocol ID such as "footbridge-variant-lq2x8k"
+ */
+export const createProtocolId = (name) => {
+  const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 40);
+  return `${slug || 'protocol'}-${Date.now().toString(36)}`;
+};
+
+/**
+ * Check a protocol before it is saved
+ *
+ * @param {Object} protocol - Protocol being edited
+ * @returns {Array<string>} Human-readable problems, empty if the protocol can be saved
+ */
+export const validateProtocol = (protocol) => {
+  const errors = [];
+
+  if (!protocol.name.trim()) {
+    errors.push('Protocol name is required.');
+  }
+
+  if (protocol.steps.length === 0) {
+    errors.push('A protocol needs at least one step.');
+  }
+
+  const seen = new Set();
+  protocol.steps.forEach((step, index) => {
+    const label = `Step ${index + 1}`;
+    const command = step.command.trim().toLowerCase();
+
+    if (!COMMAND_PATTERN.test(command)) {
+      errors.push(`${label}: command must be letters, numbers, ".", "-" or "_" with no spaces.`);
+    } else if (command === HELP_COMMAND) {
+      errors.push(`${label}: /${HELP_COMMAND} is reserved.`);
+    } else if (seen.has(command)) {
+      errors.push(`${label}: /${command} is used by another step.`);
+    }
+    seen.add(command);
+
+    if (!step.prompt.trim()) {
+      errors.push(`${label}: prompt is required.`);
+    }
+
+    const variantLabels = new Set();
+    (step.variants || []).forEach((variant, variantIndex) => {
+      const variantLabel = `${label}, variant ${variantIndex + 1}`;
+      const name = variant.label.trim().toLowerCase();
+
+      if (!name) {
+        errors.push(`${variantLabel}: label is required.`);
+      } else if (name === 'original' || variantLabels.has(name)) {
+        errors.push(`${variantLabel}: label "${variant.label}" is already used.`);
+      }
+      variantLabels.add(name);
+
+      if (!variant.prompt.trim()) {
+        errors.push(`${variantLabel}: prompt is required.`);
+      }
+    });
+  });
+
+  if (protocol.steps.length > 0 && protocol.steps[0].followUp) {
+    errors.push('The first step cannot be a follow-up.');
+  }
+
+  return errors;
+};
+
+/**
+ * Decide whether the runner should send a step, given Claude's previous reply
+ *
+ * @param {Object} step - Protocol step
+ * @param {string} previousReply - Text of the last assistant reply ('' before the first step)
+ * @returns {boolean} True if the step's condition is met
+ */
+export const shouldRunStep = (step, previousReply) => {
+  switch (step.condition) {
+    case 'missing-yes-no':
+      return detectYesNo(previousReply) === null;
+    case 'missing-rating':
+      return detectRating(previousReply) === null;
+    case 'missing-answer':
+      return detectYesNo(previousReply) === null || detectRating(previousReply) === null;
+    default:
+      return true;
+  }
+};
+
+/**
+ * List every experimental condition of a protocol
+ *
+ * Each step with variants contributes one factor (its original wording plus each variant);
+ * the conditions are every combination of those factors.
+ *
+ * @param {Object} protocol - Protocol to inspect
+ * @returns {Array<Object>} [{ conditionId, label, variants: { [command]: variantId } }],
+ *   empty if no step has variants
+ */
+export const getProtocolConditions = (protocol) => {
+  const factors = protocol.steps
+    .filter(step => step.variants?.length > 0)
+    .map(step => [
+      { command: step.command, id: ORIGINAL_VARIANT_ID, label: 'Original' },
+      ...step.variants.map(variant => ({ command: step.command, id: variant.id, label: variant.label }))
+    ]);
+
+  if (factors.length === 0) return [];
+
+  const combinations = factors.reduce(
+    (partial, levels) => partial.flatMap(combination => levels.map(level => [...combination, level])),
+    [[]]
+  );
+
+  return combinations.map(levels => ({
+    conditionId: levels.map(level => `${level.command}:${level.id}`).join('|'),
+    label: levels.map(level => (factors.length > 1 ? `/${level.command} ${level.label}` : level.label)).join(', '),
+    variants: Object.fromEntries(levels.map(level => [level.command, level.id]))
+  }));
+};
+
+/**
+ * Give a protocol the wording of an experimental condition
+ *
+ * @param {Object} protocol - Protocol with step variants
+ * @param {Object|null} condition - Condition from getProtocolConditions (null leaves the protocol unchanged)
+ * @returns {Object} Protocol whose step prompts are the condition's wordings
+ */
+export const applyCondition = (protocol, condition) => {
+  if (!condition) return protocol;
+
+  return {
+    ...protocol,
+    steps: protocol.steps.map((step) => {
+      const variantId = condition.variants?.[step.command];
+      const variant = step.variants?.find(v => v.id === variantId);
+      return variant ? { ...step, prompt: variant.prompt } : step;
+    })
+  };
+};
+
+/**
+ * List the template variables used anywhere in a protocol
+ *
+ * @param {Object} protocol - Protocol to inspect
+ * @returns {Array<string>} Variable names in order of first use
+ */
+export const getProtocolTemplateVariables = (protocol) => {
+  const names = protocol.steps.flatMap(step => [
+    ...getTemplateVariables(step.prompt),
+    ...(step.variants || []).flatMap(variant => getTemplateVariables(variant.prompt))
+  ]);
+  return [...new Set(names)];
+};
@@ -0,0 +1,81 @@
+// Heuristics for pulling structured answers out of Claude's replies
+// Used to compare samples of the same turn, e.g. the Yes/No and 1-10 rating asked for in /p2.5
+
+/**
+ * Detect an explicit Yes/No answer in a reply
+ *
+ * Only counts a yes/no that is clearly given as the answer: at the start of a
+ * line, in bold, or after "answer is". A "no" buried in a sentence such as
+ * "there is no correct answer" is ignored.
+ *
+ * @param {string} text - Reply text
+ * @returns {string|null} "Yes", "No", or null if no clear answer was found
+ */
+export const detectYesNo = (text) => {
+  if (!text) return null;
+
+  const patterns = [
+    /^[\s>*_#-]*(yes|no)\b/im,
+    /\*\*\s*(yes|no)\b[^*]*\*\*/i,
+    /\banswer\s*(?:is|would be|:)\s*[*_"']*(yes|no)\b/i
+  ];
+
+  for (const pattern of patterns) {
+    const match = text.match(pattern);
+    if (match) {
+      return match[1].toLowerCase() === 'yes' ? 'Yes' : 'No';
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Detect a rating on a 1-10 scale in a reply (e.g. "7/10", "7 out of 10")
+ *
+ * @param {string} text - Reply text
+ * @returns {number|null} The first rating between 1 and 10, or null if none was found
+ */
+export const detectRating = (text) => {
+  if (!text) return null;
+
+  const pattern = /\b(\d{1,2}(?:\.\d+)?)\s*(?:\/|out of)\s*10\b/gi;
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    const value = parseFloat(match[1]);
+    if (value >= 1 && value <= 10) {
+      return value;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Summarize the answers given across several samples of the same turn
+ *
+ * @param {Array<string>} texts - Reply text of each sample
+ * @returns {Object} { answers, yesCount, noCount, unclearCount, ratings, minRating, maxRating, meanRating }
+ */
+export const summarizeSamples = (texts) => {
+  const answers = texts.map(text => ({
+    answer: detectYesNo(text),
+    rating: detectRating(text)
+  }));
+
+  const ratings = answers.map(a => a.rating).filter(rating => rating != null);
+
+  return {
+    answers,
+    yesCount: answers.filter(a => a.answer === 'Yes').length,
+    noCount: answers.filter(a => a.answer === 'No').length,
+    unclearCount: answers.filter(a => a.answer === null).length,
+    ratings,
+    minRating: ratings.length > 0 ? Math.min(...ratings) : null,
+    maxRating: ratings.length > 0 ? Math.max(...ratings) : null,
+    meanRating: ratings.length > 0
+      ? ratings.reduce((sum, rating) => sum + rating, 0) / ratings.length
+      : null
+  };
+};
@@ -0,0 +1,228 @@
+// Full-text search over conversation messages
+// Queries are words, "quoted phrases", AND / OR / NOT (upper case), "-" to exclude, and parentheses.
+// Words next to each other must all match (AND is implied) and NOT binds tighter than AND, which
+// binds tighter than OR:  refuse OR decline -"trolley problem"  ==  refuse OR (decline AND NOT "...")
+// Terms match at the start of a word, case-insensitively, so "refus" finds "refuse" and "refusal".
+// A conversation matches when the query holds over all of its messages and thinking together;
+// the messages containing a searched term are reported as matches.
+//
+// This module has no dependencies so the stub backend can run the same search.
+
+// Characters kept on each side of a match in a snippet
+const SNIPPET_RADIUS = 70;
+
+/**
+ * Split a query into tokens
+ *
+ * @param {string} query - Query text
+ * @returns {Array<Object>} Tokens: { type: 'term', value, phrase } | { type: 'and'|'or'|'not'|'('|')' }
+ */
+const tokenize = (query) => {
+  const tokens = [];
+  const pattern = /\s*(?:(-)?"([^"]*)"?|(-)?\(|(\))|(-)?([^\s()"]+))/g;
+  let match;
+
+  while ((match = pattern.exec(query)) !== null && match[0] !== '') {
+    const [, phraseNot, phrase, groupNot, close, wordNot, word] = match;
+
+    if (phrase !== undefined) {
+      if (phraseNot) tokens.push({ type: 'not' });
+      if (phrase.trim()) tokens.push({ type: 'term', value: phrase.trim(), phrase: true });
+    } else if (close) {
+      tokens.push({ type: ')' });
+    } else if (word === undefined) {
+      if (groupNot) tokens.push({ type: 'not' });
+      tokens.push({ type: '(' });
+    } else if (['AND', 'OR', 'NOT'].includes(word) && !wordNot) {
+      tokens.push({ type: word.toLowerCase() });
+    } else {
+      if (wordNot) tokens.push({ type: 'not' });
+      tokens.push({ type: 'term', value: word, phrase: false });
+    }
+  }
+
+  return tokens;
+};
+
+/**
+ * Parse a search query
+ *
+ * @param {string} query - Query text
+ * @returns {Object|null} Query tree ({ type: 'term'|'and'|'or'|'not', ... }), or null for an empty query
+ * @throws {Error} If the query is malformed, e.g. an unclosed parenthesis
+ *
+ * Example usage:
+ * const parsed = parseSearchQuery('"pull the lever" AND (uncomfortable OR -rating)');
+ */
+export const parseSearchQuery = (query) => {
+  const tokens = tokenize(query || '');
+  if (tokens.length === 0) return null;
+  let position = 0;
+
+  const peek = () => tokens[position];
+
+  const parseOr = () => {
+    const children = [parseAnd()];
+    while (peek()?.type === 'or') {
+      position += 1;
+      children.push(parseAnd());
+    }
+    return children.length === 1 ? children[0] : { type: 'or', children };
+  };
+
+  const parseAnd = () => {
+    const children = [parseUnary()];
+    while (peek() && peek().type !== 'or' && peek().type !== ')') {
+      if (peek().type === 'and') position += 1;
+      children.push(parseUnary());
+    }
+    return children.length === 1 ? children[0] : { type: 'and', children };
+  };
+
+  const parseUnary = () => {
+    const token = peek();
+    if (!token) throw new Error('The search ends with an operator; add a term after it.');
+
+    if (token.type === 'not') {
+      position += 1;
+      return { type: 'not', child: parseUnary() };
+    }
+    if (token.type === '(') {
+      position += 1;
+      const inner = parseOr();
+      if (peek()?.type !== ')') throw new Error('A "(" in the search is never closed.');
+      position += 1;
+      return inner;
+    }
+    if (token.type === 'term') {
+      position += 1;
+      return token;
+    }
+    throw new Error(`Unexpected ${token.type === ')' ? '")"' : token.type.toUpperCase()} in the search.`);
+  };
+
+  const tree = parseOr();
+  if (position < tokens.length) throw new Error('Unexpected ")" in the search.');
+  return tree;
+};
+
+/**
+ * Terms the query looks for (terms under NOT are left out), for highlighting
+ *
+ * @param {Object|null} tree - Parsed query
+ * @returns {Array<string>} Terms and phrases
+ */
+export const getSearchTerms = (tree) => {
+  if (!tree) return [];
+  if (tree.type === 'term') return [tree.value];
+  if (tree.type === 'not') return [];
+  return [...new Set(tree.children.flatMap(getSearchTerms))];
+};
+
+// Regular expression source for a term: word-start match, any whitespace inside phrases
+const getTermSource = (term) => (
+  '(?<![\\p{L}\\p{N}])'
+  + term.split(/\s+/).map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('\\s+')
+);
+
+const termMatches = (term, text) => new RegExp(getTermSource(term), 'iu').test(text);
+
+/**
+ * Whether a set of texts satisfies a query
+ *
+ * @param {Object} tree - Parsed query
+ * @param {Array<string>} texts - Texts searched together (e.g. every message and thinking block)
+ * @returns {boolean} True if the query holds
+ */
+export const matchesSearch = (tree, texts) => {
+  switch (tree.type) {
+    case 'term':
+      return texts.some(text => termMatches(tree.value, text));
+    case 'not':
+      return !matchesSearch(tree.child, texts);
+    case 'and':
+      return tree.children.every(child => matchesSearch(child, texts));
+    default:
+      return tree.children.some(child => matchesSearch(child, texts));
+  }
+};
+
+/**
+ * Short excerpt of a text around the first occurrence of any term
+ *
+ * @param {string} text - Full text
+ * @param {Array<string>} terms - Searched terms
+ * @returns {string} Excerpt with "…" where it was cut
+ */
+export const buildSnippet = (text, terms) => {
+  const match = terms.length > 0
+    ? new RegExp(terms.map(getTermSource).join('|'), 'iu').exec(text)
+    : null;
+  const start = match ? match.index : 0;
+  const end = match ? start + match[0].length : 0;
+
+  let from = Math.max(0, start - SNIPPET_RADIUS);
+  let to = Math.min(text.length, end + SNIPPET_RADIUS);
+  // Don't cut words in half
+  if (from > 0) from = text.indexOf(' ', from) + 1 || from;
+  if (to < text.length) to = text.lastIndexOf(' ', to) > end ? text.lastIndexOf(' ', to) : to;
+
+  return `${from > 0 ? '…' : ''}${text.slice(from, to).replace(/\s+/g, ' ').trim()}${to < text.length ? '…' : ''}`;
+};
+
+/**
+ * Search the messages of one conversation
+ *
+ * @param {Object} tree - Parsed query
+ * @param {Array} messages - Messages on the conversation's active branch
+ * @param {number} maxMatches - Most matches to report
+ * @returns {Object|null} { matches: [{ messageIndex, role, field, snippet }], matchCount },
+ *   or null if the conversation doesn't match (a message can match in its content and in its thinking)
+ */
+export const searchMessages = (tree, messages, maxMatches = 5) => {
+  const texts = messages.flatMap(message => [message.content || '', message.thinking || '']);
+  if (!matchesSearch(tree, texts)) return null;
+
+  const terms = getSearchTerms(tree);
+  const matches = [];
+  messages.forEach((message, messageIndex) => {
+    ['content', 'thinking'].forEach((field) => {
+      const text = message[field];
+      if (text && terms.some(term => termMatches(term, text))) {
+        matches.push({ messageIndex, role: message.role, field, snippet: buildSnippet(text, terms) });
+      }
+    });
+  });
+
+  return { matches: matches.slice(0, maxMatches), matchCount: matches.length };
+};
+
+/**
+ * Split a text into plain and highlighted parts
+ *
+ * @param {string} text - Text to show, e.g. a snippet
+ * @param {Array<string>} terms - Terms to highlight
+ * @returns {Array<Object>} Parts: { text, highlighted }
+ */
+export const splitHighlights = (text, terms) => {
+  if (terms.length === 0) return [{ text, highlighted: false }];
+
+  // Highlight whole words, e.g. all of "refusal" for "refus"
+  const pattern = new RegExp(terms.map(term => `${getTermSource(term)}[\\p{L}\\p{N}]*`).join('|'), 'giu');
+  const parts = [];
+  let last = 0;
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    if (match[0] === '') {
+      pattern.lastIndex += 1;
+      continue;
+    }
+    if (match.index > last) parts.push({ text: text.slice(last, match.index), highlighted: false });
+    parts.push({ text: match[0], highlighted: true });
+    last = match.index + match[0].length;
+  }
+  if (last < text.length) parts.push({ text: text.slice(last), highlighted: false });
+
+  return parts;
+};
@@ -0,0 +1,100 @@
+// Helpers for per-message token usage and estimated cost
+
+import { getModelPricing } from '../constants/modelPricing';
+
+/**
+ * Convert an Anthropic usage object into the token breakdown stored on assistant messages
+ *
+ * The API counts thinking as part of output_tokens and does not report it separately.
+ * When the backend does not send thinking_tokens, it is estimated from the thinking
+ * text (about 4 characters per token) and flagged as an estimate.
+ *
+ * @param {Object} usage - Usage from the API (input_tokens, output_tokens, cache_creation_input_tokens, ...)
+ * @param {string} thinking - Thinking text of the reply, used for the estimate
+ * @returns {Object} { inputTokens, outputTokens, cacheCreationInputTokens, cacheCreation1hInputTokens,
+ *   cacheReadInputTokens, thinkingTokens, thinkingTokensEstimated }
+ */
+export const normalizeUsage = (usage = {}, thinking = '') => {
+  const hasThinkingCount = usage.thinking_tokens != null;
+
+  return {
+    inputTokens: usage.input_tokens || 0,
+    outputTokens: usage.output_tokens || 0,
+    cacheCreationInputTokens: usage.cache_creation_input_tokens || 0,
+    // Part of the cache writes made with the 1-hour TTL (priced higher than 5-minute writes)
+    cacheCreation1hInputTokens: usage.cache_creation?.ephemeral_1h_input_tokens || 0,
+    cacheReadInputTokens: usage.cache_read_input_tokens || 0,
+    thinkingTokens: hasThinkingCount ? usage.thinking_tokens : Math.ceil((thinking || '').length / 4),
+    thinkingTokensEstimated: !hasThinkingCount && Boolean(thinking)
+  };
+};
+
+/**
+ * Total tokens billed for a turn (input, cache writes, cache reads and output)
+ *
+ * @param {Object} tokens - Token breakdown from normalizeUsage
+ * @returns {number} Total token count
+ */
+export const getTotalTokens = (tokens) => {
+  if (!tokens) return 0;
+  return (tokens.inputTokens || 0)
+    + (tokens.cacheCreationInputTokens || 0)
+    + (tokens.cacheReadInputTokens || 0)
+    + (tokens.outputTokens || 0);
+};
+
+/**
+ * Add up the token breakdowns of many messages
+ *
+ * @param {Array} messages - Message objects; those without tokens are skipped
+ * @returns {Object} Summed breakdown plus a total field
+ */
+export const sumUsage = (messages) => {
+  const totals = {
+    inputTokens: 0,
+    outputTokens: 0,
+    cacheCreationInputTokens: 0,
+    cacheCreation1hInputTokens: 0,
+    cacheReadInputTokens: 0,
+    thinkingTokens: 0,
+    total: 0
+  };
+
+  messages.forEach((message) => {
+    if (!message.tokens) return;
+    totals.inputTokens += message.tokens.inputTokens || 0;
+    totals.outputTokens += message.tokens.outputTokens || 0;
+    totals.cacheCreationInputTokens += message.tokens.cacheCreationInputTokens || 0;
+    totals.cacheCreation1hInputTokens += message.tokens.cacheCreation1hInputTokens || 0;
+    totals.cacheReadInputTokens += message.tokens.cacheReadInputTokens || 0;
+    totals.thinkingTokens += message.tokens.thinkingTokens || 0;
+    totals.total += getTotalTokens(message.tokens);
+  });
+
+  return totals;
+};
+
+/**
+ * Estimate the cost of a token breakdown for a model
+ *
+ * @param {Object} tokens - Token breakdown (from normalizeUsage or sumUsage)
+ * @param {string} model - Model name used for the price lookup
+ * @returns {number|null} Cost in USD, or null if the model has no price configured
+ */
+export const estimateCost = (tokens, model) => {
+  const prices = getModelPricing()[model];
+  if (!prices) return null;
+
+  // 1-hour cache writes are a subset of all cache writes and have their own price
+  const cacheWrites1h = tokens.cacheCreation1hInputTokens || 0;
+  const cacheWrites5m = (tokens.cacheCreationInputTokens || 0) - cacheWrites1h;
+
+  // Prices are per million tokens; thinking is already included in output tokens
+  return (
+    (tokens.inputTokens || 0) * prices.input
+    + (tokens.outputTokens || 0) * prices.output
+    + cacheWrites5m * prices.cacheWrite
+    + cacheWrites1h * (prices.cacheWrite1h ?? prices.cacheWrite)
+    + (tokens.cacheReadInputTokens || 0) * prices.cacheRead
+  ) / 1000000;
+};
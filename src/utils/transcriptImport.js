@@ -0,0 +1,362 @@
+// Parsers for bringing external transcripts into History
+// Recognizes claude.ai data exports, Anthropic Messages API JSON/JSONL (request bodies, batch
+// requests, request/response logs and this app's own exports) and the plain-text files written
+// by the old "Download Chat" and "Download Analysis Report" buttons.
+//
+// Every parser returns conversations in the same shape:
+// { title, createdAt, originalId, messages: [{ role, content, attachments?, thinking?, truncated?, tokens? }],
+//   generationSettings }
+
+// Source types recorded in the imported conversation's metadata
+export const IMPORT_SOURCES = {
+  'claude-ai': 'claude.ai export',
+  'messages-api': 'Messages API JSON/JSONL',
+  'app-export': 'Research chat export',
+  'legacy-text': 'Downloaded chat text'
+};
+
+const SEPARATOR_LENGTH = 60;
+
+/**
+ * Turn Messages API content (a string or a list of content blocks) into message text
+ *
+ * @param {string|Array} content - Message content
+ * @param {Array<string>} warnings - Collects notes about blocks that could not be kept as-is
+ * @returns {Object} { content, thinking }
+ */
+const flattenContent = (content, warnings) => {
+  if (typeof content === 'string') return { content, thinking: '' };
+  if (!Array.isArray(content)) return { content: '', thinking: '' };
+
+  const text = [];
+  const thinking = [];
+
+  content.forEach((block) => {
+    switch (block.type) {
+      case 'text':
+        text.push(block.text);
+        break;
+      case 'thinking':
+        thinking.push(block.thinking);
+        break;
+      case 'redacted_thinking':
+        thinking.push('[Redacted thinking]');
+        break;
+      case 'tool_use':
+        text.push(`[Tool use: ${block.name}] ${JSON.stringify(block.input)}`);
+        break;
+      case 'tool_result': {
+        const result = flattenContent(block.content, warnings).content;
+        text.push(`[Tool result] ${result}`);
+        break;
+      }
+      case 'image':
+        text.push('[Image not imported]');
+        warnings.push('Image blocks were replaced by a placeholder.');
+        break;
+      case 'document':
+        text.push('[Document not imported]');
+        warnings.push('Document blocks were replaced by a placeholder.');
+        break;
+      default:
+        warnings.push(`Skipped a content block of unknown type "${block.type}".`);
+    }
+  });
+
+  return { content: text.join('\n\n'), thinking: thinking.join('\n\n') };
+};
+
+/**
+ * Convert Messages API messages into app messages
+ *
+ * @param {Array} apiMessages - [{ role, content }]
+ * @param {Array<string>} warnings - Collects parsing notes
+ * @returns {Object} { messages, system } (system is taken from OpenAI-style "system" messages, if any)
+ */
+const convertApiMessages = (apiMessages, warnings) => {
+  const messages = [];
+  const system = [];
+
+  apiMessages.forEach((apiMessage) => {
+    const { content, thinking } = flattenContent(apiMessage.content, warnings);
+    if (apiMessage.role === 'system') {
+      system.push(content);
+    } else if (apiMessage.role === 'user' || apiMessage.role === 'assistant') {
+      messages.push({ role: apiMessage.role, content, ...(thinking && { thinking }) });
+    } else {
+      warnings.push(`Skipped a message with role "${apiMessage.role}".`);
+    }
+  });
+
+  return { messages, system: system.join('\n\n') };
+};
+
+/**
+ * Build generation settings from Messages API request parameters
+ *
+ * @param {Object} params - Request body (model, max_tokens, temperature, system, thinking)
+ * @param {string} extraSystem - System prompt found among the messages
+ * @returns {Object|null} Generation settings, or null if neither the model nor a system prompt is known
+ */
+const settingsFromRequest = (params, extraSystem = '') => {
+  const system = Array.isArray(params.system)
+    ? params.system.map(block => block.text).join('\n\n')
+    : params.system || extraSystem;
+
+  if (!params.model && !system) return null;
+
+  return {
+    model: params.model || 'unknown',
+    temperature: params.temperature ?? null,
+    maxTokens: params.max_tokens ?? null,
+    thinkingBudget: params.thinking?.type === 'enabled' ? params.thinking.budget_tokens : 0,
+    systemPrompt: system || ''
+  };
+};
+
+/**
+ * Parse a claude.ai data export (conversations.json)
+ *
+ * @param {Array} exported - Conversations with chat_messages
+ * @param {Array<string>} warnings - Collects parsing notes
+ * @returns {Array} Parsed conversations
+ */
+const parseClaudeAiExport = (exported, warnings) => exported.map((conversation) => {
+  const messages = (conversation.chat_messages || []).map((chatMessage) => {
+    const hasBlocks = Array.isArray(chatMessage.content) && chatMessage.content.length > 0;
+    const { content, thinking } = hasBlocks
+      ? flattenContent(chatMessage.content, warnings)
+      : { content: chatMessage.text || '', thinking: '' };
+
+    const attachments = [...(chatMessage.attachments || []), ...(chatMessage.files || [])];
+    if (attachments.length > 0) {
+      warnings.push(`"${conversation.name || conversation.uuid}": ${attachments.length} attachment(s) were not imported.`);
+    }
+
+    return {
+      role: chatMessage.sender === 'human' ? 'user' : 'assistant',
+      content,
+      ...(thinking && { thinking })
+    };
+  });
+
+  return {
+    title: conversation.name || 'Untitled conversation',
+    createdAt: conversation.created_at || null,
+    originalId: conversation.uuid || null,
+    messages,
+    generationSettings: conversation.model ? settingsFromRequest({ model: conversation.model }) : null
+  };
+});
+
+/**
+ * Parse one Messages-format JSON value (a request, batch request, request/response log
+ * entry or one of this app's JSON exports)
+ *
+ * @param {Object} value - Parsed JSON object
+ * @param {Array<string>} warnings - Collects parsing notes
+ * @returns {Object|null} { type, conversation }, or null if the value isn't recognized
+ */
+const parseMessagesValue = (value, warnings) => {
+  // This app's JSON export
+  if (value?.exportVersion && Array.isArray(value.messages)) {
+    return {
+      type: 'app-export',
+      conversation: {
+        title: value.conversation?.title || value.conversation?.conversationId || 'Exported conversation',
+        createdAt: value.conversation?.createdAt || null,
+        originalId: value.conversation?.conversationId || null,
+        messages: value.messages.map(message => ({
+          role: message.role,
+          content: message.content,
+          ...(message.attachments && { attachments: message.attachments }),
+          ...(message.thinking && { thinking: message.thinking }),
+          ...(message.truncated && { truncated: true }),
+          ...(message.tokens && { tokens: message.tokens })
+        })),
+        generationSettings: value.conversation?.generationSettings || null
+      }
+    };
+  }
+
+  // Batch request ({ custom_id, params }), log entry ({ request, response }) or plain request body
+  const request = value?.params || value?.request || value;
+  if (!Array.isArray(request?.messages)) return null;
+
+  const { messages, system } = convertApiMessages(request.messages, warnings);
+  if (value.response?.content) {
+    const { content, thinking } = flattenContent(value.response.content, warnings);
+    messages.push({ role: 'assistant', content, ...(thinking && { thinking }) });
+  }
+
+  return {
+    type: 'messages-api',
+    conversation: {
+      title: value.custom_id || value.id || 'Imported conversation',
+      createdAt: value.created_at || null,
+      originalId: value.custom_id || value.id || null,
+      messages,
+      generationSettings: settingsFromRequest(request, system)
+    }
+  };
+};
+
+/**
+ * Parse Messages-format JSON or JSONL
+ *
+ * A JSONL file whose lines are single { role, content } messages is read as one conversation;
+ * otherwise each line (or each element of a JSON array) is its own conversation.
+ *
+ * @param {Array} values - Parsed JSON values
+ * @param {Array<string>} warnings - Collects parsing notes
+ * @returns {Object} { type, conversations }
+ */
+const parseMessagesValues = (values, warnings) => {
+  if (values.length > 0 && values.every(value => value?.role && 'content' in value)) {
+    const { messages, system } = convertApiMessages(values, warnings);
+    return {
+      type: 'messages-api',
+      conversations: [{
+        title: 'Imported conversation',
+        createdAt: null,
+        originalId: null,
+        messages,
+        generationSettings: settingsFromRequest({}, system)
+      }]
+    };
+  }
+
+  const parsed = values.map((value, index) => {
+    const result = parseMessagesValue(value, warnings);
+    if (!result) warnings.push(`Entry ${index + 1} has no messages and was skipped.`);
+    return result;
+  }).filter(Boolean);
+
+  return {
+    type: parsed.some(result => result.type === 'messages-api') ? 'messages-api' : 'app-export',
+    conversations: parsed.map(result => result.conversation)
+  };
+};
+
+/**
+ * Parse the text written by the old "Download Chat" and "Download Analysis Report" buttons
+ *
+ * @param {string} text - File content
+ * @param {Array<string>} warnings - Collects parsing notes
+ * @returns {Object} Parsed conversation
+ */
+const parseLegacyText = (text, warnings) => {
+  const normalized = text.replace(/\r\n/g, '\n');
+  const messagePattern = /^MSG (\d+) \((USER|CLAUDE)\):$/gm;
+  const headers = [...normalized.matchAll(messagePattern)];
+  const preamble = normalized.slice(0, headers[0]?.index ?? normalized.length);
+
+  const readHeader = (label) => preamble.match(new RegExp(`^${label}: (.*)$`, 'm'))?.[1]?.trim();
+
+  const messages = headers.map((header, i) => {
+    const start = header.index + header[0].length + 1;
+    const end = headers[i + 1]?.index ?? normalized.length;
+    let block = normalized.slice(start, end);
+
+    // Each message ends with a dashed separator; the last one may be followed by the totals
+    const separator = block.indexOf(`\n\n${'-'.repeat(SEPARATOR_LENGTH)}\n`);
+    if (separator !== -1) block = block.slice(0, separator);
+
+    // Token and sample lines (analysis reports) come after the content and thinking
+    block = block.replace(/\n\n\[(TOKENS|SAMPLES)\]:[\s\S]*$/, '');
+
+    let thinking = '';
+    const thinkingMarker = block.indexOf('\n\n[THINKING PROCESS]:\n');
+    if (thinkingMarker !== -1) {
+      thinking = block.slice(thinkingMarker + '\n\n[THINKING PROCESS]:\n'.length);
+      block = block.slice(0, thinkingMarker + 1);
+    }
+
+    let content = block.replace(/\n$/, '');
+    const truncated = content.endsWith('\n[TRUNCATED - response stopped before completion]');
+    if (truncated) content = content.slice(0, content.lastIndexOf('\n[TRUNCATED'));
+
+    return {
+      role: header[2] === 'USER' ? 'user' : 'assistant',
+      content,
+      ...(thinking && { thinking }),
+      ...(truncated && { truncated: true })
+    };
+  });
+
+  if (/^AI WELFARE ANALYSIS REPORT/.test(normalized)) {
+    warnings.push('This is an analysis report: only the transcript is imported, not the scores.');
+  }
+
+  const model = readHeader('Model');
+  const thinkingBudget = readHeader('Thinking Budget');
+  const systemPrompt = preamble.match(/^System Prompt:\n([\s\S]*?)\n={60}/m)?.[1] || '';
+
+  return {
+    title: readHeader('Conversation ID') || `Chat downloaded ${readHeader('Downloaded') || ''}`.trim(),
+    createdAt: null,
+    originalId: readHeader('Conversation ID') || null,
+    messages,
+    generationSettings: model
+      ? {
+        model,
+        temperature: Number(readHeader('Temperature')),
+        maxTokens: Number(readHeader('Max Tokens')),
+        thinkingBudget: thinkingBudget && thinkingBudget !== 'Off' ? Number(thinkingBudget) : 0,
+        systemPrompt
+      }
+      : null
+  };
+};
+
+/**
+ * Parse an uploaded transcript file, detecting its format from the content
+ *
+ * @param {string} text - File content
+ * @returns {Object} { type, conversations, warnings }
+ * @throws {Error} If the file is not in a supported format or contains no messages
+ *
+ * Example usage:
+ * const { type, conversations } = parseTranscriptFile(await file.text());
+ */
+export const parseTranscriptFile = (text) => {
+  const warnings = [];
+  const trimmed = text.trim();
+  let result;
+
+  if (/^(CLAUDE CHAT CONVERSATION|AI WELFARE ANALYSIS REPORT)/.test(trimmed) || /^MSG 0 \((USER|CLAUDE)\):$/m.test(trimmed)) {
+    result = { type: 'legacy-text', conversations: [parseLegacyText(trimmed, warnings)] };
+  } else if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+    let values;
+    try {
+      values = [JSON.parse(trimmed)];
+    } catch {
+      // Not a single JSON value, so try one value per line (JSONL)
+      try {
+        values = trimmed.split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+      } catch (error) {
+        throw new Error(`The file is neither JSON nor JSONL (${error.message}).`);
+      }
+    }
+
+    if (values.length === 1 && Array.isArray(values[0])) {
+      values = values[0];
+    }
+
+    result = values.some(value => Array.isArray(value?.chat_messages))
+      ? { type: 'claude-ai', conversations: parseClaudeAiExport(values, warnings) }
+      : parseMessagesValues(values, warnings);
+  } else {
+    throw new Error('Unrecognized file. Expected a claude.ai export, Messages API JSON/JSONL or a downloaded chat.');
+  }
+
+  const conversations = result.conversations.filter(conversation => conversation.messages.length > 0);
+  if (conversations.length < result.conversations.length) {
+    warnings.push(`${result.conversations.length - conversations.length} conversation(s) without messages were skipped.`);
+  }
+  if (conversations.length === 0) {
+    throw new Error('No messages were found in the file.');
+  }
+
+  return { type: result.type, conversations, warnings: [...new Set(warnings)] };
+};